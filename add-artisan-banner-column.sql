@@ -0,0 +1,4 @@
+-- Shop banner shown at the top of the public artisan storefront (/artisan/[id])
+-- NULL = the storefront falls back to a plain brand-colored banner
+
+ALTER TABLE user_profiles ADD COLUMN IF NOT EXISTS banner_image_url TEXT;
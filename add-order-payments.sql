@@ -0,0 +1,29 @@
+-- Payment state for orders
+-- Payments go through a pluggable provider (src/lib/payments); these columns
+-- record which provider holds the payment and where it is in its lifecycle
+-- Only the server (service role) changes them, see src/services/paymentService.js
+--
+-- Order status transitions driven by payments:
+--   pending --payment succeeded--> paid --refund--> refunded
+--   a failed payment keeps the order pending so the buyer can try again
+
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_provider TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_intent_id TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_status TEXT NOT NULL DEFAULT 'requires_payment';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS payment_failure_reason TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS paid_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS refunded_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_payment_status_valid;
+ALTER TABLE orders ADD CONSTRAINT orders_payment_status_valid
+    CHECK (payment_status IN ('requires_payment', 'succeeded', 'failed', 'refunded'));
+
+-- Refunded orders get their own status
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_status_valid;
+ALTER TABLE orders ADD CONSTRAINT orders_status_valid
+    CHECK (status IN ('pending', 'paid', 'cancelled', 'refunded'));
+
+-- Webhooks find the order by the provider's payment id
+CREATE UNIQUE INDEX IF NOT EXISTS idx_orders_payment_intent
+    ON orders(payment_provider, payment_intent_id)
+    WHERE payment_intent_id IS NOT NULL;
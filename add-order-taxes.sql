@@ -0,0 +1,198 @@
+-- Taxes for orders (sales tax, GST/HST, VAT)
+-- Rates depend on the delivery country and region and the product's tax class
+-- (from its category). create_order looks them up in the tables below and stores,
+-- for every line, the class, rate and amount; nothing tax-related comes from the browser
+-- These tables are the only source of rates: the cart and checkout load them too
+-- (src/services/taxService.js) to show the same tax before the order is placed
+-- Product prices are stored without tax: tax is always added on top of the subtotal.
+-- prices_include_tax only records how the buyer saw the prices (VAT countries show
+-- them with tax included) so receipts can show them the same way
+-- Tax is collected by the marketplace and is not part of the artisan's payout
+-- Run after create-orders-table.sql, create-order-fulfillments.sql and create-categories-table.sql
+
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_class TEXT NOT NULL DEFAULT 'standard';
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_rate NUMERIC(6,5) NOT NULL DEFAULT 0;
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS tax_amount DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+ALTER TABLE order_items DROP CONSTRAINT IF EXISTS order_items_tax_valid;
+ALTER TABLE order_items ADD CONSTRAINT order_items_tax_valid CHECK (
+    tax_class IN ('standard', 'reduced', 'exempt')
+    AND tax_rate >= 0 AND tax_rate < 1
+    AND tax_amount >= 0
+);
+
+ALTER TABLE order_fulfillments ADD COLUMN IF NOT EXISTS tax_total DECIMAL(10,2) NOT NULL DEFAULT 0;
+
+-- e.g. "Sales tax", "VAT"
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_label TEXT;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS tax_total DECIMAL(10,2) NOT NULL DEFAULT 0;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS prices_include_tax BOOLEAN NOT NULL DEFAULT false;
+
+ALTER TABLE orders DROP CONSTRAINT IF EXISTS orders_tax_positive;
+ALTER TABLE orders ADD CONSTRAINT orders_tax_positive CHECK (tax_total >= 0);
+
+-- Rates by country (ISO 3166-1 code); countries not listed charge no tax
+-- display: 'inclusive' (VAT, prices shown with tax) or 'exclusive' (sales tax)
+CREATE TABLE IF NOT EXISTS tax_jurisdictions (
+    country TEXT PRIMARY KEY,
+    label TEXT NOT NULL,
+    display TEXT NOT NULL DEFAULT 'exclusive',
+    standard_rate NUMERIC(6,5) NOT NULL DEFAULT 0,
+    reduced_rate NUMERIC(6,5) NOT NULL DEFAULT 0,
+    CONSTRAINT tax_jurisdictions_display_valid CHECK (display IN ('inclusive', 'exclusive')),
+    CONSTRAINT tax_jurisdictions_rates_valid CHECK (
+        standard_rate >= 0 AND standard_rate < 1 AND reduced_rate >= 0 AND reduced_rate < 1
+    )
+);
+
+-- Rates by state or province: one rate for every class, replacing the country's.
+-- A country with regions needs the buyer's region to calculate tax
+CREATE TABLE IF NOT EXISTS tax_regions (
+    country TEXT NOT NULL REFERENCES tax_jurisdictions(country) ON DELETE CASCADE,
+    code TEXT NOT NULL,
+    name TEXT NOT NULL,
+    rate NUMERIC(6,5) NOT NULL,
+    PRIMARY KEY (country, code),
+    CONSTRAINT tax_regions_rate_valid CHECK (rate >= 0 AND rate < 1)
+);
+
+INSERT INTO tax_jurisdictions (country, label, display, standard_rate, reduced_rate) VALUES
+    ('US', 'Sales tax', 'exclusive', 0, 0),
+    ('CA', 'GST/HST', 'exclusive', 0.05, 0.05),
+    ('MX', 'IVA', 'inclusive', 0.16, 0.16),
+    ('GB', 'VAT', 'inclusive', 0.2, 0.05),
+    ('ES', 'IVA', 'inclusive', 0.21, 0.10),
+    ('FR', 'TVA', 'inclusive', 0.2, 0.055),
+    ('DE', 'MwSt', 'inclusive', 0.19, 0.07),
+    ('AR', 'IVA', 'inclusive', 0.21, 0.105)
+ON CONFLICT (country) DO UPDATE SET
+    label = EXCLUDED.label,
+    display = EXCLUDED.display,
+    standard_rate = EXCLUDED.standard_rate,
+    reduced_rate = EXCLUDED.reduced_rate;
+
+INSERT INTO tax_regions (country, code, name, rate) VALUES
+    ('US', 'AL', 'Alabama', 0.04),
+    ('US', 'AK', 'Alaska', 0),
+    ('US', 'AZ', 'Arizona', 0.056),
+    ('US', 'AR', 'Arkansas', 0.065),
+    ('US', 'CA', 'California', 0.0725),
+    ('US', 'CO', 'Colorado', 0.029),
+    ('US', 'CT', 'Connecticut', 0.0635),
+    ('US', 'DE', 'Delaware', 0),
+    ('US', 'DC', 'District of Columbia', 0.06),
+    ('US', 'FL', 'Florida', 0.06),
+    ('US', 'GA', 'Georgia', 0.04),
+    ('US', 'HI', 'Hawaii', 0.04),
+    ('US', 'ID', 'Idaho', 0.06),
+    ('US', 'IL', 'Illinois', 0.0625),
+    ('US', 'IN', 'Indiana', 0.07),
+    ('US', 'IA', 'Iowa', 0.06),
+    ('US', 'KS', 'Kansas', 0.065),
+    ('US', 'KY', 'Kentucky', 0.06),
+    ('US', 'LA', 'Louisiana', 0.05),
+    ('US', 'ME', 'Maine', 0.055),
+    ('US', 'MD', 'Maryland', 0.06),
+    ('US', 'MA', 'Massachusetts', 0.0625),
+    ('US', 'MI', 'Michigan', 0.06),
+    ('US', 'MN', 'Minnesota', 0.06875),
+    ('US', 'MS', 'Mississippi', 0.07),
+    ('US', 'MO', 'Missouri', 0.04225),
+    ('US', 'MT', 'Montana', 0),
+    ('US', 'NE', 'Nebraska', 0.055),
+    ('US', 'NV', 'Nevada', 0.0685),
+    ('US', 'NH', 'New Hampshire', 0),
+    ('US', 'NJ', 'New Jersey', 0.06625),
+    ('US', 'NM', 'New Mexico', 0.04875),
+    ('US', 'NY', 'New York', 0.04),
+    ('US', 'NC', 'North Carolina', 0.0475),
+    ('US', 'ND', 'North Dakota', 0.05),
+    ('US', 'OH', 'Ohio', 0.0575),
+    ('US', 'OK', 'Oklahoma', 0.045),
+    ('US', 'OR', 'Oregon', 0),
+    ('US', 'PA', 'Pennsylvania', 0.06),
+    ('US', 'RI', 'Rhode Island', 0.07),
+    ('US', 'SC', 'South Carolina', 0.06),
+    ('US', 'SD', 'South Dakota', 0.042),
+    ('US', 'TN', 'Tennessee', 0.07),
+    ('US', 'TX', 'Texas', 0.0625),
+    ('US', 'UT', 'Utah', 0.061),
+    ('US', 'VT', 'Vermont', 0.06),
+    ('US', 'VA', 'Virginia', 0.053),
+    ('US', 'WA', 'Washington', 0.065),
+    ('US', 'WV', 'West Virginia', 0.06),
+    ('US', 'WI', 'Wisconsin', 0.05),
+    ('US', 'WY', 'Wyoming', 0.04),
+    ('CA', 'AB', 'Alberta', 0.05),
+    ('CA', 'BC', 'British Columbia', 0.12),
+    ('CA', 'MB', 'Manitoba', 0.12),
+    ('CA', 'NB', 'New Brunswick', 0.15),
+    ('CA', 'NL', 'Newfoundland and Labrador', 0.15),
+    ('CA', 'NS', 'Nova Scotia', 0.14),
+    ('CA', 'NT', 'Northwest Territories', 0.05),
+    ('CA', 'NU', 'Nunavut', 0.05),
+    ('CA', 'ON', 'Ontario', 0.13),
+    ('CA', 'PE', 'Prince Edward Island', 0.15),
+    ('CA', 'QC', 'Quebec', 0.14975),
+    ('CA', 'SK', 'Saskatchewan', 0.11),
+    ('CA', 'YT', 'Yukon', 0.05)
+ON CONFLICT (country, code) DO UPDATE SET
+    name = EXCLUDED.name,
+    rate = EXCLUDED.rate;
+
+-- Tax class of the products of each category
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS tax_class TEXT NOT NULL DEFAULT 'standard';
+
+ALTER TABLE categories DROP CONSTRAINT IF EXISTS categories_tax_class_valid;
+ALTER TABLE categories ADD CONSTRAINT categories_tax_class_valid
+    CHECK (tax_class IN ('standard', 'reduced', 'exempt'));
+
+-- Original art sold by its author has a reduced VAT rate in most of Europe
+UPDATE categories SET tax_class = 'reduced' WHERE slug = 'art-paintings';
+
+-- find_tax_region: the region of a country written by the buyer, by code or by name
+-- (the address form is free text, e.g. "CA" or "California")
+CREATE OR REPLACE FUNCTION find_tax_region(target_country TEXT, target_region TEXT)
+RETURNS tax_regions
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT r.*
+    FROM tax_regions r
+    WHERE r.country = target_country
+      AND lower(trim(coalesce(target_region, ''))) IN (lower(r.code), lower(r.name))
+    LIMIT 1;
+$$;
+
+-- tax_rate_for: rate of a tax class for a destination (same rules as getTaxRate)
+CREATE OR REPLACE FUNCTION tax_rate_for(target_class TEXT, target_country TEXT, target_region TEXT)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT CASE
+        WHEN target_class = 'exempt' THEN 0
+        ELSE coalesce(
+            (find_tax_region(target_country, target_region)).rate,
+            (
+                SELECT CASE WHEN target_class = 'reduced' THEN j.reduced_rate ELSE j.standard_rate END
+                FROM tax_jurisdictions j
+                WHERE j.country = target_country
+            ),
+            0
+        )
+    END;
+$$;
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE tax_jurisdictions ENABLE ROW LEVEL SECURITY;
+ALTER TABLE tax_regions ENABLE ROW LEVEL SECURITY;
+
+-- Anyone can read the rates; they are changed by admins from the dashboard
+DROP POLICY IF EXISTS "Public can view tax jurisdictions" ON tax_jurisdictions;
+CREATE POLICY "Public can view tax jurisdictions" ON tax_jurisdictions
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Public can view tax regions" ON tax_regions;
+CREATE POLICY "Public can view tax regions" ON tax_regions
+    FOR SELECT USING (true);
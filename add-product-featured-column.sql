@@ -0,0 +1,7 @@
+-- Featured products (hand-picked by the Handcrafted Haven team)
+-- Used by the "Featured only" filter of the catalog
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS featured BOOLEAN NOT NULL DEFAULT FALSE;
+
+-- Partial index: only a few products are featured
+CREATE INDEX IF NOT EXISTS idx_products_featured ON products(featured) WHERE featured;
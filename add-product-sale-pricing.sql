@@ -0,0 +1,44 @@
+-- Compare-at pricing and scheduled sales for products
+-- compare_at_price is the regular price, shown struck through next to price while
+-- the sale is on. A sale can be limited to a window (sale_starts_at / sale_ends_at,
+-- either end optional); outside the window the product sells at compare_at_price.
+-- Without a window the sale lasts while compare_at_price is set
+-- The app applies the same rules in src/utils/pricing.ts
+-- Catalog filters, sorting, facets and stats use product_current_price, so an expired
+-- or not yet started sale is ignored without having to clear its columns
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS compare_at_price DECIMAL(10,2);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sale_starts_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sale_ends_at TIMESTAMP WITH TIME ZONE;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_compare_at_price_valid;
+ALTER TABLE products ADD CONSTRAINT products_compare_at_price_valid
+    CHECK (compare_at_price IS NULL OR compare_at_price > price);
+
+-- A sale window needs a regular price to go back to, and must end after it starts
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_sale_window_valid;
+ALTER TABLE products ADD CONSTRAINT products_sale_window_valid CHECK (
+    ((sale_starts_at IS NULL AND sale_ends_at IS NULL) OR compare_at_price IS NOT NULL)
+    AND (sale_starts_at IS NULL OR sale_ends_at IS NULL OR sale_ends_at > sale_starts_at)
+);
+
+-- Products on sale right now (storefront "On sale" listings)
+CREATE INDEX IF NOT EXISTS idx_products_on_sale ON products(sale_ends_at)
+    WHERE compare_at_price IS NOT NULL;
+
+-- product_current_price: what a product sells for right now
+-- Used by create_order (create-orders-table.sql) to snapshot the price of each line
+-- Its first argument is a products row, so PostgREST exposes it as a computed column
+-- that the catalog can filter and order by (?product_current_price=gte.25)
+CREATE OR REPLACE FUNCTION product_current_price(product products)
+RETURNS NUMERIC
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT CASE
+        WHEN product.compare_at_price IS NULL THEN product.price
+        WHEN (product.sale_starts_at IS NULL OR product.sale_starts_at <= now())
+         AND (product.sale_ends_at IS NULL OR product.sale_ends_at > now()) THEN product.price
+        ELSE product.compare_at_price
+    END;
+$$;
@@ -0,0 +1,23 @@
+-- Denormalized counters used to sort the catalog
+-- review_count: kept up to date by reviewService.updateProductAverageRating
+-- sales_count: units sold, incremented by complete_order_payment and reverted when a
+-- paid order is refunded or cancelled (create-inventory-reservations.sql, which also
+-- backfills it from the orders already paid)
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS sales_count INTEGER NOT NULL DEFAULT 0;
+
+-- Backfill review_count from existing reviews
+UPDATE products p
+SET review_count = r.total
+FROM (
+    SELECT product_id, COUNT(*) AS total
+    FROM product_reviews
+    GROUP BY product_id
+) r
+WHERE r.product_id = p.id;
+
+-- Indexes for the sort options of the catalog
+CREATE INDEX IF NOT EXISTS idx_products_rating ON products(rating DESC);
+CREATE INDEX IF NOT EXISTS idx_products_review_count ON products(review_count DESC);
+CREATE INDEX IF NOT EXISTS idx_products_sales_count ON products(sales_count DESC);
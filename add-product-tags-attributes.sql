@@ -0,0 +1,17 @@
+-- Product tags and structured attributes
+-- tags: free-form labels chosen by the artisan ("stoneware", "gift", "minimalist")
+-- attributes: key/value pairs for the attributes buyers filter by, e.g.
+--   {"material": "stoneware", "color": "blue", "technique": "hand-thrown"}
+-- Values are stored trimmed and lowercase (see normalizeTags / normalizeAttributes
+-- in src/services/productService.js) so filters match regardless of spelling case
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+ALTER TABLE products ADD COLUMN IF NOT EXISTS attributes JSONB NOT NULL DEFAULT '{}'::jsonb;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_attributes_is_object;
+ALTER TABLE products ADD CONSTRAINT products_attributes_is_object
+    CHECK (jsonb_typeof(attributes) = 'object');
+
+-- GIN indexes for the containment filters (tags @> ..., attributes @> ...)
+CREATE INDEX IF NOT EXISTS idx_products_tags ON products USING GIN (tags);
+CREATE INDEX IF NOT EXISTS idx_products_attributes ON products USING GIN (attributes jsonb_path_ops);
@@ -0,0 +1,28 @@
+-- Shopping carts for Handcrafted Haven
+-- One row per product in a signed-in user's cart; guests keep their cart in the browser
+-- Quantities are limited by products.stock in the app (see src/hooks/useCart.js)
+
+CREATE TABLE IF NOT EXISTS carts (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL DEFAULT 1,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    CONSTRAINT carts_user_product_unique UNIQUE (user_id, product_id),
+    CONSTRAINT carts_quantity_positive CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_carts_user_id ON carts(user_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE carts ENABLE ROW LEVEL SECURITY;
+
+-- Users can only see and change their own cart
+DROP POLICY IF EXISTS "Users can view own cart" ON carts;
+CREATE POLICY "Users can view own cart" ON carts
+    FOR SELECT USING (auth.uid() = user_id);
+
+DROP POLICY IF EXISTS "Users can manage own cart" ON carts;
+CREATE POLICY "Users can manage own cart" ON carts
+    FOR ALL USING (auth.uid() = user_id) WITH CHECK (auth.uid() = user_id);
@@ -0,0 +1,31 @@
+-- Catalog statistics for the home page header
+-- get_catalog_stats: price summary and number of products per category,
+-- aggregated here so the browser never downloads the whole catalog
+-- Prices are the ones charged right now (product_current_price, add-product-sale-pricing.sql)
+-- Returns {"average_price": 42.5, "min_price": 8, "max_price": 350, "categories": {"Pottery": 12, ...}}
+
+CREATE OR REPLACE FUNCTION get_catalog_stats()
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT jsonb_build_object(
+        'average_price', (SELECT round(avg(product_current_price(p)), 2) FROM products p),
+        'min_price', (SELECT min(product_current_price(p)) FROM products p),
+        'max_price', (SELECT max(product_current_price(p)) FROM products p),
+        'categories', coalesce(
+            (
+                SELECT jsonb_object_agg(c.category, c.total)
+                FROM (
+                    SELECT category, COUNT(*) AS total
+                    FROM products
+                    GROUP BY category
+                ) c
+            ),
+            '{}'::jsonb
+        )
+    );
+$$;
+
+-- Public catalog: anyone can read the statistics
+GRANT EXECUTE ON FUNCTION get_catalog_stats() TO anon, authenticated;
@@ -0,0 +1,94 @@
+-- Category taxonomy for Handcrafted Haven
+-- Replaces the free-text products.category column as the source of truth:
+-- products point at a category by id, and products.category keeps a copy
+-- of the category name (maintained by triggers) for filtering and search
+
+CREATE TABLE IF NOT EXISTS categories (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    parent_id UUID REFERENCES categories(id) ON DELETE RESTRICT,
+    name TEXT NOT NULL UNIQUE,
+    slug TEXT NOT NULL UNIQUE,
+    description TEXT,
+    image_url TEXT,
+    display_order INTEGER NOT NULL DEFAULT 0,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    CONSTRAINT categories_not_own_parent CHECK (parent_id IS NULL OR parent_id <> id),
+    CONSTRAINT categories_slug_format CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$')
+);
+
+CREATE INDEX IF NOT EXISTS idx_categories_parent_id ON categories(parent_id);
+CREATE INDEX IF NOT EXISTS idx_categories_display_order ON categories(display_order);
+
+-- Same rules as slugifyCategory (src/utils/categories.ts) for ASCII names
+CREATE OR REPLACE FUNCTION category_slug(category_name TEXT)
+RETURNS TEXT
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT trim(BOTH '-' FROM regexp_replace(lower(category_name), '[^a-z0-9]+', '-', 'g'));
+$$;
+
+-- Top-level categories of the marketplace
+INSERT INTO categories (name, slug, description, display_order) VALUES
+    ('Pottery & Ceramics', 'pottery-ceramics', 'Wheel-thrown and hand-built pieces in clay, fired and glazed by hand for everyday use and display.', 1),
+    ('Jewelry & Accessories', 'jewelry-accessories', 'Rings, necklaces, earrings and accessories forged, wrapped and set by independent jewelers.', 2),
+    ('Textiles & Clothing', 'textiles-clothing', 'Woven, knitted and embroidered goods made with natural fibers and traditional techniques.', 3),
+    ('Woodwork', 'woodwork', 'Boards, bowls, furniture and carvings shaped by hand from sustainably sourced wood.', 4),
+    ('Glass', 'glass', 'Blown, fused and stained glass pieces that play with light and color.', 5),
+    ('Metalwork', 'metalwork', 'Forged, cast and hammered metal pieces, from kitchen tools to decorative art.', 6),
+    ('Art & Paintings', 'art-paintings', 'Original paintings, prints and mixed-media works straight from the artist''s studio.', 7),
+    ('Leather Goods', 'leather-goods', 'Bags, wallets and accessories cut, stitched and finished by hand from quality leather.', 8)
+ON CONFLICT (name) DO NOTHING;
+
+-- Products reference their category by id
+ALTER TABLE products ADD COLUMN IF NOT EXISTS category_id UUID REFERENCES categories(id) ON DELETE RESTRICT;
+CREATE INDEX IF NOT EXISTS idx_products_category_id ON products(category_id);
+
+-- Keep products.category equal to the name of products.category_id
+-- Runs on insert and whenever either column is written, so the copy cannot drift
+CREATE OR REPLACE FUNCTION sync_product_category_name()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.category_id IS NOT NULL THEN
+        SELECT name INTO NEW.category FROM categories WHERE id = NEW.category_id;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_products_category_name ON products;
+CREATE TRIGGER trg_products_category_name
+    BEFORE INSERT OR UPDATE OF category_id, category ON products
+    FOR EACH ROW EXECUTE FUNCTION sync_product_category_name();
+
+-- Renaming a category renames it on its products too
+CREATE OR REPLACE FUNCTION propagate_category_rename()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    UPDATE products SET category = NEW.name WHERE category_id = NEW.id;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_categories_rename ON categories;
+CREATE TRIGGER trg_categories_rename
+    AFTER UPDATE OF name ON categories
+    FOR EACH ROW
+    WHEN (OLD.name IS DISTINCT FROM NEW.name)
+    EXECUTE FUNCTION propagate_category_rename();
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE categories ENABLE ROW LEVEL SECURITY;
+
+-- Anyone can browse the taxonomy; changes are made by admins from the dashboard
+DROP POLICY IF EXISTS "Public can view categories" ON categories;
+CREATE POLICY "Public can view categories" ON categories
+    FOR SELECT USING (true);
+
+-- After running migrate-product-categories.sql, require a category on every product:
+-- ALTER TABLE products ALTER COLUMN category_id SET NOT NULL;
@@ -0,0 +1,379 @@
+-- Inventory reservations for Handcrafted Haven
+-- Many pieces are one of a kind, so stock is held for a buyer while they check out:
+--   1. reserve_checkout_stock: when the checkout page opens (15 minutes, order_id NULL)
+--   2. create_order: the reservation moves to the new order (reserve_order_lines)
+--   3. hold_order_stock: renewed right before the payment is charged
+--   4. complete_order_payment: stock is decremented, sales_count incremented and the
+--      order marked paid, in one transaction, once the payment provider confirms the charge
+--   5. revert_order_sales: a paid order that is refunded or cancelled gives its units back
+-- Reservations are released by release_checkout_stock / cancel_order, or when they
+-- expire (release_expired_reservations)
+-- Run after create-orders-table.sql, add-order-payments.sql and add-product-sort-columns.sql
+
+CREATE TABLE IF NOT EXISTS stock_reservations (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    -- NULL while the buyer is still in checkout, set once the order exists
+    order_id UUID REFERENCES orders(id) ON DELETE CASCADE,
+    product_id UUID NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+    quantity INTEGER NOT NULL,
+    expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CONSTRAINT stock_reservations_quantity_positive CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_product ON stock_reservations(product_id, expires_at);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_user ON stock_reservations(user_id) WHERE order_id IS NULL;
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_order ON stock_reservations(order_id);
+
+-- No policies: reservations are only read and written by the functions below
+ALTER TABLE stock_reservations ENABLE ROW LEVEL SECURITY;
+
+-- How long stock stays reserved
+CREATE OR REPLACE FUNCTION reservation_expiry()
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT now() + interval '15 minutes';
+$$;
+
+-- available_stock: stock minus the active reservations of other buyers
+-- for_user: ignore this buyer's checkout reservation (order_id NULL)
+-- for_order: ignore this order's reservation
+CREATE OR REPLACE FUNCTION available_stock(target_product UUID, for_user UUID, for_order UUID)
+RETURNS INTEGER
+LANGUAGE sql
+STABLE
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    SELECT coalesce(p.stock, 0) - coalesce((
+        SELECT SUM(r.quantity)
+        FROM stock_reservations r
+        WHERE r.product_id = p.id
+          AND r.expires_at > now()
+          AND (for_order IS NULL OR r.order_id IS DISTINCT FROM for_order)
+          AND NOT (r.order_id IS NULL AND r.user_id IS NOT DISTINCT FROM for_user)
+    ), 0)::INTEGER
+    FROM products p
+    WHERE p.id = target_product;
+$$;
+
+-- reserve_order_lines: reserves every line of an order (all or nothing)
+-- Replaces the buyer's checkout reservation and any earlier reservation of the order
+-- Raises '"<title>" sold out while you were checking out' when a line cannot be reserved
+CREATE OR REPLACE FUNCTION reserve_order_lines(target_order_id UUID, buyer UUID)
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    line RECORD;
+    expires TIMESTAMP WITH TIME ZONE := reservation_expiry();
+BEGIN
+    FOR line IN
+        SELECT oi.product_id, MIN(oi.title) AS title, SUM(oi.quantity)::INTEGER AS quantity
+        FROM order_items oi
+        WHERE oi.order_id = target_order_id
+          AND oi.product_id IS NOT NULL
+        GROUP BY oi.product_id
+        ORDER BY oi.product_id -- same lock order everywhere, so two checkouts never deadlock
+    LOOP
+        PERFORM 1 FROM products WHERE id = line.product_id FOR UPDATE;
+
+        IF available_stock(line.product_id, buyer, target_order_id) < line.quantity THEN
+            RAISE EXCEPTION '"%" sold out while you were checking out', line.title;
+        END IF;
+    END LOOP;
+
+    DELETE FROM stock_reservations WHERE user_id = buyer AND order_id IS NULL;
+    DELETE FROM stock_reservations WHERE order_id = target_order_id;
+
+    INSERT INTO stock_reservations (user_id, order_id, product_id, quantity, expires_at)
+    SELECT buyer, target_order_id, oi.product_id, SUM(oi.quantity), expires
+    FROM order_items oi
+    WHERE oi.order_id = target_order_id
+      AND oi.product_id IS NOT NULL
+    GROUP BY oi.product_id;
+
+    RETURN expires;
+END;
+$$;
+
+-- release_expired_reservations: drops expired reservations and cancels the
+-- pending orders that were holding them (the buyer never paid)
+-- Called at the start of every checkout; can also run on a schedule with pg_cron:
+--   SELECT cron.schedule('release-expired-reservations', '*/5 * * * *', 'SELECT release_expired_reservations()');
+CREATE OR REPLACE FUNCTION release_expired_reservations()
+RETURNS INTEGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    released INTEGER;
+BEGIN
+    UPDATE orders o
+    SET status = 'cancelled',
+        updated_at = now()
+    WHERE o.status = 'pending'
+      AND EXISTS (
+          SELECT 1 FROM stock_reservations r
+          WHERE r.order_id = o.id AND r.expires_at <= now()
+      );
+
+    DELETE FROM stock_reservations WHERE expires_at <= now();
+    GET DIAGNOSTICS released = ROW_COUNT;
+
+    RETURN released;
+END;
+$$;
+
+-- reserve_checkout_stock: reserves the signed-in buyer's cart when checkout opens
+-- cart_items: [{"product_id": "...", "quantity": 2}, ...]
+-- Returns the lines that could not be reserved: [{"product_id", "title", "available"}]
+-- (empty array = everything is reserved); nothing is reserved unless every line fits
+CREATE OR REPLACE FUNCTION reserve_checkout_stock(cart_items JSONB)
+RETURNS JSONB
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    buyer UUID := auth.uid();
+    line RECORD;
+    available INTEGER;
+    unavailable JSONB := '[]'::jsonb;
+    expires TIMESTAMP WITH TIME ZONE := reservation_expiry();
+BEGIN
+    IF buyer IS NULL THEN
+        RAISE EXCEPTION 'Please sign in to check out';
+    END IF;
+
+    PERFORM release_expired_reservations();
+    DELETE FROM stock_reservations WHERE user_id = buyer AND order_id IS NULL;
+
+    FOR line IN
+        SELECT p.id, p.title, (item->>'quantity')::INTEGER AS quantity
+        FROM jsonb_array_elements(coalesce(cart_items, '[]'::jsonb)) AS item
+        JOIN products p ON p.id = (item->>'product_id')::UUID
+        ORDER BY p.id
+    LOOP
+        PERFORM 1 FROM products WHERE id = line.id FOR UPDATE;
+        available := available_stock(line.id, buyer, NULL);
+
+        IF line.quantity IS NULL OR line.quantity <= 0 OR line.quantity > available THEN
+            unavailable := unavailable || jsonb_build_object(
+                'product_id', line.id,
+                'title', line.title,
+                'available', GREATEST(available, 0)
+            );
+        ELSE
+            INSERT INTO stock_reservations (user_id, product_id, quantity, expires_at)
+            VALUES (buyer, line.id, line.quantity, expires);
+        END IF;
+    END LOOP;
+
+    IF jsonb_array_length(unavailable) > 0 THEN
+        DELETE FROM stock_reservations WHERE user_id = buyer AND order_id IS NULL;
+    END IF;
+
+    RETURN unavailable;
+END;
+$$;
+
+-- release_checkout_stock: the buyer left checkout without placing an order
+CREATE OR REPLACE FUNCTION release_checkout_stock()
+RETURNS VOID
+LANGUAGE sql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+    DELETE FROM stock_reservations WHERE user_id = auth.uid() AND order_id IS NULL;
+$$;
+
+-- cancel_order: cancels a pending order and releases its stock
+-- Buyers can cancel their own orders; the server (service role) any order
+CREATE OR REPLACE FUNCTION cancel_order(target_order_id UUID)
+RETURNS VOID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target orders%ROWTYPE;
+BEGIN
+    SELECT * INTO target FROM orders WHERE id = target_order_id FOR UPDATE;
+
+    IF NOT FOUND OR (auth.uid() IS NOT NULL AND target.user_id <> auth.uid()) THEN
+        RAISE EXCEPTION 'Order not found';
+    END IF;
+
+    IF target.status <> 'pending' THEN
+        RAISE EXCEPTION 'This order is already %', target.status;
+    END IF;
+
+    DELETE FROM stock_reservations WHERE order_id = target_order_id;
+
+    UPDATE orders
+    SET status = 'cancelled',
+        updated_at = now()
+    WHERE id = target_order_id;
+END;
+$$;
+
+-- hold_order_stock: renews the order's reservation right before charging the buyer
+-- Re-reserves it if it expired and the pieces are still available
+CREATE OR REPLACE FUNCTION hold_order_stock(target_order_id UUID)
+RETURNS TIMESTAMP WITH TIME ZONE
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target orders%ROWTYPE;
+BEGIN
+    SELECT * INTO target FROM orders WHERE id = target_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order not found';
+    END IF;
+
+    IF target.status <> 'pending' THEN
+        RAISE EXCEPTION 'This order is already %', target.status;
+    END IF;
+
+    RETURN reserve_order_lines(target_order_id, target.user_id);
+END;
+$$;
+
+-- complete_order_payment: the payment was confirmed; decrement stock, count the
+-- units sold (sales_count, used by the "best-selling" sort) and mark the order paid
+-- in a single transaction
+-- Raises '"<title>" sold out while you were checking out' (and changes nothing)
+-- if a piece is no longer available; the caller then refunds the payment
+CREATE OR REPLACE FUNCTION complete_order_payment(target_order_id UUID)
+RETURNS orders
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target orders%ROWTYPE;
+    line RECORD;
+BEGIN
+    SELECT * INTO target FROM orders WHERE id = target_order_id FOR UPDATE;
+
+    IF NOT FOUND THEN
+        RAISE EXCEPTION 'Order not found';
+    END IF;
+
+    -- Already completed (confirmation and webhook can both arrive)
+    IF target.status = 'paid' THEN
+        RETURN target;
+    END IF;
+
+    IF target.status <> 'pending' THEN
+        RAISE EXCEPTION 'A % order cannot be marked as paid', target.status;
+    END IF;
+
+    FOR line IN
+        SELECT oi.product_id, MIN(oi.title) AS title, SUM(oi.quantity)::INTEGER AS quantity
+        FROM order_items oi
+        WHERE oi.order_id = target_order_id
+          AND oi.product_id IS NOT NULL
+        GROUP BY oi.product_id
+        ORDER BY oi.product_id
+    LOOP
+        PERFORM 1 FROM products WHERE id = line.product_id FOR UPDATE;
+
+        IF available_stock(line.product_id, NULL, target_order_id) < line.quantity THEN
+            RAISE EXCEPTION '"%" sold out while you were checking out', line.title;
+        END IF;
+
+        UPDATE products
+        SET stock = stock - line.quantity,
+            sales_count = sales_count + line.quantity,
+            updated_at = now()
+        WHERE id = line.product_id;
+    END LOOP;
+
+    DELETE FROM stock_reservations WHERE order_id = target_order_id;
+
+    UPDATE orders
+    SET status = 'paid',
+        payment_status = 'succeeded',
+        payment_failure_reason = NULL,
+        paid_at = now(),
+        updated_at = now()
+    WHERE id = target_order_id
+    RETURNING * INTO target;
+
+    RETURN target;
+END;
+$$;
+
+-- revert_order_sales: a paid order was refunded or cancelled; its units go back to
+-- stock and no longer count as sold. Orders refunded because a piece sold out during
+-- payment never became paid (complete_order_payment took nothing), so they are skipped
+CREATE OR REPLACE FUNCTION revert_order_sales()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+BEGIN
+    UPDATE products p
+    SET stock = p.stock + sold.quantity,
+        sales_count = GREATEST(p.sales_count - sold.quantity, 0),
+        updated_at = now()
+    FROM (
+        SELECT product_id, SUM(quantity)::INTEGER AS quantity
+        FROM order_items
+        WHERE order_id = NEW.id AND product_id IS NOT NULL
+        GROUP BY product_id
+    ) sold
+    WHERE p.id = sold.product_id;
+
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS revert_order_sales_on_refund ON orders;
+CREATE TRIGGER revert_order_sales_on_refund
+    AFTER UPDATE OF status ON orders
+    FOR EACH ROW
+    WHEN (OLD.status = 'paid' AND NEW.status IN ('refunded', 'cancelled'))
+    EXECUTE FUNCTION revert_order_sales();
+
+-- Backfill sales_count from the orders already paid (safe to run again)
+UPDATE products p
+SET sales_count = coalesce((
+    SELECT SUM(oi.quantity)
+    FROM order_items oi
+    JOIN orders o ON o.id = oi.order_id
+    WHERE oi.product_id = p.id AND o.status = 'paid'
+), 0);
+
+-- Functions are executable by PUBLIC by default: limit each one to who needs it
+REVOKE EXECUTE ON FUNCTION available_stock(UUID, UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reserve_order_lines(UUID, UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION release_expired_reservations() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION hold_order_stock(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION complete_order_payment(UUID) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION revert_order_sales() FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION reserve_checkout_stock(JSONB) FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION release_checkout_stock() FROM PUBLIC, anon;
+REVOKE EXECUTE ON FUNCTION cancel_order(UUID) FROM PUBLIC, anon;
+
+-- Buyers (from the browser)
+GRANT EXECUTE ON FUNCTION reserve_checkout_stock(JSONB) TO authenticated;
+GRANT EXECUTE ON FUNCTION release_checkout_stock() TO authenticated;
+GRANT EXECUTE ON FUNCTION cancel_order(UUID) TO authenticated, service_role;
+
+-- The server (src/services/paymentService.js)
+GRANT EXECUTE ON FUNCTION release_expired_reservations() TO service_role;
+GRANT EXECUTE ON FUNCTION hold_order_stock(UUID) TO service_role;
+GRANT EXECUTE ON FUNCTION complete_order_payment(UUID) TO service_role;
@@ -0,0 +1,153 @@
+-- Per-artisan fulfillments for Handcrafted Haven
+-- A cart can hold pieces from several artisans. The buyer still places one order
+-- and makes one payment, but create_order splits the order into one fulfillment
+-- per artisan; each has its own shipping, status and payout line
+--
+-- Fulfillment status:
+--   pending (order not paid yet) --order paid--> processing --artisan--> shipped --artisan--> delivered
+--   (local pickups: processing --artisan--> delivered)
+--   cancelled when the order is cancelled or refunded
+-- Payout status:
+--   on_hold until the artisan delivers, then due; paid once the marketplace pays the artisan
+--   cancelled when the order is cancelled or refunded
+-- Run after create-orders-table.sql and add-order-payments.sql
+
+CREATE TABLE IF NOT EXISTS order_fulfillments (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    artisan_id UUID,
+    artisan_name TEXT,
+    status TEXT NOT NULL DEFAULT 'pending',
+    -- Copy of orders.shipping_address: artisans cannot read the buyer's order
+    ship_to JSONB NOT NULL,
+    -- delivery or pickup (create-shipping-profiles.sql)
+    shipping_method TEXT NOT NULL,
+    subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+    shipping_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    -- Payout line: what the artisan receives for this fulfillment
+    platform_fee DECIMAL(10,2) NOT NULL DEFAULT 0,
+    payout_amount DECIMAL(10,2) NOT NULL DEFAULT 0,
+    payout_status TEXT NOT NULL DEFAULT 'on_hold',
+    paid_out_at TIMESTAMP WITH TIME ZONE,
+    tracking_number TEXT,
+    shipped_at TIMESTAMP WITH TIME ZONE,
+    delivered_at TIMESTAMP WITH TIME ZONE,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    CONSTRAINT order_fulfillments_status_valid
+        CHECK (status IN ('pending', 'processing', 'shipped', 'delivered', 'cancelled')),
+    CONSTRAINT order_fulfillments_payout_status_valid
+        CHECK (payout_status IN ('on_hold', 'due', 'paid', 'cancelled')),
+    CONSTRAINT order_fulfillments_totals_positive
+        CHECK (subtotal >= 0 AND shipping_total >= 0 AND total >= 0 AND platform_fee >= 0 AND payout_amount >= 0)
+);
+
+-- Each line belongs to the fulfillment of its artisan
+ALTER TABLE order_items ADD COLUMN IF NOT EXISTS fulfillment_id UUID REFERENCES order_fulfillments(id) ON DELETE CASCADE;
+
+CREATE INDEX IF NOT EXISTS idx_order_fulfillments_order_id ON order_fulfillments(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_fulfillments_artisan ON order_fulfillments(artisan_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_order_items_fulfillment_id ON order_items(fulfillment_id);
+
+-- Enable Row Level Security (RLS)
+-- No write policies: fulfillments change only through the functions below
+ALTER TABLE order_fulfillments ENABLE ROW LEVEL SECURITY;
+
+-- Buyers can see the fulfillments of their orders, artisans their own
+DROP POLICY IF EXISTS "Users can view own fulfillments" ON order_fulfillments;
+CREATE POLICY "Users can view own fulfillments" ON order_fulfillments
+    FOR SELECT USING (
+        auth.uid() = artisan_id
+        OR EXISTS (SELECT 1 FROM orders o WHERE o.id = order_id AND o.user_id = auth.uid())
+    );
+
+-- Share of each fulfillment's subtotal kept by the marketplace (shipping goes to the artisan)
+CREATE OR REPLACE FUNCTION marketplace_fee_rate()
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT 0.10::NUMERIC;
+$$;
+
+-- Keep fulfillments in step with their order's payment
+CREATE OR REPLACE FUNCTION sync_order_fulfillments()
+RETURNS TRIGGER
+LANGUAGE plpgsql
+AS $$
+BEGIN
+    IF NEW.status = 'paid' THEN
+        UPDATE order_fulfillments
+        SET status = 'processing',
+            updated_at = now()
+        WHERE order_id = NEW.id AND status = 'pending';
+    ELSIF NEW.status IN ('cancelled', 'refunded') THEN
+        -- A delivered fulfillment keeps its status; its payout is still cancelled
+        UPDATE order_fulfillments
+        SET status = CASE WHEN status = 'delivered' THEN status ELSE 'cancelled' END,
+            payout_status = CASE WHEN payout_status = 'paid' THEN payout_status ELSE 'cancelled' END,
+            updated_at = now()
+        WHERE order_id = NEW.id;
+    END IF;
+    RETURN NEW;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trg_orders_sync_fulfillments ON orders;
+CREATE TRIGGER trg_orders_sync_fulfillments
+    AFTER UPDATE OF status ON orders
+    FOR EACH ROW
+    WHEN (OLD.status IS DISTINCT FROM NEW.status)
+    EXECUTE FUNCTION sync_order_fulfillments();
+
+-- update_fulfillment_status: the artisan ships or delivers one of their fulfillments
+-- processing -> shipped (with an optional tracking number) -> delivered
+-- Local pickups go straight from processing to delivered when the buyer collects them
+CREATE OR REPLACE FUNCTION update_fulfillment_status(
+    target_fulfillment_id UUID,
+    new_status TEXT,
+    tracking TEXT DEFAULT NULL
+)
+RETURNS order_fulfillments
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    target order_fulfillments%ROWTYPE;
+BEGIN
+    SELECT * INTO target FROM order_fulfillments WHERE id = target_fulfillment_id FOR UPDATE;
+
+    IF NOT FOUND OR target.artisan_id IS DISTINCT FROM auth.uid() THEN
+        RAISE EXCEPTION 'Fulfillment not found';
+    END IF;
+
+    IF new_status = 'shipped' AND target.status = 'processing' THEN
+        UPDATE order_fulfillments
+        SET status = 'shipped',
+            tracking_number = nullif(trim(tracking), ''),
+            shipped_at = now(),
+            updated_at = now()
+        WHERE id = target_fulfillment_id
+        RETURNING * INTO target;
+    ELSIF new_status = 'delivered'
+        AND (target.status = 'shipped' OR (target.status = 'processing' AND target.shipping_method = 'pickup')) THEN
+        UPDATE order_fulfillments
+        SET status = 'delivered',
+            delivered_at = now(),
+            payout_status = CASE WHEN payout_status = 'on_hold' THEN 'due' ELSE payout_status END,
+            updated_at = now()
+        WHERE id = target_fulfillment_id
+        RETURNING * INTO target;
+    ELSE
+        RAISE EXCEPTION 'A % fulfillment cannot be marked as %', target.status, new_status;
+    END IF;
+
+    RETURN target;
+END;
+$$;
+
+-- Functions are executable by PUBLIC by default: limit each one to who needs it
+REVOKE EXECUTE ON FUNCTION update_fulfillment_status(UUID, TEXT, TEXT) FROM PUBLIC, anon;
+GRANT EXECUTE ON FUNCTION update_fulfillment_status(UUID, TEXT, TEXT) TO authenticated;
@@ -0,0 +1,266 @@
+-- Orders for Handcrafted Haven
+-- orders: one per checkout, with the shipping address and totals
+-- order_items: one per product, with a snapshot of the title, price and artisan
+-- at purchase time so later product edits never change a past order
+-- Each order is split into one fulfillment per artisan (create-order-fulfillments.sql)
+-- Tax is added per line (add-order-taxes.sql)
+-- Orders are created only through create_order (below), never inserted directly
+
+CREATE TABLE IF NOT EXISTS orders (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    user_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    -- pending: waiting for payment, paid, cancelled
+    status TEXT NOT NULL DEFAULT 'pending',
+    -- {"full_name", "line1", "line2", "city", "region", "postal_code", "country", "phone"}
+    shipping_address JSONB NOT NULL,
+    -- delivery, pickup or mixed (some fulfillments delivered, some picked up)
+    shipping_method TEXT NOT NULL,
+    subtotal DECIMAL(10,2) NOT NULL DEFAULT 0,
+    shipping_total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    total DECIMAL(10,2) NOT NULL DEFAULT 0,
+    currency TEXT NOT NULL DEFAULT 'USD',
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    CONSTRAINT orders_status_valid CHECK (status IN ('pending', 'paid', 'cancelled')),
+    CONSTRAINT orders_totals_positive CHECK (subtotal >= 0 AND shipping_total >= 0 AND total >= 0)
+);
+
+CREATE TABLE IF NOT EXISTS order_items (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    order_id UUID NOT NULL REFERENCES orders(id) ON DELETE CASCADE,
+    -- NULL if the product is deleted later; the snapshot below is kept
+    product_id UUID REFERENCES products(id) ON DELETE SET NULL,
+    artisan_id UUID,
+    artisan_name TEXT,
+    title TEXT NOT NULL,
+    image_url TEXT,
+    unit_price DECIMAL(10,2) NOT NULL,
+    quantity INTEGER NOT NULL,
+    line_total DECIMAL(10,2) NOT NULL,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CONSTRAINT order_items_quantity_positive CHECK (quantity > 0)
+);
+
+CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_order_items_order_id ON order_items(order_id);
+CREATE INDEX IF NOT EXISTS idx_order_items_artisan_id ON order_items(artisan_id);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE orders ENABLE ROW LEVEL SECURITY;
+ALTER TABLE order_items ENABLE ROW LEVEL SECURITY;
+
+-- Buyers can see their own orders
+DROP POLICY IF EXISTS "Users can view own orders" ON orders;
+CREATE POLICY "Users can view own orders" ON orders
+    FOR SELECT USING (auth.uid() = user_id);
+
+-- Buyers can see the items of their orders, artisans the items they sold
+DROP POLICY IF EXISTS "Users can view own order items" ON order_items;
+CREATE POLICY "Users can view own order items" ON order_items
+    FOR SELECT USING (
+        auth.uid() = artisan_id
+        OR EXISTS (SELECT 1 FROM orders o WHERE o.id = order_id AND o.user_id = auth.uid())
+    );
+
+-- marketplace_shipping_cost: the marketplace's standard delivery rate for products
+-- without a shipping profile: 5.99 per package, free from a 75 subtotal
+-- Same rate as MARKETPLACE_STANDARD_ZONE in src/utils/shipping.ts
+CREATE OR REPLACE FUNCTION marketplace_shipping_cost(items_subtotal NUMERIC)
+RETURNS NUMERIC
+LANGUAGE sql
+IMMUTABLE
+AS $$
+    SELECT CASE WHEN items_subtotal >= 75 THEN 0 ELSE 5.99 END::NUMERIC;
+$$;
+
+-- create_order: creates an order for the signed-in user from their cart lines
+-- cart_items: [{"product_id": "...", "quantity": 2}, ...]
+-- Prices, titles and artisans are read from products here, never trusted from the browser
+-- (the price is the one in effect now, see product_current_price in add-product-sale-pricing.sql)
+-- The lines are split into one fulfillment per artisan (create-order-fulfillments.sql)
+-- shipment_options is how each fulfillment ships, keyed by artisan id:
+-- {"<artisan_id>": {"method": "delivery"}, "<other>": {"method": "pickup"}}
+-- ("" for products without an artisan)
+-- The shipping cost is calculated here from the artisan's shipping profiles and the
+-- delivery country (order_shipment_cost in create-shipping-profiles.sql); local pickup
+-- is free and only allowed where every profile offers it
+-- Tax is calculated here for every line from the product's tax class and the delivery
+-- country and region (tax_rate_for in add-order-taxes.sql)
+-- The buyer's stock reservation moves to the order (reserve_order_lines in
+-- create-inventory-reservations.sql); if a piece sold out meanwhile nothing is created
+-- Returns the new order id
+DROP FUNCTION IF EXISTS create_order(JSONB, JSONB, TEXT, NUMERIC);
+DROP FUNCTION IF EXISTS create_order(JSONB, JSONB, TEXT, JSONB);
+DROP FUNCTION IF EXISTS create_order(JSONB, JSONB, JSONB, JSONB);
+DROP FUNCTION IF EXISTS create_order(JSONB, JSONB, JSONB);
+CREATE OR REPLACE FUNCTION create_order(
+    cart_items JSONB,
+    delivery_address JSONB,
+    shipment_options JSONB
+)
+RETURNS UUID
+LANGUAGE plpgsql
+SECURITY DEFINER
+SET search_path = public
+AS $$
+DECLARE
+    buyer_id UUID := auth.uid();
+    new_order_id UUID;
+    line RECORD;
+    line_count INTEGER := 0;
+    order_subtotal NUMERIC := 0;
+    order_shipping NUMERIC := 0;
+    order_tax NUMERIC := 0;
+    tax_country TEXT := delivery_address->>'country';
+    tax_region TEXT := delivery_address->>'region';
+    jurisdiction_label TEXT;
+    jurisdiction_display TEXT;
+    line_tax_rate NUMERIC;
+    shipment RECORD;
+    shipment_method TEXT;
+    shipment_cost NUMERIC;
+    delivery_count INTEGER := 0;
+    pickup_count INTEGER := 0;
+    shipment_fee NUMERIC;
+    new_fulfillment_id UUID;
+BEGIN
+    IF buyer_id IS NULL THEN
+        RAISE EXCEPTION 'Please sign in to place an order';
+    END IF;
+
+    IF cart_items IS NULL OR jsonb_array_length(cart_items) = 0 THEN
+        RAISE EXCEPTION 'Your cart is empty';
+    END IF;
+
+    IF shipment_options IS NULL OR jsonb_typeof(shipment_options) <> 'object' THEN
+        RAISE EXCEPTION 'Invalid shipping options';
+    END IF;
+
+    SELECT label, display INTO jurisdiction_label, jurisdiction_display
+    FROM tax_jurisdictions
+    WHERE country = tax_country;
+
+    -- Countries that tax by state or province need a known region
+    IF EXISTS (SELECT 1 FROM tax_regions WHERE country = tax_country)
+       AND (find_tax_region(tax_country, tax_region)).code IS NULL THEN
+        RAISE EXCEPTION 'Please enter a valid state or province';
+    END IF;
+
+    -- shipping_method is set below once every fulfillment has its method
+    INSERT INTO orders (user_id, shipping_address, shipping_method, tax_label, prices_include_tax)
+    VALUES (
+        buyer_id, delivery_address, 'delivery',
+        coalesce(jurisdiction_label, 'Tax'), coalesce(jurisdiction_display = 'inclusive', false)
+    )
+    RETURNING id INTO new_order_id;
+
+    FOR line IN
+        SELECT
+            p.id,
+            p.title,
+            product_current_price(p) AS price,
+            p.image_url,
+            p.artisan_id,
+            coalesce(a.shop_name, a.full_name) AS artisan_name,
+            coalesce(c.tax_class, 'standard') AS tax_class,
+            (item->>'quantity')::INTEGER AS quantity
+        FROM jsonb_array_elements(cart_items) AS item
+        JOIN products p ON p.id = (item->>'product_id')::UUID
+        LEFT JOIN user_profiles a ON a.id = p.artisan_id
+        LEFT JOIN categories c ON c.id = p.category_id
+    LOOP
+        IF line.quantity IS NULL OR line.quantity <= 0 THEN
+            RAISE EXCEPTION 'Invalid quantity for "%"', line.title;
+        END IF;
+
+        line_tax_rate := tax_rate_for(line.tax_class, tax_country, tax_region);
+
+        INSERT INTO order_items (
+            order_id, product_id, artisan_id, artisan_name,
+            title, image_url, unit_price, quantity, line_total,
+            tax_class, tax_rate, tax_amount
+        ) VALUES (
+            new_order_id, line.id, line.artisan_id, line.artisan_name,
+            line.title, line.image_url, line.price, line.quantity, line.price * line.quantity,
+            line.tax_class, line_tax_rate, round(line.price * line.quantity * line_tax_rate, 2)
+        );
+
+        line_count := line_count + 1;
+        order_subtotal := order_subtotal + line.price * line.quantity;
+        order_tax := order_tax + round(line.price * line.quantity * line_tax_rate, 2);
+    END LOOP;
+
+    -- A product that no longer exists is skipped by the JOIN above
+    IF line_count <> jsonb_array_length(cart_items) THEN
+        RAISE EXCEPTION 'Some items in your cart are no longer available';
+    END IF;
+
+    -- One fulfillment per artisan, with its own shipping and payout
+    FOR shipment IN
+        SELECT artisan_id, MIN(artisan_name) AS artisan_name,
+               SUM(line_total) AS subtotal, SUM(tax_amount) AS tax_total
+        FROM order_items
+        WHERE order_id = new_order_id
+        GROUP BY artisan_id
+    LOOP
+        shipment_method := shipment_options->coalesce(shipment.artisan_id::TEXT, '')->>'method';
+
+        IF shipment_method IS NULL OR shipment_method NOT IN ('delivery', 'pickup') THEN
+            RAISE EXCEPTION 'Please choose how % should ship', coalesce(shipment.artisan_name, 'your order');
+        END IF;
+
+        IF shipment_method = 'pickup' THEN
+            IF NOT order_shipment_allows_pickup(new_order_id, shipment.artisan_id) THEN
+                RAISE EXCEPTION '% does not offer local pickup', coalesce(shipment.artisan_name, 'This shop');
+            END IF;
+            shipment_cost := 0;
+            pickup_count := pickup_count + 1;
+        ELSE
+            shipment_cost := order_shipment_cost(new_order_id, shipment.artisan_id, delivery_address->>'country');
+            IF shipment_cost IS NULL THEN
+                RAISE EXCEPTION '% does not ship to your country', coalesce(shipment.artisan_name, 'This shop');
+            END IF;
+            delivery_count := delivery_count + 1;
+        END IF;
+
+        shipment_fee := round(shipment.subtotal * marketplace_fee_rate(), 2);
+
+        -- Tax is collected by the marketplace: it is in the total but not in the payout
+        INSERT INTO order_fulfillments (
+            order_id, artisan_id, artisan_name, ship_to, shipping_method,
+            subtotal, shipping_total, tax_total, total, platform_fee, payout_amount
+        ) VALUES (
+            new_order_id, shipment.artisan_id, shipment.artisan_name, delivery_address, shipment_method,
+            shipment.subtotal, shipment_cost, shipment.tax_total, shipment.subtotal + shipment_cost + shipment.tax_total,
+            shipment_fee, shipment.subtotal + shipment_cost - shipment_fee
+        )
+        RETURNING id INTO new_fulfillment_id;
+
+        UPDATE order_items
+        SET fulfillment_id = new_fulfillment_id
+        WHERE order_id = new_order_id
+          AND artisan_id IS NOT DISTINCT FROM shipment.artisan_id;
+
+        order_shipping := order_shipping + shipment_cost;
+    END LOOP;
+
+    -- Raises (and rolls back the order) if a piece is no longer available
+    PERFORM reserve_order_lines(new_order_id, buyer_id);
+
+    UPDATE orders
+    SET subtotal = order_subtotal,
+        shipping_total = order_shipping,
+        tax_total = order_tax,
+        shipping_method = CASE
+            WHEN pickup_count = 0 THEN 'delivery'
+            WHEN delivery_count = 0 THEN 'pickup'
+            ELSE 'mixed'
+        END,
+        total = order_subtotal + order_shipping + order_tax
+    WHERE id = new_order_id;
+
+    RETURN new_order_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION create_order(JSONB, JSONB, JSONB) TO authenticated;
@@ -0,0 +1,292 @@
+-- Ranked full-text product search for Handcrafted Haven
+-- Weighted ranking (title > category > description), English stemming
+-- and trigram fuzzy matching so typos like "ceramc mug" still find results
+
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+-- Weighted search document, kept up to date automatically by Postgres
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector
+    GENERATED ALWAYS AS (
+        setweight(to_tsvector('english', coalesce(title, '')), 'A') ||
+        setweight(to_tsvector('english', coalesce(category, '')), 'B') ||
+        setweight(to_tsvector('english', coalesce(description, '')), 'C')
+    ) STORED;
+
+-- Indexes for full-text matching and for fuzzy (trigram) matching
+CREATE INDEX IF NOT EXISTS idx_products_search_vector ON products USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_title_trgm ON products USING GIN (lower(title) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_products_category_trgm ON products USING GIN (lower(category) gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_products_description_trgm ON products USING GIN (lower(coalesce(description, '')) gin_trgm_ops);
+
+-- search_products: returns one page of ranked results plus the total match count
+-- sort_by: 'relevance' (default), 'newest', 'price-asc', 'price-desc',
+--          'rating', 'best-selling' or 'most-reviewed'
+-- Requires the review_count / sales_count columns (add-product-sort-columns.sql)
+-- the featured column (add-product-featured-column.sql)
+-- the category_id column (create-categories-table.sql)
+-- the tags / attributes columns (add-product-tags-attributes.sql)
+-- the sale pricing columns (add-product-sale-pricing.sql)
+-- and the shipping columns (create-shipping-profiles.sql), so products added to the
+-- cart from search results carry their weight, size and shipping profile
+-- Price filters and sorting use product_current_price, the price charged right now
+-- DROP first: CREATE OR REPLACE cannot change the signature or columns of a function
+DROP FUNCTION IF EXISTS search_products(TEXT, TEXT, NUMERIC, NUMERIC, TEXT, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS search_products(TEXT, TEXT, NUMERIC, NUMERIC, NUMERIC, BOOLEAN, BOOLEAN, TEXT, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS search_products(TEXT, TEXT[], NUMERIC, NUMERIC, NUMERIC, BOOLEAN, BOOLEAN, TEXT, INTEGER, INTEGER);
+DROP FUNCTION IF EXISTS search_products(TEXT, TEXT[], NUMERIC, NUMERIC, NUMERIC, BOOLEAN, BOOLEAN, TEXT[], JSONB, TEXT, INTEGER, INTEGER);
+
+CREATE OR REPLACE FUNCTION search_products(
+    search_query TEXT,
+    -- A category plus its subcategories (NULL = every category)
+    filter_categories TEXT[] DEFAULT NULL,
+    min_price NUMERIC DEFAULT NULL,
+    max_price NUMERIC DEFAULT NULL,
+    min_rating NUMERIC DEFAULT NULL,
+    in_stock_only BOOLEAN DEFAULT FALSE,
+    featured_only BOOLEAN DEFAULT FALSE,
+    -- Products must have every tag and every attribute value given
+    filter_tags TEXT[] DEFAULT NULL,
+    filter_attributes JSONB DEFAULT NULL,
+    sort_by TEXT DEFAULT 'relevance',
+    result_limit INTEGER DEFAULT 12,
+    result_offset INTEGER DEFAULT 0
+)
+RETURNS TABLE (
+    id UUID,
+    title TEXT,
+    description TEXT,
+    price DECIMAL(10,2),
+    compare_at_price DECIMAL(10,2),
+    sale_starts_at TIMESTAMP WITH TIME ZONE,
+    sale_ends_at TIMESTAMP WITH TIME ZONE,
+    category TEXT,
+    rating DECIMAL(3,2),
+    review_count INTEGER,
+    stock INTEGER,
+    featured BOOLEAN,
+    category_id UUID,
+    tags TEXT[],
+    attributes JSONB,
+    image_url TEXT,
+    artisan_id UUID,
+    weight_grams INTEGER,
+    length_cm DECIMAL(6,1),
+    width_cm DECIMAL(6,1),
+    height_cm DECIMAL(6,1),
+    shipping_profile_id UUID,
+    created_at TIMESTAMP WITH TIME ZONE,
+    rank REAL,
+    total_count BIGINT
+)
+LANGUAGE sql
+STABLE
+-- Lower than the 0.6 default so a misspelled word still counts as a match
+SET pg_trgm.word_similarity_threshold = 0.35
+AS $$
+    WITH query AS (
+        SELECT
+            websearch_to_tsquery('english', search_query) AS tsq,
+            lower(trim(search_query)) AS term
+    ),
+    matches AS (
+        SELECT
+            p.*,
+            product_current_price(p) AS current_price,
+            (
+                ts_rank_cd(p.search_vector, query.tsq, 32) * 4
+                + word_similarity(query.term, lower(p.title)) * 2
+                + word_similarity(query.term, lower(p.category))
+                + word_similarity(query.term, lower(coalesce(p.description, ''))) * 0.5
+            )::REAL AS rank
+        FROM products p, query
+        WHERE p.search_vector @@ query.tsq
+           OR query.term <% lower(p.title)
+           OR query.term <% lower(p.category)
+           OR query.term <% lower(coalesce(p.description, ''))
+    )
+    SELECT
+        m.id,
+        m.title,
+        m.description,
+        m.price,
+        m.compare_at_price,
+        m.sale_starts_at,
+        m.sale_ends_at,
+        m.category,
+        m.rating,
+        m.review_count,
+        m.stock,
+        m.featured,
+        m.category_id,
+        m.tags,
+        m.attributes,
+        m.image_url,
+        m.artisan_id,
+        m.weight_grams,
+        m.length_cm,
+        m.width_cm,
+        m.height_cm,
+        m.shipping_profile_id,
+        m.created_at,
+        m.rank,
+        COUNT(*) OVER () AS total_count
+    FROM matches m
+    WHERE (filter_categories IS NULL OR m.category = ANY(filter_categories))
+      AND (min_price IS NULL OR m.current_price >= min_price)
+      AND (max_price IS NULL OR m.current_price <= max_price)
+      AND (min_rating IS NULL OR m.rating >= min_rating)
+      AND (NOT in_stock_only OR m.stock > 0)
+      AND (NOT featured_only OR m.featured)
+      AND (filter_tags IS NULL OR m.tags @> filter_tags)
+      AND (filter_attributes IS NULL OR m.attributes @> filter_attributes)
+    ORDER BY
+        CASE WHEN sort_by = 'price-asc' THEN m.current_price END ASC,
+        CASE WHEN sort_by = 'price-desc' THEN m.current_price END DESC,
+        CASE WHEN sort_by = 'newest' THEN m.created_at END DESC,
+        CASE WHEN sort_by = 'rating' THEN m.rating END DESC,
+        CASE WHEN sort_by = 'best-selling' THEN m.sales_count END DESC,
+        CASE WHEN sort_by = 'most-reviewed' THEN m.review_count END DESC,
+        m.rank DESC,
+        m.id
+    LIMIT result_limit
+    OFFSET result_offset;
+$$;
+
+-- Public catalog: anyone can search
+GRANT EXECUTE ON FUNCTION search_products(TEXT, TEXT[], NUMERIC, NUMERIC, NUMERIC, BOOLEAN, BOOLEAN, TEXT[], JSONB, TEXT, INTEGER, INTEGER) TO anon, authenticated;
+
+-- catalog_facets: how many products each filter option would show, counted here
+-- with GROUP BY so the browser never downloads the matching rows
+-- Every facet is counted with all the other filters but not its own (e.g. the
+-- category counts respect price and stock but not the chosen category); tags are
+-- counted on the current results since they combine (every tag must match)
+-- search_query uses the same match rules as search_products (NULL = every product)
+-- price_ranges, rating_options and attribute_keys are the options shown by FilterBar
+-- (PRICE_RANGE_BOUNDS, RATING_FILTER_OPTIONS and PRODUCT_ATTRIBUTES in productService.js)
+-- Returns {"categories": {"Pottery": 12}, "priceRanges": {"under-25": 3}, "ratings": {"4": 9},
+--          "stock": {"inStock": 20, "outOfStock": 2}, "featured": 4,
+--          "tags": {"rustic": 5}, "attributes": {"color": {"blue": 3}}}
+-- Replaces search_product_matches, which returned every matching row
+DROP FUNCTION IF EXISTS search_product_matches(TEXT);
+
+CREATE OR REPLACE FUNCTION catalog_facets(
+    search_query TEXT DEFAULT NULL,
+    filter_categories TEXT[] DEFAULT NULL,
+    min_price NUMERIC DEFAULT NULL,
+    max_price NUMERIC DEFAULT NULL,
+    min_rating NUMERIC DEFAULT NULL,
+    in_stock_only BOOLEAN DEFAULT FALSE,
+    featured_only BOOLEAN DEFAULT FALSE,
+    filter_tags TEXT[] DEFAULT NULL,
+    filter_attributes JSONB DEFAULT NULL,
+    -- {"under-25": {"min": null, "max": 24.99}, ...}
+    price_ranges JSONB DEFAULT '{}',
+    rating_options INTEGER[] DEFAULT '{}',
+    attribute_keys TEXT[] DEFAULT '{}'
+)
+RETURNS JSONB
+LANGUAGE sql
+STABLE
+SET pg_trgm.word_similarity_threshold = 0.35
+AS $$
+    WITH query AS (
+        SELECT
+            websearch_to_tsquery('english', coalesce(search_query, '')) AS tsq,
+            lower(trim(coalesce(search_query, ''))) AS term
+    ),
+    matches AS (
+        SELECT
+            p.category,
+            product_current_price(p) AS current_price,
+            p.rating,
+            p.stock,
+            p.featured,
+            p.tags,
+            p.attributes,
+            -- Which filters each product passes
+            (filter_categories IS NULL OR p.category = ANY(filter_categories)) AS in_category,
+            ((min_price IS NULL OR product_current_price(p) >= min_price)
+              AND (max_price IS NULL OR product_current_price(p) <= max_price)) AS in_price,
+            (min_rating IS NULL OR p.rating >= min_rating) AS in_rating,
+            (NOT in_stock_only OR p.stock > 0) AS in_stock,
+            (NOT featured_only OR p.featured) AS in_featured,
+            (filter_tags IS NULL OR p.tags @> filter_tags) AS in_tags,
+            (filter_attributes IS NULL OR p.attributes @> filter_attributes) AS in_attributes
+        FROM products p, query
+        WHERE query.term = ''
+           OR p.search_vector @@ query.tsq
+           OR query.term <% lower(p.title)
+           OR query.term <% lower(p.category)
+           OR query.term <% lower(coalesce(p.description, ''))
+    )
+    SELECT jsonb_build_object(
+        'categories', coalesce((
+            SELECT jsonb_object_agg(c.category, c.total)
+            FROM (
+                SELECT category, COUNT(*) AS total
+                FROM matches
+                WHERE in_price AND in_rating AND in_stock AND in_featured AND in_tags AND in_attributes
+                GROUP BY category
+            ) c
+        ), '{}'::jsonb),
+        'priceRanges', coalesce((
+            SELECT jsonb_object_agg(r.key, (
+                SELECT COUNT(*)
+                FROM matches m
+                WHERE m.in_category AND m.in_rating AND m.in_stock AND m.in_featured AND m.in_tags AND m.in_attributes
+                  AND (r.value->>'min' IS NULL OR m.current_price >= (r.value->>'min')::NUMERIC)
+                  AND (r.value->>'max' IS NULL OR m.current_price <= (r.value->>'max')::NUMERIC)
+            ))
+            FROM jsonb_each(price_ranges) AS r
+        ), '{}'::jsonb),
+        'ratings', coalesce((
+            SELECT jsonb_object_agg(stars, (
+                SELECT COUNT(*)
+                FROM matches m
+                WHERE m.in_category AND m.in_price AND m.in_stock AND m.in_featured AND m.in_tags AND m.in_attributes
+                  AND coalesce(m.rating, 0) >= stars
+            ))
+            FROM unnest(rating_options) AS stars
+        ), '{}'::jsonb),
+        'stock', (
+            SELECT jsonb_build_object(
+                'inStock', COUNT(*) FILTER (WHERE stock > 0),
+                'outOfStock', COUNT(*) FILTER (WHERE NOT coalesce(stock > 0, false))
+            )
+            FROM matches
+            WHERE in_category AND in_price AND in_rating AND in_featured AND in_tags AND in_attributes
+        ),
+        'featured', (
+            SELECT COUNT(*)
+            FROM matches
+            WHERE featured
+              AND in_category AND in_price AND in_rating AND in_stock AND in_tags AND in_attributes
+        ),
+        'tags', coalesce((
+            SELECT jsonb_object_agg(t.tag, t.total)
+            FROM (
+                SELECT tag, COUNT(*) AS total
+                FROM matches, unnest(tags) AS tag
+                WHERE in_category AND in_price AND in_rating AND in_stock AND in_featured AND in_tags AND in_attributes
+                GROUP BY tag
+            ) t
+        ), '{}'::jsonb),
+        -- Each attribute ignores its own value but keeps the others
+        'attributes', coalesce((
+            SELECT jsonb_object_agg(k.key, coalesce((
+                SELECT jsonb_object_agg(v.value, v.total)
+                FROM (
+                    SELECT m.attributes->>k.key AS value, COUNT(*) AS total
+                    FROM matches m
+                    WHERE m.in_category AND m.in_price AND m.in_rating AND m.in_stock AND m.in_featured AND m.in_tags
+                      AND (filter_attributes IS NULL OR m.attributes @> (filter_attributes - k.key))
+                      AND coalesce(m.attributes->>k.key, '') <> ''
+                    GROUP BY 1
+                ) v
+            ), '{}'::jsonb))
+            FROM unnest(attribute_keys) AS k(key)
+        ), '{}'::jsonb)
+    );
+$$;
+
+GRANT EXECUTE ON FUNCTION catalog_facets(TEXT, TEXT[], NUMERIC, NUMERIC, NUMERIC, BOOLEAN, BOOLEAN, TEXT[], JSONB, JSONB, INTEGER[], TEXT[]) TO anon, authenticated;
@@ -0,0 +1,204 @@
+-- Shipping profiles for Handcrafted Haven
+-- Artisans ship from their own workshops (user_profiles.location) at very different
+-- costs, so each artisan defines shipping profiles and assigns them to products:
+-- shipping_profiles: e.g. "Small pottery", "Furniture"; can offer local pickup
+-- shipping_zones: where a profile ships to and how the rate is calculated
+--   rate_type flat:     base_rate per package
+--   rate_type per_item: base_rate + additional_rate for every extra item
+--   rate_type weight:   base_rate + additional_rate per started kg (billable weight)
+--   free_over:          free shipping when the profile's items reach this subtotal
+--   countries:          ISO codes the zone covers; an empty list is "everywhere else"
+-- The cart and checkout show rates calculated in the app (src/utils/shipping.ts);
+-- create_order charges the same rates calculated here (order_shipment_cost)
+-- Products without a profile use the artisan's default profile, or the marketplace
+-- standard rate if the artisan has none
+-- Run after create-orders-table.sql and create-order-fulfillments.sql
+
+CREATE TABLE IF NOT EXISTS shipping_profiles (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    artisan_id UUID NOT NULL REFERENCES auth.users(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    is_default BOOLEAN NOT NULL DEFAULT false,
+    local_pickup BOOLEAN NOT NULL DEFAULT false,
+    -- Shown to buyers who choose pickup, e.g. "Saturdays 10-2, ring the workshop bell"
+    pickup_notes TEXT,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    updated_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()),
+    CONSTRAINT shipping_profiles_name_length CHECK (char_length(name) BETWEEN 1 AND 60)
+);
+
+CREATE TABLE IF NOT EXISTS shipping_zones (
+    id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+    profile_id UUID NOT NULL REFERENCES shipping_profiles(id) ON DELETE CASCADE,
+    name TEXT NOT NULL,
+    countries TEXT[] NOT NULL DEFAULT '{}',
+    rate_type TEXT NOT NULL DEFAULT 'flat',
+    base_rate DECIMAL(10,2) NOT NULL DEFAULT 0,
+    additional_rate DECIMAL(10,2) NOT NULL DEFAULT 0,
+    free_over DECIMAL(10,2),
+    min_days INTEGER,
+    max_days INTEGER,
+    created_at TIMESTAMP WITH TIME ZONE DEFAULT timezone('utc'::text, now()) NOT NULL,
+    CONSTRAINT shipping_zones_rate_type_valid CHECK (rate_type IN ('flat', 'per_item', 'weight')),
+    CONSTRAINT shipping_zones_rates_positive CHECK (
+        base_rate >= 0 AND additional_rate >= 0 AND (free_over IS NULL OR free_over >= 0)
+    ),
+    CONSTRAINT shipping_zones_days_valid CHECK (
+        (min_days IS NULL OR min_days >= 0) AND (max_days IS NULL OR max_days >= coalesce(min_days, 0))
+    )
+);
+
+CREATE INDEX IF NOT EXISTS idx_shipping_profiles_artisan ON shipping_profiles(artisan_id);
+CREATE INDEX IF NOT EXISTS idx_shipping_zones_profile ON shipping_zones(profile_id);
+
+-- One default profile per artisan
+CREATE UNIQUE INDEX IF NOT EXISTS idx_shipping_profiles_one_default
+    ON shipping_profiles(artisan_id)
+    WHERE is_default;
+
+-- Product weight and package dimensions (used for weight-based rates)
+ALTER TABLE products ADD COLUMN IF NOT EXISTS weight_grams INTEGER;
+ALTER TABLE products ADD COLUMN IF NOT EXISTS length_cm DECIMAL(6,1);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS width_cm DECIMAL(6,1);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS height_cm DECIMAL(6,1);
+ALTER TABLE products ADD COLUMN IF NOT EXISTS shipping_profile_id UUID REFERENCES shipping_profiles(id) ON DELETE SET NULL;
+
+ALTER TABLE products DROP CONSTRAINT IF EXISTS products_shipping_size_positive;
+ALTER TABLE products ADD CONSTRAINT products_shipping_size_positive CHECK (
+    (weight_grams IS NULL OR weight_grams >= 0)
+    AND (length_cm IS NULL OR length_cm >= 0)
+    AND (width_cm IS NULL OR width_cm >= 0)
+    AND (height_cm IS NULL OR height_cm >= 0)
+);
+
+-- Enable Row Level Security (RLS)
+ALTER TABLE shipping_profiles ENABLE ROW LEVEL SECURITY;
+ALTER TABLE shipping_zones ENABLE ROW LEVEL SECURITY;
+
+-- Everyone can read rates (the cart calculates shipping before sign-in)
+DROP POLICY IF EXISTS "Public can view shipping profiles" ON shipping_profiles;
+CREATE POLICY "Public can view shipping profiles" ON shipping_profiles
+    FOR SELECT USING (true);
+
+DROP POLICY IF EXISTS "Public can view shipping zones" ON shipping_zones;
+CREATE POLICY "Public can view shipping zones" ON shipping_zones
+    FOR SELECT USING (true);
+
+-- Artisans manage their own profiles and zones
+DROP POLICY IF EXISTS "Artisans can manage own shipping profiles" ON shipping_profiles;
+CREATE POLICY "Artisans can manage own shipping profiles" ON shipping_profiles
+    FOR ALL USING (auth.uid() = artisan_id)
+    WITH CHECK (auth.uid() = artisan_id);
+
+DROP POLICY IF EXISTS "Artisans can manage own shipping zones" ON shipping_zones;
+CREATE POLICY "Artisans can manage own shipping zones" ON shipping_zones
+    FOR ALL USING (
+        EXISTS (SELECT 1 FROM shipping_profiles p WHERE p.id = profile_id AND p.artisan_id = auth.uid())
+    )
+    WITH CHECK (
+        EXISTS (SELECT 1 FROM shipping_profiles p WHERE p.id = profile_id AND p.artisan_id = auth.uid())
+    );
+
+-- product_shipping_profile: the profile a product ships with: its own (only if it
+-- belongs to the product's artisan) or the artisan's default; NULL = marketplace rate
+-- Same rules as getProductProfile in src/utils/shipping.ts
+CREATE OR REPLACE FUNCTION product_shipping_profile(product products)
+RETURNS UUID
+LANGUAGE sql
+STABLE
+AS $$
+    SELECT coalesce(
+        (SELECT sp.id FROM shipping_profiles sp
+         WHERE sp.id = product.shipping_profile_id AND sp.artisan_id = product.artisan_id),
+        (SELECT sp.id FROM shipping_profiles sp
+         WHERE sp.artisan_id = product.artisan_id AND sp.is_default)
+    );
+$$;
+
+-- order_shipment_cost: delivery cost of one artisan's lines of an order to a country
+-- Same rules as getShipmentOptions in src/utils/shipping.ts: lines are grouped by
+-- profile and each group pays the rate of its zone (the zone that names the country,
+-- else "everywhere else"); lines without a profile pay marketplace_shipping_cost
+-- (create-orders-table.sql)
+-- Returns NULL if a group has no zone for that country (the artisan does not ship there)
+CREATE OR REPLACE FUNCTION order_shipment_cost(target_order_id UUID, target_artisan UUID, country TEXT)
+RETURNS NUMERIC
+LANGUAGE plpgsql
+STABLE
+SET search_path = public
+AS $$
+DECLARE
+    profile_group RECORD;
+    ship_zone shipping_zones%ROWTYPE;
+    group_cost NUMERIC;
+    total_cost NUMERIC := 0;
+BEGIN
+    FOR profile_group IN
+        SELECT
+            product_shipping_profile(p) AS profile_id,
+            SUM(oi.line_total) AS subtotal,
+            SUM(oi.quantity) AS units,
+            -- Billable weight: the larger of actual and volumetric (cm³ / 5000) weight
+            SUM(GREATEST(
+                coalesce(p.weight_grams, 0) / 1000.0,
+                coalesce(p.length_cm, 0) * coalesce(p.width_cm, 0) * coalesce(p.height_cm, 0) / 5000.0
+            ) * oi.quantity) AS weight_kg
+        FROM order_items oi
+        JOIN products p ON p.id = oi.product_id
+        WHERE oi.order_id = target_order_id
+          AND oi.artisan_id IS NOT DISTINCT FROM target_artisan
+        GROUP BY 1
+    LOOP
+        IF profile_group.profile_id IS NULL THEN
+            group_cost := marketplace_shipping_cost(profile_group.subtotal);
+        ELSE
+            -- saveShippingProfile (shippingService.js) keeps each country in one zone and
+            -- allows one catch-all zone, so this is the same zone findZone picks in the cart
+            SELECT z.* INTO ship_zone
+            FROM shipping_zones z
+            WHERE z.profile_id = profile_group.profile_id
+              AND (country = ANY(z.countries) OR cardinality(z.countries) = 0)
+            ORDER BY (country = ANY(z.countries)) DESC, z.created_at, z.id
+            LIMIT 1;
+
+            IF NOT FOUND THEN
+                RETURN NULL;
+            END IF;
+
+            IF ship_zone.free_over IS NOT NULL AND profile_group.subtotal >= ship_zone.free_over THEN
+                group_cost := 0;
+            ELSIF ship_zone.rate_type = 'per_item' THEN
+                group_cost := ship_zone.base_rate + ship_zone.additional_rate * GREATEST(profile_group.units - 1, 0);
+            ELSIF ship_zone.rate_type = 'weight' THEN
+                group_cost := ship_zone.base_rate + ship_zone.additional_rate * ceil(profile_group.weight_kg);
+            ELSE
+                group_cost := ship_zone.base_rate;
+            END IF;
+        END IF;
+
+        total_cost := total_cost + round(group_cost, 2);
+    END LOOP;
+
+    RETURN total_cost;
+END;
+$$;
+
+-- order_shipment_allows_pickup: local pickup is offered only if every profile of
+-- one artisan's lines of an order allows it (lines without a profile never do)
+CREATE OR REPLACE FUNCTION order_shipment_allows_pickup(target_order_id UUID, target_artisan UUID)
+RETURNS BOOLEAN
+LANGUAGE sql
+STABLE
+SET search_path = public
+AS $$
+    SELECT coalesce(bool_and(coalesce(sp.local_pickup, false)), false)
+    FROM order_items oi
+    JOIN products p ON p.id = oi.product_id
+    LEFT JOIN shipping_profiles sp ON sp.id = product_shipping_profile(p)
+    WHERE oi.order_id = target_order_id
+      AND oi.artisan_id IS NOT DISTINCT FROM target_artisan;
+$$;
+
+-- Only create_order needs the order functions
+REVOKE EXECUTE ON FUNCTION order_shipment_cost(UUID, UUID, TEXT) FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION order_shipment_allows_pickup(UUID, UUID) FROM PUBLIC, anon, authenticated;
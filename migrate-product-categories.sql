@@ -0,0 +1,73 @@
+-- One-time migration: free-text products.category → categories.id
+-- Run after create-categories-table.sql. Safe to run more than once.
+--
+-- 1. Known spellings and legacy names are mapped through category_aliases
+-- 2. Everything else is matched by slug ("pottery  & ceramics" → pottery-ceramics)
+-- 3. Strings that still do not match become new top-level categories and are
+--    listed with a NOTICE so they can be renamed, merged or nested by hand
+
+BEGIN;
+
+CREATE TEMP TABLE category_aliases (alias TEXT PRIMARY KEY, slug TEXT NOT NULL) ON COMMIT DROP;
+
+INSERT INTO category_aliases (alias, slug) VALUES
+    ('pottery', 'pottery-ceramics'),
+    ('ceramics', 'pottery-ceramics'),
+    ('jewelry', 'jewelry-accessories'),
+    ('jewellery', 'jewelry-accessories'),
+    ('accessories', 'jewelry-accessories'),
+    ('textiles', 'textiles-clothing'),
+    ('clothing', 'textiles-clothing'),
+    ('wood', 'woodwork'),
+    ('woodworking', 'woodwork'),
+    ('glass art', 'glass'),
+    ('glasswork', 'glass'),
+    ('metal', 'metalwork'),
+    ('art', 'art-paintings'),
+    ('paintings', 'art-paintings'),
+    ('leather', 'leather-goods');
+
+-- Steps 1 and 2
+UPDATE products p
+SET category_id = c.id
+FROM categories c
+WHERE p.category_id IS NULL
+  AND c.slug = coalesce(
+      (SELECT a.slug FROM category_aliases a WHERE a.alias = lower(trim(p.category))),
+      category_slug(p.category)
+  );
+
+-- Step 3
+DO $$
+DECLARE
+    unmatched RECORD;
+BEGIN
+    FOR unmatched IN
+        SELECT DISTINCT trim(category) AS name
+        FROM products
+        WHERE category_id IS NULL AND category_slug(coalesce(category, '')) <> ''
+    LOOP
+        RAISE NOTICE 'Creating category for unmatched value: %', unmatched.name;
+
+        INSERT INTO categories (name, slug, display_order)
+        VALUES (unmatched.name, category_slug(unmatched.name), 100)
+        ON CONFLICT DO NOTHING;
+    END LOOP;
+END;
+$$;
+
+UPDATE products p
+SET category_id = c.id
+FROM categories c
+WHERE p.category_id IS NULL
+  AND c.slug = category_slug(p.category);
+
+-- Normalize the stored names (the trigger copies the canonical category name)
+UPDATE products p
+SET category_id = p.category_id
+WHERE p.category_id IS NOT NULL;
+
+COMMIT;
+
+-- Products left without a category (empty or symbols-only category text), if any:
+-- SELECT id, title, category FROM products WHERE category_id IS NULL;
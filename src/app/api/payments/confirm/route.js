@@ -0,0 +1,27 @@
+// src/app/api/payments/confirm/route.js
+// POST /api/payments/confirm - Cobra un pedido del usuario con su medio de pago
+// Body: {orderId, paymentMethod}; requiere Authorization: Bearer <access token>
+
+import { getRequestUser } from '../../../../lib/supabaseAdmin';
+import { confirmOrderPayment } from '../../../../services/paymentService';
+
+export async function POST(request) {
+  const user = await getRequestUser(request);
+  if (!user) {
+    return Response.json({ success: false, error: 'Please sign in to pay for this order' }, { status: 401 });
+  }
+
+  const { orderId, paymentMethod } = await request.json().catch(() => ({}));
+  if (!orderId) {
+    return Response.json({ success: false, error: 'Order is required' }, { status: 400 });
+  }
+
+  const result = await confirmOrderPayment(orderId, user.id, paymentMethod);
+
+  // No devolver más datos del pedido que los que necesita el navegador
+  return Response.json({
+    success: result.success,
+    status: result.order?.status || null,
+    error: result.error
+  }, { status: result.success ? 200 : 402 });
+}
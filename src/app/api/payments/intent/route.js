@@ -0,0 +1,21 @@
+// src/app/api/payments/intent/route.js
+// POST /api/payments/intent - Crea el intento de pago de un pedido del usuario
+// Body: {orderId}; requiere Authorization: Bearer <access token>
+
+import { getRequestUser } from '../../../../lib/supabaseAdmin';
+import { startOrderPayment } from '../../../../services/paymentService';
+
+export async function POST(request) {
+  const user = await getRequestUser(request);
+  if (!user) {
+    return Response.json({ success: false, error: 'Please sign in to pay for this order' }, { status: 401 });
+  }
+
+  const { orderId } = await request.json().catch(() => ({}));
+  if (!orderId) {
+    return Response.json({ success: false, error: 'Order is required' }, { status: 400 });
+  }
+
+  const result = await startOrderPayment(orderId, user.id);
+  return Response.json(result, { status: result.success ? 200 : 400 });
+}
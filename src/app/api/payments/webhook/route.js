@@ -0,0 +1,16 @@
+// src/app/api/payments/webhook/route.js
+// POST /api/payments/webhook - Avisos del proveedor de pagos
+// La firma llega en el header x-payment-signature y se verifica sobre el cuerpo sin modificar
+
+import { handlePaymentWebhook } from '../../../../services/paymentService';
+
+export async function POST(request) {
+  const payload = await request.text();
+  const signature = request.headers.get('x-payment-signature');
+
+  const result = await handlePaymentWebhook(payload, signature);
+  return Response.json(
+    { received: result.success, error: result.error },
+    { status: result.status }
+  );
+}
@@ -0,0 +1,77 @@
+// src/app/artisan/[id]/page.jsx
+// Tienda pública de un artesano: perfil, productos y calificación general
+
+import React from 'react';
+import { notFound } from 'next/navigation';
+import { getPublicProfile } from '../../../services/profileService';
+import { getArtisanProducts } from '../../../services/productService';
+import { getArtisanReviewStats } from '../../../services/reviewService';
+import { buildArtisanJsonLd } from '../../../utils/structuredData';
+import { getFeedAlternates } from '../../../utils/feeds';
+import ArtisanStorefront from '../../../components/artisan/ArtisanStorefront';
+import JsonLd from '../../../components/seo/JsonLd';
+
+// Regenerar cada 10 minutos para reflejar productos y reviews nuevas
+export const revalidate = 600;
+
+/**
+ * getArtisanProfile: Perfil público del artesano, o null si no es una tienda
+ * @param {string} artisanId - ID del artesano
+ * @returns {Promise<Object|null>}
+ */
+const getArtisanProfile = async (artisanId) => {
+  const result = await getPublicProfile(artisanId);
+  return result.success && result.profile?.is_artisan ? result.profile : null;
+};
+
+/**
+ * generateMetadata: Título y descripción de la tienda
+ */
+export async function generateMetadata({ params }) {
+  const { id } = await params;
+  const profile = await getArtisanProfile(id);
+
+  if (!profile) {
+    return { title: 'Artisan not found | Handcrafted Haven' };
+  }
+
+  const shopName = profile.shop_name || profile.full_name;
+
+  return {
+    title: `${shopName} | Handcrafted Haven`,
+    description: profile.shop_description || profile.bio ||
+      `Handcrafted pieces by ${shopName} on Handcrafted Haven.`,
+    // Feeds de productos nuevos del artesano (lectores RSS)
+    alternates: {
+      types: getFeedAlternates(`/feeds/artisan/${profile.id}`)
+    }
+  };
+}
+
+/**
+ * ArtisanPage: Carga el perfil, los productos y las reviews en paralelo
+ */
+export default async function ArtisanPage({ params }) {
+  const { id } = await params;
+  const profile = await getArtisanProfile(id);
+
+  if (!profile) {
+    notFound();
+  }
+
+  const [productsResult, statsResult] = await Promise.all([
+    getArtisanProducts(id),
+    getArtisanReviewStats(id)
+  ]);
+
+  return (
+    <>
+      <JsonLd data={buildArtisanJsonLd(profile, statsResult.stats)} />
+      <ArtisanStorefront
+        artisan={profile}
+        products={productsResult.products}
+        reviewStats={statsResult.stats}
+      />
+    </>
+  );
+}
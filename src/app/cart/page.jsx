@@ -0,0 +1,16 @@
+// src/app/cart/page.jsx
+// Página del carrito (/cart): el carrito se carga en el cliente (ver hooks/useCart)
+
+import React from 'react';
+import CartPage from '../../components/cart/CartPage';
+import { SITE_NAME } from '../../lib/site';
+
+export const metadata = {
+  title: `Your Cart | ${SITE_NAME}`,
+  // El carrito es personal: no tiene sentido indexarlo
+  robots: { index: false, follow: false }
+};
+
+export default function Cart() {
+  return <CartPage />;
+}
@@ -0,0 +1,90 @@
+// src/app/category/[slug]/page.jsx
+// Página de aterrizaje de una categoría
+// Se genera en el servidor para cada categoría de la tabla categories
+
+import React from 'react';
+import { notFound } from 'next/navigation';
+import { getCategories } from '../../../services/categoryService';
+import { getCatalogProducts } from '../../../services/productService';
+import {
+  findCategoryBySlug,
+  getCategoryDescription,
+  getCategoryOptions
+} from '../../../utils/categories';
+import { getFeedAlternates } from '../../../utils/feeds';
+import CategoryLandingPage from '../../../components/category/CategoryLandingPage';
+
+// Regenerar cada hora para reflejar categorías y productos nuevos
+export const revalidate = 3600;
+
+/**
+ * resolveCategory: Busca la categoría que corresponde al slug de la URL
+ * @param {string} slug - Slug de la categoría (ej: "pottery-ceramics")
+ * @returns {Promise<Object>} - {category, options}; category es null si no existe
+ */
+const resolveCategory = async (slug) => {
+  const result = await getCategories();
+  const options = getCategoryOptions(result.categories);
+  return { category: findCategoryBySlug(options, slug), options };
+};
+
+/**
+ * generateStaticParams: Una página por cada categoría (subcategorías incluidas)
+ */
+export async function generateStaticParams() {
+  const result = await getCategories();
+  return result.categories.map(category => ({ slug: category.slug }));
+}
+
+/**
+ * generateMetadata: Título y descripción de la página de la categoría
+ */
+export async function generateMetadata({ params }) {
+  const { slug } = await params;
+  const { category } = await resolveCategory(slug);
+
+  if (!category) {
+    return { title: 'Category not found | Handcrafted Haven' };
+  }
+
+  return {
+    title: `${category.name} | Handcrafted Haven`,
+    description: getCategoryDescription(category),
+    alternates: {
+      types: getFeedAlternates(`/feeds/category/${category.slug}`)
+    }
+  };
+}
+
+/**
+ * CategoryPage: Encabezado de la categoría y su catálogo paginado
+ */
+export default async function CategoryPage({ params }) {
+  const { slug } = await params;
+  const { category, options } = await resolveCategory(slug);
+
+  if (!category) {
+    notFound();
+  }
+
+  // Sin imagen propia, usamos la del producto mejor calificado de la categoría
+  const highlight = await getCatalogProducts({
+    category: category.familyNames,
+    sortBy: 'rating',
+    pageSize: 1
+  });
+
+  const parent = options.find(option => option.id === category.parent_id) || null;
+  const subcategories = options.filter(option => option.parent_id === category.id);
+
+  return (
+    <CategoryLandingPage
+      category={category}
+      parent={parent}
+      subcategories={subcategories}
+      description={getCategoryDescription(category)}
+      heroImage={category.image_url || highlight.products[0]?.image_url || null}
+      productCount={highlight.totalCount}
+    />
+  );
+}
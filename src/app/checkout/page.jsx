@@ -0,0 +1,19 @@
+// src/app/checkout/page.jsx
+// Página del checkout (/checkout): el flujo corre en el cliente con el carrito y la sesión
+
+import React from 'react';
+import CheckoutPage from '../../components/checkout/CheckoutPage';
+import { SITE_NAME } from '../../lib/site';
+import { isTestPaymentProvider } from '../../lib/payments';
+
+// El proveedor de pagos se lee al atender cada pedido, no al compilar
+export const dynamic = 'force-dynamic';
+
+export const metadata = {
+  title: `Checkout | ${SITE_NAME}`,
+  robots: { index: false, follow: false }
+};
+
+export default function Checkout() {
+  return <CheckoutPage testPayments={isTestPaymentProvider()} />;
+}
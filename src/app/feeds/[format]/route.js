@@ -0,0 +1,32 @@
+// src/app/feeds/[format]/route.js
+// Feed de productos nuevos de todo el catálogo
+// /feeds/rss.xml, /feeds/atom.xml o /feeds/feed.json
+
+import { getNewArrivals } from '../../../services/productService';
+import { SITE_NAME } from '../../../lib/site';
+import { FEED_ITEM_LIMIT, createFeedErrorResponse, createFeedResponse, isFeedFormat } from '../../../utils/feeds';
+
+// Regenerar cada 30 minutos
+export const revalidate = 1800;
+
+export async function GET(request, { params }) {
+  const { format } = await params;
+
+  if (!isFeedFormat(format)) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  const { success, products } = await getNewArrivals({ limit: FEED_ITEM_LIMIT });
+
+  if (!success) {
+    return createFeedErrorResponse();
+  }
+
+  return createFeedResponse({
+    title: `New arrivals | ${SITE_NAME}`,
+    description: `The newest handcrafted pieces on ${SITE_NAME}.`,
+    path: '/',
+    feedPath: '/feeds',
+    products
+  }, format);
+}
@@ -0,0 +1,44 @@
+// src/app/feeds/artisan/[id]/[format]/route.js
+// Feed de productos nuevos de un artesano, para seguir a un creador
+// /feeds/artisan/<id>/rss.xml, .../atom.xml o .../feed.json
+
+import { getPublicProfile } from '../../../../../services/profileService';
+import { getNewArrivals } from '../../../../../services/productService';
+import { SITE_NAME } from '../../../../../lib/site';
+import { FEED_ITEM_LIMIT, createFeedErrorResponse, createFeedResponse, isFeedFormat } from '../../../../../utils/feeds';
+
+// Regenerar cada 30 minutos
+export const revalidate = 1800;
+
+export async function GET(request, { params }) {
+  const { id, format } = await params;
+
+  if (!isFeedFormat(format)) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  // Solo tiendas activas (mismo criterio que la página del artesano)
+  const profileResult = await getPublicProfile(id);
+  const profile = profileResult.success && profileResult.profile?.is_artisan
+    ? profileResult.profile
+    : null;
+
+  if (!profile) {
+    return new Response('Artisan not found', { status: 404 });
+  }
+
+  const shopName = profile.shop_name || profile.full_name;
+  const { success, products } = await getNewArrivals({ artisanId: id, limit: FEED_ITEM_LIMIT });
+
+  if (!success) {
+    return createFeedErrorResponse();
+  }
+
+  return createFeedResponse({
+    title: `New from ${shopName} | ${SITE_NAME}`,
+    description: `The newest handcrafted pieces by ${shopName} on ${SITE_NAME}.`,
+    path: `/artisan/${id}`,
+    feedPath: `/feeds/artisan/${id}`,
+    products
+  }, format);
+}
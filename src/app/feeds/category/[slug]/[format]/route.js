@@ -0,0 +1,49 @@
+// src/app/feeds/category/[slug]/[format]/route.js
+// Feed de productos nuevos de una categoría (subcategorías incluidas)
+// /feeds/category/woodwork/rss.xml, .../atom.xml o .../feed.json
+
+import { getCategories } from '../../../../../services/categoryService';
+import { getNewArrivals } from '../../../../../services/productService';
+import { SITE_NAME } from '../../../../../lib/site';
+import { findCategoryBySlug, getCategoryOptions } from '../../../../../utils/categories';
+import { FEED_ITEM_LIMIT, createFeedErrorResponse, createFeedResponse, isFeedFormat } from '../../../../../utils/feeds';
+
+// Regenerar cada 30 minutos
+export const revalidate = 1800;
+
+export async function GET(request, { params }) {
+  const { slug, format } = await params;
+
+  if (!isFeedFormat(format)) {
+    return new Response('Not Found', { status: 404 });
+  }
+
+  const result = await getCategories();
+
+  if (!result.success) {
+    return createFeedErrorResponse();
+  }
+
+  const category = findCategoryBySlug(getCategoryOptions(result.categories), slug);
+
+  if (!category) {
+    return new Response('Category not found', { status: 404 });
+  }
+
+  const { success, products } = await getNewArrivals({
+    categoryNames: category.familyNames,
+    limit: FEED_ITEM_LIMIT
+  });
+
+  if (!success) {
+    return createFeedErrorResponse();
+  }
+
+  return createFeedResponse({
+    title: `New in ${category.name} | ${SITE_NAME}`,
+    description: `The newest handcrafted ${category.name.toLowerCase()} on ${SITE_NAME}.`,
+    path: `/category/${category.slug}`,
+    feedPath: `/feeds/category/${category.slug}`,
+    products
+  }, format);
+}
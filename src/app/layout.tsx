@@ -1,5 +1,9 @@
 import type { Metadata } from "next";
 import { Geist, Geist_Mono } from "next/font/google";
+import { SITE_URL } from "@/lib/site";
+import { getFeedAlternates } from "@/utils/feeds";
+import { CartProvider } from "@/hooks/useCart";
+import CartDrawer from "@/components/cart/CartDrawer";
 import "./globals.css";
 
 const geistSans = Geist({
@@ -13,6 +17,12 @@ const geistMono = Geist_Mono({
 });
 
 export const metadata: Metadata = {
+  // Base para las URLs relativas de los metadatos (canonical, Open Graph)
+  metadataBase: new URL(SITE_URL),
+  // Feeds de productos nuevos de todo el catálogo
+  alternates: {
+    types: getFeedAlternates("/feeds"),
+  },
   title: "Create Next App",
   description: "Generated by create next app",
 };
@@ -25,7 +35,11 @@ export default function RootLayout({
   return (
     <html lang="en">
       <body className={`${geistSans.variable} ${geistMono.variable}`}>
-        {children}
+        {/* Carrito compartido por todas las páginas */}
+        <CartProvider>
+          {children}
+          <CartDrawer />
+        </CartProvider>
       </body>
     </html>
   );
@@ -0,0 +1,17 @@
+// src/app/orders/[id]/page.jsx
+// Confirmación y detalle de un pedido (/orders/[id])
+// El pedido se carga en el cliente: solo su comprador puede verlo (RLS)
+
+import React from 'react';
+import OrderConfirmation from '../../../components/order/OrderConfirmation';
+import { SITE_NAME } from '../../../lib/site';
+
+export const metadata = {
+  title: `Your Order | ${SITE_NAME}`,
+  robots: { index: false, follow: false }
+};
+
+export default async function OrderPage({ params }) {
+  const { id } = await params;
+  return <OrderConfirmation orderId={id} />;
+}
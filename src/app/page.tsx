@@ -3,11 +3,17 @@
 
 'use client';
 
-import React from 'react';
+import React, { Suspense } from 'react';
 import HomePage from '../components/HomePage';
+import { LoadingSpinner } from '../components/UtilityComponents';
 
 
 // Componente principal que renderiza la página de inicio
+// Suspense es necesario porque HomePage lee los filtros desde la URL (useSearchParams)
 export default function Home() {
-  return <HomePage />;
+  return (
+    <Suspense fallback={<LoadingSpinner message="Loading application..." />}>
+      <HomePage />
+    </Suspense>
+  );
 }
\ No newline at end of file
@@ -0,0 +1,181 @@
+// src/app/product/[id]/opengraph-image.jsx
+// Imagen para compartir un producto en redes sociales (Open Graph)
+// Tarjeta con la foto, título, precio, tienda del artesano y calificación
+
+import React from 'react';
+import { ImageResponse } from 'next/og';
+import { getProductById } from '../../../services/productService';
+import { formatPrice } from '../../../utils/formatPrice';
+import { getCurrentPrice } from '../../../utils/pricing';
+import { SITE_NAME, absoluteUrl } from '../../../lib/site';
+
+// Mismo intervalo que la página del producto (precio y rating pueden cambiar)
+export const revalidate = 300;
+
+export const alt = `Product from ${SITE_NAME}`;
+export const size = { width: 1200, height: 630 };
+export const contentType = 'image/png';
+
+// Colores de la marca (ver globals.css)
+const COLORS = {
+  primary: '#8b4513',
+  accent: '#deb887',
+  background: '#f8f6f3',
+  dark: '#2c3e50',
+  muted: '#5d6d7e',
+  star: '#f59e0b'
+};
+
+// Largo máximo del título antes de recortarlo
+const MAX_TITLE_LENGTH = 70;
+
+/**
+ * Image: Genera la tarjeta del producto
+ * Si el producto no existe, muestra una tarjeta genérica de la marca
+ */
+export default async function Image({ params }) {
+  const { id } = await params;
+  const result = await getProductById(id);
+  const product = result.success ? result.product : null;
+
+  if (!product) {
+    return new ImageResponse(
+      (
+        <div style={{ ...styles.card, alignItems: 'center', justifyContent: 'center' }}>
+          <div style={styles.brandLarge}>{SITE_NAME}</div>
+        </div>
+      ),
+      size
+    );
+  }
+
+  const shopName = product.artisan?.shop_name || product.artisan?.full_name;
+  const rating = Number(product.rating || 0);
+  const title = product.title.length > MAX_TITLE_LENGTH
+    ? `${product.title.slice(0, MAX_TITLE_LENGTH - 1)}…`
+    : product.title;
+
+  return new ImageResponse(
+    (
+      <div style={styles.card}>
+        {/* Foto del producto (o un panel de color si no tiene); Satori solo descarga URLs absolutas */}
+        {product.image_url ? (
+          <img src={absoluteUrl(product.image_url)} alt="" width={560} height={630} style={styles.photo} />
+        ) : (
+          <div style={{ ...styles.photo, background: COLORS.accent }} />
+        )}
+
+        {/* Información */}
+        <div style={styles.info}>
+          <div style={styles.category}>{product.category}</div>
+          <div style={styles.title}>{title}</div>
+          {shopName && <div style={styles.shop}>{`by ${shopName}`}</div>}
+
+          <div style={styles.rating}>
+            {[1, 2, 3, 4, 5].map(star => (
+              <Star key={star} filled={star <= Math.round(rating)} />
+            ))}
+            {product.review_count > 0 && (
+              <span style={styles.reviewCount}>
+                {`${rating.toFixed(1)} (${product.review_count})`}
+              </span>
+            )}
+          </div>
+
+          <div style={styles.footer}>
+            <div style={styles.price}>{formatPrice(getCurrentPrice(product))}</div>
+            <div style={styles.brand}>{SITE_NAME}</div>
+          </div>
+        </div>
+      </div>
+    ),
+    size
+  );
+}
+
+/**
+ * Star: Estrella en SVG (la fuente por defecto de ImageResponse no incluye ★)
+ * @param {boolean} filled - Estrella llena o vacía
+ */
+const Star = ({ filled }) => (
+  <svg width="40" height="40" viewBox="0 0 24 24">
+    <path
+      d="M12 2l3.09 6.26L22 9.27l-5 4.87 1.18 6.88L12 17.77l-6.18 3.25L7 14.14 2 9.27l6.91-1.01L12 2z"
+      fill={filled ? COLORS.star : 'none'}
+      stroke={COLORS.star}
+      strokeWidth="1.5"
+    />
+  </svg>
+);
+
+// Estilos en línea: ImageResponse solo admite style (flexbox)
+// Un elemento con varios hijos necesita display: flex, por eso los textos se arman con template strings
+const styles = {
+  card: {
+    width: '100%',
+    height: '100%',
+    display: 'flex',
+    background: COLORS.background,
+    borderBottom: `12px solid ${COLORS.primary}`
+  },
+  photo: {
+    width: 560,
+    height: '100%',
+    objectFit: 'cover'
+  },
+  info: {
+    flex: 1,
+    display: 'flex',
+    flexDirection: 'column',
+    padding: '56px 56px 44px'
+  },
+  category: {
+    fontSize: 26,
+    color: COLORS.primary,
+    textTransform: 'uppercase',
+    letterSpacing: 2
+  },
+  title: {
+    marginTop: 16,
+    fontSize: 56,
+    fontWeight: 700,
+    lineHeight: 1.15,
+    color: COLORS.dark
+  },
+  shop: {
+    marginTop: 20,
+    fontSize: 30,
+    color: COLORS.muted
+  },
+  rating: {
+    marginTop: 24,
+    display: 'flex',
+    alignItems: 'center',
+    gap: 4
+  },
+  reviewCount: {
+    marginLeft: 12,
+    fontSize: 26,
+    color: COLORS.muted
+  },
+  footer: {
+    marginTop: 'auto',
+    display: 'flex',
+    alignItems: 'flex-end',
+    justifyContent: 'space-between'
+  },
+  price: {
+    fontSize: 64,
+    fontWeight: 700,
+    color: COLORS.primary
+  },
+  brand: {
+    fontSize: 28,
+    color: COLORS.primary
+  },
+  brandLarge: {
+    fontSize: 80,
+    fontWeight: 700,
+    color: COLORS.primary
+  }
+};
@@ -0,0 +1,15 @@
+// src/app/robots.js
+// robots.txt: todo el catálogo es público; el sitemap index lista las URLs
+
+import { SITE_URL, absoluteUrl } from '../lib/site';
+
+export default function robots() {
+  return {
+    rules: {
+      userAgent: '*',
+      allow: '/'
+    },
+    sitemap: absoluteUrl('/sitemap.xml'),
+    host: SITE_URL
+  };
+}
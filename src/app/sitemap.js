@@ -0,0 +1,62 @@
+// src/app/sitemap.js
+// Sitemaps del sitio, divididos en varios archivos (/sitemap/pages.xml, /sitemap/products-1.xml, ...)
+// El índice que los agrupa está en /sitemap.xml (ver sitemap.xml/route.js)
+
+import {
+  getSitemapIds,
+  getSitemapPages,
+  getSitemapProducts,
+  SITEMAP_PAGES_ID
+} from '../services/sitemapService';
+import { absoluteUrl } from '../lib/site';
+
+// Regenerar cada hora para incluir los productos nuevos
+export const revalidate = 3600;
+
+/**
+ * generateSitemaps: Un archivo por grupo de URLs
+ */
+export async function generateSitemaps() {
+  const { ids } = await getSitemapIds();
+  return ids.map(id => ({ id }));
+}
+
+/**
+ * sitemap: URLs de un archivo, con lastModified desde updated_at
+ * @param {string} id - ID del archivo (SITEMAP_PAGES_ID o "products-N")
+ */
+export default async function sitemap({ id }) {
+  if (id === SITEMAP_PAGES_ID) {
+    const { categories, artisans } = await getSitemapPages();
+
+    return [
+      {
+        url: absoluteUrl('/'),
+        changeFrequency: 'daily',
+        priority: 1
+      },
+      ...categories.map(category => ({
+        url: absoluteUrl(`/category/${category.slug}`),
+        lastModified: category.updated_at || undefined,
+        changeFrequency: 'daily',
+        priority: 0.8
+      })),
+      ...artisans.map(artisan => ({
+        url: absoluteUrl(`/artisan/${artisan.id}`),
+        lastModified: artisan.updated_at || artisan.created_at || undefined,
+        changeFrequency: 'weekly',
+        priority: 0.6
+      }))
+    ];
+  }
+
+  const page = parseInt(String(id).replace('products-', ''), 10) || 1;
+  const { products } = await getSitemapProducts(page);
+
+  return products.map(product => ({
+    url: absoluteUrl(`/product/${product.id}`),
+    lastModified: product.updated_at || product.created_at || undefined,
+    changeFrequency: 'weekly',
+    priority: 0.7
+  }));
+}
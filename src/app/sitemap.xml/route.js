@@ -0,0 +1,31 @@
+// src/app/sitemap.xml/route.js
+// Índice de sitemaps: enlaza todos los archivos que genera app/sitemap.js
+
+import { getSitemapIds } from '../../services/sitemapService';
+import { absoluteUrl } from '../../lib/site';
+
+// Mismo intervalo que los sitemaps
+export const revalidate = 3600;
+
+/**
+ * GET: Devuelve el sitemap index en XML
+ */
+export async function GET() {
+  const { ids } = await getSitemapIds();
+
+  const entries = ids
+    .map(id => `  <sitemap>\n    <loc>${absoluteUrl(`/sitemap/${id}.xml`)}</loc>\n  </sitemap>`)
+    .join('\n');
+
+  const xml = `<?xml version="1.0" encoding="UTF-8"?>
+<sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+${entries}
+</sitemapindex>
+`;
+
+  return new Response(xml, {
+    headers: {
+      'Content-Type': 'application/xml'
+    }
+  });
+}
@@ -1,35 +1,183 @@
 // components/FilterBar.jsx
 // Barra de filtros para productos con diferentes opciones de filtrado
 
-import React from 'react';
+import React, { useState, useEffect } from 'react';
+import SearchAutocomplete from './search/SearchAutocomplete';
+import { useProductNavigation } from './product/ProductNavigation';
+import { PRICE_RANGE_BOUNDS, RATING_FILTER_OPTIONS, PRODUCT_ATTRIBUTES } from '../services/productService';
+import { formatPrice } from '../utils/formatPrice';
 
 const FilterBar = ({
   categories,
   filters,
+  facets,
   onFilterChange,
   onClearFilters,
   productCount,
+  page = 1,
+  pageSize,
   viewMode,
-  onViewModeChange
+  onViewModeChange,
+  showCategoryFilter = true
 }) => {
   // handleCategoryChange: Maneja cambios en el selector de categoría
   const handleCategoryChange = (e) => {
     onFilterChange('category', e.target.value);
   };
 
-  // handlePriceRangeChange: Maneja cambios en el selector de precio
+  // handleSortChange: Maneja cambios en el selector de orden
+  const handleSortChange = (e) => {
+    onFilterChange('sortBy', e.target.value);
+  };
+
+  // Valores escritos en los campos de precio mínimo/máximo
+  // Se aplican al salir del campo o con Enter, no en cada tecla
+  const [priceDraft, setPriceDraft] = useState({ min: '', max: '' });
+  const { min: minPrice, max: maxPrice } = filters.priceRange;
+
+  // Mantener los campos al día cuando el rango cambia desde afuera (chips, URL, presets)
+  useEffect(() => {
+    setPriceDraft({
+      min: minPrice ?? '',
+      max: maxPrice ?? ''
+    });
+  }, [minPrice, maxPrice]);
+
+  // handlePriceRangeChange: Aplica un rango predefinido del selector de precio
   const handlePriceRangeChange = (e) => {
-    onFilterChange('priceRange', e.target.value);
+    const bounds = PRICE_RANGE_BOUNDS[e.target.value];
+    onFilterChange('priceRange', bounds ? { ...bounds } : { min: null, max: null });
+  };
+
+  // handlePriceDraftChange: Actualiza el campo de precio mientras se escribe
+  const handlePriceDraftChange = (e) => {
+    const { name, value } = e.target;
+    setPriceDraft(prev => ({ ...prev, [name]: value }));
+  };
+
+  // applyPriceDraft: Aplica el rango escrito en los campos mínimo/máximo
+  const applyPriceDraft = () => {
+    let min = parsePriceInput(priceDraft.min);
+    let max = parsePriceInput(priceDraft.max);
+
+    // Si el usuario invirtió los valores, los intercambiamos
+    if (min !== null && max !== null && min > max) {
+      [min, max] = [max, min];
+    }
+
+    if (min === minPrice && max === maxPrice) {
+      // Sin cambios: solo normalizar lo que se ve en los campos
+      setPriceDraft({ min: min ?? '', max: max ?? '' });
+      return;
+    }
+
+    onFilterChange('priceRange', { min, max });
+  };
+
+  // handlePriceKeyDown: Enter aplica el rango sin tener que salir del campo
+  const handlePriceKeyDown = (e) => {
+    if (e.key === 'Enter') {
+      applyPriceDraft();
+    }
+  };
+
+  // handleRatingChange: Maneja cambios en el selector de calificación mínima
+  const handleRatingChange = (e) => {
+    onFilterChange('rating', Number(e.target.value));
+  };
+
+  // handleToggleChange: Maneja los checkboxes (inStock, featured)
+  const handleToggleChange = (e) => {
+    onFilterChange(e.target.name, e.target.checked);
+  };
+
+  // handleAttributeChange: Cambia (o quita, con '') el valor de un atributo
+  const handleAttributeChange = (key, value) => {
+    const attributes = { ...filters.attributes };
+    if (value) {
+      attributes[key] = value;
+    } else {
+      delete attributes[key];
+    }
+    onFilterChange('attributes', attributes);
+  };
+
+  // handleTagToggle: Agrega o quita una etiqueta (los productos deben tener todas las elegidas)
+  const handleTagToggle = (tag) => {
+    onFilterChange(
+      'tags',
+      filters.tags.includes(tag)
+        ? filters.tags.filter(item => item !== tag)
+        : [...filters.tags, tag]
+    );
   };
 
+  const { navigateToProduct, navigateToCategory, navigateToArtisan } = useProductNavigation();
+
   // handleSearchChange: Maneja cambios en el campo de búsqueda
-  const handleSearchChange = (e) => {
-    onFilterChange('searchTerm', e.target.value);
+  const handleSearchChange = (value) => {
+    onFilterChange('searchTerm', value);
+  };
+
+  // handleSuggestionSelect: Lleva al destino de la sugerencia elegida
+  const handleSuggestionSelect = (suggestion) => {
+    switch (suggestion.type) {
+      case 'product':
+        navigateToProduct(suggestion);
+        break;
+      case 'category':
+        navigateToCategory(suggestion.name);
+        break;
+      case 'artisan':
+        navigateToArtisan(suggestion.id);
+        break;
+      default:
+        break;
+    }
   };
 
+  // getResultsRange: Calcula qué productos de la página actual se están mostrando
+  const getResultsRange = () => {
+    if (!pageSize || productCount === 0) return null;
+
+    const first = (page - 1) * pageSize + 1;
+    const last = Math.min(page * pageSize, productCount);
+    return { first, last };
+  };
+
+  const resultsRange = getResultsRange();
+
+  // Conteos de cada opción (null si todavía no se calcularon)
+  const categoryCounts = facets?.categories;
+  const totalInCategories = categoryCounts
+    ? Object.values(categoryCounts).reduce((sum, count) => sum + count, 0)
+    : null;
+
+  // Un filtro sin productos se deshabilita, salvo que ya esté activo (para poder quitarlo)
+  const inStockDisabled = facets?.stock.inStock === 0 && !filters.inStock;
+  const featuredDisabled = facets?.featured === 0 && !filters.featured;
+
+  const hasPriceFilter = minPrice !== null || maxPrice !== null;
+  const pricePreset = getPricePreset(filters.priceRange);
+
+  // Atributos con algún valor para elegir, y etiquetas más usadas en los resultados
+  const attributeFilters = PRODUCT_ATTRIBUTES
+    .map(attribute => ({
+      ...attribute,
+      options: getAttributeOptions(facets?.attributes?.[attribute.key], filters.attributes[attribute.key])
+    }))
+    .filter(attribute => attribute.options.length > 0);
+  const tagOptions = getTagOptions(facets?.tags, filters.tags);
+  const activeAttributes = PRODUCT_ATTRIBUTES.filter(({ key }) => filters.attributes[key]);
+
   // hasActiveFilters: Verifica si hay filtros activos
   const hasActiveFilters = filters.category !== 'All Categories' || 
-                          filters.priceRange !== 'all' || 
+                          hasPriceFilter || 
+                          filters.rating > 0 ||
+                          filters.inStock ||
+                          filters.featured ||
+                          filters.tags.length > 0 ||
+                          activeAttributes.length > 0 ||
                           filters.searchTerm !== '';
 
   return (
@@ -37,39 +185,49 @@ const FilterBar = ({
       <div className="filter-row">
         {/* Sección de búsqueda */}
         <div className="search-section">
-          <div className="search-input-container">
-            <input
-              type="text"
-              placeholder="Search products..."
-              value={filters.searchTerm}
-              onChange={handleSearchChange}
-              className="search-input"
-            />
-            <span className="search-icon">🔍</span>
-          </div>
+          <SearchAutocomplete
+            value={filters.searchTerm}
+            onChange={handleSearchChange}
+            onSelect={handleSuggestionSelect}
+            placeholder="Search products, categories, artisans..."
+          />
         </div>
 
         {/* Sección de filtros */}
         <div className="filters-section">
-          {/* Filtro por categoría */}
-          <div className="filter-group">
-            <label htmlFor="category-select" className="filter-label">
-              Category:
-            </label>
-            <select
-              id="category-select"
-              value={filters.category}
-              onChange={handleCategoryChange}
-              className="filter-select"
-            >
-              <option value="All Categories">All Categories</option>
-              {categories.map(category => (
-                <option key={category} value={category}>
-                  {category}
+          {/* Filtro por categoría (oculto en las páginas de categoría) */}
+          {showCategoryFilter && (
+            <div className="filter-group">
+              <label htmlFor="category-select" className="filter-label">
+                Category:
+              </label>
+              <select
+                id="category-select"
+                value={filters.category}
+                onChange={handleCategoryChange}
+                className="filter-select"
+              >
+                <option value="All Categories">
+                  {withCount('All Categories', totalInCategories)}
                 </option>
-              ))}
-            </select>
-          </div>
+                {categories.map(category => {
+                  // Una categoría cuenta también los productos de sus subcategorías
+                  const count = categoryCounts
+                    ? category.familyNames.reduce((sum, name) => sum + (categoryCounts[name] || 0), 0)
+                    : null;
+                  return (
+                    <option
+                      key={category.id}
+                      value={category.name}
+                      disabled={count === 0 && category.name !== filters.category}
+                    >
+                      {'\u00A0\u00A0'.repeat(category.depth)}{withCount(category.name, count)}
+                    </option>
+                  );
+                })}
+              </select>
+            </div>
+          )}
 
           {/* Filtro por precio */}
           <div className="filter-group">
@@ -78,15 +236,85 @@ const FilterBar = ({
             </label>
             <select
               id="price-select"
-              value={filters.priceRange}
+              value={pricePreset}
               onChange={handlePriceRangeChange}
               className="filter-select"
             >
               <option value="all">All Prices</option>
-              <option value="under-25">Under $25</option>
-              <option value="25-50">$25 - $50</option>
-              <option value="50-100">$50 - $100</option>
-              <option value="over-100">Over $100</option>
+              {PRICE_PRESETS.map(preset => {
+                const count = facets ? facets.priceRanges[preset.value] : null;
+                return (
+                  <option
+                    key={preset.value}
+                    value={preset.value}
+                    disabled={count === 0 && preset.value !== pricePreset}
+                  >
+                    {withCount(preset.label, count)}
+                  </option>
+                );
+              })}
+              {/* Solo visible cuando el rango se escribió a mano */}
+              {pricePreset === 'custom' && (
+                <option value="custom" disabled>Custom range</option>
+              )}
+            </select>
+            <div className="price-inputs">
+              <input
+                type="number"
+                name="min"
+                min="0"
+                step="0.01"
+                inputMode="decimal"
+                placeholder="Min"
+                aria-label="Minimum price"
+                value={priceDraft.min}
+                onChange={handlePriceDraftChange}
+                onBlur={applyPriceDraft}
+                onKeyDown={handlePriceKeyDown}
+                className="price-input"
+              />
+              <span className="price-separator">–</span>
+              <input
+                type="number"
+                name="max"
+                min="0"
+                step="0.01"
+                inputMode="decimal"
+                placeholder="Max"
+                aria-label="Maximum price"
+                value={priceDraft.max}
+                onChange={handlePriceDraftChange}
+                onBlur={applyPriceDraft}
+                onKeyDown={handlePriceKeyDown}
+                className="price-input"
+              />
+            </div>
+          </div>
+
+          {/* Filtro por calificación mínima */}
+          <div className="filter-group">
+            <label htmlFor="rating-select" className="filter-label">
+              Rating:
+            </label>
+            <select
+              id="rating-select"
+              value={filters.rating}
+              onChange={handleRatingChange}
+              className="filter-select"
+            >
+              <option value={0}>Any Rating</option>
+              {RATING_FILTER_OPTIONS.map(stars => {
+                const count = facets ? facets.ratings[stars] : null;
+                return (
+                  <option
+                    key={stars}
+                    value={stars}
+                    disabled={count === 0 && stars !== filters.rating}
+                  >
+                    {withCount(getRatingLabel(stars), count)}
+                  </option>
+                );
+              })}
             </select>
           </div>
 
@@ -103,10 +331,32 @@ const FilterBar = ({
           {/* Contador de productos */}
           <div className="product-count">
             <span className="count-text">
-              {productCount} {productCount === 1 ? 'product' : 'products'} found
+              {resultsRange && productCount > pageSize
+                ? `Showing ${resultsRange.first}-${resultsRange.last} of ${productCount} products`
+                : `${productCount} ${productCount === 1 ? 'product' : 'products'} found`
+              }
             </span>
           </div>
 
+          {/* Selector de orden */}
+          <div className="sort-group">
+            <label htmlFor="sort-select" className="filter-label">
+              Sort by:
+            </label>
+            <select
+              id="sort-select"
+              value={filters.sortBy}
+              onChange={handleSortChange}
+              className="filter-select"
+            >
+              {SORT_OPTIONS.map(option => (
+                <option key={option.value} value={option.value}>
+                  {option.label}
+                </option>
+              ))}
+            </select>
+          </div>
+
           {/* Selector de vista */}
           <div className="view-toggle">
             <button
@@ -127,6 +377,79 @@ const FilterBar = ({
         </div>
       </div>
 
+      {/* Filtros de disponibilidad */}
+      <div className="filter-toggles">
+        <label className={`filter-toggle ${inStockDisabled ? 'disabled' : ''}`}>
+          <input
+            type="checkbox"
+            name="inStock"
+            checked={filters.inStock}
+            onChange={handleToggleChange}
+            disabled={inStockDisabled}
+          />
+          <span>{withCount('In stock only', facets ? facets.stock.inStock : null)}</span>
+        </label>
+        <label className={`filter-toggle ${featuredDisabled ? 'disabled' : ''}`}>
+          <input
+            type="checkbox"
+            name="featured"
+            checked={filters.featured}
+            onChange={handleToggleChange}
+            disabled={featuredDisabled}
+          />
+          <span>{withCount('Featured only', facets ? facets.featured : null)}</span>
+        </label>
+        {facets && facets.stock.outOfStock > 0 && !filters.inStock && (
+          <span className="stock-note">
+            {facets.stock.outOfStock} out of stock
+          </span>
+        )}
+      </div>
+
+      {/* Filtros por atributos (material, color, técnica) */}
+      {attributeFilters.length > 0 && (
+        <div className="attribute-filters">
+          {attributeFilters.map(attribute => (
+            <div key={attribute.key} className="filter-group">
+              <label htmlFor={`attribute-${attribute.key}`} className="filter-label">
+                {attribute.label}:
+              </label>
+              <select
+                id={`attribute-${attribute.key}`}
+                value={filters.attributes[attribute.key] || ''}
+                onChange={(e) => handleAttributeChange(attribute.key, e.target.value)}
+                className="filter-select"
+              >
+                <option value="">Any {attribute.label.toLowerCase()}</option>
+                {attribute.options.map(option => (
+                  <option key={option.value} value={option.value}>
+                    {withCount(option.value, option.count)}
+                  </option>
+                ))}
+              </select>
+            </div>
+          ))}
+        </div>
+      )}
+
+      {/* Filtro por etiquetas */}
+      {tagOptions.length > 0 && (
+        <div className="tag-filters">
+          <span className="filter-label">Tags:</span>
+          {tagOptions.map(option => (
+            <button
+              key={option.value}
+              type="button"
+              onClick={() => handleTagToggle(option.value)}
+              className={`tag-option ${filters.tags.includes(option.value) ? 'active' : ''}`}
+              aria-pressed={filters.tags.includes(option.value)}
+            >
+              #{withCount(option.value, option.count)}
+            </button>
+          ))}
+        </div>
+      )}
+
       {/* Filtros activos (chips) */}
       {hasActiveFilters && (
         <div className="active-filters">
@@ -138,12 +461,44 @@ const FilterBar = ({
                 onRemove={() => onFilterChange('category', 'All Categories')}
               />
             )}
-            {filters.priceRange !== 'all' && (
+            {hasPriceFilter && (
               <FilterChip
                 label={`Price: ${getPriceRangeLabel(filters.priceRange)}`}
-                onRemove={() => onFilterChange('priceRange', 'all')}
+                onRemove={() => onFilterChange('priceRange', { min: null, max: null })}
               />
             )}
+            {filters.rating > 0 && (
+              <FilterChip
+                label={`Rating: ${getRatingLabel(filters.rating)}`}
+                onRemove={() => onFilterChange('rating', 0)}
+              />
+            )}
+            {filters.inStock && (
+              <FilterChip
+                label="In stock"
+                onRemove={() => onFilterChange('inStock', false)}
+              />
+            )}
+            {filters.featured && (
+              <FilterChip
+                label="Featured"
+                onRemove={() => onFilterChange('featured', false)}
+              />
+            )}
+            {activeAttributes.map(({ key, label }) => (
+              <FilterChip
+                key={key}
+                label={`${label}: ${filters.attributes[key]}`}
+                onRemove={() => handleAttributeChange(key, '')}
+              />
+            ))}
+            {filters.tags.map(tag => (
+              <FilterChip
+                key={tag}
+                label={`Tag: #${tag}`}
+                onRemove={() => handleTagToggle(tag)}
+              />
+            ))}
             {filters.searchTerm && (
               <FilterChip
                 label={`Search: "${filters.searchTerm}"`}
@@ -175,35 +530,6 @@ const FilterBar = ({
           align-items: center;
         }
 
-        .search-input-container {
-          position: relative;
-          width: 100%;
-          max-width: 300px;
-        }
-
-        .search-input {
-          width: 100%;
-          padding: 12px 40px 12px 16px;
-          border: 2px solid #e1e5e9;
-          border-radius: 8px;
-          font-size: 1rem;
-          transition: border-color 0.3s ease;
-        }
-
-        .search-input:focus {
-          outline: none;
-          border-color: #667eea;
-        }
-
-        .search-icon {
-          position: absolute;
-          right: 12px;
-          top: 50%;
-          transform: translateY(-50%);
-          color: #666;
-          pointer-events: none;
-        }
-
         .filters-section {
           display: flex;
           gap: 20px;
@@ -238,6 +564,101 @@ const FilterBar = ({
           border-color: #667eea;
         }
 
+        .price-inputs {
+          display: flex;
+          align-items: center;
+          gap: 6px;
+        }
+
+        .price-input {
+          width: 64px;
+          padding: 6px 8px;
+          border: 2px solid #e1e5e9;
+          border-radius: 6px;
+          font-size: 0.875rem;
+          transition: border-color 0.3s ease;
+        }
+
+        .price-input:focus {
+          outline: none;
+          border-color: #667eea;
+        }
+
+        .price-separator {
+          color: #9ca3af;
+        }
+
+        .filter-toggles {
+          display: flex;
+          gap: 20px;
+          margin-top: 15px;
+        }
+
+        .filter-toggle {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          font-size: 0.875rem;
+          color: #374151;
+          cursor: pointer;
+        }
+
+        .filter-toggle input {
+          accent-color: #667eea;
+          cursor: pointer;
+        }
+
+        .filter-toggle.disabled {
+          color: #9ca3af;
+          cursor: not-allowed;
+        }
+
+        .filter-toggle.disabled input {
+          cursor: not-allowed;
+        }
+
+        .attribute-filters {
+          display: flex;
+          gap: 20px;
+          flex-wrap: wrap;
+          margin-top: 15px;
+        }
+
+        .tag-filters {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+          flex-wrap: wrap;
+          margin-top: 15px;
+        }
+
+        .tag-option {
+          background: #f3f4f6;
+          border: 1px solid #d1d5db;
+          border-radius: 20px;
+          padding: 4px 12px;
+          font-size: 0.8rem;
+          color: #374151;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .tag-option:hover:not(.active) {
+          background: #e5e7eb;
+        }
+
+        .tag-option.active {
+          background: #667eea;
+          color: white;
+          border-color: #667eea;
+        }
+
+        .stock-note {
+          font-size: 0.875rem;
+          color: #9ca3af;
+          align-self: center;
+        }
+
         .clear-filters-btn {
           background: #ef4444;
           color: white;
@@ -270,6 +691,16 @@ const FilterBar = ({
           font-weight: 500;
         }
 
+        .sort-group {
+          display: flex;
+          align-items: center;
+          gap: 8px;
+        }
+
+        .sort-group .filter-select {
+          min-width: 160px;
+        }
+
         .view-toggle {
           display: flex;
           gap: 4px;
@@ -338,10 +769,7 @@ const FilterBar = ({
           .view-section {
             justify-content: space-between;
             width: 100%;
-          }
-
-          .search-input-container {
-            max-width: none;
+            flex-wrap: wrap;
           }
         }
       `}</style>
@@ -396,15 +824,100 @@ const FilterChip = ({ label, onRemove }) => (
   </div>
 );
 
+// Opciones de orden del catálogo (claves de CATALOG_SORT_OPTIONS en productService)
+// "Best Match" ordena por relevancia cuando hay búsqueda y por lo más nuevo si no
+const SORT_OPTIONS = [
+  { value: 'relevance', label: 'Best Match' },
+  { value: 'newest', label: 'Newest' },
+  { value: 'price-asc', label: 'Price: Low to High' },
+  { value: 'price-desc', label: 'Price: High to Low' },
+  { value: 'rating', label: 'Top Rated' },
+  { value: 'best-selling', label: 'Best Selling' },
+  { value: 'most-reviewed', label: 'Most Reviewed' }
+];
+
+// Rangos de precio predefinidos (claves de PRICE_RANGE_BOUNDS en productService)
+const PRICE_PRESETS = [
+  { value: 'under-25', label: 'Under $25' },
+  { value: '25-50', label: '$25 - $50' },
+  { value: '50-100', label: '$50 - $100' },
+  { value: 'over-100', label: 'Over $100' }
+];
+
+// Helper function para convertir el texto de un campo de precio a número
+const parsePriceInput = (value) => {
+  if (value === '' || value === null) return null;
+  const price = parseFloat(value);
+  return isNaN(price) || price < 0 ? null : Math.round(price * 100) / 100;
+};
+
+// Helper function para saber qué rango predefinido coincide con {min, max}
+// 'all' = sin límites, 'custom' = rango escrito a mano
+const getPricePreset = ({ min, max }) => {
+  if (min === null && max === null) return 'all';
+
+  const preset = PRICE_PRESETS.find(({ value }) => (
+    PRICE_RANGE_BOUNDS[value].min === min && PRICE_RANGE_BOUNDS[value].max === max
+  ));
+
+  return preset ? preset.value : 'custom';
+};
+
 // Helper function para obtener etiquetas de rango de precios
 const getPriceRangeLabel = (range) => {
-  switch (range) {
-    case 'under-25': return 'Under $25';
-    case '25-50': return '$25 - $50';
-    case '50-100': return '$50 - $100';
-    case 'over-100': return 'Over $100';
-    default: return 'All Prices';
-  }
+  const preset = PRICE_PRESETS.find(({ value }) => value === getPricePreset(range));
+  if (preset) return preset.label;
+
+  const { min, max } = range;
+  if (min !== null && max !== null) return `${formatPrice(min)} - ${formatPrice(max)}`;
+  if (min !== null) return `From ${formatPrice(min)}`;
+  if (max !== null) return `Up to ${formatPrice(max)}`;
+  return 'All Prices';
 };
 
+// Helper function para agregar el conteo de una faceta a su etiqueta
+const withCount = (label, count) => (
+  count === null || count === undefined ? label : `${label} (${count})`
+);
+
+// Máximo de etiquetas sugeridas en la barra de filtros
+const MAX_TAG_OPTIONS = 12;
+
+// Helper function para ordenar conteos {valor: cantidad} de mayor a menor
+// El valor elegido siempre se incluye, aunque ya no tenga productos, para poder quitarlo
+const sortFacetOptions = (counts, selectedValues) => {
+  const options = Object.entries(counts || {})
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value));
+
+  selectedValues.forEach(value => {
+    if (!options.some(option => option.value === value)) {
+      options.unshift({ value, count: 0 });
+    }
+  });
+
+  return options;
+};
+
+// Helper function para las opciones de un atributo (ej: materiales con su conteo)
+const getAttributeOptions = (counts, selectedValue) => (
+  sortFacetOptions(counts, selectedValue ? [selectedValue] : [])
+);
+
+// Helper function para las etiquetas sugeridas: las elegidas primero, luego las más usadas
+const getTagOptions = (counts, selectedTags) => {
+  const options = sortFacetOptions(counts, []);
+  const selected = selectedTags.map(tag => (
+    options.find(option => option.value === tag) || { value: tag, count: 0 }
+  ));
+  const popular = options
+    .filter(option => !selectedTags.includes(option.value))
+    .slice(0, Math.max(0, MAX_TAG_OPTIONS - selected.length));
+
+  return [...selected, ...popular];
+};
+
+// Helper function para obtener etiquetas de calificación mínima
+const getRatingLabel = (stars) => `${'★'.repeat(stars)} & up`;
+
 export default FilterBar;
\ No newline at end of file
@@ -6,12 +6,13 @@ import { useProducts } from '../hooks/useProducts';
 import ProductCard from '../components/product/ProductCard';
 import FilterBar from './FilterBar';
 import AuthModal from './auth/AuthModal';
-import { LoadingSpinner, ErrorMessage } from './UtilityComponents';
+import { LoadingSpinner, ErrorMessage, Pagination } from './UtilityComponents';
 import { getCurrentUser, signOut } from '../services/authService';
 import ProfileEditModal from './profile/ProfileEditModal';
 import ArtisanApplicationModal from './profile/ArtisanApplicationModal';
 import ArtisanDashboard from './artisan/ArtisanDashboard'; // ✅ Dashboard de artesano
 import SellerProfiles from './seller/SellerProfiles';
+import CartButton from './cart/CartButton';
 import Footer from './ui/Footer';
 
 
@@ -27,10 +28,15 @@ const HomePage = () => {
     loading,
     error,
     filters,
+    facets,
     stats,
+    page,
+    pageSize,
+    totalPages,
     updateFilter,
-    clearFilters
-  } = useProducts();
+    clearFilters,
+    goToPage
+  } = useProducts({ syncWithUrl: true });
 
   // Estados de UI
   const [viewMode, setViewMode] = useState('grid');
@@ -296,6 +302,7 @@ const HomePage = () => {
           
           {/* Navegación de autenticación */}
           <div className="nav-auth">
+            <CartButton />
             {user ? (
               // Usuario autenticado
               <div className="user-menu">
@@ -426,9 +433,12 @@ const HomePage = () => {
               <FilterBar
                 categories={categories}
                 filters={filters}
+                facets={facets}
                 onFilterChange={updateFilter}
                 onClearFilters={clearFilters}
                 productCount={stats.filteredCount}
+                page={page}
+                pageSize={pageSize}
                 viewMode={viewMode}
                 onViewModeChange={setViewMode}
               />
@@ -440,7 +450,14 @@ const HomePage = () => {
                 ) : products.length === 0 ? (
                   <NoProductsMessage filters={filters} onClearFilters={clearFilters} />
                 ) : (
-                  <ProductGrid products={products} viewMode={viewMode} />
+                  <>
+                    <ProductGrid products={products} viewMode={viewMode} />
+                    <Pagination
+                      page={page}
+                      totalPages={totalPages}
+                      onPageChange={goToPage}
+                    />
+                  </>
                 )}
               </section>
             </>
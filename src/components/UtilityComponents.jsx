@@ -439,9 +439,120 @@ export const EmptyState = ({
   );
 };
 
+// Pagination: Controles para moverse entre páginas de resultados
+export const Pagination = ({
+  page,
+  totalPages,
+  onPageChange,
+  maxVisiblePages = 5
+}) => {
+  // No mostrar nada si solo hay una página
+  if (!totalPages || totalPages <= 1) {
+    return null;
+  }
+
+  // getVisiblePages: Calcula la ventana de números de página alrededor de la actual
+  const getVisiblePages = () => {
+    const half = Math.floor(maxVisiblePages / 2);
+    let start = Math.max(1, page - half);
+    const end = Math.min(totalPages, start + maxVisiblePages - 1);
+    start = Math.max(1, end - maxVisiblePages + 1);
+
+    return Array.from({ length: end - start + 1 }, (_, index) => start + index);
+  };
+
+  const visiblePages = getVisiblePages();
+
+  return (
+    <nav className="pagination" aria-label="Pagination">
+      <button
+        onClick={() => onPageChange(page - 1)}
+        className="page-btn"
+        disabled={page <= 1}
+        aria-label="Previous page"
+      >
+        ‹ Prev
+      </button>
+
+      {visiblePages[0] > 1 && (
+        <span className="page-ellipsis">…</span>
+      )}
+
+      {visiblePages.map(pageNumber => (
+        <button
+          key={pageNumber}
+          onClick={() => onPageChange(pageNumber)}
+          className={`page-btn ${pageNumber === page ? 'active' : ''}`}
+          aria-current={pageNumber === page ? 'page' : undefined}
+        >
+          {pageNumber}
+        </button>
+      ))}
+
+      {visiblePages[visiblePages.length - 1] < totalPages && (
+        <span className="page-ellipsis">…</span>
+      )}
+
+      <button
+        onClick={() => onPageChange(page + 1)}
+        className="page-btn"
+        disabled={page >= totalPages}
+        aria-label="Next page"
+      >
+        Next ›
+      </button>
+
+      <style jsx>{`
+        .pagination {
+          display: flex;
+          justify-content: center;
+          align-items: center;
+          gap: 6px;
+          padding: 30px 0 10px 0;
+          flex-wrap: wrap;
+        }
+
+        .page-btn {
+          min-width: 40px;
+          background: white;
+          border: 1px solid #d1d5db;
+          color: #374151;
+          padding: 8px 12px;
+          border-radius: 6px;
+          font-size: 0.875rem;
+          font-weight: 500;
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .page-btn:hover:not(:disabled):not(.active) {
+          background: #f3f4f6;
+        }
+
+        .page-btn.active {
+          background: #667eea;
+          border-color: #667eea;
+          color: white;
+        }
+
+        .page-btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+        }
+
+        .page-ellipsis {
+          color: #6b7280;
+          padding: 0 4px;
+        }
+      `}</style>
+    </nav>
+  );
+};
+
 export default {
   LoadingSpinner,
   ErrorMessage,
   SkeletonLoader,
-  EmptyState
+  EmptyState,
+  Pagination
 };
\ No newline at end of file
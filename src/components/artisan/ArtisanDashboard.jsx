@@ -4,7 +4,10 @@
 import React, { useState, useEffect } from 'react';
 import { getArtisanProducts, deleteProduct } from '../../services/productService';
 import ProductFormModal from './ProductFormModal';
+import ArtisanOrders from './ArtisanOrders';
+import ArtisanShippingProfiles from './ArtisanShippingProfiles';
 import { LoadingSpinner, ErrorMessage } from '../UtilityComponents';
+import { getProductPricing } from '../../utils/pricing';
 import DeleteAccountModal from '../profile/DeleteAccountModal';
 
 /**
@@ -16,6 +19,8 @@ import DeleteAccountModal from '../profile/DeleteAccountModal';
  * - Editar producto existente
  * - Eliminar producto
  * - Estadísticas básicas
+ * - Pedidos para despachar (ver ArtisanOrders)
+ * - Perfiles de envío (ver ArtisanShippingProfiles)
  * 
  * @param {Object} currentUser - Usuario actual autenticado
  * @param {Object} profile - Perfil del usuario
@@ -314,6 +319,7 @@ const ArtisanDashboard = ({ currentUser, profile }) => {
         <div className="products-list">
           {products.map(product => {
             const stockStatus = getStockStatus(product.stock);
+            const pricing = getProductPricing(product);
             
             return (
               <div key={product.id} className="product-item">
@@ -336,7 +342,12 @@ const ArtisanDashboard = ({ currentUser, profile }) => {
                   <p className="product-description">{product.description}</p>
                   
                   <div className="product-meta">
-                    <span className="product-price">${product.price.toFixed(2)}</span>
+                    <span className="product-price">
+                      ${pricing.price.toFixed(2)}
+                      {pricing.compareAtPrice && (
+                        <s className="compare-at-price">${pricing.compareAtPrice.toFixed(2)}</s>
+                      )}
+                    </span>
                     <span className={`stock-badge ${stockStatus.className}`}>
                       {stockStatus.text}
                     </span>
@@ -369,6 +380,12 @@ const ArtisanDashboard = ({ currentUser, profile }) => {
         </div>
       )}
 
+      {/* Pedidos para despachar */}
+      <ArtisanOrders currentUser={currentUser} />
+
+      {/* Perfiles de envío */}
+      <ArtisanShippingProfiles currentUser={currentUser} />
+
       {/* Modal para Agregar/Editar Producto */}
       <ProductFormModal
         isOpen={isModalOpen}
@@ -575,6 +592,13 @@ const ArtisanDashboard = ({ currentUser, profile }) => {
           color: var(--color-primary);
         }
 
+        .compare-at-price {
+          margin-left: var(--spacing-xs);
+          font-size: var(--text-sm);
+          font-weight: var(--font-normal);
+          color: var(--color-muted);
+        }
+
         .stock-badge {
           padding: var(--spacing-xs) var(--spacing-sm);
           border-radius: var(--radius-sm);
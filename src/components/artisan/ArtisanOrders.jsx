@@ -0,0 +1,405 @@
+// Pedidos que el artesano tiene que despachar (su parte de cada pedido)
+// Muestra las piezas, la dirección de envío, el estado y lo que va a cobrar
+
+import React, { useState, useEffect } from 'react';
+import {
+  getArtisanFulfillments,
+  updateFulfillmentStatus,
+  PAYOUT_STATUS_LABELS
+} from '../../services/fulfillmentService';
+import { FULFILLMENT_STATUS_LABELS } from '../../services/orderService';
+import { formatPrice } from '../../utils/formatPrice';
+import { formatOrderNumber, getCountryName } from '../../utils/checkout';
+import { SHIPPING_METHOD_LABELS } from '../../utils/shipping';
+import { LoadingSpinner, ErrorMessage } from '../UtilityComponents';
+
+/**
+ * ArtisanOrders: Lista de envíos del artesano
+ *
+ * Funcionalidades:
+ * - Ver las piezas vendidas de cada pedido y a dónde enviarlas
+ * - Marcar un envío como despachado (con número de seguimiento) o entregado
+ * - Ver la liquidación de cada envío (subtotal + envío - comisión)
+ *
+ * @param {Object} currentUser - Usuario actual autenticado
+ */
+const ArtisanOrders = ({ currentUser }) => {
+  // useState: Envíos del artesano
+  const [fulfillments, setFulfillments] = useState([]);
+
+  // useState: Estado de carga inicial
+  const [loading, setLoading] = useState(true);
+
+  // useState: Mensajes de error
+  const [error, setError] = useState(null);
+
+  // useState: Números de seguimiento escritos, por envío
+  const [trackingNumbers, setTrackingNumbers] = useState({});
+
+  // useState: Envío que se está actualizando
+  const [updatingId, setUpdatingId] = useState(null);
+
+  /**
+   * useEffect: Cargar los envíos al montar el componente
+   */
+  useEffect(() => {
+    if (currentUser?.id) {
+      fetchFulfillments();
+    }
+  }, [currentUser]);
+
+  /**
+   * fetchFulfillments: Obtiene los envíos del artesano
+   */
+  const fetchFulfillments = async () => {
+    setLoading(true);
+    setError(null);
+
+    const result = await getArtisanFulfillments(currentUser.id);
+
+    if (result.success) {
+      setFulfillments(result.fulfillments);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  /**
+   * handleStatusChange: Marca un envío como despachado o entregado
+   *
+   * @param {string} fulfillmentId - ID del envío
+   * @param {string} status - 'shipped' o 'delivered'
+   */
+  const handleStatusChange = async (fulfillmentId, status) => {
+    setUpdatingId(fulfillmentId);
+
+    const result = await updateFulfillmentStatus(
+      fulfillmentId,
+      status,
+      status === 'shipped' ? trackingNumbers[fulfillmentId] || null : null
+    );
+
+    if (result.success) {
+      // La respuesta no trae las líneas: conservar las que ya estaban
+      setFulfillments(current =>
+        current.map(f => f.id === fulfillmentId ? { ...f, ...result.fulfillment, items: f.items } : f)
+      );
+    } else {
+      alert(`Error: ${result.error}`);
+    }
+
+    setUpdatingId(null);
+  };
+
+  // Estadísticas
+  const toShip = fulfillments.filter(f => f.status === 'processing').length;
+  const payoutDue = fulfillments
+    .filter(f => f.payout_status === 'due')
+    .reduce((sum, f) => sum + Number(f.payout_amount), 0);
+
+  if (loading) {
+    return <LoadingSpinner message="Loading your orders..." />;
+  }
+
+  if (error) {
+    return <ErrorMessage message={error} onRetry={fetchFulfillments} />;
+  }
+
+  return (
+    <section className="artisan-orders">
+      <div className="orders-header">
+        <h2 className="heading-secondary">Orders</h2>
+        <p className="text-muted">
+          {toShip} to ship · {formatPrice(payoutDue)} payout due
+        </p>
+      </div>
+
+      {fulfillments.length === 0 ? (
+        <div className="orders-empty">
+          <p>No orders yet. Paid orders for your pieces will show up here.</p>
+        </div>
+      ) : (
+        <div className="orders-list">
+          {fulfillments.map(fulfillment => {
+            const address = fulfillment.ship_to || {};
+            const isUpdating = updatingId === fulfillment.id;
+            const isPickup = fulfillment.shipping_method === 'pickup';
+
+            return (
+              <article key={fulfillment.id} className="fulfillment-card">
+                <header className="fulfillment-header">
+                  <div>
+                    <h3 className="fulfillment-number">{formatOrderNumber(fulfillment.order_id)}</h3>
+                    <span className="fulfillment-date">
+                      {new Date(fulfillment.created_at).toLocaleDateString('en-US', { dateStyle: 'medium' })}
+                    </span>
+                  </div>
+                  <span className={`fulfillment-status status-${fulfillment.status}`}>
+                    {FULFILLMENT_STATUS_LABELS[fulfillment.status] || fulfillment.status}
+                  </span>
+                </header>
+
+                <div className="fulfillment-body">
+                  <ul className="fulfillment-items">
+                    {(fulfillment.items || []).map(item => (
+                      <li key={item.id}>
+                        {item.quantity} × {item.title}
+                        <span className="item-price">{formatPrice(Number(item.line_total))}</span>
+                      </li>
+                    ))}
+                  </ul>
+
+                  <p className="fulfillment-address">
+                    <strong>{isPickup ? 'Picked up by' : 'Ship to'}</strong><br />
+                    {address.full_name}<br />
+                    {address.line1}{address.line2 && `, ${address.line2}`}<br />
+                    {address.city}{address.region && `, ${address.region}`} {address.postal_code}<br />
+                    {getCountryName(address.country)}
+                    {address.phone && <><br />{address.phone}</>}
+                  </p>
+
+                  <dl className="fulfillment-payout">
+                    <div><dt>Items</dt><dd>{formatPrice(Number(fulfillment.subtotal))}</dd></div>
+                    <div><dt>{SHIPPING_METHOD_LABELS[fulfillment.shipping_method] || fulfillment.shipping_method}</dt><dd>{formatPrice(Number(fulfillment.shipping_total))}</dd></div>
+                    <div><dt>Marketplace fee</dt><dd>−{formatPrice(Number(fulfillment.platform_fee))}</dd></div>
+                    <div className="payout-total">
+                      <dt>Your payout</dt>
+                      <dd>{formatPrice(Number(fulfillment.payout_amount))}</dd>
+                    </div>
+                    <div className="payout-status">
+                      {PAYOUT_STATUS_LABELS[fulfillment.payout_status] || fulfillment.payout_status}
+                    </div>
+                  </dl>
+                </div>
+
+                <footer className="fulfillment-actions">
+                  {fulfillment.status === 'processing' && isPickup && (
+                    <button
+                      onClick={() => handleStatusChange(fulfillment.id, 'delivered')}
+                      className="btn btn-primary btn-small"
+                      disabled={isUpdating}
+                    >
+                      ✅ Mark as Picked Up
+                    </button>
+                  )}
+
+                  {fulfillment.status === 'processing' && !isPickup && (
+                    <>
+                      <input
+                        type="text"
+                        placeholder="Tracking number (optional)"
+                        value={trackingNumbers[fulfillment.id] || ''}
+                        onChange={(e) => setTrackingNumbers(current => ({
+                          ...current,
+                          [fulfillment.id]: e.target.value
+                        }))}
+                        disabled={isUpdating}
+                      />
+                      <button
+                        onClick={() => handleStatusChange(fulfillment.id, 'shipped')}
+                        className="btn btn-primary btn-small"
+                        disabled={isUpdating}
+                      >
+                        📦 Mark as Shipped
+                      </button>
+                    </>
+                  )}
+
+                  {fulfillment.status === 'shipped' && (
+                    <>
+                      {fulfillment.tracking_number && (
+                        <span className="tracking">Tracking: {fulfillment.tracking_number}</span>
+                      )}
+                      <button
+                        onClick={() => handleStatusChange(fulfillment.id, 'delivered')}
+                        className="btn btn-secondary btn-small"
+                        disabled={isUpdating}
+                      >
+                        ✅ Mark as Delivered
+                      </button>
+                    </>
+                  )}
+                </footer>
+              </article>
+            );
+          })}
+        </div>
+      )}
+
+      {/* Estilos CSS */}
+      <style jsx>{`
+        .artisan-orders {
+          margin-top: var(--spacing-3xl);
+        }
+
+        .orders-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: baseline;
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .orders-header h2 {
+          margin: 0;
+        }
+
+        .orders-empty {
+          background: var(--color-white);
+          padding: var(--spacing-xl);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-md);
+          color: var(--color-muted);
+          text-align: center;
+        }
+
+        .orders-list {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-lg);
+        }
+
+        .fulfillment-card {
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          padding: var(--spacing-xl);
+          box-shadow: var(--shadow-md);
+        }
+
+        .fulfillment-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          margin-bottom: var(--spacing-md);
+        }
+
+        .fulfillment-number {
+          margin: 0;
+          font-size: var(--text-lg);
+          color: var(--color-dark);
+        }
+
+        .fulfillment-date {
+          font-size: var(--text-sm);
+          color: var(--color-muted);
+        }
+
+        .fulfillment-status {
+          padding: var(--spacing-xs) var(--spacing-sm);
+          border-radius: var(--radius-sm);
+          font-size: var(--text-xs);
+          font-weight: var(--font-semibold);
+          text-transform: uppercase;
+          background: rgba(245, 158, 11, 0.1);
+          color: var(--color-warning);
+        }
+
+        .fulfillment-status.status-shipped,
+        .fulfillment-status.status-delivered {
+          background: rgba(34, 197, 94, 0.1);
+          color: var(--color-success);
+        }
+
+        .fulfillment-body {
+          display: grid;
+          grid-template-columns: 1fr 1fr 1fr;
+          gap: var(--spacing-xl);
+        }
+
+        .fulfillment-items {
+          margin: 0;
+          padding: 0;
+          list-style: none;
+          color: var(--color-dark);
+        }
+
+        .fulfillment-items li {
+          display: flex;
+          justify-content: space-between;
+          gap: var(--spacing-sm);
+          padding: var(--spacing-xs) 0;
+        }
+
+        .item-price {
+          color: var(--color-muted);
+        }
+
+        .fulfillment-address {
+          margin: 0;
+          color: var(--color-dark);
+          line-height: 1.6;
+        }
+
+        .fulfillment-payout {
+          margin: 0;
+          font-size: var(--text-sm);
+        }
+
+        .fulfillment-payout div {
+          display: flex;
+          justify-content: space-between;
+          padding: 2px 0;
+        }
+
+        .fulfillment-payout dt {
+          color: var(--color-muted);
+        }
+
+        .fulfillment-payout dd {
+          margin: 0;
+          color: var(--color-dark);
+        }
+
+        .payout-total {
+          margin-top: var(--spacing-xs);
+          border-top: 1px solid var(--color-accent-light);
+          font-weight: var(--font-semibold);
+        }
+
+        .payout-status {
+          color: var(--color-primary);
+          font-weight: var(--font-medium);
+        }
+
+        .fulfillment-actions {
+          display: flex;
+          justify-content: flex-end;
+          align-items: center;
+          gap: var(--spacing-sm);
+          margin-top: var(--spacing-md);
+        }
+
+        .fulfillment-actions:empty {
+          display: none;
+        }
+
+        .fulfillment-actions input {
+          padding: var(--spacing-sm);
+          border: 1px solid var(--color-accent-light);
+          border-radius: var(--radius-md);
+          font-family: var(--font-body);
+        }
+
+        .tracking {
+          font-size: var(--text-sm);
+          color: var(--color-muted);
+        }
+
+        @media (max-width: 768px) {
+          .fulfillment-body {
+            grid-template-columns: 1fr;
+            gap: var(--spacing-md);
+          }
+
+          .fulfillment-actions {
+            flex-direction: column;
+            align-items: stretch;
+          }
+        }
+      `}</style>
+    </section>
+  );
+};
+
+export default ArtisanOrders;
@@ -0,0 +1,620 @@
+// Perfiles de envío del artesano: zonas, tarifas y retiro en el taller
+// Los productos usan su perfil o el predeterminado (ver utils/shipping.ts)
+
+import React, { useState, useEffect } from 'react';
+import {
+  getArtisanShippingProfiles,
+  saveShippingProfile,
+  deleteShippingProfile
+} from '../../services/shippingService';
+import { RATE_TYPE_LABELS, formatDeliveryEstimate } from '../../utils/shipping';
+import { getCountryName } from '../../utils/checkout';
+import { formatPrice } from '../../utils/formatPrice';
+import { LoadingSpinner, ErrorMessage } from '../UtilityComponents';
+
+/**
+ * ArtisanShippingProfiles: Lista y editor de perfiles de envío
+ *
+ * Funcionalidades:
+ * - Ver los perfiles con sus zonas y tarifas
+ * - Crear, editar y eliminar perfiles
+ * - Marcar un perfil como predeterminado
+ * - Ofrecer retiro en el taller
+ *
+ * @param {Object} currentUser - Usuario actual autenticado
+ */
+const ArtisanShippingProfiles = ({ currentUser }) => {
+  // useState: Perfiles del artesano
+  const [profiles, setProfiles] = useState([]);
+
+  // useState: Estado de carga inicial
+  const [loading, setLoading] = useState(true);
+
+  // useState: Mensajes de error
+  const [error, setError] = useState(null);
+
+  // useState: Perfil que se está editando (null = editor cerrado)
+  const [draft, setDraft] = useState(null);
+
+  // useState: Error al guardar el perfil
+  const [saveError, setSaveError] = useState(null);
+
+  // useState: Guardando o eliminando
+  const [saving, setSaving] = useState(false);
+
+  /**
+   * useEffect: Cargar los perfiles al montar el componente
+   */
+  useEffect(() => {
+    if (currentUser?.id) {
+      fetchProfiles();
+    }
+  }, [currentUser]);
+
+  /**
+   * fetchProfiles: Obtiene los perfiles del artesano
+   */
+  const fetchProfiles = async () => {
+    setLoading(true);
+    setError(null);
+
+    const result = await getArtisanShippingProfiles(currentUser.id);
+
+    if (result.success) {
+      setProfiles(result.profiles);
+    } else {
+      setError(result.error);
+    }
+
+    setLoading(false);
+  };
+
+  /**
+   * openEditor: Abre el editor con un perfil existente o uno nuevo
+   *
+   * @param {Object|null} profile - Perfil a editar (null = nuevo)
+   */
+  const openEditor = (profile = null) => {
+    setSaveError(null);
+    setDraft(profile ? toDraft(profile) : {
+      ...toDraft({ zones: [] }),
+      // El primer perfil queda como predeterminado
+      is_default: profiles.length === 0,
+      zones: [getEmptyZone()]
+    });
+  };
+
+  /**
+   * updateDraft: Cambia un campo del perfil en edición
+   */
+  const updateDraft = (field, value) => {
+    setDraft(current => ({ ...current, [field]: value }));
+  };
+
+  /**
+   * updateZone: Cambia un campo de una zona del perfil en edición
+   */
+  const updateZone = (index, field, value) => {
+    setDraft(current => ({
+      ...current,
+      zones: current.zones.map((zone, i) => i === index ? { ...zone, [field]: value } : zone)
+    }));
+  };
+
+  /**
+   * handleSave: Guarda el perfil en edición
+   */
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setSaving(true);
+    setSaveError(null);
+
+    const result = await saveShippingProfile(currentUser.id, {
+      ...draft,
+      zones: draft.zones.map(zone => ({
+        ...zone,
+        countries: zone.countries.split(',')
+      }))
+    });
+
+    if (result.success) {
+      setDraft(null);
+      // Recargar: guardar un predeterminado cambia los demás
+      await fetchProfiles();
+    } else {
+      setSaveError(result.error);
+    }
+
+    setSaving(false);
+  };
+
+  /**
+   * handleDelete: Elimina un perfil después de confirmar
+   *
+   * @param {Object} profile - Perfil a eliminar
+   */
+  const handleDelete = async (profile) => {
+    const confirmed = window.confirm(
+      `Delete the "${profile.name}" shipping profile? Products using it will switch to your default profile.`
+    );
+
+    if (!confirmed) return;
+
+    setSaving(true);
+    const result = await deleteShippingProfile(profile.id, currentUser.id);
+
+    if (result.success) {
+      setProfiles(current => current.filter(p => p.id !== profile.id));
+    } else {
+      alert(`Error: ${result.error}`);
+    }
+
+    setSaving(false);
+  };
+
+  if (loading) {
+    return <LoadingSpinner message="Loading shipping profiles..." />;
+  }
+
+  if (error) {
+    return <ErrorMessage message={error} onRetry={fetchProfiles} />;
+  }
+
+  return (
+    <section className="shipping-profiles">
+      <div className="profiles-header">
+        <div>
+          <h2 className="heading-secondary">Shipping</h2>
+          <p className="text-muted">
+            {profiles.length === 0
+              ? 'Your products use the marketplace standard rate until you add a profile.'
+              : 'Products without a profile use your default profile.'}
+          </p>
+        </div>
+        {!draft && (
+          <button onClick={() => openEditor()} className="btn btn-secondary" disabled={saving}>
+            ➕ Add Shipping Profile
+          </button>
+        )}
+      </div>
+
+      {/* Editor del perfil */}
+      {draft && (
+        <form onSubmit={handleSave} className="profile-editor">
+          <div className="editor-row">
+            <label className="editor-field">
+              <span>Profile name</span>
+              <input
+                type="text"
+                value={draft.name}
+                onChange={(e) => updateDraft('name', e.target.value)}
+                placeholder="e.g. Small pottery"
+                maxLength={60}
+                disabled={saving}
+              />
+            </label>
+
+            <label className="editor-check">
+              <input
+                type="checkbox"
+                checked={draft.is_default}
+                onChange={(e) => updateDraft('is_default', e.target.checked)}
+                disabled={saving}
+              />
+              Default profile
+            </label>
+
+            <label className="editor-check">
+              <input
+                type="checkbox"
+                checked={draft.local_pickup}
+                onChange={(e) => updateDraft('local_pickup', e.target.checked)}
+                disabled={saving}
+              />
+              Offer local pickup
+            </label>
+          </div>
+
+          {draft.local_pickup && (
+            <label className="editor-field">
+              <span>Pickup instructions</span>
+              <input
+                type="text"
+                value={draft.pickup_notes}
+                onChange={(e) => updateDraft('pickup_notes', e.target.value)}
+                placeholder="e.g. Saturdays 10-2 at the workshop"
+                maxLength={200}
+                disabled={saving}
+              />
+            </label>
+          )}
+
+          <h3 className="zones-title">Zones</h3>
+          {draft.zones.map((zone, index) => (
+            <fieldset key={index} className="zone-editor" disabled={saving}>
+              <label className="editor-field">
+                <span>Zone name</span>
+                <input
+                  type="text"
+                  value={zone.name}
+                  onChange={(e) => updateZone(index, 'name', e.target.value)}
+                  placeholder="e.g. Domestic"
+                />
+              </label>
+
+              <label className="editor-field">
+                <span>Countries</span>
+                <input
+                  type="text"
+                  value={zone.countries}
+                  onChange={(e) => updateZone(index, 'countries', e.target.value)}
+                  placeholder="US, CA (empty = everywhere else)"
+                />
+              </label>
+
+              <label className="editor-field">
+                <span>Rate</span>
+                <select
+                  value={zone.rate_type}
+                  onChange={(e) => updateZone(index, 'rate_type', e.target.value)}
+                >
+                  {Object.entries(RATE_TYPE_LABELS).map(([value, label]) => (
+                    <option key={value} value={value}>{label}</option>
+                  ))}
+                </select>
+              </label>
+
+              <label className="editor-field">
+                <span>{zone.rate_type === 'flat' ? 'Price' : 'First item / base'}</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={zone.base_rate}
+                  onChange={(e) => updateZone(index, 'base_rate', e.target.value)}
+                />
+              </label>
+
+              {zone.rate_type !== 'flat' && (
+                <label className="editor-field">
+                  <span>{zone.rate_type === 'weight' ? 'Per kg' : 'Each extra item'}</span>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.01"
+                    value={zone.additional_rate}
+                    onChange={(e) => updateZone(index, 'additional_rate', e.target.value)}
+                  />
+                </label>
+              )}
+
+              <label className="editor-field">
+                <span>Free over</span>
+                <input
+                  type="number"
+                  min="0"
+                  step="0.01"
+                  value={zone.free_over}
+                  onChange={(e) => updateZone(index, 'free_over', e.target.value)}
+                  placeholder="Never"
+                />
+              </label>
+
+              <label className="editor-field">
+                <span>Days (min–max)</span>
+                <div className="days-inputs">
+                  <input
+                    type="number"
+                    min="0"
+                    value={zone.min_days}
+                    onChange={(e) => updateZone(index, 'min_days', e.target.value)}
+                  />
+                  <input
+                    type="number"
+                    min="0"
+                    value={zone.max_days}
+                    onChange={(e) => updateZone(index, 'max_days', e.target.value)}
+                  />
+                </div>
+              </label>
+
+              <button
+                type="button"
+                onClick={() => updateDraft('zones', draft.zones.filter((_, i) => i !== index))}
+                className="btn-remove-zone"
+                aria-label={`Remove zone ${zone.name || index + 1}`}
+              >
+                ✕
+              </button>
+            </fieldset>
+          ))}
+
+          <button
+            type="button"
+            onClick={() => updateDraft('zones', [...draft.zones, getEmptyZone()])}
+            className="btn btn-secondary btn-small"
+            disabled={saving}
+          >
+            ➕ Add Zone
+          </button>
+
+          {saveError && <p className="save-error">{saveError}</p>}
+
+          <div className="editor-actions">
+            <button type="button" onClick={() => setDraft(null)} className="btn btn-secondary" disabled={saving}>
+              Cancel
+            </button>
+            <button type="submit" className="btn btn-primary" disabled={saving}>
+              {saving ? 'Saving...' : 'Save Profile'}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {/* Lista de perfiles */}
+      {profiles.length > 0 && (
+        <div className="profiles-list">
+          {profiles.map(profile => (
+            <article key={profile.id} className="profile-card">
+              <header className="profile-header">
+                <h3>
+                  {profile.name}
+                  {profile.is_default && <span className="default-badge">Default</span>}
+                </h3>
+                <div className="profile-actions">
+                  <button onClick={() => openEditor(profile)} className="btn btn-secondary btn-small" disabled={saving || Boolean(draft)}>
+                    ✏️ Edit
+                  </button>
+                  <button onClick={() => handleDelete(profile)} className="btn btn-secondary btn-small" disabled={saving}>
+                    🗑️ Delete
+                  </button>
+                </div>
+              </header>
+
+              <ul className="zone-list">
+                {profile.zones.map(zone => (
+                  <li key={zone.id}>
+                    <strong>{zone.name}</strong>
+                    {' · '}
+                    {zone.countries.length > 0 ? zone.countries.map(getCountryName).join(', ') : 'Everywhere else'}
+                    {' · '}
+                    {formatZoneRate(zone)}
+                    {formatDeliveryEstimate(zone.min_days, zone.max_days) && ` · ${formatDeliveryEstimate(zone.min_days, zone.max_days)}`}
+                  </li>
+                ))}
+                {profile.local_pickup && (
+                  <li>
+                    <strong>Local pickup</strong>
+                    {profile.pickup_notes && ` · ${profile.pickup_notes}`}
+                  </li>
+                )}
+              </ul>
+            </article>
+          ))}
+        </div>
+      )}
+
+      {/* Estilos CSS */}
+      <style jsx>{`
+        .shipping-profiles {
+          margin-top: var(--spacing-3xl);
+        }
+
+        .profiles-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: flex-start;
+          gap: var(--spacing-md);
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .profiles-header h2 {
+          margin: 0;
+        }
+
+        .profile-editor,
+        .profile-card {
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          padding: var(--spacing-xl);
+          box-shadow: var(--shadow-md);
+        }
+
+        .profile-editor {
+          display: flex;
+          flex-direction: column;
+          align-items: flex-start;
+          gap: var(--spacing-md);
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .editor-row {
+          display: flex;
+          align-items: flex-end;
+          gap: var(--spacing-lg);
+          flex-wrap: wrap;
+        }
+
+        .editor-field {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-xs);
+          font-size: var(--text-sm);
+          color: var(--color-muted);
+        }
+
+        .editor-field input,
+        .editor-field select {
+          padding: var(--spacing-sm);
+          border: 1px solid var(--color-accent-light);
+          border-radius: var(--radius-md);
+          font-family: var(--font-body);
+          color: var(--color-dark);
+        }
+
+        .editor-check {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-xs);
+          padding-bottom: var(--spacing-sm);
+          color: var(--color-dark);
+        }
+
+        .zones-title {
+          margin: 0;
+          font-size: var(--text-lg);
+          color: var(--color-dark);
+        }
+
+        .zone-editor {
+          position: relative;
+          display: flex;
+          align-items: flex-end;
+          gap: var(--spacing-md);
+          flex-wrap: wrap;
+          width: 100%;
+          margin: 0;
+          padding: var(--spacing-md);
+          padding-right: var(--spacing-2xl);
+          border: 1px solid var(--color-accent-light);
+          border-radius: var(--radius-md);
+        }
+
+        .zone-editor input[type='number'] {
+          width: 100px;
+        }
+
+        .days-inputs {
+          display: flex;
+          gap: var(--spacing-xs);
+        }
+
+        .days-inputs input[type='number'] {
+          width: 64px;
+        }
+
+        .btn-remove-zone {
+          position: absolute;
+          top: var(--spacing-sm);
+          right: var(--spacing-sm);
+          background: none;
+          border: none;
+          color: var(--color-muted);
+          cursor: pointer;
+        }
+
+        .btn-remove-zone:hover {
+          color: var(--color-error);
+        }
+
+        .save-error {
+          margin: 0;
+          color: var(--color-error);
+          font-size: var(--text-sm);
+        }
+
+        .editor-actions {
+          display: flex;
+          gap: var(--spacing-sm);
+          align-self: flex-end;
+        }
+
+        .profiles-list {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-lg);
+        }
+
+        .profile-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          margin-bottom: var(--spacing-sm);
+        }
+
+        .profile-header h3 {
+          margin: 0;
+          font-size: var(--text-lg);
+          color: var(--color-dark);
+        }
+
+        .default-badge {
+          margin-left: var(--spacing-sm);
+          padding: 2px var(--spacing-sm);
+          border-radius: var(--radius-sm);
+          font-size: var(--text-xs);
+          font-weight: var(--font-semibold);
+          text-transform: uppercase;
+          background: rgba(139, 69, 19, 0.1);
+          color: var(--color-primary);
+          vertical-align: middle;
+        }
+
+        .profile-actions {
+          display: flex;
+          gap: var(--spacing-sm);
+        }
+
+        .zone-list {
+          margin: 0;
+          padding-left: var(--spacing-lg);
+          color: var(--color-dark);
+          font-size: var(--text-sm);
+          line-height: 1.8;
+        }
+
+        @media (max-width: 768px) {
+          .profiles-header,
+          .profile-header {
+            flex-direction: column;
+            align-items: stretch;
+          }
+        }
+      `}</style>
+    </section>
+  );
+};
+
+// Valores del formulario para un perfil (los números se editan como texto)
+const toDraft = (profile) => ({
+  id: profile.id,
+  name: profile.name || '',
+  is_default: Boolean(profile.is_default),
+  local_pickup: Boolean(profile.local_pickup),
+  pickup_notes: profile.pickup_notes || '',
+  zones: profile.zones.map(zone => ({
+    name: zone.name,
+    countries: zone.countries.join(', '),
+    rate_type: zone.rate_type,
+    base_rate: zone.base_rate?.toString() ?? '',
+    additional_rate: zone.additional_rate?.toString() ?? '',
+    free_over: zone.free_over?.toString() ?? '',
+    min_days: zone.min_days?.toString() ?? '',
+    max_days: zone.max_days?.toString() ?? ''
+  }))
+});
+
+// Zona nueva del formulario
+const getEmptyZone = () => ({
+  name: '',
+  countries: '',
+  rate_type: 'flat',
+  base_rate: '',
+  additional_rate: '',
+  free_over: '',
+  min_days: '',
+  max_days: ''
+});
+
+// formatZoneRate: Tarifa de una zona en texto (ej: "$4.00 + $1.50 per extra item")
+const formatZoneRate = (zone) => {
+  const base = formatPrice(Number(zone.base_rate));
+  const additional = formatPrice(Number(zone.additional_rate));
+  const free = zone.free_over !== null ? `, free over ${formatPrice(Number(zone.free_over))}` : '';
+
+  if (zone.rate_type === 'per_item') return `${base} + ${additional} per extra item${free}`;
+  if (zone.rate_type === 'weight') return `${base} + ${additional} per kg${free}`;
+  return `${base} per package${free}`;
+};
+
+export default ArtisanShippingProfiles;
@@ -0,0 +1,468 @@
+// src/components/artisan/ArtisanStorefront.jsx
+// Tienda pública de un artesano: banner, perfil, redes sociales, productos y reviews
+
+'use client';
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { ProductGrid } from '../product/ProductNavigation';
+import ProductRating from '../product/ProductRating';
+import ContactSellerModal from '../seller/ContactSellerModal';
+import Footer from '../ui/Footer';
+import { useAuthState } from '../../hooks/useAuth';
+import { getSocialLinks } from '../../utils/socialLinks';
+
+/**
+ * ArtisanStorefront: Página pública de la tienda de un artesano
+ *
+ * Los datos llegan ya cargados desde el servidor (app/artisan/[id]/page.jsx);
+ * aquí solo se maneja la interacción (vista y modal de contacto)
+ *
+ * @param {Object} artisan - Perfil público (getPublicProfile)
+ * @param {Array} products - Productos del artesano
+ * @param {Object|null} reviewStats - Estadísticas de reviews (getArtisanReviewStats)
+ */
+const ArtisanStorefront = ({ artisan, products = [], reviewStats }) => {
+  const router = useRouter();
+  const { user } = useAuthState();
+
+  const [viewMode, setViewMode] = useState('grid');
+  const [isContactModalOpen, setIsContactModalOpen] = useState(false);
+
+  const shopName = artisan.shop_name || artisan.full_name;
+  const socialLinks = getSocialLinks(artisan);
+  const memberSince = new Date(artisan.created_at).getFullYear();
+
+  return (
+    <div className="storefront-page">
+      {/* Breadcrumb */}
+      <div className="breadcrumb">
+        <div className="container">
+          <nav className="breadcrumb-nav">
+            <button onClick={() => router.push('/')} className="breadcrumb-link">
+              Home
+            </button>
+            <span className="breadcrumb-separator">›</span>
+            <span className="breadcrumb-current">{shopName}</span>
+          </nav>
+        </div>
+      </div>
+
+      {/* Banner de la tienda */}
+      <div
+        className={`shop-banner ${artisan.banner_image_url ? 'with-image' : ''}`}
+        style={artisan.banner_image_url ? { backgroundImage: `url(${artisan.banner_image_url})` } : undefined}
+      />
+
+      {/* Encabezado con el perfil */}
+      <header className="container">
+        <div className="shop-header">
+          <div className="shop-avatar">
+            {artisan.profile_image_url ? (
+              <img src={artisan.profile_image_url} alt={shopName} />
+            ) : (
+              <div className="avatar-placeholder">
+                {shopName?.charAt(0) || '?'}
+              </div>
+            )}
+          </div>
+
+          <div className="shop-info">
+            <div className="shop-title-row">
+              <h1 className="shop-name">{shopName}</h1>
+              {artisan.is_verified && (
+                <span className="verified-badge" title="Verified artisan">
+                  ✓ Verified Artisan
+                </span>
+              )}
+            </div>
+
+            {artisan.shop_name && artisan.full_name && (
+              <p className="shop-owner">by {artisan.full_name}</p>
+            )}
+
+            <div className="shop-meta">
+              {artisan.location && <span>📍 {artisan.location}</span>}
+              <span>Member since {memberSince}</span>
+            </div>
+
+            {socialLinks.length > 0 && (
+              <div className="social-links">
+                {socialLinks.map(link => (
+                  <a
+                    key={link.label}
+                    href={link.url}
+                    target="_blank"
+                    rel="noopener noreferrer"
+                    className="social-link"
+                  >
+                    {link.icon} {link.label}
+                  </a>
+                ))}
+              </div>
+            )}
+          </div>
+
+          <div className="shop-actions">
+            <button
+              onClick={() => setIsContactModalOpen(true)}
+              className="btn btn-primary"
+            >
+              ✉️ Contact Artisan
+            </button>
+          </div>
+        </div>
+      </header>
+
+      <main className="container storefront-content">
+        {/* Sobre la tienda */}
+        {(artisan.shop_description || artisan.bio) && (
+          <section className="about-section">
+            <h2 className="section-title">About the shop</h2>
+            {artisan.shop_description && <p>{artisan.shop_description}</p>}
+            {artisan.bio && artisan.bio !== artisan.shop_description && <p>{artisan.bio}</p>}
+          </section>
+        )}
+
+        {/* Estadísticas de la tienda */}
+        <section className="stats-section">
+          <div className="stat-card">
+            <span className="stat-number">{products.length}</span>
+            <span className="stat-label">{products.length === 1 ? 'Product' : 'Products'}</span>
+          </div>
+          <div className="stat-card">
+            <span className="stat-number">
+              {reviewStats?.totalReviews ? reviewStats.averageRating.toFixed(1) : '—'}
+            </span>
+            <ProductRating
+              rating={reviewStats?.averageRating || 0}
+              reviewCount={reviewStats?.totalReviews || 0}
+              showCount={true}
+              size="small"
+            />
+          </div>
+          {reviewStats?.totalReviews > 0 && (
+            <div className="stat-card rating-breakdown">
+              {[5, 4, 3, 2, 1].map(stars => (
+                <div key={stars} className="breakdown-row">
+                  <span className="breakdown-label">{stars}★</span>
+                  <div className="breakdown-bar">
+                    <div
+                      className="breakdown-fill"
+                      style={{ width: `${reviewStats.ratingPercentages[stars]}%` }}
+                    />
+                  </div>
+                  <span className="breakdown-count">{reviewStats.ratingDistribution[stars]}</span>
+                </div>
+              ))}
+            </div>
+          )}
+        </section>
+
+        {/* Productos del artesano */}
+        <section className="products-section">
+          <div className="products-header">
+            <h2 className="section-title">Products by {shopName}</h2>
+            <div className="view-toggle">
+              <button
+                onClick={() => setViewMode('grid')}
+                className={`view-btn ${viewMode === 'grid' ? 'active' : ''}`}
+                title="Grid view"
+              >
+                ⊞
+              </button>
+              <button
+                onClick={() => setViewMode('list')}
+                className={`view-btn ${viewMode === 'list' ? 'active' : ''}`}
+                title="List view"
+              >
+                ☰
+              </button>
+            </div>
+          </div>
+
+          {products.length === 0 ? (
+            <p className="empty-products">This artisan has not listed any products yet.</p>
+          ) : (
+            <ProductGrid products={products} viewMode={viewMode} />
+          )}
+        </section>
+      </main>
+
+      <Footer />
+
+      {/* Modal de contacto */}
+      <ContactSellerModal
+        isOpen={isContactModalOpen}
+        onClose={() => setIsContactModalOpen(false)}
+        seller={artisan}
+        currentUser={user}
+      />
+
+      <style jsx>{`
+        .storefront-page {
+          min-height: 100vh;
+          background: var(--color-background);
+        }
+
+        .breadcrumb {
+          background: var(--color-white);
+          border-bottom: 1px solid var(--color-accent-light);
+          padding: var(--spacing-md) 0;
+        }
+
+        .breadcrumb-nav {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-sm);
+          font-size: var(--text-sm);
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: var(--color-primary);
+          cursor: pointer;
+          text-decoration: underline;
+        }
+
+        .breadcrumb-separator {
+          color: var(--color-muted);
+        }
+
+        .breadcrumb-current {
+          color: var(--color-dark);
+          font-weight: var(--font-medium);
+        }
+
+        .shop-banner {
+          height: 220px;
+          background: linear-gradient(135deg, var(--color-primary), var(--color-secondary));
+          background-size: cover;
+          background-position: center;
+        }
+
+        .shop-header {
+          display: flex;
+          align-items: flex-end;
+          gap: var(--spacing-lg);
+          margin-top: -60px;
+          padding-bottom: var(--spacing-lg);
+          border-bottom: 1px solid var(--color-accent-light);
+        }
+
+        .shop-avatar img,
+        .avatar-placeholder {
+          width: 120px;
+          height: 120px;
+          border-radius: 50%;
+          border: 4px solid var(--color-white);
+          box-shadow: var(--shadow-md);
+          object-fit: cover;
+          background: var(--color-white);
+        }
+
+        .avatar-placeholder {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: var(--text-4xl);
+          font-weight: var(--font-bold);
+          color: var(--color-primary);
+        }
+
+        .shop-info {
+          flex: 1;
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-xs);
+        }
+
+        .shop-title-row {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-md);
+          flex-wrap: wrap;
+        }
+
+        .shop-name {
+          font-family: var(--font-heading);
+          font-size: var(--text-3xl);
+          color: var(--color-dark);
+        }
+
+        .verified-badge {
+          background: rgba(34, 197, 94, 0.1);
+          color: var(--color-success);
+          border-radius: 20px;
+          padding: var(--spacing-xs) var(--spacing-md);
+          font-size: var(--text-sm);
+          font-weight: var(--font-semibold);
+        }
+
+        .shop-owner,
+        .shop-meta {
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .shop-meta {
+          display: flex;
+          gap: var(--spacing-lg);
+        }
+
+        .social-links {
+          display: flex;
+          gap: var(--spacing-md);
+          margin-top: var(--spacing-xs);
+        }
+
+        .social-link {
+          color: var(--color-primary);
+          font-size: var(--text-sm);
+          text-decoration: none;
+        }
+
+        .social-link:hover {
+          text-decoration: underline;
+        }
+
+        .storefront-content {
+          padding-top: var(--spacing-xl);
+          padding-bottom: var(--spacing-3xl);
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-xl);
+        }
+
+        .section-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-2xl);
+          color: var(--color-dark);
+          margin-bottom: var(--spacing-md);
+        }
+
+        .about-section p {
+          color: var(--color-muted);
+          line-height: 1.7;
+          margin-bottom: var(--spacing-sm);
+        }
+
+        .stats-section {
+          display: flex;
+          gap: var(--spacing-lg);
+          flex-wrap: wrap;
+        }
+
+        .stat-card {
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-sm);
+          padding: var(--spacing-lg);
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: var(--spacing-xs);
+          min-width: 160px;
+        }
+
+        .stat-number {
+          font-size: var(--text-3xl);
+          font-weight: var(--font-bold);
+          color: var(--color-primary);
+        }
+
+        .stat-label {
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .rating-breakdown {
+          align-items: stretch;
+          min-width: 260px;
+        }
+
+        .breakdown-row {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-sm);
+          font-size: var(--text-sm);
+        }
+
+        .breakdown-label,
+        .breakdown-count {
+          width: 28px;
+          color: var(--color-muted);
+        }
+
+        .breakdown-bar {
+          flex: 1;
+          height: 8px;
+          background: var(--color-accent-light);
+          border-radius: 4px;
+          overflow: hidden;
+        }
+
+        .breakdown-fill {
+          height: 100%;
+          background: var(--color-warning);
+        }
+
+        .products-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+        }
+
+        .view-toggle {
+          display: flex;
+          gap: 4px;
+        }
+
+        .view-btn {
+          background: var(--color-white);
+          border: 1px solid var(--color-accent);
+          padding: 8px 12px;
+          cursor: pointer;
+          font-size: 1.1rem;
+        }
+
+        .view-btn:first-child {
+          border-radius: 6px 0 0 6px;
+        }
+
+        .view-btn:last-child {
+          border-radius: 0 6px 6px 0;
+        }
+
+        .view-btn.active {
+          background: var(--color-primary);
+          color: var(--color-white);
+          border-color: var(--color-primary);
+        }
+
+        .empty-products {
+          color: var(--color-muted);
+          text-align: center;
+          padding: var(--spacing-2xl) 0;
+        }
+
+        @media (max-width: 768px) {
+          .shop-header {
+            flex-direction: column;
+            align-items: center;
+            text-align: center;
+          }
+
+          .shop-title-row,
+          .shop-meta,
+          .social-links {
+            justify-content: center;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ArtisanStorefront;
@@ -3,7 +3,18 @@
 // Incluye formulario completo con validación y subida de imagen
 
 import React, { useState, useEffect } from 'react';
-import { createProduct, updateProduct, getProductCategories } from '../../services/productService';
+import {
+  createProduct,
+  updateProduct,
+  normalizeTags,
+  PRODUCT_ATTRIBUTES,
+  PRODUCT_SHIPPING_FIELDS,
+  MAX_PRODUCT_TAGS,
+  MAX_TAG_LENGTH
+} from '../../services/productService';
+import { getCategories } from '../../services/categoryService';
+import { getArtisanShippingProfiles } from '../../services/shippingService';
+import { getCategoryOptions } from '../../utils/categories';
 import ProductImageUpload from './ProductImageUpload';
 import { supabase } from '../../lib/supabase';
 
@@ -35,11 +46,18 @@ const ProductFormModal = ({
     title: '',
     description: '',
     price: '',
-    category: '',
+    category_id: '',
     stock: '',
-    image_url: ''
+    image_url: '',
+    tags: [],
+    attributes: getEmptyAttributes(),
+    ...getEmptyShipping(),
+    ...getEmptySale()
   });
 
+  // useState: Texto de la etiqueta que se está escribiendo
+  const [tagInput, setTagInput] = useState('');
+
   // useState: Errores de validación
   const [errors, setErrors] = useState({});
 
@@ -49,9 +67,12 @@ const ProductFormModal = ({
   // useState: Mensaje de éxito/error
   const [message, setMessage] = useState({ type: '', text: '' });
 
-  // useState: Categorías disponibles
+  // useState: Categorías disponibles (árbol aplanado: principales y subcategorías)
   const [categories, setCategories] = useState([]);
 
+  // useState: Perfiles de envío del artesano
+  const [shippingProfiles, setShippingProfiles] = useState([]);
+
   /**
    * useEffect: Cargar categorías al montar el componente
    */
@@ -59,6 +80,15 @@ const ProductFormModal = ({
     loadCategories();
   }, []);
 
+  /**
+   * useEffect: Cargar los perfiles de envío al abrir (pueden cambiar en el dashboard)
+   */
+  useEffect(() => {
+    if (isOpen && currentUser?.id) {
+      getArtisanShippingProfiles(currentUser.id).then(result => setShippingProfiles(result.profiles));
+    }
+  }, [isOpen, currentUser?.id]);
+
   /**
    * useEffect: Cargar datos del producto cuando se abre en modo edición
    * Si existingProduct cambia, actualizar el formulario
@@ -70,9 +100,16 @@ const ProductFormModal = ({
         title: existingProduct.title || '',
         description: existingProduct.description || '',
         price: existingProduct.price?.toString() || '',
-        category: existingProduct.category || '',
+        category_id: existingProduct.category_id || '',
         stock: existingProduct.stock?.toString() || '',
-        image_url: existingProduct.image_url || ''
+        image_url: existingProduct.image_url || '',
+        tags: existingProduct.tags || [],
+        attributes: { ...getEmptyAttributes(), ...existingProduct.attributes },
+        ...Object.fromEntries(PRODUCT_SHIPPING_FIELDS.map(({ key }) => [key, existingProduct[key]?.toString() || ''])),
+        shipping_profile_id: existingProduct.shipping_profile_id || '',
+        compare_at_price: existingProduct.compare_at_price?.toString() || '',
+        sale_starts_at: toDateTimeInput(existingProduct.sale_starts_at),
+        sale_ends_at: toDateTimeInput(existingProduct.sale_ends_at)
       });
     } else if (isOpen && !existingProduct) {
       // Modo nuevo: limpiar formulario
@@ -80,13 +117,18 @@ const ProductFormModal = ({
         title: '',
         description: '',
         price: '',
-        category: '',
+        category_id: '',
         stock: '',
-        image_url: ''
+        image_url: '',
+        tags: [],
+        attributes: getEmptyAttributes(),
+        ...getEmptyShipping(),
+        ...getEmptySale()
       });
     }
     
     // Limpiar mensajes y errores al abrir
+    setTagInput('');
     setMessage({ type: '', text: '' });
     setErrors({});
   }, [isOpen, existingProduct]);
@@ -95,8 +137,8 @@ const ProductFormModal = ({
    * loadCategories: Carga las categorías desde el servicio
    */
   const loadCategories = async () => {
-    const cats = await getProductCategories();
-    setCategories(cats);
+    const result = await getCategories();
+    setCategories(getCategoryOptions(result.categories));
   };
 
   /**
@@ -122,6 +164,73 @@ const ProductFormModal = ({
     }
   };
 
+  /**
+   * handleAttributeChange: Maneja cambios en los campos de atributos (material, color, técnica)
+   * 
+   * @param {Event} e - Evento del input (name = clave del atributo)
+   */
+  const handleAttributeChange = (e) => {
+    const { name, value } = e.target;
+
+    setFormData(prev => ({
+      ...prev,
+      attributes: {
+        ...prev.attributes,
+        [name]: value
+      }
+    }));
+
+    if (errors.attributes) {
+      setErrors(prev => ({ ...prev, attributes: '' }));
+    }
+  };
+
+  /**
+   * addTags: Agrega las etiquetas escritas (se pueden pegar varias separadas por comas)
+   * 
+   * @param {string} text - Texto del campo de etiquetas
+   */
+  const addTags = (text) => {
+    const newTags = normalizeTags(text);
+    if (newTags.length === 0) return;
+
+    setFormData(prev => ({
+      ...prev,
+      tags: normalizeTags([...prev.tags, ...newTags])
+    }));
+    setTagInput('');
+
+    if (errors.tags) {
+      setErrors(prev => ({ ...prev, tags: '' }));
+    }
+  };
+
+  /**
+   * handleTagKeyDown: Enter o coma confirman la etiqueta, Backspace en vacío borra la última
+   * 
+   * @param {KeyboardEvent} e - Evento del teclado
+   */
+  const handleTagKeyDown = (e) => {
+    if (e.key === 'Enter' || e.key === ',') {
+      e.preventDefault();
+      addTags(tagInput);
+    } else if (e.key === 'Backspace' && tagInput === '' && formData.tags.length > 0) {
+      handleRemoveTag(formData.tags[formData.tags.length - 1]);
+    }
+  };
+
+  /**
+   * handleRemoveTag: Quita una etiqueta del producto
+   * 
+   * @param {string} tag - Etiqueta a quitar
+   */
+  const handleRemoveTag = (tag) => {
+    setFormData(prev => ({
+      ...prev,
+      tags: prev.tags.filter(item => item !== tag)
+    }));
+  };
+
   /**
    * handleImageUploaded: Callback cuando se sube una imagen exitosamente
    * Actualiza el campo image_url en formData
@@ -176,9 +285,26 @@ const ProductFormModal = ({
       }
     }
 
-    // Validar categoría
-    if (!formData.category) {
-      newErrors.category = 'Category is required';
+    // Validar oferta (opcional): el precio de comparación es el precio normal, más alto que el de venta
+    if (formData.compare_at_price !== '') {
+      const compareAtNum = parseFloat(formData.compare_at_price);
+      if (isNaN(compareAtNum) || !(compareAtNum > parseFloat(formData.price))) {
+        newErrors.compare_at_price = 'Compare-at price must be higher than the price';
+      }
+    } else if (formData.sale_starts_at || formData.sale_ends_at) {
+      newErrors.compare_at_price = 'Set the regular price to schedule a sale';
+    }
+
+    if (formData.sale_starts_at && formData.sale_ends_at
+        && new Date(formData.sale_ends_at) <= new Date(formData.sale_starts_at)) {
+      newErrors.sale_ends_at = 'The sale must end after it starts';
+    }
+
+    // Validar categoría: debe ser una de la lista
+    if (!formData.category_id) {
+      newErrors.category_id = 'Category is required';
+    } else if (!categories.some(category => category.id === formData.category_id)) {
+      newErrors.category_id = 'Please select a valid category';
     }
 
     // Validar stock
@@ -193,6 +319,22 @@ const ProductFormModal = ({
       }
     }
 
+    // Validar etiquetas y atributos (opcionales)
+    if (formData.tags.length > MAX_PRODUCT_TAGS) {
+      newErrors.tags = `You can add up to ${MAX_PRODUCT_TAGS} tags`;
+    } else if (formData.tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+      newErrors.tags = `Tags must be ${MAX_TAG_LENGTH} characters or less`;
+    }
+
+    if (Object.values(formData.attributes).some(value => value.trim().length > 50)) {
+      newErrors.attributes = 'Attributes must be 50 characters or less';
+    }
+
+    // Validar peso y medidas (opcionales)
+    if (PRODUCT_SHIPPING_FIELDS.some(({ key }) => formData[key] !== '' && !(parseFloat(formData[key]) >= 0))) {
+      newErrors.shipping = 'Weight and dimensions must be 0 or greater';
+    }
+
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
@@ -224,9 +366,11 @@ const handleSubmit = async (e) => {
   console.log('Title:', formData.title);
   console.log('Description:', formData.description?.substring(0, 50) + '...');
   console.log('Price:', formData.price, typeof formData.price);
-  console.log('Category:', formData.category);
+  console.log('Category ID:', formData.category_id);
   console.log('Stock:', formData.stock, typeof formData.stock);
   console.log('Image URL:', formData.image_url || 'Sin imagen');
+  console.log('Tags:', formData.tags);
+  console.log('Attributes:', formData.attributes);
   console.groupEnd();
 
   console.group('👤 2. INFORMACIÓN DEL USUARIO');
@@ -252,9 +396,11 @@ const handleSubmit = async (e) => {
     title: formData.title.trim(),
     description: formData.description.trim(),
     price: parseFloat(formData.price),
-    category: formData.category.trim(),
+    category_id: formData.category_id,
     stock: parseInt(formData.stock),
     image_url: formData.image_url || null,
+    tags: formData.tags,
+    attributes: formData.attributes,
     rating: 0,
     created_at: new Date().toISOString(),
     updated_at: new Date().toISOString()
@@ -268,14 +414,16 @@ const handleSubmit = async (e) => {
     setLoading(true);
     setMessage({ type: '', text: '' });
 
-    console.log('⏳ Llamando a createProduct...');
+    console.log(isEditing ? '⏳ Llamando a updateProduct...' : '⏳ Llamando a createProduct...');
     console.log('Parámetros:', {
       artisanId: currentUser.id,
       productData: formData
     });
 
-    // Llamar al servicio
-    const result = await createProduct(currentUser.id, formData);
+    // Llamar al servicio: actualizar si estamos editando, crear si no
+    const result = isEditing
+      ? await updateProduct(existingProduct.id, currentUser.id, formData)
+      : await createProduct(currentUser.id, formData);
 
     console.group('📨 5. RESPUESTA DEL SERVICIO');
     console.log('Resultado completo:', result);
@@ -447,24 +595,26 @@ const handleSubmit = async (e) => {
 
             {/* Campo: Categoría */}
             <div className="form-group">
-              <label htmlFor="category" className="form-label">
+              <label htmlFor="category_id" className="form-label">
                 Category *
               </label>
               <select
-                id="category"
-                name="category"
-                value={formData.category}
+                id="category_id"
+                name="category_id"
+                value={formData.category_id}
                 onChange={handleChange}
-                className={`form-select ${errors.category ? 'error' : ''}`}
+                className={`form-select ${errors.category_id ? 'error' : ''}`}
                 disabled={loading}
               >
                 <option value="">Select a category...</option>
                 {categories.map(cat => (
-                  <option key={cat} value={cat}>{cat}</option>
+                  <option key={cat.id} value={cat.id}>
+                    {'\u00A0\u00A0'.repeat(cat.depth)}{cat.name}
+                  </option>
                 ))}
               </select>
-              {errors.category && (
-                <span className="error-message">{errors.category}</span>
+              {errors.category_id && (
+                <span className="error-message">{errors.category_id}</span>
               )}
             </div>
 
@@ -544,6 +694,200 @@ const handleSubmit = async (e) => {
                 )}
               </div>
             </div>
+
+            {/* Oferta: precio normal tachado y, opcionalmente, fechas de la oferta */}
+            <div className="form-row sale-row">
+              {/* Campo: Precio de comparación */}
+              <div className="form-group">
+                <label htmlFor="compare_at_price" className="form-label">
+                  Compare-at Price
+                </label>
+                <div className="input-with-prefix">
+                  <span className="input-prefix">$</span>
+                  <input
+                    type="number"
+                    id="compare_at_price"
+                    name="compare_at_price"
+                    value={formData.compare_at_price}
+                    onChange={handleChange}
+                    className={`form-input with-prefix ${errors.compare_at_price ? 'error' : ''}`}
+                    disabled={loading}
+                    placeholder="Regular price"
+                    step="0.01"
+                    min="0"
+                  />
+                </div>
+                {errors.compare_at_price && (
+                  <span className="error-message">{errors.compare_at_price}</span>
+                )}
+              </div>
+
+              {/* Campo: Inicio de la oferta */}
+              <div className="form-group">
+                <label htmlFor="sale_starts_at" className="form-label">
+                  Sale Starts
+                </label>
+                <input
+                  type="datetime-local"
+                  id="sale_starts_at"
+                  name="sale_starts_at"
+                  value={formData.sale_starts_at}
+                  onChange={handleChange}
+                  className="form-input"
+                  disabled={loading}
+                />
+              </div>
+
+              {/* Campo: Fin de la oferta */}
+              <div className="form-group">
+                <label htmlFor="sale_ends_at" className="form-label">
+                  Sale Ends
+                </label>
+                <input
+                  type="datetime-local"
+                  id="sale_ends_at"
+                  name="sale_ends_at"
+                  value={formData.sale_ends_at}
+                  onChange={handleChange}
+                  className={`form-input ${errors.sale_ends_at ? 'error' : ''}`}
+                  disabled={loading}
+                />
+                {errors.sale_ends_at && (
+                  <span className="error-message">{errors.sale_ends_at}</span>
+                )}
+              </div>
+            </div>
+            <span className="form-hint">
+              With a compare-at price the product shows as on sale, with that price struck through.
+              Outside the sale dates it sells at the compare-at price.
+            </span>
+          </div>
+
+          {/* Sección: Detalles y etiquetas (opcionales, se usan en los filtros del catálogo) */}
+          <div className="form-section">
+            <h3 className="section-title">Details & Tags</h3>
+
+            <div className="form-row attributes-row">
+              {PRODUCT_ATTRIBUTES.map(attribute => (
+                <div key={attribute.key} className="form-group">
+                  <label htmlFor={`attribute-${attribute.key}`} className="form-label">
+                    {attribute.label}
+                  </label>
+                  <input
+                    type="text"
+                    id={`attribute-${attribute.key}`}
+                    name={attribute.key}
+                    value={formData.attributes[attribute.key]}
+                    onChange={handleAttributeChange}
+                    className={`form-input ${errors.attributes ? 'error' : ''}`}
+                    disabled={loading}
+                    placeholder={ATTRIBUTE_PLACEHOLDERS[attribute.key]}
+                    maxLength="50"
+                  />
+                </div>
+              ))}
+            </div>
+            {errors.attributes && (
+              <span className="error-message">{errors.attributes}</span>
+            )}
+
+            {/* Campo: Etiquetas */}
+            <div className="form-group">
+              <label htmlFor="tag-input" className="form-label">
+                Tags
+                <span className="char-count">
+                  {formData.tags.length}/{MAX_PRODUCT_TAGS}
+                </span>
+              </label>
+              <div className={`tag-editor ${errors.tags ? 'error' : ''}`}>
+                {formData.tags.map(tag => (
+                  <span key={tag} className="tag-chip">
+                    #{tag}
+                    <button
+                      type="button"
+                      onClick={() => handleRemoveTag(tag)}
+                      className="tag-remove"
+                      disabled={loading}
+                      aria-label={`Remove tag ${tag}`}
+                    >
+                      ×
+                    </button>
+                  </span>
+                ))}
+                <input
+                  type="text"
+                  id="tag-input"
+                  value={tagInput}
+                  onChange={(e) => setTagInput(e.target.value)}
+                  onKeyDown={handleTagKeyDown}
+                  onBlur={() => addTags(tagInput)}
+                  className="tag-input"
+                  disabled={loading || formData.tags.length >= MAX_PRODUCT_TAGS}
+                  placeholder={formData.tags.length === 0 ? 'e.g. gift, rustic, minimalist' : ''}
+                  maxLength={MAX_TAG_LENGTH}
+                />
+              </div>
+              <span className="form-hint">Press Enter or comma to add a tag</span>
+              {errors.tags && (
+                <span className="error-message">{errors.tags}</span>
+              )}
+            </div>
+          </div>
+
+          {/* Sección: Envío (peso y medidas para las tarifas por peso) */}
+          <div className="form-section">
+            <h3 className="section-title">Shipping</h3>
+
+            <div className="form-row shipping-row">
+              {PRODUCT_SHIPPING_FIELDS.map(field => (
+                <div key={field.key} className="form-group">
+                  <label htmlFor={field.key} className="form-label">
+                    {field.label}
+                  </label>
+                  <input
+                    type="number"
+                    id={field.key}
+                    name={field.key}
+                    value={formData[field.key]}
+                    onChange={handleChange}
+                    className={`form-input ${errors.shipping ? 'error' : ''}`}
+                    disabled={loading}
+                    min="0"
+                    step={field.integer ? '1' : '0.1'}
+                  />
+                </div>
+              ))}
+            </div>
+            {errors.shipping && (
+              <span className="error-message">{errors.shipping}</span>
+            )}
+
+            {/* Campo: Perfil de envío */}
+            <div className="form-group">
+              <label htmlFor="shipping_profile_id" className="form-label">
+                Shipping Profile
+              </label>
+              <select
+                id="shipping_profile_id"
+                name="shipping_profile_id"
+                value={formData.shipping_profile_id}
+                onChange={handleChange}
+                className="form-select"
+                disabled={loading}
+              >
+                <option value="">
+                  {shippingProfiles.some(profile => profile.is_default)
+                    ? 'Use my default profile'
+                    : 'Marketplace standard rate'}
+                </option>
+                {shippingProfiles.map(profile => (
+                  <option key={profile.id} value={profile.id}>
+                    {profile.name}{profile.is_default ? ' (default)' : ''}
+                  </option>
+                ))}
+              </select>
+              <span className="form-hint">Manage shipping profiles from your dashboard</span>
+            </div>
           </div>
 
           {/* Botones de acción */}
@@ -784,6 +1128,79 @@ const handleSubmit = async (e) => {
           padding-left: calc(var(--spacing-md) + 20px);
         }
 
+        .attributes-row {
+          grid-template-columns: repeat(3, 1fr);
+        }
+
+        .shipping-row {
+          grid-template-columns: repeat(4, 1fr);
+        }
+
+        .sale-row {
+          grid-template-columns: repeat(3, 1fr);
+        }
+
+        .tag-editor {
+          display: flex;
+          flex-wrap: wrap;
+          align-items: center;
+          gap: var(--spacing-sm);
+          padding: var(--spacing-sm);
+          border: 2px solid var(--color-accent);
+          border-radius: var(--radius-md);
+          background: var(--color-background);
+          transition: border-color 0.3s ease;
+        }
+
+        .tag-editor:focus-within {
+          border-color: var(--color-primary);
+          background: var(--color-white);
+        }
+
+        .tag-editor.error {
+          border-color: var(--color-error);
+        }
+
+        .tag-chip {
+          display: inline-flex;
+          align-items: center;
+          gap: var(--spacing-xs);
+          background: var(--color-primary);
+          color: var(--color-white);
+          border-radius: 20px;
+          padding: 2px var(--spacing-sm);
+          font-size: var(--text-sm);
+        }
+
+        .tag-remove {
+          background: none;
+          border: none;
+          color: inherit;
+          cursor: pointer;
+          font-size: var(--text-base);
+          line-height: 1;
+          padding: 0;
+        }
+
+        .tag-input {
+          flex: 1;
+          min-width: 120px;
+          border: none;
+          background: transparent;
+          font-family: var(--font-body);
+          font-size: var(--text-base);
+          padding: var(--spacing-xs);
+        }
+
+        .tag-input:focus {
+          outline: none;
+        }
+
+        .form-hint {
+          font-size: var(--text-xs);
+          color: var(--color-muted);
+        }
+
         .error-message {
           color: var(--color-error);
           font-size: var(--text-sm);
@@ -811,7 +1228,10 @@ const handleSubmit = async (e) => {
             border-radius: 0;
           }
 
-          .form-row {
+          .form-row,
+          .attributes-row,
+          .shipping-row,
+          .sale-row {
             grid-template-columns: 1fr;
           }
 
@@ -828,4 +1248,36 @@ const handleSubmit = async (e) => {
   );
 };
 
+// Ejemplos para los campos de atributos
+const ATTRIBUTE_PLACEHOLDERS = {
+  material: 'e.g. stoneware',
+  color: 'e.g. blue',
+  technique: 'e.g. hand-thrown'
+};
+
+// getEmptyAttributes: Atributos del formulario vacíos (uno por cada PRODUCT_ATTRIBUTES)
+const getEmptyAttributes = () => (
+  Object.fromEntries(PRODUCT_ATTRIBUTES.map(({ key }) => [key, '']))
+);
+
+// getEmptySale: Precio de comparación y fechas de la oferta del formulario vacíos
+const getEmptySale = () => ({
+  compare_at_price: '',
+  sale_starts_at: '',
+  sale_ends_at: ''
+});
+
+// toDateTimeInput: Fecha guardada (ISO) al formato de un input datetime-local en la hora local
+const toDateTimeInput = (value) => {
+  if (!value) return '';
+  const date = new Date(value);
+  return new Date(date.getTime() - date.getTimezoneOffset() * 60000).toISOString().slice(0, 16);
+};
+
+// getEmptyShipping: Peso, medidas y perfil de envío del formulario vacíos
+const getEmptyShipping = () => ({
+  ...Object.fromEntries(PRODUCT_SHIPPING_FIELDS.map(({ key }) => [key, ''])),
+  shipping_profile_id: ''
+});
+
 export default ProductFormModal;
\ No newline at end of file
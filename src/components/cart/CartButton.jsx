@@ -0,0 +1,50 @@
+// src/components/cart/CartButton.jsx
+// Botón del carrito para los encabezados: muestra la cantidad de unidades y abre el drawer
+
+'use client';
+
+import React from 'react';
+import { useCart } from '../../hooks/useCart';
+
+/**
+ * CartButton: Abre el drawer del carrito
+ *
+ * @param {string} className - Clases extra para el botón (ej: "btn btn-secondary btn-small")
+ */
+const CartButton = ({ className = 'btn btn-secondary btn-small' }) => {
+  const { itemCount, openCart } = useCart();
+
+  return (
+    <button
+      type="button"
+      onClick={openCart}
+      className={`cart-button ${className}`}
+      aria-label={`Open cart (${itemCount} ${itemCount === 1 ? 'item' : 'items'})`}
+    >
+      🛒 Cart
+      {itemCount > 0 && <span className="cart-count">{itemCount}</span>}
+
+      <style jsx>{`
+        .cart-button {
+          display: inline-flex;
+          align-items: center;
+          gap: var(--spacing-xs);
+        }
+
+        .cart-count {
+          min-width: 20px;
+          padding: 0 6px;
+          border-radius: 10px;
+          background: var(--color-primary);
+          color: var(--color-white);
+          font-size: var(--text-xs);
+          font-weight: var(--font-bold);
+          line-height: 20px;
+          text-align: center;
+        }
+      `}</style>
+    </button>
+  );
+};
+
+export default CartButton;
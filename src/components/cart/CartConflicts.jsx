@@ -0,0 +1,81 @@
+// src/components/cart/CartConflicts.jsx
+// Avisos de cambios en el carrito: productos agotados, cantidades reducidas o precios nuevos
+// (aparecen al fusionar el carrito de invitado con la cuenta o al volver a la tienda)
+
+'use client';
+
+import React from 'react';
+import { useCart } from '../../hooks/useCart';
+
+/**
+ * CartConflicts: Lista de cambios del carrito que el comprador debe revisar
+ */
+const CartConflicts = () => {
+  const { conflicts, dismissConflicts } = useCart();
+
+  if (conflicts.length === 0) {
+    return null;
+  }
+
+  return (
+    <div className="cart-conflicts" role="status">
+      <div className="conflicts-header">
+        <strong>Your cart was updated</strong>
+        <button type="button" onClick={dismissConflicts} className="dismiss-button">
+          Dismiss
+        </button>
+      </div>
+      <ul>
+        {conflicts.map(conflict => (
+          <li key={`${conflict.product_id}-${conflict.type}`} className={`conflict ${conflict.type}`}>
+            {conflict.message}
+          </li>
+        ))}
+      </ul>
+
+      <style jsx>{`
+        .cart-conflicts {
+          padding: var(--spacing-sm) var(--spacing-md);
+          border-left: 4px solid var(--color-warning);
+          border-radius: var(--radius-sm);
+          background: rgba(245, 158, 11, 0.1);
+          color: var(--color-dark);
+          font-size: var(--text-sm);
+        }
+
+        .conflicts-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: var(--spacing-md);
+          margin-bottom: var(--spacing-xs);
+        }
+
+        .dismiss-button {
+          background: none;
+          border: none;
+          color: var(--color-muted);
+          cursor: pointer;
+          font-size: var(--text-xs);
+          text-decoration: underline;
+        }
+
+        ul {
+          margin: 0;
+          padding-left: var(--spacing-lg);
+        }
+
+        .conflict + .conflict {
+          margin-top: var(--spacing-xs);
+        }
+
+        .conflict.sold-out,
+        .conflict.unavailable {
+          color: var(--color-error);
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default CartConflicts;
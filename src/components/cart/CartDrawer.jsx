@@ -0,0 +1,248 @@
+// src/components/cart/CartDrawer.jsx
+// Panel lateral del carrito: se abre al agregar un producto o desde el botón del encabezado
+
+'use client';
+
+import React, { useEffect } from 'react';
+import Link from 'next/link';
+import { useCart } from '../../hooks/useCart';
+import { formatPrice } from '../../utils/formatPrice';
+import CartLineItem from './CartLineItem';
+import CartConflicts from './CartConflicts';
+
+/**
+ * CartDrawer: Carrito en un panel lateral (montado una sola vez en app/layout.tsx)
+ */
+const CartDrawer = () => {
+  const {
+    items,
+    loading,
+    error,
+    notice,
+    isDrawerOpen,
+    closeCart,
+    itemCount,
+    subtotal,
+    isEmpty
+  } = useCart();
+
+  // useEffect: Cerrar con la tecla Escape
+  useEffect(() => {
+    if (!isDrawerOpen) {
+      return;
+    }
+
+    const handleKeyDown = (e) => {
+      if (e.key === 'Escape') {
+        closeCart();
+      }
+    };
+
+    document.addEventListener('keydown', handleKeyDown);
+    return () => document.removeEventListener('keydown', handleKeyDown);
+  }, [isDrawerOpen, closeCart]);
+
+  if (!isDrawerOpen) {
+    return null;
+  }
+
+  return (
+    <div className="cart-overlay" onClick={closeCart}>
+      <aside
+        className="cart-drawer"
+        role="dialog"
+        aria-modal="true"
+        aria-label="Shopping cart"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <header className="drawer-header">
+          <h2 className="drawer-title">
+            Your Cart {itemCount > 0 && <span className="drawer-count">({itemCount})</span>}
+          </h2>
+          <button type="button" className="close-button" onClick={closeCart} aria-label="Close cart">
+            ✕
+          </button>
+        </header>
+
+        {notice && <p className="cart-notice">{notice}</p>}
+        {error && <p className="cart-error">{error}</p>}
+
+        <div className="drawer-conflicts">
+          <CartConflicts />
+        </div>
+
+        <div className="drawer-body">
+          {loading ? (
+            <p className="cart-empty">Loading your cart...</p>
+          ) : isEmpty ? (
+            <div className="cart-empty">
+              <p>Your cart is empty.</p>
+              <button type="button" className="btn btn-secondary" onClick={closeCart}>
+                Continue Shopping
+              </button>
+            </div>
+          ) : (
+            <ul className="drawer-lines">
+              {items.map(item => (
+                <CartLineItem
+                  key={item.product_id}
+                  item={item}
+                  compact
+                  onNavigate={closeCart}
+                />
+              ))}
+            </ul>
+          )}
+        </div>
+
+        {!isEmpty && (
+          <footer className="drawer-footer">
+            <div className="subtotal-row">
+              <span>Subtotal</span>
+              <span className="subtotal-amount">{formatPrice(subtotal)}</span>
+            </div>
+            <p className="subtotal-note">Shipping and taxes are calculated at checkout.</p>
+            <Link href="/checkout" className="btn btn-primary drawer-link" onClick={closeCart}>
+              Checkout
+            </Link>
+            <Link href="/cart" className="btn btn-secondary drawer-link" onClick={closeCart}>
+              View Cart
+            </Link>
+          </footer>
+        )}
+      </aside>
+
+      <style jsx>{`
+        .cart-overlay {
+          position: fixed;
+          inset: 0;
+          z-index: 1000;
+          display: flex;
+          justify-content: flex-end;
+          background: rgba(0, 0, 0, 0.4);
+        }
+
+        .cart-drawer {
+          display: flex;
+          flex-direction: column;
+          width: 100%;
+          max-width: 420px;
+          height: 100%;
+          background: var(--color-white);
+          box-shadow: var(--shadow-xl);
+          animation: slide-in 0.25s ease;
+        }
+
+        @keyframes slide-in {
+          from {
+            transform: translateX(100%);
+          }
+          to {
+            transform: translateX(0);
+          }
+        }
+
+        .drawer-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          padding: var(--spacing-lg);
+          border-bottom: 1px solid var(--color-accent-light);
+        }
+
+        .drawer-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-xl);
+          color: var(--color-dark);
+          margin: 0;
+        }
+
+        .drawer-count {
+          color: var(--color-muted);
+          font-size: var(--text-base);
+          font-weight: var(--font-normal);
+        }
+
+        .close-button {
+          background: none;
+          border: none;
+          font-size: var(--text-lg);
+          color: var(--color-muted);
+          cursor: pointer;
+        }
+
+        .cart-notice,
+        .cart-error {
+          margin: var(--spacing-md) var(--spacing-lg) 0;
+          padding: var(--spacing-sm) var(--spacing-md);
+          border-radius: var(--radius-sm);
+          font-size: var(--text-sm);
+        }
+
+        .cart-notice {
+          background: rgba(245, 158, 11, 0.1);
+          color: var(--color-dark);
+        }
+
+        .cart-error {
+          background: rgba(239, 68, 68, 0.1);
+          color: var(--color-error);
+        }
+
+        .drawer-conflicts:not(:empty) {
+          margin: var(--spacing-md) var(--spacing-lg) 0;
+        }
+
+        .drawer-body {
+          flex: 1;
+          overflow-y: auto;
+          padding: 0 var(--spacing-lg);
+        }
+
+        .drawer-lines {
+          margin: 0;
+          padding: 0;
+        }
+
+        .cart-empty {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: var(--spacing-md);
+          padding: var(--spacing-3xl) 0;
+          color: var(--color-muted);
+          text-align: center;
+        }
+
+        .drawer-footer {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-sm);
+          padding: var(--spacing-lg);
+          border-top: 1px solid var(--color-accent-light);
+        }
+
+        .subtotal-row {
+          display: flex;
+          justify-content: space-between;
+          font-size: var(--text-lg);
+          font-weight: var(--font-semibold);
+          color: var(--color-dark);
+        }
+
+        .subtotal-note {
+          margin: 0 0 var(--spacing-sm);
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .drawer-footer :global(.drawer-link) {
+          text-align: center;
+          text-decoration: none;
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default CartDrawer;
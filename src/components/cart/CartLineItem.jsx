@@ -0,0 +1,239 @@
+// src/components/cart/CartLineItem.jsx
+// Línea del carrito: producto, selector de cantidad (limitado por stock) y total de la línea
+
+'use client';
+
+import React from 'react';
+import Link from 'next/link';
+import { useCart } from '../../hooks/useCart';
+import { formatPrice } from '../../utils/formatPrice';
+import { getLineTotal, getMaxQuantity } from '../../utils/cart';
+import { getPriceTaxOptions, EMPTY_TAX_TABLES } from '../../utils/tax';
+
+/**
+ * CartLineItem: Una línea del carrito
+ *
+ * @param {Object} item - Línea {product_id, quantity, product}
+ * @param {boolean} compact - Versión reducida para el drawer
+ * @param {Function} onNavigate - Callback al abrir el producto (ej: cerrar el drawer)
+ * @param {string} taxCountry - País de entrega: si sus precios incluyen el impuesto, se muestran con él (opcional)
+ * @param {Object} taxTables - Tasas de impuestos (ver useTaxTables; necesarias con taxCountry)
+ */
+const CartLineItem = ({ item, compact = false, onNavigate, taxCountry = null, taxTables = EMPTY_TAX_TABLES }) => {
+  const { updateQuantity, removeFromCart } = useCart();
+  const { product, quantity } = item;
+  const maxQuantity = getMaxQuantity(product);
+  const isSoldOut = maxQuantity === 0;
+  const taxOptions = taxCountry ? getPriceTaxOptions(taxTables, product, taxCountry) : {};
+
+  return (
+    <li className={`cart-line ${compact ? 'compact' : ''} ${isSoldOut ? 'sold-out' : ''}`}>
+      <Link href={`/product/${product.id}`} className="line-image" onClick={onNavigate}>
+        {product.image_url ? (
+          <img src={product.image_url} alt={product.title} />
+        ) : (
+          <span className="image-placeholder">🎨</span>
+        )}
+      </Link>
+
+      <div className="line-details">
+        <Link href={`/product/${product.id}`} className="line-title" onClick={onNavigate}>
+          {product.title}
+        </Link>
+        <span className="line-unit-price">{formatPrice(Number(product.price), taxOptions)} each</span>
+
+        {isSoldOut ? (
+          <span className="line-stock sold-out-label">Sold out — remove to continue</span>
+        ) : quantity >= maxQuantity ? (
+          <span className="line-stock">Only {maxQuantity} available</span>
+        ) : null}
+
+        <div className="line-actions">
+          <div className="quantity-selector" aria-label={`Quantity of ${product.title}`}>
+            <button
+              type="button"
+              onClick={() => updateQuantity(product.id, quantity - 1)}
+              disabled={isSoldOut}
+              aria-label="Decrease quantity"
+            >
+              −
+            </button>
+            <input
+              type="number"
+              min="1"
+              max={maxQuantity}
+              value={quantity}
+              disabled={isSoldOut}
+              onChange={(e) => {
+                const value = parseInt(e.target.value, 10);
+                if (!Number.isNaN(value)) {
+                  updateQuantity(product.id, value);
+                }
+              }}
+              aria-label="Quantity"
+            />
+            <button
+              type="button"
+              onClick={() => updateQuantity(product.id, quantity + 1)}
+              disabled={isSoldOut || quantity >= maxQuantity}
+              aria-label="Increase quantity"
+            >
+              +
+            </button>
+          </div>
+
+          <button
+            type="button"
+            className="remove-button"
+            onClick={() => removeFromCart(product.id)}
+          >
+            Remove
+          </button>
+        </div>
+      </div>
+
+      <span className="line-total">
+        {formatPrice(getLineTotal(item), taxOptions)}
+      </span>
+
+      <style jsx>{`
+        .cart-line {
+          display: grid;
+          grid-template-columns: 96px 1fr auto;
+          gap: var(--spacing-md);
+          align-items: start;
+          padding: var(--spacing-md) 0;
+          border-bottom: 1px solid var(--color-accent-light);
+          list-style: none;
+        }
+
+        .cart-line.compact {
+          grid-template-columns: 64px 1fr auto;
+          gap: var(--spacing-sm);
+        }
+
+        .cart-line.sold-out .line-total {
+          color: var(--color-muted);
+          text-decoration: line-through;
+        }
+
+        .cart-line :global(.line-image) {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          aspect-ratio: 1;
+          border-radius: var(--radius-md);
+          background: var(--color-background);
+          overflow: hidden;
+        }
+
+        .cart-line :global(.line-image img) {
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+        }
+
+        .image-placeholder {
+          font-size: var(--text-2xl);
+        }
+
+        .line-details {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-xs);
+          min-width: 0;
+        }
+
+        .cart-line :global(.line-title) {
+          color: var(--color-dark);
+          font-weight: var(--font-semibold);
+          text-decoration: none;
+        }
+
+        .cart-line :global(.line-title:hover) {
+          color: var(--color-primary);
+        }
+
+        .line-unit-price {
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .line-stock {
+          color: var(--color-warning);
+          font-size: var(--text-xs);
+          font-weight: var(--font-medium);
+        }
+
+        .sold-out-label {
+          color: var(--color-error);
+        }
+
+        .line-actions {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-md);
+          margin-top: var(--spacing-xs);
+        }
+
+        .quantity-selector {
+          display: flex;
+          align-items: center;
+          border: 1px solid var(--color-accent-light);
+          border-radius: var(--radius-sm);
+          overflow: hidden;
+        }
+
+        .quantity-selector button {
+          width: 32px;
+          height: 32px;
+          border: none;
+          background: var(--color-background);
+          cursor: pointer;
+          font-size: var(--text-base);
+        }
+
+        .quantity-selector button:disabled {
+          cursor: not-allowed;
+          opacity: 0.4;
+        }
+
+        .quantity-selector input {
+          width: 44px;
+          height: 32px;
+          border: none;
+          text-align: center;
+          font-size: var(--text-sm);
+          -moz-appearance: textfield;
+        }
+
+        .quantity-selector input::-webkit-outer-spin-button,
+        .quantity-selector input::-webkit-inner-spin-button {
+          -webkit-appearance: none;
+          margin: 0;
+        }
+
+        .remove-button {
+          background: none;
+          border: none;
+          color: var(--color-muted);
+          cursor: pointer;
+          font-size: var(--text-sm);
+          text-decoration: underline;
+        }
+
+        .remove-button:hover {
+          color: var(--color-error);
+        }
+
+        .line-total {
+          font-weight: var(--font-semibold);
+          color: var(--color-dark);
+          white-space: nowrap;
+        }
+      `}</style>
+    </li>
+  );
+};
+
+export default CartLineItem;
@@ -0,0 +1,376 @@
+// src/components/cart/CartPage.jsx
+// Página completa del carrito: líneas con cantidades, resumen, subtotal y envío estimado
+
+'use client';
+
+import React, { useState } from 'react';
+import { useRouter } from 'next/navigation';
+import { useCart } from '../../hooks/useCart';
+import { useShippingRates } from '../../hooks/useShippingRates';
+import { useTaxTables } from '../../hooks/useTaxTables';
+import { formatPrice } from '../../utils/formatPrice';
+import { isItemAvailable } from '../../utils/cart';
+import { calculateTax } from '../../utils/tax';
+import {
+  COUNTRY_OPTIONS,
+  EMPTY_ADDRESS,
+  splitIntoShipments,
+  quoteShipments
+} from '../../utils/checkout';
+import CartLineItem from './CartLineItem';
+import CartConflicts from './CartConflicts';
+import { LoadingSpinner } from '../UtilityComponents';
+import Footer from '../ui/Footer';
+
+/**
+ * CartPage: Carrito con todas sus líneas y el resumen del pedido
+ */
+const CartPage = () => {
+  const router = useRouter();
+  const {
+    items,
+    loading,
+    error,
+    notice,
+    itemCount,
+    subtotal,
+    isEmpty,
+    clearCart
+  } = useCart();
+
+  // País para estimar el envío (en el checkout se usa el de la dirección)
+  const [country, setCountry] = useState(EMPTY_ADDRESS.country);
+
+  // Líneas que no se pueden comprar (producto agotado desde que se agregó)
+  const availableItems = items.filter(isItemAvailable);
+  const unavailableCount = items.length - availableItems.length;
+
+  // Envío estimado: la entrega a domicilio de cada artesano hacia el país elegido
+  const { profilesByArtisan, loading: ratesLoading } = useShippingRates(availableItems);
+  const shipments = quoteShipments(splitIntoShipments(availableItems), profilesByArtisan, country);
+  const delivery = shipments.map(shipment => shipment.options.find(option => option.method === 'delivery'));
+  const deliversEverything = delivery.every(Boolean);
+  const estimatedShipping = delivery.reduce((sum, option) => sum + (option?.cost || 0), 0);
+
+  // Impuestos estimados: sin la dirección solo se conocen los que no dependen del estado o provincia
+  // (y ninguno hasta que se cargan las tasas)
+  const { tables: taxTables, loading: taxLoading, error: taxError } = useTaxTables();
+  const tax = calculateTax(taxTables, availableItems, country);
+  const taxKnown = tax.complete && !taxLoading && !taxError;
+  const taxInclusive = tax.display === 'inclusive';
+  const estimatedTax = taxKnown ? tax.total : 0;
+
+  /**
+   * handleClearCart: Vacía el carrito después de confirmar
+   */
+  const handleClearCart = () => {
+    if (window.confirm('Remove every item from your cart?')) {
+      clearCart();
+    }
+  };
+
+  return (
+    <div className="cart-page">
+      {/* Breadcrumb */}
+      <div className="breadcrumb">
+        <div className="container">
+          <nav className="breadcrumb-nav">
+            <button onClick={() => router.push('/')} className="breadcrumb-link">
+              Home
+            </button>
+            <span className="breadcrumb-separator">›</span>
+            <span className="breadcrumb-current">Cart</span>
+          </nav>
+        </div>
+      </div>
+
+      <main className="container cart-content">
+        <h1 className="cart-title">Your Cart</h1>
+
+        {notice && <p className="cart-notice">{notice}</p>}
+        {error && <p className="cart-error">{error}</p>}
+
+        <div className="page-conflicts">
+          <CartConflicts />
+        </div>
+
+        {loading ? (
+          <LoadingSpinner message="Loading your cart..." />
+        ) : isEmpty ? (
+          <div className="cart-empty">
+            <p>Your cart is empty.</p>
+            <button onClick={() => router.push('/')} className="btn btn-primary">
+              Browse Products
+            </button>
+          </div>
+        ) : (
+          <div className="cart-layout">
+            <section className="cart-lines" aria-label="Cart items">
+              <ul>
+                {items.map(item => (
+                  <CartLineItem key={item.product_id} item={item} taxCountry={country} taxTables={taxTables} />
+                ))}
+              </ul>
+
+              <button type="button" onClick={handleClearCart} className="clear-button">
+                Clear cart
+              </button>
+            </section>
+
+            <aside className="cart-summary">
+              <h2 className="summary-title">Order Summary</h2>
+              <div className="summary-row">
+                <span>Items</span>
+                <span>{itemCount}</span>
+              </div>
+              <div className="summary-row">
+                <span>Subtotal</span>
+                <span>{formatPrice(taxInclusive ? subtotal + estimatedTax : subtotal)}</span>
+              </div>
+              <div className="summary-row">
+                <label htmlFor="shipping-country">Ship to</label>
+                <select
+                  id="shipping-country"
+                  value={country}
+                  onChange={(e) => setCountry(e.target.value)}
+                  className="country-select"
+                >
+                  {COUNTRY_OPTIONS.map(option => (
+                    <option key={option.code} value={option.code}>{option.name}</option>
+                  ))}
+                </select>
+              </div>
+              <div className="summary-row">
+                <span>Estimated shipping</span>
+                <span>
+                  {ratesLoading
+                    ? '…'
+                    : estimatedShipping === 0 ? 'Free' : formatPrice(estimatedShipping)}
+                </span>
+              </div>
+              {taxKnown && !taxInclusive && (
+                <div className="summary-row">
+                  <span>Estimated {tax.label}</span>
+                  <span>{formatPrice(estimatedTax)}</span>
+                </div>
+              )}
+              <div className="summary-row summary-total">
+                <span>Estimated total</span>
+                <span>{formatPrice(subtotal + estimatedTax + (ratesLoading ? 0 : estimatedShipping))}</span>
+              </div>
+              <p className="summary-note">
+                {shipments.length > 1 && `Ships in ${shipments.length} packages, one per artisan. `}
+                {!taxKnown
+                  ? `${tax.label} is calculated at checkout.`
+                  : taxInclusive && estimatedTax > 0 && `Prices include ${tax.label} of ${formatPrice(estimatedTax)}.`}
+              </p>
+
+              {!ratesLoading && !deliversEverything && (
+                <p className="summary-warning">
+                  Some artisans don&apos;t deliver to this country. Their pieces aren&apos;t included in
+                  the estimate; local pickup may be available at checkout.
+                </p>
+              )}
+
+              {unavailableCount > 0 && (
+                <p className="summary-warning">
+                  {unavailableCount === 1
+                    ? '1 item is sold out and is not included in the subtotal.'
+                    : `${unavailableCount} items are sold out and are not included in the subtotal.`}
+                </p>
+              )}
+
+              <button
+                onClick={() => router.push('/checkout')}
+                className="btn btn-primary"
+                disabled={subtotal === 0}
+              >
+                Checkout
+              </button>
+              <button onClick={() => router.push('/')} className="btn btn-secondary">
+                Continue Shopping
+              </button>
+            </aside>
+          </div>
+        )}
+      </main>
+
+      <Footer />
+
+      <style jsx>{`
+        .cart-page {
+          min-height: 100vh;
+          background: var(--color-background);
+        }
+
+        .breadcrumb {
+          background: var(--color-white);
+          border-bottom: 1px solid var(--color-accent-light);
+          padding: var(--spacing-md) 0;
+        }
+
+        .breadcrumb-nav {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-sm);
+          font-size: var(--text-sm);
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: var(--color-primary);
+          cursor: pointer;
+          text-decoration: underline;
+        }
+
+        .breadcrumb-separator {
+          color: var(--color-muted);
+        }
+
+        .breadcrumb-current {
+          color: var(--color-dark);
+          font-weight: var(--font-medium);
+        }
+
+        .cart-content {
+          padding-top: var(--spacing-2xl);
+          padding-bottom: var(--spacing-3xl);
+        }
+
+        .cart-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-3xl);
+          color: var(--color-dark);
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .cart-notice,
+        .cart-error {
+          padding: var(--spacing-sm) var(--spacing-md);
+          border-radius: var(--radius-sm);
+          margin-bottom: var(--spacing-lg);
+          font-size: var(--text-sm);
+        }
+
+        .cart-notice {
+          background: rgba(245, 158, 11, 0.1);
+          color: var(--color-dark);
+        }
+
+        .cart-error {
+          background: rgba(239, 68, 68, 0.1);
+          color: var(--color-error);
+        }
+
+        .page-conflicts:not(:empty) {
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .cart-empty {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: var(--spacing-lg);
+          padding: var(--spacing-3xl) 0;
+          color: var(--color-muted);
+          text-align: center;
+        }
+
+        .cart-layout {
+          display: grid;
+          grid-template-columns: 1fr 320px;
+          gap: var(--spacing-2xl);
+          align-items: start;
+        }
+
+        .cart-lines {
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-sm);
+          padding: var(--spacing-md) var(--spacing-lg);
+        }
+
+        .cart-lines ul {
+          margin: 0;
+          padding: 0;
+        }
+
+        .clear-button {
+          margin-top: var(--spacing-md);
+          background: none;
+          border: none;
+          color: var(--color-muted);
+          cursor: pointer;
+          font-size: var(--text-sm);
+          text-decoration: underline;
+        }
+
+        .cart-summary {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-sm);
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-sm);
+          padding: var(--spacing-lg);
+          position: sticky;
+          top: var(--spacing-lg);
+        }
+
+        .summary-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-xl);
+          color: var(--color-dark);
+          margin: 0 0 var(--spacing-sm);
+        }
+
+        .summary-row {
+          display: flex;
+          justify-content: space-between;
+          color: var(--color-dark);
+        }
+
+        .country-select {
+          max-width: 60%;
+          padding: 2px var(--spacing-xs);
+          border: 1px solid var(--color-accent-light);
+          border-radius: var(--radius-sm);
+          font-family: var(--font-body);
+          font-size: var(--text-sm);
+        }
+
+        .summary-total {
+          padding-top: var(--spacing-sm);
+          border-top: 1px solid var(--color-accent-light);
+          font-size: var(--text-lg);
+          font-weight: var(--font-semibold);
+        }
+
+        .summary-note {
+          margin: 0 0 var(--spacing-sm);
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .summary-warning {
+          margin: 0 0 var(--spacing-sm);
+          color: var(--color-error);
+          font-size: var(--text-sm);
+        }
+
+        @media (max-width: 768px) {
+          .cart-layout {
+            grid-template-columns: 1fr;
+          }
+
+          .cart-summary {
+            position: static;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default CartPage;
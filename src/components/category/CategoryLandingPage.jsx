@@ -0,0 +1,297 @@
+// src/components/category/CategoryLandingPage.jsx
+// Página de aterrizaje de una categoría: encabezado con imagen, descripción y catálogo filtrable
+
+'use client';
+
+import React, { Suspense, useState } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { useProducts } from '../../hooks/useProducts';
+import FilterBar from '../FilterBar';
+import { ProductGrid } from '../product/ProductNavigation';
+import { LoadingSpinner, ErrorMessage, Pagination } from '../UtilityComponents';
+import Footer from '../ui/Footer';
+
+/**
+ * CategoryLandingPage: Encabezado de la categoría y su catálogo
+ *
+ * @param {Object} category - Categoría (opción de getCategoryOptions, con familyNames)
+ * @param {Object|null} parent - Categoría padre (null = categoría principal)
+ * @param {Array} subcategories - Subcategorías directas
+ * @param {string} description - Descripción de la categoría
+ * @param {string|null} heroImage - Imagen del encabezado (null = solo color de fondo)
+ * @param {number} productCount - Total de productos de la categoría
+ */
+const CategoryLandingPage = ({
+  category,
+  parent = null,
+  subcategories = [],
+  description,
+  heroImage,
+  productCount
+}) => {
+  const router = useRouter();
+
+  return (
+    <div className="category-page">
+      {/* Breadcrumb */}
+      <div className="breadcrumb">
+        <div className="container">
+          <nav className="breadcrumb-nav">
+            <button onClick={() => router.push('/')} className="breadcrumb-link">
+              Home
+            </button>
+            <span className="breadcrumb-separator">›</span>
+            {parent && (
+              <>
+                <Link href={`/category/${parent.slug}`} className="breadcrumb-link">
+                  {parent.name}
+                </Link>
+                <span className="breadcrumb-separator">›</span>
+              </>
+            )}
+            <span className="breadcrumb-current">{category.name}</span>
+          </nav>
+        </div>
+      </div>
+
+      {/* Encabezado de la categoría */}
+      <header
+        className={`category-hero ${heroImage ? 'with-image' : ''}`}
+        style={heroImage ? { backgroundImage: `url(${heroImage})` } : undefined}
+      >
+        <div className="container">
+          <div className="hero-content">
+            <h1 className="category-title">{category.name}</h1>
+            <p className="category-description">{description}</p>
+            <span className="category-count">
+              {productCount} {productCount === 1 ? 'product' : 'products'}
+            </span>
+
+            {/* Subcategorías */}
+            {subcategories.length > 0 && (
+              <nav className="subcategories" aria-label="Subcategories">
+                {subcategories.map(subcategory => (
+                  <Link
+                    key={subcategory.id}
+                    href={`/category/${subcategory.slug}`}
+                    className="subcategory-link"
+                  >
+                    {subcategory.name}
+                  </Link>
+                ))}
+              </nav>
+            )}
+          </div>
+        </div>
+      </header>
+
+      {/* Catálogo de la categoría */}
+      {/* Suspense es necesario porque los filtros se leen desde la URL (useSearchParams) */}
+      <main className="container category-content">
+        <Suspense fallback={<LoadingSpinner message="Loading products..." />}>
+          <CategoryCatalog category={category} />
+        </Suspense>
+      </main>
+
+      <Footer />
+
+      <style jsx>{`
+        .category-page {
+          min-height: 100vh;
+          background: var(--color-background);
+        }
+
+        .breadcrumb {
+          background: var(--color-white);
+          border-bottom: 1px solid var(--color-accent-light);
+          padding: var(--spacing-md) 0;
+        }
+
+        .breadcrumb-nav {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-sm);
+          font-size: var(--text-sm);
+        }
+
+        .breadcrumb-nav :global(.breadcrumb-link) {
+          background: none;
+          border: none;
+          color: var(--color-primary);
+          cursor: pointer;
+          text-decoration: underline;
+        }
+
+        .breadcrumb-separator {
+          color: var(--color-muted);
+        }
+
+        .breadcrumb-current {
+          color: var(--color-dark);
+          font-weight: var(--font-medium);
+        }
+
+        .category-hero {
+          position: relative;
+          background-color: var(--color-primary);
+          background-size: cover;
+          background-position: center;
+          color: var(--color-white);
+          padding: var(--spacing-3xl) 0;
+        }
+
+        /* Oscurecer la imagen para que el texto sea legible */
+        .category-hero.with-image::before {
+          content: '';
+          position: absolute;
+          inset: 0;
+          background: linear-gradient(90deg, rgba(44, 62, 80, 0.85), rgba(44, 62, 80, 0.35));
+        }
+
+        .hero-content {
+          position: relative;
+          max-width: 640px;
+        }
+
+        .category-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-4xl);
+          margin-bottom: var(--spacing-md);
+        }
+
+        .category-description {
+          font-size: var(--text-lg);
+          line-height: 1.6;
+          margin-bottom: var(--spacing-lg);
+          opacity: 0.95;
+        }
+
+        .category-count {
+          display: inline-block;
+          background: rgba(255, 255, 255, 0.2);
+          border-radius: 20px;
+          padding: var(--spacing-xs) var(--spacing-md);
+          font-size: var(--text-sm);
+          font-weight: var(--font-semibold);
+        }
+
+        .subcategories {
+          display: flex;
+          flex-wrap: wrap;
+          gap: var(--spacing-sm);
+          margin-top: var(--spacing-lg);
+        }
+
+        .subcategories :global(.subcategory-link) {
+          color: var(--color-white);
+          border: 1px solid rgba(255, 255, 255, 0.6);
+          border-radius: 20px;
+          padding: var(--spacing-xs) var(--spacing-md);
+          font-size: var(--text-sm);
+          text-decoration: none;
+          transition: background 0.3s ease;
+        }
+
+        .subcategories :global(.subcategory-link:hover) {
+          background: rgba(255, 255, 255, 0.2);
+        }
+
+        .category-content {
+          padding-top: var(--spacing-2xl);
+          padding-bottom: var(--spacing-3xl);
+        }
+
+        @media (max-width: 768px) {
+          .category-hero {
+            padding: var(--spacing-2xl) 0;
+          }
+
+          .category-title {
+            font-size: var(--text-3xl);
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+/**
+ * CategoryCatalog: Productos de la categoría con sub-filtros y paginación
+ * Los filtros se sincronizan con la URL igual que en la página principal
+ *
+ * @param {Object} category - Categoría fija del catálogo (incluye sus subcategorías)
+ */
+const CategoryCatalog = ({ category }) => {
+  const {
+    products,
+    loading,
+    error,
+    filters,
+    facets,
+    stats,
+    page,
+    pageSize,
+    totalPages,
+    updateFilter,
+    clearFilters,
+    goToPage,
+    refetch
+  } = useProducts({ syncWithUrl: true, category: category.familyNames });
+
+  const [viewMode, setViewMode] = useState('grid');
+
+  return (
+    <>
+      <FilterBar
+        categories={[]}
+        filters={filters}
+        facets={facets}
+        onFilterChange={updateFilter}
+        onClearFilters={clearFilters}
+        productCount={stats.filteredCount}
+        page={page}
+        pageSize={pageSize}
+        viewMode={viewMode}
+        onViewModeChange={setViewMode}
+        showCategoryFilter={false}
+      />
+
+      {loading ? (
+        <LoadingSpinner message="Loading products..." />
+      ) : error ? (
+        <ErrorMessage message={error} onRetry={refetch} />
+      ) : products.length === 0 ? (
+        <div className="no-products">
+          <p>No products in {category.name} match your current filters.</p>
+          <button onClick={clearFilters} className="btn btn-secondary">
+            Clear All Filters
+          </button>
+        </div>
+      ) : (
+        <>
+          <ProductGrid products={products} viewMode={viewMode} />
+          <Pagination
+            page={page}
+            totalPages={totalPages}
+            onPageChange={goToPage}
+          />
+        </>
+      )}
+
+      <style jsx>{`
+        .no-products {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: var(--spacing-lg);
+          padding: var(--spacing-3xl) 0;
+          color: var(--color-muted);
+          text-align: center;
+        }
+      `}</style>
+    </>
+  );
+};
+
+export default CategoryLandingPage;
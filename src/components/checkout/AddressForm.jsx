@@ -0,0 +1,150 @@
+// src/components/checkout/AddressForm.jsx
+// Paso 1 del checkout: dirección de envío
+
+'use client';
+
+import React from 'react';
+import { COUNTRY_OPTIONS } from '../../utils/checkout';
+
+// Campos de texto del formulario (el país va en un select aparte)
+const ADDRESS_FIELDS = [
+  { name: 'full_name', label: 'Full name', autoComplete: 'name', required: true },
+  { name: 'line1', label: 'Address', autoComplete: 'address-line1', required: true },
+  { name: 'line2', label: 'Apartment, suite, etc. (optional)', autoComplete: 'address-line2' },
+  { name: 'city', label: 'City', autoComplete: 'address-level2', required: true, half: true },
+  { name: 'region', label: 'State / Province', autoComplete: 'address-level1', half: true },
+  { name: 'postal_code', label: 'Postal code', autoComplete: 'postal-code', required: true, half: true },
+  { name: 'phone', label: 'Phone (optional)', autoComplete: 'tel', type: 'tel', half: true }
+];
+
+/**
+ * AddressForm: Formulario de la dirección de envío
+ *
+ * @param {Object} address - Dirección actual (ver EMPTY_ADDRESS)
+ * @param {Object} errors - Errores por campo (validateAddress)
+ * @param {Function} onChange - Callback (field, value)
+ * @param {Function} onSubmit - Callback al continuar
+ */
+const AddressForm = ({ address, errors = {}, onChange, onSubmit }) => {
+  const handleSubmit = (e) => {
+    e.preventDefault();
+    onSubmit();
+  };
+
+  return (
+    <form className="address-form" onSubmit={handleSubmit} noValidate>
+      <h2 className="step-title">Shipping address</h2>
+
+      <div className="form-grid">
+        {ADDRESS_FIELDS.map(field => (
+          <div key={field.name} className={`form-group ${field.half ? 'half' : ''}`}>
+            <label htmlFor={`address-${field.name}`}>
+              {field.label}{field.required && ' *'}
+            </label>
+            <input
+              id={`address-${field.name}`}
+              type={field.type || 'text'}
+              value={address[field.name]}
+              onChange={(e) => onChange(field.name, e.target.value)}
+              autoComplete={field.autoComplete}
+              className={errors[field.name] ? 'error' : ''}
+            />
+            {errors[field.name] && <span className="field-error">{errors[field.name]}</span>}
+          </div>
+        ))}
+
+        <div className="form-group">
+          <label htmlFor="address-country">Country *</label>
+          <select
+            id="address-country"
+            value={address.country}
+            onChange={(e) => onChange('country', e.target.value)}
+            autoComplete="country"
+            className={errors.country ? 'error' : ''}
+          >
+            {COUNTRY_OPTIONS.map(country => (
+              <option key={country.code} value={country.code}>{country.name}</option>
+            ))}
+          </select>
+          {errors.country && <span className="field-error">{errors.country}</span>}
+        </div>
+      </div>
+
+      <div className="step-actions">
+        <button type="submit" className="btn btn-primary">
+          Continue to Shipping
+        </button>
+      </div>
+
+      <style jsx>{`
+        .step-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-xl);
+          color: var(--color-dark);
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .form-grid {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: var(--spacing-md);
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-xs);
+          grid-column: span 2;
+        }
+
+        .form-group.half {
+          grid-column: span 1;
+        }
+
+        label {
+          font-size: var(--text-sm);
+          font-weight: var(--font-medium);
+          color: var(--color-dark);
+        }
+
+        input,
+        select {
+          padding: var(--spacing-sm) var(--spacing-md);
+          border: 1px solid var(--color-accent-light);
+          border-radius: var(--radius-sm);
+          font-size: var(--text-base);
+        }
+
+        input:focus,
+        select:focus {
+          outline: none;
+          border-color: var(--color-primary);
+        }
+
+        input.error,
+        select.error {
+          border-color: var(--color-error);
+        }
+
+        .field-error {
+          color: var(--color-error);
+          font-size: var(--text-xs);
+        }
+
+        .step-actions {
+          display: flex;
+          justify-content: flex-end;
+          margin-top: var(--spacing-xl);
+        }
+
+        @media (max-width: 768px) {
+          .form-group.half {
+            grid-column: span 2;
+          }
+        }
+      `}</style>
+    </form>
+  );
+};
+
+export default AddressForm;
@@ -0,0 +1,742 @@
+// src/components/checkout/CheckoutPage.jsx
+// Checkout en pasos: dirección, envío, revisión y pago
+// Crea el pedido con orderService.createOrder, lo cobra con el proveedor de pagos
+// (ver app/api/payments) y lleva a la confirmación
+
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { useAuthState } from '../../hooks/useAuth';
+import { useCart } from '../../hooks/useCart';
+import { useShippingRates } from '../../hooks/useShippingRates';
+import { useTaxTables } from '../../hooks/useTaxTables';
+import {
+  createOrder,
+  cancelOrder,
+  reserveCheckoutStock,
+  releaseCheckoutStock,
+  startOrderPayment,
+  confirmOrderPayment,
+  SOLD_OUT_DURING_CHECKOUT
+} from '../../services/orderService';
+import { formatPrice } from '../../utils/formatPrice';
+import { isItemAvailable, getCartSubtotal } from '../../utils/cart';
+import { SHIPPING_METHOD_LABELS } from '../../utils/shipping';
+import { calculateTax } from '../../utils/tax';
+import {
+  EMPTY_ADDRESS,
+  RESERVATION_MINUTES,
+  splitIntoShipments,
+  quoteShipments,
+  getShipmentsShippingTotal,
+  getShipmentChoices,
+  getShipmentSellerName,
+  getCountryName,
+  validateAddress
+} from '../../utils/checkout';
+import CheckoutSteps from './CheckoutSteps';
+import AddressForm from './AddressForm';
+import ShippingOptions from './ShippingOptions';
+import CheckoutSummary from './CheckoutSummary';
+import AuthModal from '../auth/AuthModal';
+import { LoadingSpinner } from '../UtilityComponents';
+import Footer from '../ui/Footer';
+
+/**
+ * CheckoutPage: Flujo completo del checkout
+ * Requiere sesión: los pedidos pertenecen a un usuario
+ *
+ * @param {boolean} testPayments - Los pagos usan el proveedor de prueba: se muestran las tarjetas de prueba
+ */
+const CheckoutPage = ({ testPayments = false }) => {
+
+  // ============================================
+  // 1. HOOKS Y ESTADOS
+  // ============================================
+
+  const router = useRouter();
+  const { user, profile, loading: authLoading } = useAuthState();
+  const { items, loading: cartLoading, clearCart, removeFromCart, reloadCart } = useCart();
+
+  const [step, setStep] = useState('address');
+  const [address, setAddress] = useState(EMPTY_ADDRESS);
+  const [addressErrors, setAddressErrors] = useState({});
+  const [shipmentMethods, setShipmentMethods] = useState({}); // Método elegido por artesano
+  const [placingOrder, setPlacingOrder] = useState(false);
+  const [orderError, setOrderError] = useState(null);
+  const [pendingOrderId, setPendingOrderId] = useState(null); // Pedido creado cuyo pago falló
+  const [serverTotal, setServerTotal] = useState(null);      // Total del pedido que el comprador aceptó
+  const [cardNumber, setCardNumber] = useState('');
+  const [stockIssues, setStockIssues] = useState([]);      // Líneas que no se pudieron reservar
+  const [reservedUntil, setReservedUntil] = useState(null); // Fin de la reserva del stock
+  const [reserveRequest, setReserveRequest] = useState(0);  // Cambia para volver a reservar
+  const [showAuthModal, setShowAuthModal] = useState(false);
+
+  // Solo se compran las líneas con stock; las agotadas quedan en el carrito
+  const checkoutItems = items.filter(isItemAvailable);
+  const hasUnavailableItems = checkoutItems.length < items.length;
+  const subtotal = getCartSubtotal(checkoutItems);
+  // Cada artesano despacha su parte: un envío (y un costo) por artesano
+  const { profilesByArtisan, artisans, loading: ratesLoading } = useShippingRates(checkoutItems);
+  const shipments = quoteShipments(
+    splitIntoShipments(checkoutItems),
+    profilesByArtisan,
+    address.country,
+    shipmentMethods
+  );
+  const shippingTotal = getShipmentsShippingTotal(shipments);
+  // Impuestos según el país y el estado o provincia de entrega
+  const { tables: taxTables, loading: taxLoading } = useTaxTables();
+  const tax = calculateTax(taxTables, checkoutItems, address.country, address.region);
+  const total = subtotal + shippingTotal + tax.total;
+  // Lo que se cobra: el total de create_order una vez que el comprador lo vio
+  const totalDue = serverTotal ?? total;
+
+  // useEffect: Completar el nombre con el del perfil
+  useEffect(() => {
+    if (profile?.full_name) {
+      setAddress(current => (
+        current.full_name ? current : { ...current, full_name: profile.full_name }
+      ));
+    }
+  }, [profile?.full_name]);
+
+  // Clave de las líneas a reservar: cambia si cambia un producto o una cantidad
+  const reservationKey = checkoutItems.map(item => `${item.product_id}:${item.quantity}`).join(',');
+
+  // useEffect: Reservar el stock del carrito mientras el comprador hace el checkout
+  useEffect(() => {
+    if (!user || !reservationKey || pendingOrderId) {
+      return;
+    }
+
+    let cancelled = false;
+
+    const reserveStock = async () => {
+      const result = await reserveCheckoutStock(checkoutItems);
+
+      if (cancelled) {
+        return;
+      }
+
+      if (!result.success) {
+        setReservedUntil(null);
+        setOrderError(result.error);
+        return;
+      }
+
+      setStockIssues(result.unavailable);
+
+      if (result.unavailable.length > 0) {
+        // Mostrar el stock real en el carrito
+        setReservedUntil(null);
+        reloadCart();
+      } else {
+        setReservedUntil(new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000));
+      }
+    };
+
+    reserveStock();
+
+    return () => {
+      cancelled = true;
+    };
+    // checkoutItems cambia en cada render; reservationKey resume lo que importa
+  }, [user?.id, reservationKey, reserveRequest]);
+
+  // useEffect: Liberar la reserva al salir del checkout sin pedir
+  // (las reservas de un pedido creado no se tocan)
+  useEffect(() => {
+    return () => {
+      releaseCheckoutStock();
+    };
+  }, []);
+
+  // ============================================
+  // 2. FUNCIONES
+  // ============================================
+
+  /**
+   * goToStep: Vuelve a un paso ya completado
+   */
+  const goToStep = (stepId) => {
+    setOrderError(null);
+
+    // Si el comprador cambia algo se crea un pedido nuevo al pagar:
+    // cancelar el pendiente y volver a reservar el carrito
+    if (pendingOrderId) {
+      cancelOrder(pendingOrderId);
+      setPendingOrderId(null);
+      setServerTotal(null);
+      setReserveRequest(request => request + 1);
+    }
+
+    setStep(stepId);
+  };
+
+  /**
+   * handleSoldOut: Una pieza se vendió mientras el comprador pagaba
+   * El pedido ya no sirve: se vuelve a cargar el carrito con el stock real
+   */
+  const handleSoldOut = (message) => {
+    setOrderError(message);
+    setPendingOrderId(null);
+    setServerTotal(null);
+    reloadCart();
+    setReserveRequest(request => request + 1);
+  };
+
+  /**
+   * handleAddressChange: Actualiza un campo y limpia su error
+   */
+  const handleAddressChange = (field, value) => {
+    setAddress(current => ({ ...current, [field]: value }));
+    if (addressErrors[field]) {
+      setAddressErrors(current => ({ ...current, [field]: undefined }));
+    }
+  };
+
+  /**
+   * handleAddressSubmit: Valida la dirección y pasa al envío
+   */
+  const handleAddressSubmit = () => {
+    const errors = validateAddress(address, taxTables);
+    setAddressErrors(errors);
+
+    if (Object.keys(errors).length === 0) {
+      setStep('shipping');
+    }
+  };
+
+  /**
+   * handlePlaceOrder: Crea el pedido, lo cobra y muestra la confirmación
+   * Si el pago falla el pedido queda pendiente y el reintento lo vuelve a cobrar
+   * El envío y los impuestos los calcula create_order: si su total no es el que
+   * vio el comprador, se muestra el nuevo total y se pide confirmar otra vez
+   */
+  const handlePlaceOrder = async () => {
+    setPlacingOrder(true);
+    setOrderError(null);
+
+    let orderId = pendingOrderId;
+
+    if (!orderId) {
+      const orderResult = await createOrder({
+        items: checkoutItems,
+        shippingAddress: Object.fromEntries(
+          Object.entries(address).map(([field, value]) => [field, value.trim()])
+        ),
+        shipmentOptions: getShipmentChoices(shipments)
+      });
+
+      if (!orderResult.success) {
+        if (orderResult.error.includes(SOLD_OUT_DURING_CHECKOUT)) {
+          handleSoldOut(orderResult.error);
+        } else {
+          setOrderError(orderResult.error);
+        }
+        setPlacingOrder(false);
+        return;
+      }
+
+      orderId = orderResult.orderId;
+      setPendingOrderId(orderId);
+    }
+
+    // El intento se crea en el servidor con el total guardado en el pedido
+    const intentResult = await startOrderPayment(orderId);
+    if (!intentResult.success) {
+      // El pedido ya no se puede cobrar (ej: la reserva venció): el próximo intento crea otro
+      setOrderError(intentResult.error);
+      setPendingOrderId(null);
+      setServerTotal(null);
+      setReserveRequest(request => request + 1);
+      setPlacingOrder(false);
+      return;
+    }
+
+    // Comparar en centavos: el total del navegador es una suma de decimales
+    const amount = Number(intentResult.intent.amount);
+    if (Math.round(amount * 100) !== Math.round(totalDue * 100)) {
+      setServerTotal(amount);
+      setOrderError(`Your order total is ${formatPrice(amount)}. Please review it and confirm the payment again.`);
+      setPlacingOrder(false);
+      return;
+    }
+
+    const paymentResult = await confirmOrderPayment(orderId, { card_number: cardNumber });
+    if (!paymentResult.success) {
+      if (paymentResult.error.includes(SOLD_OUT_DURING_CHECKOUT)) {
+        handleSoldOut(paymentResult.error);
+      } else {
+        setOrderError(paymentResult.error);
+      }
+      setPlacingOrder(false);
+      return;
+    }
+
+    // placingOrder queda en true: evita mostrar "carrito vacío" mientras se navega
+    router.push(`/orders/${orderId}`);
+
+    // Quitar del carrito lo que se compró (las líneas agotadas se quedan)
+    if (hasUnavailableItems) {
+      checkoutItems.forEach(item => removeFromCart(item.product_id));
+    } else {
+      clearCart();
+    }
+  };
+
+  // ============================================
+  // 3. VISTAS
+  // ============================================
+
+  const renderContent = () => {
+    if (authLoading || cartLoading) {
+      return <LoadingSpinner message="Loading checkout..." />;
+    }
+
+    if (!user) {
+      return (
+        <div className="checkout-message">
+          <h2>Sign in to check out</h2>
+          <p>Your cart will be saved to your account.</p>
+          <button onClick={() => setShowAuthModal(true)} className="btn btn-primary">
+            Sign In
+          </button>
+        </div>
+      );
+    }
+
+    if (placingOrder && checkoutItems.length === 0) {
+      return <LoadingSpinner message="Loading your order..." />;
+    }
+
+    if (checkoutItems.length === 0) {
+      return (
+        <div className="checkout-message">
+          <h2>Your cart is empty</h2>
+          <p>Add some handcrafted pieces before checking out.</p>
+          <button onClick={() => router.push('/')} className="btn btn-primary">
+            Browse Products
+          </button>
+        </div>
+      );
+    }
+
+    return (
+      <div className="checkout-layout">
+        <section className="checkout-step">
+          <CheckoutSteps currentStep={step} onStepClick={goToStep} />
+
+          {stockIssues.length > 0 && (
+            <div className="checkout-error">
+              <p>Some pieces sold out while you were checking out:</p>
+              <ul>
+                {stockIssues.map(issue => (
+                  <li key={issue.product_id}>
+                    {issue.available > 0
+                      ? `Only ${issue.available} of "${issue.title}" left`
+                      : `"${issue.title}" is sold out`}
+                  </li>
+                ))}
+              </ul>
+              <Link href="/cart">Update your cart</Link>
+            </div>
+          )}
+
+          {reservedUntil && stockIssues.length === 0 && (
+            <p className="checkout-reserved">
+              We&apos;re holding these pieces for you until{' '}
+              {reservedUntil.toLocaleTimeString('en-US', { hour: 'numeric', minute: '2-digit' })}.
+            </p>
+          )}
+
+          {hasUnavailableItems && (
+            <p className="checkout-warning">
+              Sold-out items in your cart are not included in this order.{' '}
+              <Link href="/cart">Review cart</Link>
+            </p>
+          )}
+
+          {step === 'address' && (
+            <AddressForm
+              address={address}
+              errors={addressErrors}
+              onChange={handleAddressChange}
+              onSubmit={handleAddressSubmit}
+            />
+          )}
+
+          {step === 'shipping' && (
+            <ShippingOptions
+              shipments={shipments}
+              artisans={artisans}
+              country={address.country}
+              loading={ratesLoading}
+              onSelect={(key, method) => setShipmentMethods(current => ({ ...current, [key]: method }))}
+              onBack={() => goToStep('address')}
+              onContinue={() => setStep('review')}
+            />
+          )}
+
+          {step === 'review' && (
+            <div className="review-step">
+              <h2 className="step-title">Review your order</h2>
+
+              <div className="review-block">
+                <div className="review-header">
+                  <h3>Ship to</h3>
+                  <button type="button" onClick={() => goToStep('address')} className="edit-link">
+                    Edit
+                  </button>
+                </div>
+                <p>
+                  {address.full_name}<br />
+                  {address.line1}{address.line2 && `, ${address.line2}`}<br />
+                  {address.city}{address.region && `, ${address.region}`} {address.postal_code}<br />
+                  {getCountryName(address.country)}
+                  {address.phone && <><br />{address.phone}</>}
+                </p>
+              </div>
+
+              <div className="review-block">
+                <div className="review-header">
+                  <h3>Shipping</h3>
+                  <button type="button" onClick={() => goToStep('shipping')} className="edit-link">
+                    Edit
+                  </button>
+                </div>
+                <ul className="review-shipments">
+                  {shipments.map(shipment => (
+                    <li key={shipment.key}>
+                      {getShipmentSellerName(shipment, artisans)}: {SHIPPING_METHOD_LABELS[shipment.method]} ·{' '}
+                      {shipment.shippingTotal === 0 ? 'Free' : formatPrice(shipment.shippingTotal)}
+                    </li>
+                  ))}
+                </ul>
+              </div>
+
+              <div className="step-actions">
+                <button type="button" onClick={() => goToStep('shipping')} className="btn btn-secondary">
+                  Back
+                </button>
+                <button type="button" onClick={() => setStep('payment')} className="btn btn-primary">
+                  Continue to Payment
+                </button>
+              </div>
+            </div>
+          )}
+
+          {step === 'payment' && (
+            <div className="payment-step">
+              <h2 className="step-title">Payment</h2>
+              <p className="payment-total">
+                Total due: <strong>{formatPrice(totalDue)}</strong>
+              </p>
+
+              <div className="form-group">
+                <label htmlFor="card-number">Card number</label>
+                <input
+                  id="card-number"
+                  type="text"
+                  inputMode="numeric"
+                  autoComplete="cc-number"
+                  placeholder="1234 5678 9012 3456"
+                  value={cardNumber}
+                  onChange={(e) => setCardNumber(e.target.value)}
+                  disabled={placingOrder}
+                />
+                {testPayments && (
+                  <span className="payment-note">
+                    Test mode: use 4242 4242 4242 4242 for a successful payment
+                    or 4000 0000 0000 0002 for a declined card.
+                  </span>
+                )}
+              </div>
+
+              {orderError && <p className="checkout-error">{orderError}</p>}
+
+              <div className="step-actions">
+                <button
+                  type="button"
+                  onClick={() => goToStep('review')}
+                  className="btn btn-secondary"
+                  disabled={placingOrder}
+                >
+                  Back
+                </button>
+                <button
+                  type="button"
+                  onClick={handlePlaceOrder}
+                  className="btn btn-primary"
+                  disabled={placingOrder || taxLoading || !cardNumber.trim() || stockIssues.length > 0}
+                >
+                  {placingOrder
+                    ? 'Processing payment...'
+                    : `${pendingOrderId ? 'Retry Payment' : 'Place Order'} · ${formatPrice(totalDue)}`}
+                </button>
+              </div>
+            </div>
+          )}
+        </section>
+
+        <CheckoutSummary
+          shipments={shipments}
+          artisans={artisans}
+          subtotal={subtotal}
+          shippingTotal={step === 'address' ? null : shippingTotal}
+          tax={step === 'address' || taxLoading ? null : tax}
+        />
+      </div>
+    );
+  };
+
+  return (
+    <div className="checkout-page">
+      {/* Breadcrumb */}
+      <div className="breadcrumb">
+        <div className="container">
+          <nav className="breadcrumb-nav">
+            <button onClick={() => router.push('/')} className="breadcrumb-link">
+              Home
+            </button>
+            <span className="breadcrumb-separator">›</span>
+            <button onClick={() => router.push('/cart')} className="breadcrumb-link">
+              Cart
+            </button>
+            <span className="breadcrumb-separator">›</span>
+            <span className="breadcrumb-current">Checkout</span>
+          </nav>
+        </div>
+      </div>
+
+      <main className="container checkout-content">
+        <h1 className="checkout-title">Checkout</h1>
+        {renderContent()}
+      </main>
+
+      <Footer />
+
+      <AuthModal
+        isOpen={showAuthModal}
+        onClose={() => setShowAuthModal(false)}
+        onAuthSuccess={() => setShowAuthModal(false)}
+      />
+
+      <style jsx>{`
+        .checkout-page {
+          min-height: 100vh;
+          background: var(--color-background);
+        }
+
+        .breadcrumb {
+          background: var(--color-white);
+          border-bottom: 1px solid var(--color-accent-light);
+          padding: var(--spacing-md) 0;
+        }
+
+        .breadcrumb-nav {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-sm);
+          font-size: var(--text-sm);
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: var(--color-primary);
+          cursor: pointer;
+          text-decoration: underline;
+        }
+
+        .breadcrumb-separator {
+          color: var(--color-muted);
+        }
+
+        .breadcrumb-current {
+          color: var(--color-dark);
+          font-weight: var(--font-medium);
+        }
+
+        .checkout-content {
+          padding-top: var(--spacing-2xl);
+          padding-bottom: var(--spacing-3xl);
+        }
+
+        .checkout-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-3xl);
+          color: var(--color-dark);
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .checkout-message {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: var(--spacing-md);
+          padding: var(--spacing-3xl) 0;
+          color: var(--color-muted);
+          text-align: center;
+        }
+
+        .checkout-message h2 {
+          font-family: var(--font-heading);
+          color: var(--color-dark);
+        }
+
+        .checkout-layout {
+          display: grid;
+          grid-template-columns: 1fr 340px;
+          gap: var(--spacing-2xl);
+          align-items: start;
+        }
+
+        .checkout-step {
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-sm);
+          padding: var(--spacing-xl);
+        }
+
+        .checkout-warning,
+        .checkout-error {
+          padding: var(--spacing-sm) var(--spacing-md);
+          border-radius: var(--radius-sm);
+          margin-bottom: var(--spacing-lg);
+          font-size: var(--text-sm);
+        }
+
+        .checkout-warning {
+          background: rgba(245, 158, 11, 0.1);
+          color: var(--color-dark);
+        }
+
+        .checkout-error ul {
+          margin: var(--spacing-xs) 0;
+          padding-left: var(--spacing-lg);
+        }
+
+        .checkout-error :global(a) {
+          color: var(--color-error);
+          font-weight: var(--font-semibold);
+        }
+
+        .checkout-reserved {
+          margin-bottom: var(--spacing-lg);
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .checkout-warning :global(a) {
+          color: var(--color-primary);
+        }
+
+        .checkout-error {
+          background: rgba(239, 68, 68, 0.1);
+          color: var(--color-error);
+        }
+
+        .step-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-xl);
+          color: var(--color-dark);
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .review-block {
+          padding: var(--spacing-md) 0;
+          border-bottom: 1px solid var(--color-accent-light);
+          color: var(--color-dark);
+          line-height: 1.6;
+        }
+
+        .review-header {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          margin-bottom: var(--spacing-xs);
+        }
+
+        .review-header h3 {
+          font-size: var(--text-base);
+          font-weight: var(--font-semibold);
+        }
+
+        .review-shipments {
+          margin: 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .edit-link {
+          background: none;
+          border: none;
+          color: var(--color-primary);
+          cursor: pointer;
+          font-size: var(--text-sm);
+          text-decoration: underline;
+        }
+
+        .payment-total {
+          font-size: var(--text-lg);
+          color: var(--color-dark);
+          margin-bottom: var(--spacing-sm);
+        }
+
+        .payment-note {
+          color: var(--color-muted);
+          font-size: var(--text-xs);
+        }
+
+        .form-group {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-xs);
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .form-group label {
+          font-size: var(--text-sm);
+          font-weight: var(--font-medium);
+          color: var(--color-dark);
+        }
+
+        .form-group input {
+          max-width: 320px;
+          padding: var(--spacing-sm) var(--spacing-md);
+          border: 1px solid var(--color-accent-light);
+          border-radius: var(--radius-sm);
+          font-size: var(--text-base);
+          letter-spacing: 0.05em;
+        }
+
+        .form-group input:focus {
+          outline: none;
+          border-color: var(--color-primary);
+        }
+
+        .step-actions {
+          display: flex;
+          justify-content: space-between;
+          margin-top: var(--spacing-xl);
+        }
+
+        @media (max-width: 768px) {
+          .checkout-layout {
+            grid-template-columns: 1fr;
+          }
+
+          .checkout-step {
+            padding: var(--spacing-lg);
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default CheckoutPage;
@@ -0,0 +1,115 @@
+// src/components/checkout/CheckoutSteps.jsx
+// Indicador de progreso del checkout (Address › Shipping › Review › Pay)
+
+'use client';
+
+import React from 'react';
+import { CHECKOUT_STEPS } from '../../utils/checkout';
+
+/**
+ * CheckoutSteps: Muestra los pasos y permite volver a uno ya completado
+ *
+ * @param {string} currentStep - Paso actual (ver CHECKOUT_STEPS)
+ * @param {Function} onStepClick - Callback (stepId) al elegir un paso anterior
+ */
+const CheckoutSteps = ({ currentStep, onStepClick }) => {
+  const currentIndex = CHECKOUT_STEPS.findIndex(step => step.id === currentStep);
+
+  return (
+    <ol className="checkout-steps">
+      {CHECKOUT_STEPS.map((step, index) => {
+        const isDone = index < currentIndex;
+        const isCurrent = index === currentIndex;
+
+        return (
+          <li
+            key={step.id}
+            className={`step ${isDone ? 'done' : ''} ${isCurrent ? 'current' : ''}`}
+            aria-current={isCurrent ? 'step' : undefined}
+          >
+            <button
+              type="button"
+              onClick={() => onStepClick(step.id)}
+              disabled={!isDone}
+            >
+              <span className="step-number">{isDone ? '✓' : index + 1}</span>
+              <span className="step-label">{step.label}</span>
+            </button>
+          </li>
+        );
+      })}
+
+      <style jsx>{`
+        .checkout-steps {
+          display: flex;
+          gap: var(--spacing-sm);
+          margin: 0 0 var(--spacing-xl);
+          padding: 0;
+          list-style: none;
+        }
+
+        .step {
+          flex: 1;
+          border-bottom: 3px solid var(--color-accent-light);
+        }
+
+        .step.done,
+        .step.current {
+          border-color: var(--color-primary);
+        }
+
+        .step button {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-sm);
+          width: 100%;
+          padding: var(--spacing-sm) 0;
+          background: none;
+          border: none;
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+          cursor: pointer;
+        }
+
+        .step button:disabled {
+          cursor: default;
+        }
+
+        .step.current button {
+          color: var(--color-dark);
+          font-weight: var(--font-semibold);
+        }
+
+        .step.done button {
+          color: var(--color-primary);
+        }
+
+        .step-number {
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          width: 24px;
+          height: 24px;
+          border-radius: 50%;
+          background: var(--color-accent-light);
+          color: var(--color-dark);
+          font-size: var(--text-xs);
+        }
+
+        .step.done .step-number,
+        .step.current .step-number {
+          background: var(--color-primary);
+          color: var(--color-white);
+        }
+
+        @media (max-width: 768px) {
+          .step-label {
+            display: none;
+          }
+        }
+      `}</style>
+    </ol>
+  );
+};
+
+export default CheckoutSteps;
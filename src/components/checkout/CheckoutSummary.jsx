@@ -0,0 +1,185 @@
+// src/components/checkout/CheckoutSummary.jsx
+// Resumen del pedido en el lateral del checkout: líneas por envío, subtotal, envío, impuestos y total
+
+'use client';
+
+import React from 'react';
+import { formatPrice } from '../../utils/formatPrice';
+import { getLineTotal } from '../../utils/cart';
+import { getShipmentSellerName } from '../../utils/checkout';
+
+/**
+ * CheckoutSummary: Resumen del pedido
+ *
+ * @param {Array} shipments - Envíos por artesano (ver quoteShipments)
+ * @param {Object} artisans - Talleres por ID de artesano
+ * @param {number} subtotal - Subtotal de las líneas
+ * @param {number|null} shippingTotal - Costo de envío (null = todavía no se eligió)
+ * @param {Object|null} tax - Impuestos del pedido (ver calculateTax; null = todavía no hay dirección)
+ */
+const CheckoutSummary = ({ shipments, artisans = {}, subtotal, shippingTotal = null, tax = null }) => {
+  const total = subtotal + (shippingTotal || 0) + (tax?.total || 0);
+  // Con VAT los precios se muestran con el impuesto incluido
+  const taxInclusive = tax?.display === 'inclusive';
+
+  /**
+   * formatLinePrice: Total de una línea, con su impuesto si los precios lo incluyen
+   */
+  const formatLinePrice = (item) => {
+    const lineTax = tax?.lines.find(line => line.product_id === item.product_id);
+    return formatPrice(getLineTotal(item), {
+      taxRate: lineTax?.tax_rate,
+      taxDisplay: tax?.display
+    });
+  };
+  const showShipments = shipments.length > 1;
+
+  return (
+    <aside className="checkout-summary">
+      <h2 className="summary-title">Order Summary</h2>
+
+      <div className="summary-shipments">
+        {shipments.map(shipment => (
+          <div key={shipment.key} className="summary-shipment">
+            {showShipments && (
+              <div className="shipment-header">
+                <span>From {getShipmentSellerName(shipment, artisans)}</span>
+                {shippingTotal !== null && (
+                  <span>
+                    {shipment.method === 'pickup'
+                      ? 'Pickup'
+                      : shipment.shippingTotal === 0 ? 'Free shipping' : `${formatPrice(shipment.shippingTotal)} shipping`}
+                  </span>
+                )}
+              </div>
+            )}
+            <ul className="summary-lines">
+              {shipment.items.map(item => (
+                <li key={item.product_id} className="summary-line">
+                  <span className="line-name">
+                    {item.product.title}
+                    <span className="line-quantity"> × {item.quantity}</span>
+                  </span>
+                  <span>{formatLinePrice(item)}</span>
+                </li>
+              ))}
+            </ul>
+          </div>
+        ))}
+      </div>
+
+      <div className="summary-row">
+        <span>Subtotal</span>
+        <span>{formatPrice(taxInclusive ? subtotal + tax.total : subtotal)}</span>
+      </div>
+      <div className="summary-row">
+        <span>Shipping</span>
+        <span>
+          {shippingTotal === null
+            ? 'Calculated next'
+            : shippingTotal === 0 ? 'Free' : formatPrice(shippingTotal)}
+        </span>
+      </div>
+      {!taxInclusive && (
+        <div className="summary-row">
+          <span>{tax ? tax.label : 'Taxes'}</span>
+          <span>{tax ? formatPrice(tax.total) : 'Calculated next'}</span>
+        </div>
+      )}
+      <div className="summary-row summary-total">
+        <span>Total</span>
+        <span>{formatPrice(total)}</span>
+      </div>
+      {taxInclusive && tax.total > 0 && (
+        <p className="summary-tax-note">Includes {tax.label} of {formatPrice(tax.total)}</p>
+      )}
+
+      <style jsx>{`
+        .checkout-summary {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-sm);
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-sm);
+          padding: var(--spacing-lg);
+          position: sticky;
+          top: var(--spacing-lg);
+        }
+
+        .summary-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-xl);
+          color: var(--color-dark);
+          margin: 0 0 var(--spacing-sm);
+        }
+
+        .summary-shipments {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-sm);
+          margin-bottom: var(--spacing-sm);
+          padding-bottom: var(--spacing-sm);
+          border-bottom: 1px solid var(--color-accent-light);
+        }
+
+        .shipment-header {
+          display: flex;
+          justify-content: space-between;
+          color: var(--color-muted);
+          font-size: var(--text-xs);
+          font-weight: var(--font-semibold);
+          text-transform: uppercase;
+          letter-spacing: 0.03em;
+        }
+
+        .summary-lines {
+          margin: 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .summary-line {
+          display: flex;
+          justify-content: space-between;
+          gap: var(--spacing-md);
+          padding: var(--spacing-xs) 0;
+          font-size: var(--text-sm);
+          color: var(--color-dark);
+        }
+
+        .line-quantity {
+          color: var(--color-muted);
+        }
+
+        .summary-row {
+          display: flex;
+          justify-content: space-between;
+          color: var(--color-dark);
+        }
+
+        .summary-total {
+          padding-top: var(--spacing-sm);
+          border-top: 1px solid var(--color-accent-light);
+          font-size: var(--text-lg);
+          font-weight: var(--font-semibold);
+        }
+
+        .summary-tax-note {
+          margin: 0;
+          font-size: var(--text-sm);
+          color: var(--color-muted);
+          text-align: right;
+        }
+
+        @media (max-width: 768px) {
+          .checkout-summary {
+            position: static;
+          }
+        }
+      `}</style>
+    </aside>
+  );
+};
+
+export default CheckoutSummary;
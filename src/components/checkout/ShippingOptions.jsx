@@ -0,0 +1,198 @@
+// src/components/checkout/ShippingOptions.jsx
+// Paso 2 del checkout: cómo llega cada envío (un envío por artesano)
+
+'use client';
+
+import React from 'react';
+import { getShipmentSellerName, getCountryName } from '../../utils/checkout';
+import { formatPrice } from '../../utils/formatPrice';
+import { LoadingSpinner } from '../UtilityComponents';
+
+/**
+ * ShippingOptions: Opciones de envío de cada artesano hacia el país del comprador
+ * Cada artesano despacha desde su taller con sus propias tarifas (perfiles de envío)
+ *
+ * @param {Array} shipments - Envíos con sus opciones (ver quoteShipments)
+ * @param {Object} artisans - Talleres por ID de artesano
+ * @param {string} country - Código del país de destino
+ * @param {boolean} loading - Si las tarifas todavía se están cargando
+ * @param {Function} onSelect - Callback (shipmentKey, method)
+ * @param {Function} onBack - Volver al paso anterior
+ * @param {Function} onContinue - Continuar al siguiente paso
+ */
+const ShippingOptions = ({ shipments, artisans, country, loading, onSelect, onBack, onContinue }) => {
+  const unshippable = shipments.filter(shipment => !shipment.method);
+
+  return (
+    <div className="shipping-options">
+      <h2 className="step-title">Shipping</h2>
+
+      {shipments.length > 1 && (
+        <p className="shipments-note">
+          Your pieces come from {shipments.length} artisans and ship in {shipments.length} separate
+          packages, each from its maker&apos;s workshop.
+        </p>
+      )}
+
+      {loading ? (
+        <LoadingSpinner message="Calculating shipping..." />
+      ) : (
+        shipments.map(shipment => {
+          const artisan = artisans[shipment.key];
+
+          return (
+            <fieldset key={shipment.key} className="shipment">
+              <legend className="shipment-title">
+                {getShipmentSellerName(shipment, artisans)}
+                {artisan?.location && <span className="shipment-origin"> · ships from {artisan.location}</span>}
+              </legend>
+              <p className="shipment-items">
+                {shipment.items.map(item => `${item.product.title} × ${item.quantity}`).join(', ')}
+              </p>
+
+              {shipment.options.length === 0 ? (
+                <p className="shipment-error">
+                  This artisan doesn&apos;t ship to {getCountryName(country)}. Remove their pieces
+                  from your cart or choose another address.
+                </p>
+              ) : (
+                <div className="options-list" role="radiogroup" aria-label={`Shipping for ${getShipmentSellerName(shipment, artisans)}`}>
+                  {shipment.options.map(option => (
+                    <label
+                      key={option.method}
+                      className={`option ${shipment.method === option.method ? 'selected' : ''}`}
+                    >
+                      <input
+                        type="radio"
+                        name={`shipping-${shipment.key || 'marketplace'}`}
+                        value={option.method}
+                        checked={shipment.method === option.method}
+                        onChange={() => onSelect(shipment.key, option.method)}
+                      />
+                      <span className="option-details">
+                        <span className="option-label">{option.label}</span>
+                        {option.details && <span className="option-description">{option.details}</span>}
+                      </span>
+                      <span className="option-price">{option.cost === 0 ? 'Free' : formatPrice(option.cost)}</span>
+                    </label>
+                  ))}
+                </div>
+              )}
+            </fieldset>
+          );
+        })
+      )}
+
+      <div className="step-actions">
+        <button type="button" onClick={onBack} className="btn btn-secondary">
+          Back
+        </button>
+        <button
+          type="button"
+          onClick={onContinue}
+          className="btn btn-primary"
+          disabled={loading || unshippable.length > 0}
+        >
+          Continue to Review
+        </button>
+      </div>
+
+      <style jsx>{`
+        .step-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-xl);
+          color: var(--color-dark);
+          margin-bottom: var(--spacing-lg);
+        }
+
+        .shipments-note {
+          margin-bottom: var(--spacing-md);
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .shipment {
+          margin: 0 0 var(--spacing-lg);
+          padding: 0;
+          border: none;
+        }
+
+        .shipment-title {
+          margin-bottom: var(--spacing-xs);
+          font-weight: var(--font-semibold);
+          color: var(--color-dark);
+        }
+
+        .shipment-origin {
+          font-weight: normal;
+          color: var(--color-muted);
+        }
+
+        .shipment-items {
+          margin-bottom: var(--spacing-sm);
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .shipment-error {
+          padding: var(--spacing-sm) var(--spacing-md);
+          border-radius: var(--radius-md);
+          background: rgba(239, 68, 68, 0.1);
+          color: var(--color-error);
+          font-size: var(--text-sm);
+        }
+
+        .options-list {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-sm);
+        }
+
+        .option {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-md);
+          padding: var(--spacing-md);
+          border: 1px solid var(--color-accent-light);
+          border-radius: var(--radius-md);
+          cursor: pointer;
+          transition: border-color 0.2s ease;
+        }
+
+        .option.selected {
+          border-color: var(--color-primary);
+          background: rgba(139, 69, 19, 0.04);
+        }
+
+        .option-details {
+          display: flex;
+          flex: 1;
+          flex-direction: column;
+        }
+
+        .option-label {
+          font-weight: var(--font-semibold);
+          color: var(--color-dark);
+        }
+
+        .option-description {
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .option-price {
+          font-weight: var(--font-semibold);
+          color: var(--color-dark);
+        }
+
+        .step-actions {
+          display: flex;
+          justify-content: space-between;
+          margin-top: var(--spacing-xl);
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ShippingOptions;
@@ -0,0 +1,481 @@
+// src/components/order/OrderConfirmation.jsx
+// Confirmación de un pedido: número, estado, envíos por artesano con sus líneas, dirección y totales
+
+'use client';
+
+import React, { useState, useEffect } from 'react';
+import { useRouter } from 'next/navigation';
+import Link from 'next/link';
+import { useAuthState } from '../../hooks/useAuth';
+import { getOrderById, ORDER_STATUS_LABELS, FULFILLMENT_STATUS_LABELS } from '../../services/orderService';
+import { formatPrice } from '../../utils/formatPrice';
+import { formatOrderNumber, getCountryName } from '../../utils/checkout';
+import { SHIPPING_METHOD_LABELS } from '../../utils/shipping';
+import { LoadingSpinner, ErrorMessage } from '../UtilityComponents';
+import Footer from '../ui/Footer';
+
+/**
+ * OrderConfirmation: Detalle de un pedido del usuario actual
+ *
+ * @param {string} orderId - ID del pedido
+ */
+const OrderConfirmation = ({ orderId }) => {
+  const router = useRouter();
+  const { user, loading: authLoading } = useAuthState();
+
+  const [order, setOrder] = useState(null);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // useEffect: Cargar el pedido cuando hay sesión
+  useEffect(() => {
+    if (authLoading) {
+      return;
+    }
+
+    if (!user) {
+      setLoading(false);
+      return;
+    }
+
+    let cancelled = false;
+
+    const loadOrder = async () => {
+      setLoading(true);
+      const result = await getOrderById(orderId);
+
+      if (cancelled) {
+        return;
+      }
+
+      if (result.success) {
+        setOrder(result.order);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+      setLoading(false);
+    };
+
+    loadOrder();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [orderId, user?.id, authLoading]);
+
+  const renderContent = () => {
+    if (authLoading || loading) {
+      return <LoadingSpinner message="Loading your order..." />;
+    }
+
+    if (!user) {
+      return (
+        <div className="order-message">
+          <p>Please sign in to see this order.</p>
+          <button onClick={() => router.push('/')} className="btn btn-primary">
+            Go to Home
+          </button>
+        </div>
+      );
+    }
+
+    if (error || !order) {
+      return <ErrorMessage message={error || 'Order not found'} />;
+    }
+
+    const address = order.shipping_address || {};
+
+    // Un paquete por artesano; los pedidos sin envíos se muestran como un solo paquete
+    const orderItems = order.items || [];
+    const packages = order.fulfillments?.length
+      ? order.fulfillments.map(fulfillment => ({
+        ...fulfillment,
+        items: orderItems.filter(item => item.fulfillment_id === fulfillment.id)
+      }))
+      : [{ id: order.id, status: null, items: orderItems }];
+
+    // Precios con el impuesto incluido si el comprador los vio así (VAT)
+    const getItemTaxOptions = (item) => ({
+      taxRate: Number(item.tax_rate) || 0,
+      taxDisplay: order.prices_include_tax ? 'inclusive' : 'exclusive'
+    });
+
+    return (
+      <>
+        <header className="order-header">
+          <span className="order-check">✓</span>
+          <h1 className="order-title">Thank you for your order!</h1>
+          <p className="order-number">
+            Order <strong>{formatOrderNumber(order.id)}</strong> ·{' '}
+            {new Date(order.created_at).toLocaleDateString('en-US', { dateStyle: 'long' })}
+          </p>
+          <span className={`order-status status-${order.status}`}>
+            {ORDER_STATUS_LABELS[order.status] || order.status}
+          </span>
+        </header>
+
+        <div className="order-layout">
+          <div className="order-packages">
+            {packages.map((pkg, index) => (
+              <section key={pkg.id} className="order-card">
+                <div className="package-header">
+                  <h2 className="card-title">
+                    {packages.length > 1 ? `Package ${index + 1} of ${packages.length}` : 'Items'}
+                    {pkg.artisan_name && <span className="package-artisan"> · from {pkg.artisan_name}</span>}
+                  </h2>
+                  {pkg.status && (
+                    <span className={`package-status status-${pkg.status}`}>
+                      {FULFILLMENT_STATUS_LABELS[pkg.status] || pkg.status}
+                    </span>
+                  )}
+                </div>
+
+                {pkg.tracking_number && (
+                  <p className="package-tracking">Tracking number: <strong>{pkg.tracking_number}</strong></p>
+                )}
+
+                <ul className="order-items">
+                  {pkg.items.map(item => (
+                    <li key={item.id} className="order-item">
+                      {item.image_url ? (
+                        <img src={item.image_url} alt={item.title} className="item-image" />
+                      ) : (
+                        <span className="item-image placeholder">🎨</span>
+                      )}
+                      <div className="item-details">
+                        {item.product_id ? (
+                          <Link href={`/product/${item.product_id}`} className="item-title">
+                            {item.title}
+                          </Link>
+                        ) : (
+                          <span className="item-title">{item.title}</span>
+                        )}
+                        {!pkg.artisan_name && item.artisan_name && (
+                          <span className="item-artisan">by {item.artisan_name}</span>
+                        )}
+                        <span className="item-quantity">
+                          {item.quantity} × {formatPrice(Number(item.unit_price), getItemTaxOptions(item))}
+                        </span>
+                      </div>
+                      <span className="item-total">{formatPrice(Number(item.line_total), getItemTaxOptions(item))}</span>
+                    </li>
+                  ))}
+                </ul>
+
+                {packages.length > 1 && (
+                  <p className="package-shipping">
+                    {SHIPPING_METHOD_LABELS[pkg.shipping_method] || pkg.shipping_method}:{' '}
+                    {Number(pkg.shipping_total) === 0 ? 'Free' : formatPrice(Number(pkg.shipping_total))}
+                  </p>
+                )}
+              </section>
+            ))}
+          </div>
+
+          <aside className="order-card">
+            <h2 className="card-title">Shipping to</h2>
+            <p className="order-address">
+              {address.full_name}<br />
+              {address.line1}{address.line2 && `, ${address.line2}`}<br />
+              {address.city}{address.region && `, ${address.region}`} {address.postal_code}<br />
+              {getCountryName(address.country)}
+            </p>
+            <p className="order-method">{SHIPPING_METHOD_LABELS[order.shipping_method] || order.shipping_method}</p>
+
+            <div className="summary-row">
+              <span>Subtotal</span>
+              <span>
+                {formatPrice(Number(order.subtotal) + (order.prices_include_tax ? Number(order.tax_total) : 0))}
+              </span>
+            </div>
+            <div className="summary-row">
+              <span>Shipping</span>
+              <span>
+                {Number(order.shipping_total) === 0 ? 'Free' : formatPrice(Number(order.shipping_total))}
+              </span>
+            </div>
+            {!order.prices_include_tax && Number(order.tax_total) > 0 && (
+              <div className="summary-row">
+                <span>{order.tax_label || 'Tax'}</span>
+                <span>{formatPrice(Number(order.tax_total))}</span>
+              </div>
+            )}
+            <div className="summary-row summary-total">
+              <span>Total</span>
+              <span>{formatPrice(Number(order.total))}</span>
+            </div>
+            {order.prices_include_tax && Number(order.tax_total) > 0 && (
+              <p className="order-tax-note">
+                Includes {order.tax_label || 'tax'} of {formatPrice(Number(order.tax_total))}
+              </p>
+            )}
+          </aside>
+        </div>
+
+        <div className="order-actions">
+          <button onClick={() => router.push('/')} className="btn btn-primary">
+            Continue Shopping
+          </button>
+        </div>
+      </>
+    );
+  };
+
+  return (
+    <div className="order-page">
+      <main className="container order-content">
+        {renderContent()}
+      </main>
+
+      <Footer />
+
+      <style jsx>{`
+        .order-page {
+          min-height: 100vh;
+          background: var(--color-background);
+        }
+
+        .order-content {
+          padding-top: var(--spacing-2xl);
+          padding-bottom: var(--spacing-3xl);
+        }
+
+        .order-message {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: var(--spacing-md);
+          padding: var(--spacing-3xl) 0;
+          color: var(--color-muted);
+        }
+
+        .order-header {
+          display: flex;
+          flex-direction: column;
+          align-items: center;
+          gap: var(--spacing-sm);
+          margin-bottom: var(--spacing-2xl);
+          text-align: center;
+        }
+
+        .order-check {
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+          width: 56px;
+          height: 56px;
+          border-radius: 50%;
+          background: var(--color-success);
+          color: var(--color-white);
+          font-size: var(--text-2xl);
+        }
+
+        .order-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-3xl);
+          color: var(--color-dark);
+        }
+
+        .order-number {
+          color: var(--color-muted);
+        }
+
+        .order-status {
+          padding: var(--spacing-xs) var(--spacing-md);
+          border-radius: 20px;
+          background: var(--color-accent-light);
+          color: var(--color-dark);
+          font-size: var(--text-sm);
+          font-weight: var(--font-semibold);
+        }
+
+        .order-status.status-paid {
+          background: rgba(34, 197, 94, 0.15);
+        }
+
+        .order-status.status-cancelled {
+          background: rgba(239, 68, 68, 0.1);
+          color: var(--color-error);
+        }
+
+        .order-packages {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-lg);
+        }
+
+        .package-header {
+          display: flex;
+          justify-content: space-between;
+          align-items: baseline;
+          gap: var(--spacing-md);
+        }
+
+        .package-artisan {
+          color: var(--color-muted);
+          font-family: var(--font-body);
+          font-size: var(--text-base);
+          font-weight: normal;
+        }
+
+        .package-status {
+          padding: 2px var(--spacing-sm);
+          border-radius: 20px;
+          background: var(--color-accent-light);
+          color: var(--color-dark);
+          font-size: var(--text-xs);
+          font-weight: var(--font-semibold);
+          white-space: nowrap;
+        }
+
+        .package-status.status-shipped,
+        .package-status.status-delivered {
+          background: rgba(34, 197, 94, 0.15);
+        }
+
+        .package-status.status-cancelled {
+          background: rgba(239, 68, 68, 0.1);
+          color: var(--color-error);
+        }
+
+        .package-tracking,
+        .package-shipping {
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .package-tracking {
+          margin-bottom: var(--spacing-sm);
+        }
+
+        .package-shipping {
+          margin-top: var(--spacing-sm);
+          text-align: right;
+        }
+
+        .order-layout {
+          display: grid;
+          grid-template-columns: 1fr 340px;
+          gap: var(--spacing-2xl);
+          align-items: start;
+        }
+
+        .order-card {
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-sm);
+          padding: var(--spacing-lg);
+        }
+
+        .card-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-xl);
+          color: var(--color-dark);
+          margin-bottom: var(--spacing-md);
+        }
+
+        .order-items {
+          margin: 0;
+          padding: 0;
+          list-style: none;
+        }
+
+        .order-item {
+          display: grid;
+          grid-template-columns: 64px 1fr auto;
+          gap: var(--spacing-md);
+          align-items: center;
+          padding: var(--spacing-sm) 0;
+          border-bottom: 1px solid var(--color-accent-light);
+        }
+
+        .item-image {
+          width: 64px;
+          height: 64px;
+          border-radius: var(--radius-md);
+          object-fit: cover;
+        }
+
+        .item-image.placeholder {
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          background: var(--color-background);
+          font-size: var(--text-xl);
+        }
+
+        .item-details {
+          display: flex;
+          flex-direction: column;
+          gap: 2px;
+        }
+
+        .item-details :global(.item-title) {
+          color: var(--color-dark);
+          font-weight: var(--font-semibold);
+          text-decoration: none;
+        }
+
+        .item-artisan,
+        .item-quantity {
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+        }
+
+        .item-total {
+          font-weight: var(--font-semibold);
+          color: var(--color-dark);
+        }
+
+        .order-address {
+          color: var(--color-dark);
+          line-height: 1.6;
+          margin-bottom: var(--spacing-sm);
+        }
+
+        .order-method {
+          color: var(--color-muted);
+          font-size: var(--text-sm);
+          margin-bottom: var(--spacing-md);
+        }
+
+        .summary-row {
+          display: flex;
+          justify-content: space-between;
+          padding: var(--spacing-xs) 0;
+          color: var(--color-dark);
+        }
+
+        .summary-total {
+          margin-top: var(--spacing-xs);
+          padding-top: var(--spacing-sm);
+          border-top: 1px solid var(--color-accent-light);
+          font-size: var(--text-lg);
+          font-weight: var(--font-semibold);
+        }
+
+        .order-tax-note {
+          margin: var(--spacing-xs) 0 0;
+          font-size: var(--text-sm);
+          color: var(--color-muted);
+          text-align: right;
+        }
+
+        .order-actions {
+          display: flex;
+          justify-content: center;
+          margin-top: var(--spacing-2xl);
+        }
+
+        @media (max-width: 768px) {
+          .order-layout {
+            grid-template-columns: 1fr;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default OrderConfirmation;
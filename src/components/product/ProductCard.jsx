@@ -3,6 +3,9 @@
 
 import React from 'react';
 import { useRouter } from 'next/navigation'; // Importamos useRouter para la navegación
+import { useCart } from '../../hooks/useCart';
+import { DiscountBadge } from '../ui/Badge';
+import { getProductPricing } from '../../utils/pricing';
 
 /**
  * ProductCard: Componente para mostrar información de un producto
@@ -19,19 +22,19 @@ const ProductCard = ({
   
   // useRouter: Hook de Next.js para navegación programática
   const router = useRouter();
+
+  // useCart: Carrito compartido (el drawer se abre al agregar)
+  const { addToCart } = useCart();
   
   /**
    * handleAddToCart: Función para agregar producto al carrito
-   * Maneja la lógica de añadir un producto al carrito del usuario
+   * Suma una unidad (sin pasar el stock) y abre el drawer del carrito
    */
   const handleAddToCart = (e) => {
     // e.stopPropagation(): Evita que el evento se propague al contenedor padre
     e.stopPropagation();
     
-    console.log('Agregando al carrito:', product.title);
-    // Aquí iría la lógica real de agregar al carrito
-    // Por ejemplo: addToCart(product.id, quantity)
-    alert(`Product "${product.title}" added to cart`);
+    addToCart(product);
   };
 
   /**
@@ -168,6 +171,9 @@ const ProductCard = ({
 
   const stockStatus = getStockStatus(product.stock);
 
+  // Precio actual y, si hay oferta, el precio tachado y el descuento
+  const pricing = getProductPricing(product);
+
   return (
     <div 
       className={`productCard ${viewMode}`}
@@ -192,6 +198,11 @@ const ProductCard = ({
           }}
         />
         
+        {/* Badge de descuento (solo con la oferta activa) */}
+        {pricing.discountPercentage > 0 && (
+          <DiscountBadge percentage={pricing.discountPercentage} className="discount-badge" />
+        )}
+
         {/* Badge de estado del stock */}
         <div className={`stock-badge ${stockStatus.className}`}>
           {stockStatus.text}
@@ -228,7 +239,12 @@ const ProductCard = ({
         
         {/* Footer con precio y botones de acción */}
         <div className="product-footer mt-md">
-          <span className="text-emphasis">{formatPrice(product.price)}</span>
+          <div className="product-price">
+            <span className="text-emphasis">{formatPrice(pricing.price)}</span>
+            {pricing.compareAtPrice && (
+              <s className="compare-at-price">{formatPrice(pricing.compareAtPrice)}</s>
+            )}
+          </div>
           
           {/* Contenedor de botones de acción */}
           <div className="action-buttons">
@@ -250,7 +266,7 @@ const ProductCard = ({
               disabled={product.stock === 0}
               title={product.stock === 0 ? 'Producto agotado' : 'Add to Cart'}
               type="button"
-              aria-label={product.stock === 0 ? 'Producto agotado' : `Added ${product.title} to cart`}
+              aria-label={product.stock === 0 ? 'Producto agotado' : `Add ${product.title} to cart`}
             >
               {product.stock === 0 ? 'Agotado' : 'Add to Cart'}
             </button>
@@ -332,6 +348,18 @@ const ProductCard = ({
           letter-spacing: 0.5px;
         }
 
+        .product-image :global(.discount-badge) {
+          position: absolute;
+          top: var(--spacing-sm);
+          left: var(--spacing-sm);
+          padding: var(--spacing-xs) var(--spacing-sm);
+          border-radius: var(--radius-lg);
+          background: var(--color-error);
+          color: var(--color-white);
+          font-size: var(--text-xs);
+          font-weight: var(--font-bold);
+        }
+
         .stock-badge.in-stock {
           background: var(--color-success);
           color: var(--color-white);
@@ -386,6 +414,17 @@ const ProductCard = ({
           color: var(--color-primary);
         }
 
+        .product-price {
+          display: flex;
+          align-items: baseline;
+          gap: var(--spacing-xs);
+        }
+
+        .compare-at-price {
+          font-size: var(--text-sm);
+          color: var(--color-muted);
+        }
+
         .mt-sm {
           margin-top: var(--spacing-sm);
         }
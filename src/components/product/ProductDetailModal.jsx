@@ -2,6 +2,7 @@
 // Modal para mostrar detalles completos del producto y sistema de reviews
 
 import React, { useState, useEffect } from 'react';
+import { getProductPricing } from '../../utils/pricing';
 
 /**
  * ProductDetailModal: Modal que muestra información detallada del producto
@@ -315,6 +316,7 @@ const ProductDetailModal = ({
   if (!isOpen || !product) return null;
 
   const materials = generateMaterialsInfo(product.category);
+  const pricing = getProductPricing(product);
   const averageRating = reviews.length > 0 
     ? (reviews.reduce((sum, review) => sum + review.rating, 0) / reviews.length).toFixed(1)
     : product.rating;
@@ -367,7 +369,12 @@ const ProductDetailModal = ({
 
               {/* Precio */}
               <div className="product-price">
-                <span className="price">${product.price.toFixed(2)}</span>
+                <span className="price">
+                  ${pricing.price.toFixed(2)}
+                  {pricing.compareAtPrice && (
+                    <s className="compare-at-price">${pricing.compareAtPrice.toFixed(2)}</s>
+                  )}
+                </span>
                 <span className="stock-info">
                   {product.stock > 0 ? `${product.stock} in stock` : 'Out of stock'}
                 </span>
@@ -620,6 +627,13 @@ const ProductDetailModal = ({
           color: var(--color-primary);
         }
 
+        .compare-at-price {
+          margin-left: var(--spacing-sm);
+          font-size: var(--text-lg);
+          font-weight: var(--font-normal);
+          color: var(--color-muted);
+        }
+
         .stock-info {
           font-size: var(--text-sm);
           color: var(--color-muted);
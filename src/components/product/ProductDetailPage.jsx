@@ -0,0 +1,738 @@
+// src/components/product/ProductDetailPage.jsx
+// Página de detalles del producto con pestañas, calificaciones y comentarios
+// El producto llega ya cargado desde el servidor (ver app/product/[id]/page.jsx)
+
+'use client';
+
+import React from 'react';
+import { useRouter } from 'next/navigation';
+import ProductDetailTabs from './ProductDetailTabs';
+import ProductRating from './ProductRating';
+import CartButton from '../cart/CartButton';
+import { useAuthState } from '../../hooks/useAuth';
+import { useCart } from '../../hooks/useCart';
+import { slugifyCategory } from '../../utils/categories';
+import { PRODUCT_ATTRIBUTES } from '../../services/productService';
+import { getProductPricing } from '../../utils/pricing';
+import { DiscountBadge } from '../ui/Badge';
+
+/**
+ * ProductDetailPage: Página completa de detalles del producto
+ * 
+ * Funcionalidades:
+ * - Muestra información detallada del producto
+ * - Sistema de pestañas para organizar el contenido
+ * - Sistema de calificaciones con estrellas
+ * - Sección de comentarios y reviews
+ * - Información del vendedor
+ * - Galería de imágenes (si hay múltiples)
+ * 
+ * @param {Object} product - Producto con los datos del artesano (product.artisan)
+ * @param {Array} reviews - Reviews del producto (getProductReviews)
+ * @param {Object|null} reviewStats - Estadísticas de reviews (getReviewStats)
+ */
+const ProductDetailPage = ({ product, reviews = [], reviewStats = null }) => {
+  
+  // ============================================
+  // 1. HOOKS Y ESTADOS
+  // ============================================
+  
+  const router = useRouter();
+  const { user } = useAuthState();
+  const { addToCart } = useCart();
+  const seller = product.artisan;
+
+  // ============================================
+  // 2. FUNCIONES
+  // ============================================
+
+  /**
+   * handleReviewAdded: Vuelve a cargar la página desde el servidor
+   * para mostrar la review nueva y el rating actualizado
+   */
+  const handleReviewAdded = () => {
+    router.refresh();
+  };
+
+  /**
+   * handleAddToCart: Agrega una unidad al carrito (limitado por el stock)
+   * y abre el drawer del carrito
+   */
+  const handleAddToCart = () => {
+    addToCart(product);
+  };
+
+  /**
+   * handleContactSeller: Contacta al vendedor
+   */
+  const handleContactSeller = () => {
+    console.log('📞 Contacting seller:', seller.shop_name);
+    // TODO: Abrir modal de contacto o redirigir
+    alert('Funcionalidad de contacto pendiente');
+  };
+
+  /**
+   * generateMaterialsInfo: Generates detailed materials information in English
+   * Based on the product category, returns specific materials and techniques
+   * @param {string} category - Product category
+   * @returns {Array} - Array of material descriptions
+   */
+  const generateMaterialsInfo = (category) => {
+    const materialsByCategory = {
+      'Pottery & Ceramics': [
+        'High-grade natural clay sourced from local quarries',
+        'Lead-free food-safe glazes with FDA certification',
+        'Fired at 2192°F (1200°C) for maximum durability and strength',
+        'Hand-finished with organic wax coating for protection',
+        'Natural iron oxide pigments for authentic coloring',
+        'Traditional wheel-throwing and hand-building techniques'
+      ],
+      'Jewelry & Accessories': [
+        'Sterling silver (925) with anti-tarnish treatment',
+        'Ethically sourced natural gemstones and pearls',
+        'Hypoallergenic materials suitable for sensitive skin',
+        'Hand-forged clasps and findings for durability',
+        'Recycled precious metals when possible',
+        'Traditional metalsmithing and wire-wrapping techniques'
+      ],
+      'Textiles & Clothing': [
+        'Organic cotton or premium merino wool fibers',
+        'Natural plant-based dyes from local botanicals',
+        'Hand-spun threads for unique texture and character',
+        'Pre-shrunk and colorfast treatment for longevity',
+        'Sustainable fiber sourcing with eco-certifications',
+        'Traditional weaving and embroidery methods'
+      ],
+      'Woodwork': [
+        'Sustainably harvested hardwood from certified forests',
+        'Food-grade mineral oil finish safe for kitchen use',
+        'Hand-sanded to 400-grit smoothness for perfect feel',
+        'Traditional joinery techniques without metal fasteners',
+        'Locally sourced timber to reduce environmental impact',
+        'Hand-carved details using century-old woodworking tools'
+      ],
+      'Leather Goods': [
+        'Full-grain vegetable-tanned leather from ethical sources',
+        'Natural waxes and oils for conditioning and protection',
+        'Hand-stitched with waxed linen thread for durability',
+        'Brass or stainless steel hardware with antique finishing',
+        'Traditional tanning methods avoiding harmful chemicals',
+        'Hand-tooled patterns using vintage leather stamps'
+      ],
+      'Glass Art': [
+        'Lead-free borosilicate glass for heat resistance',
+        'Recycled glass content for environmental sustainability',
+        'Hand-blown using traditional furnace techniques',
+        'Annealed in controlled cooling process for strength',
+        'Natural metal oxides for vibrant color development',
+        'Flame-working and kiln-forming artistic methods'
+      ]
+    };
+
+    return materialsByCategory[category] || [
+      'Premium quality materials sourced from ethical suppliers',
+      'Handcrafted using time-honored traditional techniques',
+      'Durable construction designed for long-lasting use',
+      'Environmentally conscious and sustainable practices',
+      'Quality control tested for safety and durability',
+      'Artisan-grade finishing with attention to detail'
+    ];
+  };
+
+  /**
+   * generateCareInstructions: Generates care instructions in English
+   * @param {string} category - Product category
+   * @returns {Array} - Array of care instruction strings
+   */
+  const generateCareInstructions = (category) => {
+    const careByCategory = {
+      'Pottery & Ceramics': [
+        'Hand wash with mild soap and warm water for best results',
+        'Avoid sudden temperature changes to prevent cracking',
+        'Microwave and dishwasher safe unless otherwise noted',
+        'Store in dry location to prevent moisture damage'
+      ],
+      'Jewelry & Accessories': [
+        'Clean gently with soft cloth and mild jewelry cleaner',
+        'Store in dry place away from direct sunlight',
+        'Remove before swimming, exercising, or showering',
+        'Polish regularly to maintain shine and prevent tarnishing'
+      ],
+      'Textiles & Clothing': [
+        'Machine wash cold on gentle cycle with like colors',
+        'Air dry flat to maintain shape and prevent shrinking',
+        'Iron on low heat setting if needed, avoid direct heat on prints',
+        'Store folded or hung in cool, dry place'
+      ],
+      'Woodwork': [
+        'Clean with damp cloth and mild soap when necessary',
+        'Apply food-grade oil monthly to maintain finish',
+        'Avoid soaking in water or placing in dishwasher',
+        'Store in dry environment away from extreme temperatures'
+      ]
+    };
+
+    return careByCategory[category] || [
+      'Clean gently with appropriate materials for the item type',
+      'Store in cool, dry place away from direct sunlight',
+      'Handle with care to preserve handcrafted details',
+      'Follow specific care instructions included with purchase'
+    ];
+  };
+
+  const materials = generateMaterialsInfo(product.category);
+
+  // Atributos cargados por el artesano (solo los que tienen valor)
+  const productAttributes = PRODUCT_ATTRIBUTES.filter(({ key }) => product.attributes?.[key]);
+  const productTags = product.tags || [];
+
+  // Precio actual y, si hay oferta, el precio tachado y el descuento
+  const pricing = getProductPricing(product);
+
+  // ============================================
+  // 3. RENDERIZADO
+  // ============================================
+
+  return (
+    <div className="product-detail-page">
+      
+      {/* Breadcrumb */}
+      <div className="breadcrumb">
+        <div className="container breadcrumb-bar">
+          <nav className="breadcrumb-nav">
+            <button onClick={() => router.push('/')} className="breadcrumb-link">
+              Inicio
+            </button>
+            <span className="breadcrumb-separator">›</span>
+            <button
+              onClick={() => router.push(`/category/${slugifyCategory(product.category)}`)}
+              className="breadcrumb-link"
+            >
+              {product.category}
+            </button>
+            <span className="breadcrumb-separator">›</span>
+            <span className="breadcrumb-current">{product.title}</span>
+          </nav>
+          <CartButton />
+        </div>
+      </div>
+
+      {/* Contenido principal */}
+      <div className="container">
+        <div className="product-layout">
+          
+          {/* Sección izquierda: Imagen */}
+          <div className="product-image-section">
+            <div className="main-image">
+              <img 
+                src={product.image_url} 
+                alt={product.title}
+                className="product-image"
+                onError={(e) => {
+                  e.target.src = '/images/placeholder-product.jpg';
+                }}
+              />
+            </div>
+          </div>
+
+          {/* Sección derecha: Información */}
+          <div className="product-info-section">
+            
+            {/* Header del producto */}
+            <div className="product-header">
+              <h1 className="product-title">{product.title}</h1>
+              <p className="product-category">{product.category}</p>
+              
+              {/* Rating y reviews */}
+              <div className="product-rating">
+                <ProductRating 
+                  rating={reviewStats?.averageRating || 0}
+                  reviewCount={reviewStats?.totalReviews || 0}
+                  showCount={true}
+                />
+              </div>
+            </div>
+
+            {/* Precio y stock */}
+            <div className="product-pricing">
+              <div className="price-section">
+                <span className="current-price">${pricing.price.toFixed(2)}</span>
+                {pricing.compareAtPrice && (
+                  <>
+                    <s className="compare-at-price">${pricing.compareAtPrice.toFixed(2)}</s>
+                    <DiscountBadge percentage={pricing.discountPercentage} className="discount-badge" />
+                  </>
+                )}
+              </div>
+              {pricing.saleEndsAt && (
+                <span className="sale-ends">
+                  Sale ends {new Date(pricing.saleEndsAt).toLocaleDateString('en-US', { dateStyle: 'medium' })}
+                </span>
+              )}
+              
+              <div className="stock-section">
+                <span className={`stock-badge ${product.stock > 0 ? 'in-stock' : 'out-of-stock'}`}>
+                  {product.stock > 0 ? `${product.stock} disponibles` : 'Agotado'}
+                </span>
+              </div>
+            </div>
+
+            {/* Detalles: atributos y etiquetas (cada etiqueta abre el catálogo filtrado) */}
+            {(productAttributes.length > 0 || productTags.length > 0) && (
+              <div className="product-specs">
+                {productAttributes.length > 0 && (
+                  <dl className="spec-list">
+                    {productAttributes.map(({ key, label }) => (
+                      <div key={key} className="spec-item">
+                        <dt className="spec-label">{label}</dt>
+                        <dd className="spec-value">{product.attributes[key]}</dd>
+                      </div>
+                    ))}
+                  </dl>
+                )}
+                {productTags.length > 0 && (
+                  <div className="product-tags">
+                    {productTags.map(tag => (
+                      <button
+                        key={tag}
+                        onClick={() => router.push(`/?tags=${encodeURIComponent(tag)}`)}
+                        className="product-tag"
+                      >
+                        #{tag}
+                      </button>
+                    ))}
+                  </div>
+                )}
+              </div>
+            )}
+
+            {/* Información del vendedor */}
+            {seller && (
+              <div className="seller-info">
+                <div className="seller-avatar">
+                  {seller.profile_image_url ? (
+                    <img src={seller.profile_image_url} alt={seller.full_name} />
+                  ) : (
+                    <div className="avatar-placeholder">
+                      {seller.full_name?.charAt(0) || '?'}
+                    </div>
+                  )}
+                </div>
+                <div className="seller-details">
+                  <h3 className="seller-name">{seller.shop_name || seller.full_name}</h3>
+                  <p className="seller-location">{seller.location}</p>
+                  {seller.is_verified && (
+                    <span className="verified-badge">✓ Verificado</span>
+                  )}
+                </div>
+                <button 
+                  onClick={handleContactSeller}
+                  className="btn-contact-seller"
+                >
+                  Contact to Seller
+                </button>
+              </div>
+            )}
+
+            {/* Botones de acción */}
+            <div className="action-buttons">
+              <button 
+                onClick={handleAddToCart}
+                className="btn btn-primary btn-large"
+                disabled={product.stock === 0}
+              >
+                {product.stock === 0 ? 'Agotado' : 'Agregar al Carrito'}
+              </button>
+              
+              <button className="btn btn-secondary btn-large">
+                ♡ Add to Favorites
+              </button>
+            </div>
+          </div>
+        </div>
+
+        {/* Pestañas de información detallada */}
+        <ProductDetailTabs
+          product={product}
+          materials={materials}
+          reviews={reviews}
+          reviewStats={reviewStats}
+          currentUser={user}
+          onReviewAdded={handleReviewAdded}
+        />
+      </div>
+
+      {/* Estilos CSS */}
+      <style jsx>{`
+        .product-detail-page {
+          min-height: 100vh;
+          background: var(--color-background);
+          padding-bottom: var(--spacing-3xl);
+        }
+
+        .breadcrumb {
+          background: var(--color-white);
+          border-bottom: 1px solid var(--color-accent-light);
+          padding: var(--spacing-md) 0;
+        }
+
+        .breadcrumb-bar {
+          display: flex;
+          align-items: center;
+          justify-content: space-between;
+          gap: var(--spacing-md);
+        }
+
+        .breadcrumb-nav {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-sm);
+          font-size: var(--text-sm);
+        }
+
+        .breadcrumb-link {
+          background: none;
+          border: none;
+          color: var(--color-primary);
+          cursor: pointer;
+          text-decoration: underline;
+        }
+
+        .breadcrumb-separator {
+          color: var(--color-muted);
+        }
+
+        .breadcrumb-current {
+          color: var(--color-dark);
+          font-weight: var(--font-medium);
+        }
+
+        .container {
+          max-width: 1200px;
+          margin: 0 auto;
+          padding: 0 var(--spacing-lg);
+        }
+
+        .product-layout {
+          display: grid;
+          grid-template-columns: 1fr 1fr;
+          gap: var(--spacing-3xl);
+          margin: var(--spacing-2xl) 0;
+        }
+
+        .product-image-section {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-lg);
+        }
+
+        .main-image {
+          width: 100%;
+          aspect-ratio: 1;
+          border-radius: var(--radius-xl);
+          overflow: hidden;
+          box-shadow: var(--shadow-lg);
+        }
+
+        .product-image {
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+        }
+
+        .product-info-section {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-xl);
+        }
+
+        .product-header {
+          border-bottom: 1px solid var(--color-accent-light);
+          padding-bottom: var(--spacing-lg);
+        }
+
+        .product-title {
+          font-family: var(--font-heading);
+          font-size: var(--text-4xl);
+          font-weight: var(--font-bold);
+          color: var(--color-dark);
+          margin: 0 0 var(--spacing-sm) 0;
+        }
+
+        .product-category {
+          font-size: var(--text-base);
+          color: var(--color-secondary);
+          font-weight: var(--font-medium);
+          margin: 0 0 var(--spacing-md) 0;
+        }
+
+        .product-pricing {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-md);
+          padding: var(--spacing-lg);
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-sm);
+        }
+
+        .current-price {
+          font-size: var(--text-4xl);
+          font-weight: var(--font-bold);
+          color: var(--color-primary);
+        }
+
+        .price-section {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-sm);
+          flex-wrap: wrap;
+        }
+
+        .compare-at-price {
+          font-size: var(--text-xl);
+          color: var(--color-muted);
+        }
+
+        .price-section :global(.discount-badge) {
+          padding: var(--spacing-xs) var(--spacing-sm);
+          border-radius: var(--radius-lg);
+          background: var(--color-error);
+          color: var(--color-white);
+          font-size: var(--text-sm);
+          font-weight: var(--font-bold);
+        }
+
+        .sale-ends {
+          font-size: var(--text-sm);
+          font-weight: var(--font-semibold);
+          color: var(--color-error);
+        }
+
+        .product-specs {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-md);
+          padding: var(--spacing-lg);
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-sm);
+        }
+
+        .spec-list {
+          display: grid;
+          grid-template-columns: repeat(auto-fit, minmax(120px, 1fr));
+          gap: var(--spacing-md);
+          margin: 0;
+        }
+
+        .spec-label {
+          font-size: var(--text-xs);
+          font-weight: var(--font-semibold);
+          color: var(--color-muted);
+          text-transform: uppercase;
+          letter-spacing: 0.05em;
+        }
+
+        .spec-value {
+          margin: 0;
+          color: var(--color-dark);
+          font-weight: var(--font-medium);
+          text-transform: capitalize;
+        }
+
+        .product-tags {
+          display: flex;
+          flex-wrap: wrap;
+          gap: var(--spacing-sm);
+        }
+
+        .product-tag {
+          background: var(--color-background);
+          border: 1px solid var(--color-accent);
+          border-radius: 20px;
+          padding: var(--spacing-xs) var(--spacing-md);
+          font-size: var(--text-sm);
+          color: var(--color-primary);
+          cursor: pointer;
+          transition: all 0.3s ease;
+        }
+
+        .product-tag:hover {
+          background: var(--color-primary);
+          border-color: var(--color-primary);
+          color: var(--color-white);
+        }
+
+        .stock-badge {
+          padding: var(--spacing-xs) var(--spacing-sm);
+          border-radius: var(--radius-sm);
+          font-size: var(--text-sm);
+          font-weight: var(--font-medium);
+        }
+
+        .stock-badge.in-stock {
+          background: rgba(34, 197, 94, 0.1);
+          color: var(--color-success);
+        }
+
+        .stock-badge.out-of-stock {
+          background: rgba(239, 68, 68, 0.1);
+          color: var(--color-error);
+        }
+
+        .seller-info {
+          display: flex;
+          align-items: center;
+          gap: var(--spacing-md);
+          padding: var(--spacing-lg);
+          background: var(--color-white);
+          border-radius: var(--radius-lg);
+          box-shadow: var(--shadow-sm);
+        }
+
+        .seller-avatar {
+          width: 60px;
+          height: 60px;
+          border-radius: 50%;
+          overflow: hidden;
+          flex-shrink: 0;
+        }
+
+        .seller-avatar img {
+          width: 100%;
+          height: 100%;
+          object-fit: cover;
+        }
+
+        .avatar-placeholder {
+          width: 100%;
+          height: 100%;
+          background: var(--color-primary);
+          color: var(--color-white);
+          display: flex;
+          align-items: center;
+          justify-content: center;
+          font-size: var(--text-xl);
+          font-weight: var(--font-bold);
+        }
+
+        .seller-details {
+          flex: 1;
+        }
+
+        .seller-name {
+          font-size: var(--text-lg);
+          font-weight: var(--font-semibold);
+          color: var(--color-dark);
+          margin: 0 0 var(--spacing-xs) 0;
+        }
+
+        .seller-location {
+          font-size: var(--text-sm);
+          color: var(--color-muted);
+          margin: 0;
+        }
+
+        .verified-badge {
+          font-size: var(--text-xs);
+          color: var(--color-success);
+          font-weight: var(--font-medium);
+        }
+
+        .btn-contact-seller {
+          padding: var(--spacing-sm) var(--spacing-md);
+          background: var(--color-secondary);
+          color: var(--color-white);
+          border: none;
+          border-radius: var(--radius-md);
+          font-weight: var(--font-medium);
+          cursor: pointer;
+          transition: background 0.3s ease;
+        }
+
+        .btn-contact-seller:hover {
+          background: var(--color-primary);
+        }
+
+        .action-buttons {
+          display: flex;
+          flex-direction: column;
+          gap: var(--spacing-md);
+        }
+
+        .btn {
+          border: none;
+          border-radius: var(--radius-md);
+          cursor: pointer;
+          transition: all 0.3s ease;
+          font-weight: var(--font-medium);
+          text-decoration: none;
+          display: inline-flex;
+          align-items: center;
+          justify-content: center;
+        }
+
+        .btn:hover {
+          transform: translateY(-1px);
+          box-shadow: var(--shadow-md);
+        }
+
+        .btn:active {
+          transform: translateY(0);
+        }
+
+        .btn:disabled {
+          opacity: 0.5;
+          cursor: not-allowed;
+          transform: none;
+        }
+
+        .btn-large {
+          padding: var(--spacing-lg) var(--spacing-xl);
+          font-size: var(--text-lg);
+          font-weight: var(--font-semibold);
+        }
+
+        .btn-primary {
+          background: var(--color-primary);
+          color: var(--color-white);
+        }
+
+        .btn-primary:hover:not(:disabled) {
+          background: var(--color-secondary);
+        }
+
+        .btn-secondary {
+          background: var(--color-secondary);
+          color: var(--color-white);
+        }
+
+        .btn-secondary:hover:not(:disabled) {
+          background: var(--color-primary);
+        }
+
+        @media (max-width: 768px) {
+          .product-layout {
+            grid-template-columns: 1fr;
+            gap: var(--spacing-xl);
+          }
+
+          .product-title {
+            font-size: var(--text-3xl);
+          }
+
+          .current-price {
+            font-size: var(--text-3xl);
+          }
+
+          .action-buttons {
+            flex-direction: column;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default ProductDetailPage;
\ No newline at end of file
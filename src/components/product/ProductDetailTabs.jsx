@@ -5,6 +5,7 @@
 import React, { useState } from 'react';
 import ProductRating from './ProductRating';
 import ReviewForm from './ReviewForm';
+import { useProductNavigation } from './ProductNavigation';
 
 // Nota: Esta línea necesita la importación faltante:
 // import ProductCard from './ProductCard';  // Si lo usas en ProductGrid
@@ -21,7 +22,7 @@ import ReviewForm from './ReviewForm';
  * @param {Object} product - Datos del producto
  * @param {Array} materials - Lista de materiales
  * @param {Array} reviews - Reviews del producto
- * @param {Object} reviewStats - Estadísticas de reviews
+ * @param {Object} reviewStats - Estadísticas de reviews (getReviewStats)
  * @param {Object} currentUser - Usuario actual (para reviews)
  * @param {Function} onReviewAdded - Callback cuando se agrega review
  */
@@ -37,6 +38,8 @@ const ProductDetailTabs = ({
   // useState: Pestaña activa
   const [activeTab, setActiveTab] = useState('description');
 
+  const { navigateToArtisan } = useProductNavigation();
+
   // Configuración de las pestañas
   const tabs = [
     {
@@ -51,7 +54,7 @@ const ProductDetailTabs = ({
     },
     {
       id: 'reviews',
-      label: `Reviews (${reviewStats?.total || 0})`,
+      label: `Reviews (${reviewStats?.totalReviews || 0})`,
       icon: '⭐'
     },
     {
@@ -248,7 +251,7 @@ const ProductDetailTabs = ({
                     <div key={review.id} className="review-item">
                       <div className="review-header">
                         <div className="reviewer-info">
-                          <span className="reviewer-name">{review.user_name}</span>
+                          <span className="reviewer-name">{review.reviewer_name}</span>
                           {review.verified_purchase && (
                             <span className="verified-purchase">✓ Verified Purchase</span>
                           )}
@@ -340,7 +343,12 @@ const ProductDetailTabs = ({
               </div>
 
               <div className="seller-actions">
-                <button className="btn btn-primary">See all their products</button>
+                <button
+                  className="btn btn-primary"
+                  onClick={() => navigateToArtisan(product.artisan?.id || product.artisan_id)}
+                >
+                  See all their products
+                </button>
                 <button className="btn btn-secondary">Contact Artisan</button>
               </div>
             </div>
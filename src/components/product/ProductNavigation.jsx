@@ -2,6 +2,8 @@
 
 import React from 'react';
 import { useRouter } from 'next/navigation';
+import { slugifyCategory } from '../../utils/categories';
+import ProductCard from './ProductCard';
 
 /**
  * ProductNavigation: Hook personalizado para manejar navegación de productos
@@ -35,7 +37,7 @@ export const useProductNavigation = () => {
    * @param {string} category - Nombre de la categoría
    */
   const navigateToCategory = (category) => {
-    const categoryUrl = `/category/${encodeURIComponent(category)}`;
+    const categoryUrl = `/category/${slugifyCategory(category)}`;
     router.push(categoryUrl);
   };
 
@@ -0,0 +1,313 @@
+// src/components/search/SearchAutocomplete.jsx
+// Caja de búsqueda con sugerencias agrupadas (productos, categorías y artesanos)
+
+import React, { useState, useRef, useEffect } from 'react';
+import { useSearchSuggestions } from '../../hooks/useSearchSuggestions';
+import { formatPrice } from '../../utils/formatPrice';
+
+// Títulos de cada grupo de sugerencias, en el orden en que se muestran
+const SUGGESTION_GROUPS = [
+  { type: 'product', key: 'products', label: 'Products' },
+  { type: 'category', key: 'categories', label: 'Categories' },
+  { type: 'artisan', key: 'artisans', label: 'Artisans' }
+];
+
+/**
+ * SearchAutocomplete: Input de búsqueda con desplegable de sugerencias
+ *
+ * - Las sugerencias se piden con debounce (useSearchSuggestions)
+ * - Flechas arriba/abajo recorren las sugerencias, Enter elige, Escape cierra
+ * - Si no hay sugerencia resaltada, Enter solo cierra el desplegable
+ *   (el texto ya filtra el catálogo a través de onChange)
+ *
+ * @param {string} value - Texto actual de búsqueda
+ * @param {function} onChange - Se llama con el nuevo texto en cada tecla
+ * @param {function} onSelect - Se llama con {type, ...datos} al elegir una sugerencia
+ *                              type: 'product' | 'category' | 'artisan'
+ * @param {string} placeholder - Texto de ayuda del input
+ */
+const SearchAutocomplete = ({
+  value,
+  onChange,
+  onSelect,
+  placeholder = 'Search products...'
+}) => {
+  const [isOpen, setIsOpen] = useState(false);
+  const [activeIndex, setActiveIndex] = useState(-1);
+  const containerRef = useRef(null);
+
+  const { suggestions, loading, hasSuggestions } = useSearchSuggestions(value);
+
+  // Lista plana de sugerencias para la navegación con teclado
+  const flatSuggestions = SUGGESTION_GROUPS.flatMap(group =>
+    suggestions[group.key].map(item =>
+      group.type === 'category'
+        ? { type: 'category', name: item }
+        : { type: group.type, ...item }
+    )
+  );
+
+  /**
+   * useEffect: Cerrar el desplegable al hacer clic fuera del componente
+   */
+  useEffect(() => {
+    const handleClickOutside = (e) => {
+      if (containerRef.current && !containerRef.current.contains(e.target)) {
+        setIsOpen(false);
+      }
+    };
+
+    document.addEventListener('mousedown', handleClickOutside);
+    return () => document.removeEventListener('mousedown', handleClickOutside);
+  }, []);
+
+  /**
+   * useEffect: Reiniciar el resaltado cuando cambian las sugerencias
+   */
+  useEffect(() => {
+    setActiveIndex(-1);
+  }, [suggestions]);
+
+  const handleInputChange = (e) => {
+    onChange(e.target.value);
+    setIsOpen(true);
+  };
+
+  const selectSuggestion = (suggestion) => {
+    setIsOpen(false);
+    setActiveIndex(-1);
+    onSelect(suggestion);
+  };
+
+  /**
+   * handleKeyDown: Navegación con teclado dentro del desplegable
+   */
+  const handleKeyDown = (e) => {
+    switch (e.key) {
+      case 'ArrowDown':
+        if (flatSuggestions.length === 0) return;
+        e.preventDefault();
+        setIsOpen(true);
+        setActiveIndex(prev => (prev + 1) % flatSuggestions.length);
+        break;
+      case 'ArrowUp':
+        if (flatSuggestions.length === 0) return;
+        e.preventDefault();
+        setIsOpen(true);
+        setActiveIndex(prev => (prev <= 0 ? flatSuggestions.length - 1 : prev - 1));
+        break;
+      case 'Enter':
+        if (isOpen && activeIndex >= 0 && flatSuggestions[activeIndex]) {
+          e.preventDefault();
+          selectSuggestion(flatSuggestions[activeIndex]);
+        } else {
+          setIsOpen(false);
+        }
+        break;
+      case 'Escape':
+        setIsOpen(false);
+        setActiveIndex(-1);
+        break;
+      default:
+        break;
+    }
+  };
+
+  const showDropdown = isOpen && (value || '').trim() !== '' && (hasSuggestions || loading);
+
+  // Agrupar de nuevo, conservando el índice de cada sugerencia en flatSuggestions
+  const groupedSuggestions = SUGGESTION_GROUPS.map(group => ({
+    ...group,
+    items: flatSuggestions
+      .map((suggestion, index) => ({ suggestion, index }))
+      .filter(({ suggestion }) => suggestion.type === group.type)
+  }));
+
+  return (
+    <div className="search-autocomplete" ref={containerRef}>
+      <input
+        type="text"
+        placeholder={placeholder}
+        value={value}
+        onChange={handleInputChange}
+        onFocus={() => setIsOpen(true)}
+        onKeyDown={handleKeyDown}
+        className="search-input"
+        role="combobox"
+        aria-expanded={showDropdown}
+        aria-controls="search-suggestions"
+        aria-autocomplete="list"
+        aria-activedescendant={activeIndex >= 0 ? `suggestion-${activeIndex}` : undefined}
+      />
+      <span className="search-icon">🔍</span>
+
+      {showDropdown && (
+        <div className="suggestions-dropdown" id="search-suggestions" role="listbox">
+          {loading && !hasSuggestions && (
+            <div className="suggestions-loading">Searching...</div>
+          )}
+
+          {groupedSuggestions.map(group => {
+            if (group.items.length === 0) return null;
+
+            return (
+              <div key={group.type} className="suggestion-group">
+                <div className="group-label">{group.label}</div>
+
+                {group.items.map(({ suggestion, index }) => {
+                  return (
+                    <div
+                      key={`${group.type}-${suggestion.id || suggestion.name}`}
+                      id={`suggestion-${index}`}
+                      role="option"
+                      aria-selected={index === activeIndex}
+                      className={`suggestion-item ${index === activeIndex ? 'active' : ''}`}
+                      onMouseEnter={() => setActiveIndex(index)}
+                      onMouseDown={(e) => {
+                        // mousedown en vez de click para que el input no pierda el foco antes
+                        e.preventDefault();
+                        selectSuggestion(suggestion);
+                      }}
+                    >
+                      {group.type === 'product' && (
+                        <>
+                          <span className="suggestion-main">{suggestion.title}</span>
+                          <span className="suggestion-meta">{formatPrice(Number(suggestion.price) || 0)}</span>
+                        </>
+                      )}
+
+                      {group.type === 'category' && (
+                        <span className="suggestion-main">📂 {suggestion.name}</span>
+                      )}
+
+                      {group.type === 'artisan' && (
+                        <>
+                          <span className="suggestion-main">🏪 {suggestion.name}</span>
+                          {suggestion.is_verified && (
+                            <span className="suggestion-meta verified">✓ Verified</span>
+                          )}
+                        </>
+                      )}
+                    </div>
+                  );
+                })}
+              </div>
+            );
+          })}
+        </div>
+      )}
+
+      <style jsx>{`
+        .search-autocomplete {
+          position: relative;
+          width: 100%;
+          max-width: 300px;
+        }
+
+        .search-input {
+          width: 100%;
+          padding: 12px 40px 12px 16px;
+          border: 2px solid #e1e5e9;
+          border-radius: 8px;
+          font-size: 1rem;
+          transition: border-color 0.3s ease;
+        }
+
+        .search-input:focus {
+          outline: none;
+          border-color: #667eea;
+        }
+
+        .search-icon {
+          position: absolute;
+          right: 12px;
+          top: 50%;
+          transform: translateY(-50%);
+          color: #666;
+          pointer-events: none;
+        }
+
+        .suggestions-dropdown {
+          position: absolute;
+          top: calc(100% + 6px);
+          left: 0;
+          right: 0;
+          min-width: 300px;
+          max-height: 400px;
+          overflow-y: auto;
+          background: white;
+          border: 1px solid #e1e5e9;
+          border-radius: 8px;
+          box-shadow: 0 10px 15px rgba(0, 0, 0, 0.1);
+          z-index: 50;
+          padding: 6px 0;
+        }
+
+        .suggestions-loading {
+          padding: 10px 16px;
+          color: #6b7280;
+          font-size: 0.875rem;
+        }
+
+        .suggestion-group + .suggestion-group {
+          border-top: 1px solid #f3f4f6;
+          margin-top: 4px;
+          padding-top: 4px;
+        }
+
+        .group-label {
+          padding: 6px 16px;
+          font-size: 0.75rem;
+          font-weight: 600;
+          color: #9ca3af;
+          text-transform: uppercase;
+          letter-spacing: 0.5px;
+        }
+
+        .suggestion-item {
+          display: flex;
+          justify-content: space-between;
+          align-items: center;
+          gap: 12px;
+          padding: 8px 16px;
+          cursor: pointer;
+          font-size: 0.9rem;
+          color: #374151;
+        }
+
+        .suggestion-item.active {
+          background: #eef2ff;
+          color: #4338ca;
+        }
+
+        .suggestion-main {
+          overflow: hidden;
+          text-overflow: ellipsis;
+          white-space: nowrap;
+        }
+
+        .suggestion-meta {
+          flex-shrink: 0;
+          font-size: 0.8rem;
+          color: #6b7280;
+        }
+
+        .suggestion-meta.verified {
+          color: #16a34a;
+        }
+
+        @media (max-width: 768px) {
+          .search-autocomplete {
+            max-width: none;
+          }
+
+          .suggestions-dropdown {
+            min-width: 0;
+          }
+        }
+      `}</style>
+    </div>
+  );
+};
+
+export default SearchAutocomplete;
@@ -0,0 +1,22 @@
+// src/components/seo/JsonLd.jsx
+// Inserta datos estructurados (JSON-LD) en la página
+// Sin estado ni estilos: se puede usar en componentes del servidor
+
+import React from 'react';
+
+/**
+ * JsonLd: Script application/ld+json con los datos indicados
+ *
+ * "<" se escapa para que un texto del usuario (ej: una review con "</script>")
+ * no pueda cerrar la etiqueta antes de tiempo
+ *
+ * @param {Object} data - Objeto de Schema.org (ver utils/structuredData)
+ */
+const JsonLd = ({ data }) => (
+  <script
+    type="application/ld+json"
+    dangerouslySetInnerHTML={{ __html: JSON.stringify(data).replace(/</g, '\\u003c') }}
+  />
+);
+
+export default JsonLd;
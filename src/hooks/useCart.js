@@ -0,0 +1,321 @@
+// src/hooks/useCart.js
+// Contexto del carrito de compras: líneas, cantidades limitadas por stock y drawer
+// Los usuarios registrados guardan su carrito en la tabla carts (ver cartService);
+// los invitados en el navegador, y ese carrito se fusiona con el de la cuenta al iniciar sesión
+
+'use client';
+
+import { useState, useEffect, useRef, createContext, useContext } from 'react';
+import { useAuthState } from './useAuth';
+import {
+  getCart,
+  getCartProducts,
+  mergeGuestCart,
+  setCartItem,
+  removeCartItem,
+  clearCart as clearSavedCart
+} from '../services/cartService';
+import {
+  toCartProduct,
+  getMaxQuantity,
+  clampQuantity,
+  getCartSubtotal,
+  getCartItemCount,
+  mergeCartItems
+} from '../utils/cart';
+import { loadGuestCart, saveGuestCart, clearGuestCart } from '../utils/guestCart';
+
+// Crear contexto del carrito
+const CartContext = createContext(null);
+
+// Hook para usar el contexto del carrito
+export const useCart = () => {
+  const context = useContext(CartContext);
+  if (!context) {
+    throw new Error('useCart must be used within a CartProvider');
+  }
+  return context;
+};
+
+// Proveedor del carrito (montado en app/layout.tsx)
+export const CartProvider = ({ children }) => {
+  const { user, loading: authLoading } = useAuthState();
+  const userId = user?.id || null;
+
+  // Estados del carrito
+  const [items, setItems] = useState([]);              // Líneas {product_id, quantity, product}
+  const [loading, setLoading] = useState(false);       // Carga del carrito guardado
+  const [error, setError] = useState(null);            // Errores al guardar o cargar
+  const [notice, setNotice] = useState(null);          // Avisos de stock (ej: "Only 2 available")
+  const [conflicts, setConflicts] = useState([]);      // Cambios al fusionar o refrescar el carrito (ver mergeCartItems)
+  const [isDrawerOpen, setIsDrawerOpen] = useState(false);
+  const [reloadKey, setReloadKey] = useState(0);       // Cambia para volver a cargar precio y stock
+
+  // itemsRef: Último estado de las líneas, para calcular cambios seguidos sin esperar al render
+  const itemsRef = useRef(items);
+
+  // commitItems: Actualiza las líneas en el estado y en la referencia
+  const commitItems = (nextItems) => {
+    itemsRef.current = nextItems;
+    setItems(nextItems);
+  };
+
+  // useEffect: Cargar el carrito cuando cambia el usuario
+  // useAuthState escucha onAuthStateChange: al iniciar sesión cambia userId
+  // y el carrito de invitado se fusiona con el de la cuenta
+  useEffect(() => {
+    if (authLoading) {
+      return;
+    }
+
+    let cancelled = false;
+
+    // loadGuestItems: Carrito de invitado con precio y stock actuales
+    const loadGuestItems = async () => {
+      const guestItems = loadGuestCart();
+      if (guestItems.length === 0) {
+        commitItems([]);
+        return;
+      }
+
+      setLoading(true);
+      const result = await getCartProducts(guestItems.map(item => item.product_id));
+
+      if (cancelled) {
+        return;
+      }
+
+      if (result.success) {
+        const { items: refreshedItems, conflicts: found } = mergeCartItems([], guestItems, result.products);
+        commitItems(refreshedItems);
+        saveGuestCart(refreshedItems);
+        setConflicts(found);
+        setError(null);
+      } else {
+        setError(result.error);
+      }
+
+      setLoading(false);
+    };
+
+    // loadAccountCart: Carrito guardado de la cuenta, fusionado con el de invitado si existe
+    const loadAccountCart = async () => {
+      setLoading(true);
+      const guestItems = loadGuestCart();
+      const result = guestItems.length > 0
+        ? await mergeGuestCart(userId, guestItems)
+        : await getCart(userId);
+
+      // Ya quedó guardado en la cuenta: borrarlo aunque el efecto se haya cancelado,
+      // así no se vuelve a sumar en la próxima carga
+      if (result.success && guestItems.length > 0) {
+        clearGuestCart();
+      }
+
+      if (cancelled) {
+        return;
+      }
+
+      if (result.success) {
+        // El stock pudo bajar desde que se agregó: ajustar sin pasarse
+        commitItems(result.items.map(item => {
+          const max = getMaxQuantity(item.product);
+          return {
+            ...item,
+            quantity: max > 0 ? Math.min(item.quantity, max) : item.quantity
+          };
+        }));
+        setError(null);
+
+        // Mostrar lo que cambió al fusionar (agotados, precios nuevos...)
+        if (result.conflicts?.length > 0) {
+          setConflicts(result.conflicts);
+          setIsDrawerOpen(true);
+        }
+      } else {
+        setError(result.error);
+      }
+
+      setLoading(false);
+    };
+
+    if (userId) {
+      loadAccountCart();
+    } else {
+      loadGuestItems();
+    }
+
+    return () => {
+      cancelled = true;
+    };
+  }, [userId, authLoading, reloadKey]);
+
+  /**
+   * persistItem: Guarda la cantidad de una línea (0 = quitarla)
+   * En la cuenta si hay sesión, si no en el navegador
+   */
+  const persistItem = async (productId, quantity) => {
+    if (!userId) {
+      saveGuestCart(itemsRef.current);
+      return;
+    }
+
+    const result = quantity > 0
+      ? await setCartItem(userId, productId, quantity)
+      : await removeCartItem(userId, productId);
+
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  /**
+   * addToCart: Agrega unidades de un producto y abre el drawer
+   * La cantidad total nunca supera el stock del producto
+   *
+   * @param {Object} product - Producto a agregar
+   * @param {number} quantity - Unidades a sumar (por defecto 1)
+   * @returns {Object} - {success, quantity, error}
+   */
+  const addToCart = (product, quantity = 1) => {
+    const cartProduct = toCartProduct(product);
+    const max = getMaxQuantity(cartProduct);
+    const existing = itemsRef.current.find(item => item.product_id === cartProduct.id);
+    const currentQuantity = existing ? existing.quantity : 0;
+
+    setIsDrawerOpen(true);
+
+    if (max === 0) {
+      const message = `"${cartProduct.title}" is sold out`;
+      setNotice(message);
+      return { success: false, quantity: currentQuantity, error: message };
+    }
+
+    const nextQuantity = clampQuantity(currentQuantity + quantity, cartProduct);
+
+    if (nextQuantity === currentQuantity) {
+      const message = `Only ${max} of "${cartProduct.title}" available — they're all in your cart`;
+      setNotice(message);
+      return { success: false, quantity: currentQuantity, error: message };
+    }
+
+    commitItems(existing
+      ? itemsRef.current.map(item => (
+          item.product_id === cartProduct.id
+            ? { ...item, quantity: nextQuantity, product: cartProduct }
+            : item
+        ))
+      : [...itemsRef.current, { product_id: cartProduct.id, quantity: nextQuantity, product: cartProduct }]
+    );
+
+    setNotice(nextQuantity < currentQuantity + quantity
+      ? `Only ${max} of "${cartProduct.title}" available`
+      : null
+    );
+
+    persistItem(cartProduct.id, nextQuantity);
+
+    return { success: true, quantity: nextQuantity };
+  };
+
+  /**
+   * updateQuantity: Cambia la cantidad de una línea (limitada por el stock)
+   * Una cantidad de 0 o menos quita el producto
+   *
+   * @param {string} productId - ID del producto
+   * @param {number} quantity - Nueva cantidad
+   */
+  const updateQuantity = (productId, quantity) => {
+    const existing = itemsRef.current.find(item => item.product_id === productId);
+    if (!existing) {
+      return;
+    }
+
+    if (quantity <= 0) {
+      removeFromCart(productId);
+      return;
+    }
+
+    const nextQuantity = clampQuantity(quantity, existing.product);
+
+    setNotice(nextQuantity < quantity
+      ? `Only ${getMaxQuantity(existing.product)} of "${existing.product.title}" available`
+      : null
+    );
+
+    if (nextQuantity === 0 || nextQuantity === existing.quantity) {
+      return;
+    }
+
+    commitItems(itemsRef.current.map(item => (
+      item.product_id === productId ? { ...item, quantity: nextQuantity } : item
+    )));
+
+    persistItem(productId, nextQuantity);
+  };
+
+  /**
+   * removeFromCart: Quita un producto del carrito
+   * @param {string} productId - ID del producto
+   */
+  const removeFromCart = (productId) => {
+    commitItems(itemsRef.current.filter(item => item.product_id !== productId));
+    setNotice(null);
+    persistItem(productId, 0);
+  };
+
+  /**
+   * clearCart: Vacía el carrito
+   */
+  const clearCart = async () => {
+    commitItems([]);
+    setNotice(null);
+    setConflicts([]);
+
+    if (!userId) {
+      clearGuestCart();
+      return;
+    }
+
+    const result = await clearSavedCart(userId);
+    if (!result.success) {
+      setError(result.error);
+    }
+  };
+
+  // Valores y funciones que el contexto expondrá
+  const value = {
+    // Estados
+    items,
+    loading,
+    error,
+    notice,
+    conflicts,
+    isDrawerOpen,
+
+    // Funciones
+    addToCart,
+    updateQuantity,
+    removeFromCart,
+    clearCart,
+    dismissConflicts: () => setConflicts([]),
+    // Vuelve a leer precio y stock (ej: una pieza se agotó durante el checkout)
+    reloadCart: () => setReloadKey(key => key + 1),
+    openCart: () => setIsDrawerOpen(true),
+    closeCart: () => {
+      setIsDrawerOpen(false);
+      setNotice(null);
+    },
+
+    // Computed values
+    itemCount: getCartItemCount(items),
+    subtotal: getCartSubtotal(items),
+    isEmpty: items.length === 0
+  };
+
+  return (
+    <CartContext.Provider value={value}>
+      {children}
+    </CartContext.Provider>
+  );
+};
@@ -1,160 +1,315 @@
-import { useState, useEffect, useCallback } from 'react';
-import { supabase } from '../lib/supabase';
+import { useState, useEffect, useCallback, useMemo, useRef } from 'react';
+import { useRouter, usePathname, useSearchParams } from 'next/navigation';
+import { getCatalogStats, CATALOG_PAGE_SIZE } from '../services/productService';
+import { searchProducts, getCatalogFacets } from '../services/searchService';
+import { getCategories } from '../services/categoryService';
+import { getCategoryOptions } from '../utils/categories';
+import { DEFAULT_FILTERS, parseCatalogQuery, buildCatalogQuery } from '../utils/catalogQuery';
+
+// Tiempo de espera antes de consultar mientras el usuario escribe (ms)
+const SEARCH_DEBOUNCE_MS = 300;
+
+// useProducts: Catálogo paginado con filtros
+// Con syncWithUrl los filtros se leen y se escriben en el query string,
+// así un enlace o un recargo muestran la misma vista y atrás/adelante funcionan
+// Con category el catálogo queda limitado a esa categoría (páginas de categoría):
+// un nombre, o la lista de nombres de la categoría y sus subcategorías
+export const useProducts = ({
+  pageSize = CATALOG_PAGE_SIZE,
+  syncWithUrl = false,
+  category = null
+} = {}) => {
+  const router = useRouter();
+  const pathname = usePathname();
+  const searchParams = useSearchParams();
+  const urlQuery = searchParams?.toString() || '';
+
+  // Estado inicial: desde la URL si está sincronizado
+  const getInitialState = () => (
+    syncWithUrl
+      ? parseCatalogQuery(searchParams)
+      : { filters: DEFAULT_FILTERS, page: 1 }
+  );
 
-export const useProducts = () => {
   // Estados para manejar los productos y la interfaz
-  const [products, setProducts] = useState([]); // Array de productos
-  const [allProducts, setAllProducts] = useState([]); // Todos los productos sin filtrar
+  const [products, setProducts] = useState([]); // Productos de la página actual
   const [loading, setLoading] = useState(true); // Estado de carga
   const [error, setError] = useState(null); // Errores
-  const [categories, setCategories] = useState([]); // Categorías disponibles
-  
-  // Estados para filtros
-  const [filters, setFilters] = useState({
-    category: 'All Categories',
-    priceRange: 'all',
-    searchTerm: ''
+  const [categories, setCategories] = useState([]); // Árbol de categorías (getCategoryOptions)
+
+  // Estados para paginación (los calcula la base de datos)
+  const [page, setPage] = useState(() => getInitialState().page);
+  const [totalCount, setTotalCount] = useState(0);
+  const [totalPages, setTotalPages] = useState(1);
+
+  // Estadísticas generales del catálogo (sin filtros)
+  const [catalogStats, setCatalogStats] = useState({
+    totalProducts: 0,
+    averagePrice: 0
   });
 
-  // fetchProducts: Obtiene todos los productos de la base de datos
-  const fetchProducts = useCallback(async () => {
-    try {
-      setLoading(true);
-      setError(null);
-
-      // Consulta a Supabase usando los campos reales de tu BD
-      const { data, error } = await supabase
-        .from('products')
-        .select(`
-          id,
-          title,
-          description,
-          price,
-          category,
-          rating,
-          stock,
-          image_url,
-          created_at
-        `)
-        .order('created_at', { ascending: false });
-
-      if (error) {
-        console.log('Supabase error:', error.message || error);
-        setError('Error loading products from database');
-        return;
-      }
-
-      // Si la consulta es exitosa, actualizamos los estados
-      setAllProducts(data || []);
-      
-      // Extraemos categorías únicas de los productos
-      const uniqueCategories = [...new Set((data || []).map(product => product.category))];
-      setCategories(uniqueCategories);
-
-    } catch (error) {
-      setError('Error connecting to database');
-      console.log('Error fetching products:', error.message || error);
-    } finally {
-      setLoading(false);
+  // Cantidad de productos por opción de filtro (null mientras no se calculan)
+  const [facets, setFacets] = useState(null);
+
+  // Estados para filtros
+  const [filters, setFilters] = useState(() => getInitialState().filters);
+
+  // El término de búsqueda se aplica con retraso para no consultar en cada tecla
+  const [debouncedSearchTerm, setDebouncedSearchTerm] = useState(() => getInitialState().filters.searchTerm);
+
+  // requestIdRef / facetsRequestIdRef: Evitan que una respuesta vieja pise a una más nueva
+  const requestIdRef = useRef(0);
+  const facetsRequestIdRef = useRef(0);
+
+  // lastSyncedQueryRef: Último query string que escribimos o leímos,
+  // para distinguir nuestros propios cambios de la navegación atrás/adelante
+  const lastSyncedQueryRef = useRef(urlQuery);
+
+  useEffect(() => {
+    const timer = setTimeout(() => {
+      setDebouncedSearchTerm(filters.searchTerm);
+    }, SEARCH_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [filters.searchTerm]);
+
+  // URL → estado: el usuario navegó con atrás/adelante o abrió un enlace
+  useEffect(() => {
+    if (!syncWithUrl || urlQuery === lastSyncedQueryRef.current) {
+      return;
     }
-  }, []);
 
-  // applyFilters: Aplica los filtros seleccionados a los productos
-  const applyFilters = useCallback(() => {
-    let filtered = [...allProducts];
+    lastSyncedQueryRef.current = urlQuery;
+    const parsed = parseCatalogQuery(new URLSearchParams(urlQuery));
+    setFilters(parsed.filters);
+    setDebouncedSearchTerm(parsed.filters.searchTerm);
+    setPage(parsed.page);
+  }, [syncWithUrl, urlQuery]);
 
-    // Filtro por categoría
-    if (filters.category !== 'All Categories') {
-      filtered = filtered.filter(product => 
-        product.category === filters.category
-      );
+  // Estado → URL: escribir los filtros aplicados en el query string
+  useEffect(() => {
+    if (!syncWithUrl) {
+      return;
     }
 
-    // Filtro por rango de precio
-    if (filters.priceRange !== 'all') {
-      switch (filters.priceRange) {
-        case 'under-25':
-          filtered = filtered.filter(product => product.price < 25);
-          break;
-        case '25-50':
-          filtered = filtered.filter(product => product.price >= 25 && product.price <= 50);
-          break;
-        case '50-100':
-          filtered = filtered.filter(product => product.price > 50 && product.price <= 100);
-          break;
-        case 'over-100':
-          filtered = filtered.filter(product => product.price > 100);
-          break;
-        default:
-          break;
-      }
+    const appliedFilters = { ...filters, searchTerm: debouncedSearchTerm };
+    const query = buildCatalogQuery(appliedFilters, page);
+
+    if (query === lastSyncedQueryRef.current) {
+      return;
     }
 
-    // Filtro por término de búsqueda (usando campos reales)
-    if (filters.searchTerm) {
-      const searchLower = filters.searchTerm.toLowerCase();
-      filtered = filtered.filter(product =>
-        product.title.toLowerCase().includes(searchLower) ||
-        product.description.toLowerCase().includes(searchLower) ||
-        product.category.toLowerCase().includes(searchLower)
-      );
+    // Si solo cambió el texto de búsqueda, reemplazamos la entrada del historial
+    // en lugar de agregar una por cada pausa al escribir
+    const previous = parseCatalogQuery(new URLSearchParams(lastSyncedQueryRef.current));
+    const onlySearchChanged =
+      buildCatalogQuery({ ...previous.filters, searchTerm: '' }, previous.page) ===
+      buildCatalogQuery({ ...appliedFilters, searchTerm: '' }, page);
+
+    lastSyncedQueryRef.current = query;
+    const url = query ? `${pathname}?${query}` : pathname;
+
+    if (onlySearchChanged) {
+      router.replace(url, { scroll: false });
+    } else {
+      router.push(url, { scroll: false });
     }
+  }, [syncWithUrl, filters, debouncedSearchTerm, page, pathname, router]);
+
+  // El rango de precio es un objeto {min, max}: dependemos de sus valores, no de la referencia
+  const { min: minPrice, max: maxPrice } = filters.priceRange;
 
-    setProducts(filtered);
-  }, [allProducts, filters]);
+  // Categoría fija de la página o la elegida en los filtros,
+  // expandida a sus subcategorías: elegir "Jewelry" también muestra "Rings"
+  const selectedCategory = category || filters.category;
+  let categoryNames = [];
+  if (Array.isArray(selectedCategory)) {
+    categoryNames = selectedCategory;
+  } else if (selectedCategory !== DEFAULT_FILTERS.category) {
+    const option = categories.find(item => item.name === selectedCategory);
+    categoryNames = option ? option.familyNames : [selectedCategory];
+  }
 
-  // updateFilter: Actualiza un filtro específico
+  // La lista se recalcula en cada render: dependemos de su contenido, no de la referencia
+  const categoryKey = categoryNames.join('\n');
+  const activeCategory = useMemo(() => (
+    categoryKey ? categoryKey.split('\n') : DEFAULT_FILTERS.category
+  ), [categoryKey]);
+
+  // fetchProducts: Obtiene la página actual con los filtros aplicados en la consulta
+  // searchProducts ordena por relevancia si hay término y si no usa el catálogo normal
+  const fetchProducts = useCallback(async () => {
+    const requestId = ++requestIdRef.current;
+
+    setLoading(true);
+    setError(null);
+
+    const result = await searchProducts(debouncedSearchTerm, {
+      category: activeCategory,
+      priceRange: { min: minPrice, max: maxPrice },
+      rating: filters.rating,
+      inStock: filters.inStock,
+      featured: filters.featured,
+      tags: filters.tags,
+      attributes: filters.attributes,
+      sortBy: filters.sortBy,
+      page,
+      pageSize
+    });
+
+    // Si mientras tanto se lanzó otra consulta, ignoramos esta respuesta
+    if (requestId !== requestIdRef.current) {
+      return;
+    }
+
+    if (!result.success) {
+      console.log('Supabase error:', result.error);
+      setError('Error loading products from database');
+      setLoading(false);
+      return;
+    }
+
+    setProducts(result.products);
+    setTotalCount(result.totalCount);
+    setTotalPages(result.totalPages);
+    setLoading(false);
+  }, [
+    activeCategory,
+    minPrice,
+    maxPrice,
+    filters.rating,
+    filters.inStock,
+    filters.featured,
+    filters.tags,
+    filters.attributes,
+    filters.sortBy,
+    debouncedSearchTerm,
+    page,
+    pageSize
+  ]);
+
+  // fetchFacets: Cuenta productos por opción de filtro con la búsqueda y filtros actuales
+  // No depende del orden ni de la página
+  const fetchFacets = useCallback(async () => {
+    const requestId = ++facetsRequestIdRef.current;
+
+    const result = await getCatalogFacets(debouncedSearchTerm, {
+      category: activeCategory,
+      priceRange: { min: minPrice, max: maxPrice },
+      rating: filters.rating,
+      inStock: filters.inStock,
+      featured: filters.featured,
+      tags: filters.tags,
+      attributes: filters.attributes
+    });
+
+    if (requestId !== facetsRequestIdRef.current) {
+      return;
+    }
+
+    // Si falla, FilterBar simplemente no muestra los conteos
+    setFacets(result.facets);
+  }, [
+    activeCategory,
+    minPrice,
+    maxPrice,
+    filters.rating,
+    filters.inStock,
+    filters.featured,
+    filters.tags,
+    filters.attributes,
+    debouncedSearchTerm
+  ]);
+
+  // fetchCategories: Árbol de categorías para el selector de FilterBar
+  const fetchCategories = useCallback(async () => {
+    const result = await getCategories();
+    setCategories(getCategoryOptions(result.categories));
+  }, []);
+
+  // fetchCatalogStats: Estadísticas para el encabezado
+  const fetchCatalogStats = useCallback(async () => {
+    const result = await getCatalogStats();
+
+    setCatalogStats({
+      totalProducts: result.stats.totalProducts,
+      averagePrice: result.stats.averagePrice
+    });
+  }, []);
+
+  // updateFilter: Actualiza un filtro específico y vuelve a la primera página
   const updateFilter = useCallback((filterType, value) => {
     setFilters(prevFilters => ({
       ...prevFilters,
       [filterType]: value
     }));
+    setPage(1);
   }, []);
 
   // clearFilters: Limpia todos los filtros
   const clearFilters = useCallback(() => {
-    setFilters({
-      category: 'All Categories',
-      priceRange: 'all',
-      searchTerm: ''
-    });
+    setFilters(DEFAULT_FILTERS);
+    setDebouncedSearchTerm('');
+    setPage(1);
   }, []);
 
-  // Efectos para cargar datos y aplicar filtros
+  // goToPage: Cambia de página dentro de los límites válidos
+  const goToPage = useCallback((newPage) => {
+    setPage(Math.min(Math.max(1, newPage), totalPages));
+  }, [totalPages]);
+
+  // refetch: Recarga la página actual y las estadísticas
+  const refetch = useCallback(() => {
+    fetchCatalogStats();
+    fetchProducts();
+    fetchFacets();
+  }, [fetchCatalogStats, fetchProducts, fetchFacets]);
+
+  // Efectos para cargar datos cuando cambian filtros o página
+  useEffect(() => {
+    fetchCategories();
+    fetchCatalogStats();
+  }, [fetchCategories, fetchCatalogStats]);
+
   useEffect(() => {
     fetchProducts();
   }, [fetchProducts]);
 
   useEffect(() => {
-    applyFilters();
-  }, [applyFilters]);
+    fetchFacets();
+  }, [fetchFacets]);
 
   // Estadísticas útiles
   const stats = {
-    totalProducts: allProducts.length,
-    filteredCount: products.length,
+    totalProducts: catalogStats.totalProducts,
+    filteredCount: totalCount,
     categoriesCount: categories.length,
-    averagePrice: allProducts.length > 0 
-      ? Math.round(allProducts.reduce((sum, product) => sum + product.price, 0) / allProducts.length)
-      : 0
+    averagePrice: catalogStats.averagePrice
   };
 
   // Retornamos todo lo que necesitan los componentes
   return {
     // Datos
     products,
-    allProducts,
     categories,
-    
+
+    // Paginación
+    page,
+    pageSize,
+    totalPages,
+    totalCount,
+
     // Estados
     loading,
     error,
     filters,
+    facets,
     stats,
-    
+
     // Funciones
     updateFilter,
     clearFilters,
-    refetch: fetchProducts
+    goToPage,
+    refetch
   };
-};
\ No newline at end of file
+};
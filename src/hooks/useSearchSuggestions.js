@@ -0,0 +1,55 @@
+import { useState, useEffect, useRef } from 'react';
+import { getSearchSuggestions, MIN_SEARCH_LENGTH } from '../services/searchService';
+
+// Tiempo de espera antes de pedir sugerencias mientras el usuario escribe (ms)
+const SUGGESTIONS_DEBOUNCE_MS = 250;
+
+const EMPTY_SUGGESTIONS = { products: [], categories: [], artisans: [] };
+
+// useSearchSuggestions: Sugerencias de autocompletado con debounce
+export const useSearchSuggestions = (searchTerm) => {
+  const [suggestions, setSuggestions] = useState(EMPTY_SUGGESTIONS);
+  const [loading, setLoading] = useState(false);
+
+  // requestIdRef: Evita que una respuesta vieja pise a una más nueva
+  const requestIdRef = useRef(0);
+
+  useEffect(() => {
+    const term = (searchTerm || '').trim();
+
+    // Texto demasiado corto: limpiar sin consultar
+    if (term.length < MIN_SEARCH_LENGTH) {
+      requestIdRef.current++;
+      setSuggestions(EMPTY_SUGGESTIONS);
+      setLoading(false);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      const requestId = ++requestIdRef.current;
+      setLoading(true);
+
+      const result = await getSearchSuggestions(term);
+
+      if (requestId !== requestIdRef.current) {
+        return;
+      }
+
+      setSuggestions(result.suggestions);
+      setLoading(false);
+    }, SUGGESTIONS_DEBOUNCE_MS);
+
+    return () => clearTimeout(timer);
+  }, [searchTerm]);
+
+  const hasSuggestions =
+    suggestions.products.length > 0 ||
+    suggestions.categories.length > 0 ||
+    suggestions.artisans.length > 0;
+
+  return {
+    suggestions,
+    loading,
+    hasSuggestions
+  };
+};
@@ -0,0 +1,45 @@
+import { useState, useEffect } from 'react';
+import { getShippingForArtisans } from '../services/shippingService';
+
+// useShippingRates: Perfiles de envío y taller de los artesanos de un carrito
+// Solo vuelve a consultar cuando cambia el conjunto de artesanos
+export const useShippingRates = (items) => {
+  const [profilesByArtisan, setProfilesByArtisan] = useState({});
+  const [artisans, setArtisans] = useState({});
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  // Clave estable: IDs de los artesanos ordenados
+  const artisanKey = [...new Set(items.map(item => item.product.artisan_id).filter(Boolean))].sort().join(',');
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadRates = async () => {
+      setLoading(true);
+      const result = await getShippingForArtisans(artisanKey ? artisanKey.split(',') : []);
+
+      if (cancelled) {
+        return;
+      }
+
+      setProfilesByArtisan(result.profilesByArtisan);
+      setArtisans(result.artisans);
+      setError(result.success ? null : result.error);
+      setLoading(false);
+    };
+
+    loadRates();
+
+    return () => {
+      cancelled = true;
+    };
+  }, [artisanKey]);
+
+  return {
+    profilesByArtisan,
+    artisans,
+    loading,
+    error
+  };
+};
@@ -0,0 +1,39 @@
+import { useState, useEffect } from 'react';
+import { getTaxTables } from '../services/taxService';
+import { EMPTY_TAX_TABLES } from '../utils/tax';
+
+// useTaxTables: Tasas de impuestos y clases de las categorías (ver taxService)
+// Se cargan una vez por página; mientras tanto los impuestos no se conocen
+export const useTaxTables = () => {
+  const [tables, setTables] = useState(EMPTY_TAX_TABLES);
+  const [loading, setLoading] = useState(true);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadTables = async () => {
+      const result = await getTaxTables();
+
+      if (cancelled) {
+        return;
+      }
+
+      setTables(result.tables);
+      setError(result.success ? null : result.error);
+      setLoading(false);
+    };
+
+    loadTables();
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  return {
+    tables,
+    loading,
+    error
+  };
+};
@@ -0,0 +1,10 @@
+// instrumentation.ts
+// Next.js llama a register() una vez al arrancar el servidor
+// Verifica la configuración que no puede faltar en producción antes de atender pedidos
+
+export async function register() {
+  if (process.env.NEXT_RUNTIME === 'nodejs') {
+    const { assertPaymentConfig } = await import('./lib/payments');
+    assertPaymentConfig();
+  }
+}
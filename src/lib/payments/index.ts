@@ -0,0 +1,86 @@
+// lib/payments/index.ts
+// Punto de entrada de los pagos: devuelve el proveedor configurado
+// Solo se usa en el servidor (rutas de app/api/payments y paymentService)
+//
+// PAYMENT_PROVIDER elige el proveedor (por ahora solo "mock")
+// PAYMENT_WEBHOOK_SECRET es el secreto con el que el proveedor firma los webhooks
+// Fuera de desarrollo y tests los dos son obligatorios: el servidor no arranca sin ellos
+// (ver src/instrumentation.ts), así nadie puede firmar webhooks con un secreto conocido
+// El proveedor de prueba aprueba cualquier tarjeta: en producción no se acepta
+// Para sumar un procesador real: implementar PaymentProvider (types/payment.ts)
+// en un archivo de esta carpeta y agregarlo en PROVIDERS
+
+import type { PaymentProvider } from '@/types/payment';
+import { createMockPaymentProvider } from './mockProvider';
+
+// Proveedor de prueba (ver mockProvider.ts)
+const MOCK_PROVIDER = 'mock';
+
+// Valores por defecto, solo para desarrollo local y tests
+const DEV_PROVIDER = MOCK_PROVIDER;
+const DEV_WEBHOOK_SECRET = 'mock_webhook_secret';
+
+const PROVIDERS: Record<string, (webhookSecret: string) => PaymentProvider> = {
+  [MOCK_PROVIDER]: createMockPaymentProvider
+};
+
+let provider: PaymentProvider | null = null;
+
+/**
+ * Indica si se pueden usar los valores por defecto (servidor de desarrollo o tests)
+ */
+function allowsDevDefaults(): boolean {
+  return process.env.NODE_ENV === 'development' || process.env.NODE_ENV === 'test';
+}
+
+/**
+ * Proveedor y secreto de webhooks configurados
+ * @throws Error si falta alguno fuera de desarrollo y tests, si el proveedor no existe
+ * o si es el de prueba en producción
+ */
+function getPaymentConfig(): { name: string; webhookSecret: string } {
+  const name = process.env.PAYMENT_PROVIDER || (allowsDevDefaults() ? DEV_PROVIDER : '');
+  const webhookSecret = process.env.PAYMENT_WEBHOOK_SECRET || (allowsDevDefaults() ? DEV_WEBHOOK_SECRET : '');
+
+  if (!name) {
+    throw new Error('Missing env.PAYMENT_PROVIDER');
+  }
+  if (!webhookSecret) {
+    throw new Error('Missing env.PAYMENT_WEBHOOK_SECRET');
+  }
+  if (!PROVIDERS[name]) {
+    throw new Error(`Unknown payment provider: ${name}`);
+  }
+  if (name === MOCK_PROVIDER && process.env.NODE_ENV === 'production') {
+    throw new Error('The mock payment provider cannot be used in production');
+  }
+
+  return { name, webhookSecret };
+}
+
+/**
+ * Verifica la configuración de pagos al arrancar el servidor
+ * @throws Error si la configuración no es válida (ver getPaymentConfig)
+ */
+export function assertPaymentConfig(): void {
+  getPaymentConfig();
+}
+
+/**
+ * Indica si los pagos usan el proveedor de prueba (el checkout muestra las tarjetas de prueba)
+ */
+export function isTestPaymentProvider(): boolean {
+  return getPaymentConfig().name === MOCK_PROVIDER;
+}
+
+/**
+ * Proveedor de pagos configurado (se crea una sola vez)
+ */
+export function getPaymentProvider(): PaymentProvider {
+  if (!provider) {
+    const { name, webhookSecret } = getPaymentConfig();
+    provider = PROVIDERS[name](webhookSecret);
+  }
+
+  return provider;
+}
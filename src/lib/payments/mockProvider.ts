@@ -0,0 +1,113 @@
+// lib/payments/mockProvider.ts
+// Proveedor de pagos de prueba: corre en el mismo proceso y siempre responde igual
+// para los mismos datos, así el checkout se puede usar en desarrollo y en tests
+//
+// Tarjetas de prueba (card_number):
+//   4242 4242 4242 4242 → pago aprobado
+//   4000 0000 0000 0002 → tarjeta rechazada
+//   4000 0000 0000 9995 → fondos insuficientes
+// Cualquier otro número de 16 dígitos se aprueba
+
+import { createHmac, timingSafeEqual } from 'crypto';
+import type {
+  PaymentProvider,
+  PaymentIntent,
+  PaymentResult,
+  PaymentEvent,
+  PaymentMethodInput
+} from '@/types/payment';
+
+// Tarjetas que fallan y el motivo
+const DECLINED_CARDS: Record<string, string> = {
+  '4000000000000002': 'Your card was declined',
+  '4000000000009995': 'Your card has insufficient funds'
+};
+
+// Prefijo de los IDs de intento: el ID se deriva del pedido, no hace falta guardar estado
+const INTENT_PREFIX = 'mock_pi_';
+
+/**
+ * Firma de un webhook del proveedor de prueba (HMAC-SHA256 del cuerpo)
+ * Sirve para simular webhooks en desarrollo y tests
+ * @param payload - Cuerpo del webhook tal como se envía
+ * @param secret - Secreto compartido (PAYMENT_WEBHOOK_SECRET)
+ */
+export function signMockWebhook(payload: string, secret: string): string {
+  return createHmac('sha256', secret).update(payload).digest('hex');
+}
+
+/**
+ * Crea el proveedor de prueba
+ * @param webhookSecret - Secreto para firmar y verificar webhooks
+ */
+export function createMockPaymentProvider(webhookSecret: string): PaymentProvider {
+  return {
+    name: 'mock',
+
+    async createIntent({ orderId, amount, currency }): Promise<PaymentIntent> {
+      const id = `${INTENT_PREFIX}${orderId.replace(/-/g, '')}`;
+
+      return {
+        id,
+        clientSecret: `${id}_secret`,
+        amount,
+        currency,
+        status: 'requires_payment'
+      };
+    },
+
+    async confirmIntent(intentId: string, paymentMethod: PaymentMethodInput): Promise<PaymentResult> {
+      if (!intentId.startsWith(INTENT_PREFIX)) {
+        return { intentId, status: 'failed', failureReason: 'Unknown payment' };
+      }
+
+      const cardNumber = (paymentMethod.card_number || '').replace(/\D/g, '');
+
+      if (cardNumber.length !== 16) {
+        return { intentId, status: 'failed', failureReason: 'Please enter a valid card number' };
+      }
+
+      if (DECLINED_CARDS[cardNumber]) {
+        return { intentId, status: 'failed', failureReason: DECLINED_CARDS[cardNumber] };
+      }
+
+      return { intentId, status: 'succeeded' };
+    },
+
+    async refund(intentId: string, amount: number): Promise<PaymentResult> {
+      if (!intentId.startsWith(INTENT_PREFIX) || amount <= 0) {
+        return { intentId, status: 'failed', failureReason: 'Refund could not be processed' };
+      }
+
+      return { intentId, status: 'refunded' };
+    },
+
+    async verifyWebhook(payload: string, signature: string | null): Promise<PaymentEvent | null> {
+      if (!signature) return null;
+
+      const expected = Buffer.from(signMockWebhook(payload, webhookSecret), 'hex');
+      const received = Buffer.from(signature, 'hex');
+
+      if (expected.length !== received.length || !timingSafeEqual(expected, received)) {
+        return null;
+      }
+
+      try {
+        const event = JSON.parse(payload);
+        const validTypes = ['payment.succeeded', 'payment.failed', 'payment.refunded'];
+
+        if (!validTypes.includes(event.type) || typeof event.intentId !== 'string') {
+          return null;
+        }
+
+        return {
+          type: event.type,
+          intentId: event.intentId,
+          failureReason: event.failureReason
+        };
+      } catch {
+        return null;
+      }
+    }
+  };
+}
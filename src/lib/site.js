@@ -0,0 +1,18 @@
+// src/lib/site.js
+// Datos públicos del sitio usados en metadatos, enlaces absolutos y SEO
+
+// URL pública del sitio (sin "/" final); en desarrollo, el servidor local
+export const SITE_URL = (process.env.NEXT_PUBLIC_SITE_URL || 'http://localhost:3000').replace(/\/+$/, '');
+
+export const SITE_NAME = 'Handcrafted Haven';
+
+/**
+ * absoluteUrl: Convierte una ruta del sitio en URL absoluta
+ * Las URLs que ya son absolutas (ej: imágenes en Supabase Storage) se devuelven igual
+ * @param {string} path - Ruta que empieza con "/" (ej: "/product/123") o URL absoluta
+ * @returns {string}
+ */
+export const absoluteUrl = (path = '/') => {
+  if (/^(https?:)?\/\//i.test(path)) return path;
+  return `${SITE_URL}${path.startsWith('/') ? '' : '/'}${path}`;
+};
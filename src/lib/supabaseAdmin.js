@@ -0,0 +1,46 @@
+// src/lib/supabaseAdmin.js
+// Cliente de Supabase con la service role key: ignora RLS
+// SOLO para el servidor (rutas de app/api); la clave nunca debe llegar al navegador
+
+import { createClient } from '@supabase/supabase-js';
+
+const supabaseUrl = process.env.NEXT_PUBLIC_SUPABASE_URL;
+const supabaseServiceKey = process.env.SUPABASE_SERVICE_ROLE_KEY;
+
+/**
+ * getSupabaseAdmin: Crea el cliente de administración
+ * Se crea al usarlo (no al importar) para que el build no falle sin la clave
+ *
+ * @returns {Object} - Cliente de Supabase
+ */
+export const getSupabaseAdmin = () => {
+  if (!supabaseUrl || !supabaseServiceKey) {
+    throw new Error('Missing SUPABASE_SERVICE_ROLE_KEY environment variable');
+  }
+
+  return createClient(supabaseUrl, supabaseServiceKey, {
+    auth: {
+      persistSession: false,
+      autoRefreshToken: false
+    }
+  });
+};
+
+/**
+ * getRequestUser: Usuario que hace un pedido a una ruta de la API
+ * El navegador envía su access token en el header Authorization: Bearer <token>
+ *
+ * @param {Request} request - Pedido HTTP
+ * @returns {Promise<Object|null>} - Usuario de Supabase o null si no hay sesión válida
+ */
+export const getRequestUser = async (request) => {
+  const header = request.headers.get('authorization') || '';
+  const token = header.startsWith('Bearer ') ? header.slice(7) : null;
+
+  if (!token) {
+    return null;
+  }
+
+  const { data, error } = await getSupabaseAdmin().auth.getUser(token);
+  return error ? null : data.user;
+};
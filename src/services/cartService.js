@@ -0,0 +1,245 @@
+// src/services/cartService.js
+// Servicio para el carrito de los usuarios registrados (tabla carts)
+// Ver create-carts-table.sql
+
+import { supabase } from '../lib/supabase';
+import { mergeCartItems, toCartProduct } from '../utils/cart';
+
+// Campos del producto que necesita el carrito (precio y stock para los límites,
+// peso, medidas y perfil para el envío, oferta para el precio actual)
+const CART_PRODUCT_FIELDS = 'id, title, price, stock, image_url, category, category_id, artisan_id, weight_grams, length_cm, width_cm, height_cm, shipping_profile_id, compare_at_price, sale_starts_at, sale_ends_at';
+
+/**
+ * getCart: Obtiene el carrito guardado de un usuario
+ *
+ * Cada línea trae el producto actual, así el precio y el stock
+ * siempre son los de la base de datos
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Object} - {success, items[], error}
+ */
+export const getCart = async (userId) => {
+  try {
+    const { data, error } = await supabase
+      .from('carts')
+      .select(`product_id, quantity, product:products(${CART_PRODUCT_FIELDS})`)
+      .eq('user_id', userId)
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      // Los productos borrados se eliminan en cascada, pero por las dudas se filtran
+      // toCartProduct deja el precio actual (con o sin oferta)
+      items: (data || [])
+        .filter(item => item.product)
+        .map(item => ({ ...item, product: toCartProduct(item.product) }))
+    };
+
+  } catch (error) {
+    console.error('❌ Get cart error:', error);
+    return {
+      success: false,
+      items: [],
+      error: error.message || 'Failed to load cart'
+    };
+  }
+};
+
+/**
+ * getCartProducts: Obtiene los datos actuales (precio y stock) de varios productos
+ * Usado para refrescar el carrito de invitado guardado en el navegador
+ *
+ * @param {Array} productIds - IDs de los productos
+ * @returns {Object} - {success, products[], error}
+ */
+export const getCartProducts = async (productIds) => {
+  try {
+    if (!productIds || productIds.length === 0) {
+      return { success: true, products: [] };
+    }
+
+    const { data, error } = await supabase
+      .from('products')
+      .select(CART_PRODUCT_FIELDS)
+      .in('id', productIds);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      products: data || []
+    };
+
+  } catch (error) {
+    console.error('❌ Get cart products error:', error);
+    return {
+      success: false,
+      products: [],
+      error: error.message || 'Failed to load cart products'
+    };
+  }
+};
+
+/**
+ * setCartItem: Guarda la cantidad de un producto en el carrito
+ * Crea la línea si no existe o reemplaza su cantidad
+ *
+ * @param {string} userId - ID del usuario
+ * @param {string} productId - ID del producto
+ * @param {number} quantity - Cantidad (ya limitada por el stock)
+ * @returns {Object} - {success, error}
+ */
+export const setCartItem = async (userId, productId, quantity) => {
+  try {
+    const { error } = await supabase
+      .from('carts')
+      .upsert({
+        user_id: userId,
+        product_id: productId,
+        quantity,
+        updated_at: new Date().toISOString()
+      }, { onConflict: 'user_id,product_id' });
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Set cart item error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to update cart'
+    };
+  }
+};
+
+/**
+ * removeCartItem: Quita un producto del carrito
+ *
+ * @param {string} userId - ID del usuario
+ * @param {string} productId - ID del producto
+ * @returns {Object} - {success, error}
+ */
+export const removeCartItem = async (userId, productId) => {
+  try {
+    const { error } = await supabase
+      .from('carts')
+      .delete()
+      .eq('user_id', userId)
+      .eq('product_id', productId);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Remove cart item error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to remove item from cart'
+    };
+  }
+};
+
+/**
+ * clearCart: Vacía el carrito de un usuario
+ *
+ * @param {string} userId - ID del usuario
+ * @returns {Object} - {success, error}
+ */
+export const clearCart = async (userId) => {
+  try {
+    const { error } = await supabase
+      .from('carts')
+      .delete()
+      .eq('user_id', userId);
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Clear cart error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to clear cart'
+    };
+  }
+};
+
+/**
+ * mergeGuestCart: Fusiona el carrito de invitado con el carrito de la cuenta
+ *
+ * Se llama al iniciar sesión. Las cantidades se suman sin pasar el stock;
+ * los productos agotados o borrados se descartan y los cambios de precio
+ * se informan en conflicts (ver mergeCartItems en utils/cart)
+ *
+ * @param {string} userId - ID del usuario que inició sesión
+ * @param {Array} guestItems - Líneas del carrito de invitado (loadGuestCart)
+ * @returns {Object} - {success, items[], conflicts[], error}
+ */
+export const mergeGuestCart = async (userId, guestItems) => {
+  try {
+    const [cartResult, productsResult] = await Promise.all([
+      getCart(userId),
+      getCartProducts(guestItems.map(item => item.product_id))
+    ]);
+
+    if (!cartResult.success) {
+      throw new Error(cartResult.error);
+    }
+
+    if (!productsResult.success) {
+      throw new Error(productsResult.error);
+    }
+
+    const { items, changedItems, conflicts } = mergeCartItems(
+      cartResult.items,
+      guestItems,
+      productsResult.products
+    );
+
+    if (changedItems.length > 0) {
+      const now = new Date().toISOString();
+      const { error } = await supabase
+        .from('carts')
+        .upsert(changedItems.map(item => ({
+          user_id: userId,
+          product_id: item.product_id,
+          quantity: item.quantity,
+          updated_at: now
+        })), { onConflict: 'user_id,product_id' });
+
+      if (error) {
+        throw error;
+      }
+    }
+
+    return {
+      success: true,
+      items,
+      conflicts
+    };
+
+  } catch (error) {
+    console.error('❌ Merge guest cart error:', error);
+    return {
+      success: false,
+      items: [],
+      conflicts: [],
+      error: error.message || 'Failed to merge your cart'
+    };
+  }
+};
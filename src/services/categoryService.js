@@ -0,0 +1,94 @@
+// src/services/categoryService.js
+// Servicio para la taxonomía de categorías (tabla categories)
+// Ver create-categories-table.sql
+
+import { supabase } from '../lib/supabase';
+
+// Campos públicos de una categoría
+const CATEGORY_FIELDS = 'id, parent_id, name, slug, description, image_url, display_order';
+
+/**
+ * getCategories: Obtiene todas las categorías en una lista plana
+ *
+ * Cada categoría trae parent_id; para armar el árbol usar
+ * buildCategoryTree / getCategoryOptions de utils/categories
+ *
+ * @returns {Object} - {success, categories[], error}
+ */
+export const getCategories = async () => {
+  try {
+    const { data, error } = await supabase
+      .from('categories')
+      .select(CATEGORY_FIELDS)
+      .order('display_order', { ascending: true })
+      .order('name', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      categories: data || []
+    };
+
+  } catch (error) {
+    console.error('❌ Get categories error:', error);
+    return {
+      success: false,
+      categories: [],
+      error: error.message || 'Failed to load categories'
+    };
+  }
+};
+
+/**
+ * getCategoryById: Obtiene una categoría por su ID
+ *
+ * Usado para validar la categoría de un producto antes de guardarlo
+ *
+ * @param {string} categoryId - ID de la categoría
+ * @returns {Object} - {success, category, error}
+ */
+export const getCategoryById = async (categoryId) => {
+  try {
+    if (!categoryId) {
+      return {
+        success: false,
+        category: null,
+        error: 'Category is required'
+      };
+    }
+
+    const { data, error } = await supabase
+      .from('categories')
+      .select(CATEGORY_FIELDS)
+      .eq('id', categoryId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return {
+        success: false,
+        category: null,
+        error: 'Please select a valid category'
+      };
+    }
+
+    return {
+      success: true,
+      category: data
+    };
+
+  } catch (error) {
+    console.error('❌ Get category error:', error);
+    return {
+      success: false,
+      category: null,
+      error: error.message || 'Failed to load category'
+    };
+  }
+};
@@ -0,0 +1,88 @@
+// src/services/fulfillmentService.js
+// Envíos de cada artesano (tabla order_fulfillments): lo que el artesano
+// tiene que despachar de cada pedido y lo que va a cobrar por ello
+// Ver create-order-fulfillments.sql
+
+import { supabase } from '../lib/supabase';
+
+// Estados visibles para el artesano: los pedidos sin pagar o cancelados no se despachan
+const ACTIVE_FULFILLMENT_STATUSES = ['processing', 'shipped', 'delivered'];
+
+// Estado de la liquidación al artesano → texto para mostrar
+export const PAYOUT_STATUS_LABELS = {
+  on_hold: 'On hold until delivered',
+  due: 'Payout due',
+  paid: 'Paid out',
+  cancelled: 'Cancelled'
+};
+
+/**
+ * getArtisanFulfillments: Envíos de un artesano, los más recientes primero
+ *
+ * @param {string} artisanId - ID del artesano
+ * @returns {Object} - {success, fulfillments[], error}
+ */
+export const getArtisanFulfillments = async (artisanId) => {
+  try {
+    const { data, error } = await supabase
+      .from('order_fulfillments')
+      .select('*, items:order_items(*)')
+      .eq('artisan_id', artisanId)
+      .in('status', ACTIVE_FULFILLMENT_STATUSES)
+      .order('created_at', { ascending: false });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      fulfillments: data || []
+    };
+
+  } catch (error) {
+    console.error('❌ Get fulfillments error:', error);
+    return {
+      success: false,
+      fulfillments: [],
+      error: error.message || 'Failed to load orders'
+    };
+  }
+};
+
+/**
+ * updateFulfillmentStatus: Marca un envío como despachado o entregado
+ *
+ * @param {string} fulfillmentId - ID del envío
+ * @param {string} status - 'shipped' o 'delivered'
+ * @param {string} trackingNumber - Número de seguimiento (opcional, al despachar)
+ * @returns {Object} - {success, fulfillment, error}
+ */
+export const updateFulfillmentStatus = async (fulfillmentId, status, trackingNumber = null) => {
+  try {
+    const { data, error } = await supabase.rpc('update_fulfillment_status', {
+      target_fulfillment_id: fulfillmentId,
+      new_status: status,
+      tracking: trackingNumber
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log(`✅ Fulfillment ${fulfillmentId} ${status}`);
+
+    return {
+      success: true,
+      fulfillment: data
+    };
+
+  } catch (error) {
+    console.error('❌ Update fulfillment error:', error);
+    return {
+      success: false,
+      fulfillment: null,
+      error: error.message || 'Failed to update order'
+    };
+  }
+};
@@ -0,0 +1,294 @@
+// src/services/orderService.js
+// Servicio para pedidos (tablas orders, order_items y order_fulfillments)
+// Ver create-orders-table.sql y create-order-fulfillments.sql
+
+import { supabase } from '../lib/supabase';
+
+// Estados de un pedido → texto para mostrar
+export const ORDER_STATUS_LABELS = {
+  pending: 'Awaiting payment',
+  paid: 'Paid',
+  cancelled: 'Cancelled',
+  refunded: 'Refunded'
+};
+
+// Estados del envío de cada artesano → texto para mostrar
+export const FULFILLMENT_STATUS_LABELS = {
+  pending: 'Awaiting payment',
+  processing: 'Preparing',
+  shipped: 'Shipped',
+  delivered: 'Delivered',
+  cancelled: 'Cancelled'
+};
+
+// Parte del mensaje de error cuando una pieza se vendió durante el checkout
+// (ver create-inventory-reservations.sql)
+export const SOLD_OUT_DURING_CHECKOUT = 'sold out while you were checking out';
+
+/**
+ * postPaymentRequest: Llama a una ruta de app/api/payments con la sesión del usuario
+ * El cobro corre en el servidor: el navegador nunca cambia el estado de pago
+ *
+ * @param {string} path - Ruta (ej: "/api/payments/intent")
+ * @param {Object} body - Cuerpo JSON
+ * @returns {Promise<Object>} - Respuesta JSON de la ruta
+ */
+const postPaymentRequest = async (path, body) => {
+  const { data: { session } } = await supabase.auth.getSession();
+
+  if (!session) {
+    throw new Error('Please sign in to pay for this order');
+  }
+
+  const response = await fetch(path, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      Authorization: `Bearer ${session.access_token}`
+    },
+    body: JSON.stringify(body)
+  });
+
+  return response.json();
+};
+
+/**
+ * reserveCheckoutStock: Reserva el stock del carrito al abrir el checkout
+ * Las piezas quedan apartadas para el comprador durante RESERVATION_MINUTES
+ *
+ * @param {Array} items - Líneas del carrito [{product_id, quantity}]
+ * @returns {Object} - {success, unavailable[], error}
+ *   unavailable: líneas que no se pudieron reservar [{product_id, title, available}]
+ */
+export const reserveCheckoutStock = async (items) => {
+  try {
+    const { data, error } = await supabase.rpc('reserve_checkout_stock', {
+      cart_items: items.map(item => ({
+        product_id: item.product_id,
+        quantity: item.quantity
+      }))
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      unavailable: data || []
+    };
+
+  } catch (error) {
+    console.error('❌ Reserve stock error:', error);
+    return {
+      success: false,
+      unavailable: [],
+      error: error.message || 'Failed to reserve your items'
+    };
+  }
+};
+
+/**
+ * releaseCheckoutStock: Libera la reserva del checkout (el comprador se fue sin pedir)
+ *
+ * @returns {Object} - {success, error}
+ */
+export const releaseCheckoutStock = async () => {
+  try {
+    const { error } = await supabase.rpc('release_checkout_stock');
+
+    if (error) {
+      throw error;
+    }
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Release stock error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to release your items'
+    };
+  }
+};
+
+/**
+ * createOrder: Crea un pedido con las líneas del carrito
+ *
+ * La función create_order de la base de datos toma el precio, el título
+ * y el artesano de cada producto en ese momento (snapshot), divide el pedido
+ * en un envío por artesano y calcula el envío, los impuestos y los totales
+ *
+ * @param {Object} orderData - {items, shippingAddress, shipmentOptions}
+ *   items: líneas del carrito [{product_id, quantity}]
+ *   shipmentOptions: método de envío de cada artesano (ver getShipmentChoices)
+ * @returns {Object} - {success, orderId, error}
+ */
+export const createOrder = async ({ items, shippingAddress, shipmentOptions }) => {
+  try {
+    if (!items || items.length === 0) {
+      return {
+        success: false,
+        orderId: null,
+        error: 'Your cart is empty'
+      };
+    }
+
+    const { data, error } = await supabase.rpc('create_order', {
+      cart_items: items.map(item => ({
+        product_id: item.product_id,
+        quantity: item.quantity
+      })),
+      delivery_address: shippingAddress,
+      shipment_options: shipmentOptions
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ Order created:', data);
+
+    return {
+      success: true,
+      orderId: data
+    };
+
+  } catch (error) {
+    console.error('❌ Create order error:', error);
+    return {
+      success: false,
+      orderId: null,
+      error: error.message || 'Failed to place your order'
+    };
+  }
+};
+
+/**
+ * cancelOrder: Cancela un pedido pendiente de pago y libera su stock
+ *
+ * @param {string} orderId - ID del pedido
+ * @returns {Object} - {success, error}
+ */
+export const cancelOrder = async (orderId) => {
+  try {
+    const { error } = await supabase.rpc('cancel_order', { target_order_id: orderId });
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ Order cancelled:', orderId);
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Cancel order error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to cancel order'
+    };
+  }
+};
+
+/**
+ * getOrderById: Obtiene un pedido con sus líneas y sus envíos por artesano
+ * RLS solo devuelve pedidos del usuario actual
+ *
+ * @param {string} orderId - ID del pedido
+ * @returns {Object} - {success, order, error}
+ */
+export const getOrderById = async (orderId) => {
+  try {
+    const { data, error } = await supabase
+      .from('orders')
+      .select('*, items:order_items(*), fulfillments:order_fulfillments(*)')
+      .eq('id', orderId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!data) {
+      return {
+        success: false,
+        order: null,
+        error: 'Order not found'
+      };
+    }
+
+    return {
+      success: true,
+      order: data
+    };
+
+  } catch (error) {
+    console.error('❌ Get order error:', error);
+    return {
+      success: false,
+      order: null,
+      error: error.message || 'Failed to load order'
+    };
+  }
+};
+
+/**
+ * startOrderPayment: Crea el intento de pago de un pedido pendiente
+ *
+ * @param {string} orderId - ID del pedido
+ * @returns {Object} - {success, intent, error}
+ */
+export const startOrderPayment = async (orderId) => {
+  try {
+    const result = await postPaymentRequest('/api/payments/intent', { orderId });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      success: true,
+      intent: result.intent
+    };
+
+  } catch (error) {
+    console.error('❌ Start payment error:', error);
+    return {
+      success: false,
+      intent: null,
+      error: error.message || 'Failed to start payment'
+    };
+  }
+};
+
+/**
+ * confirmOrderPayment: Cobra el pedido con el medio de pago ingresado
+ * Si el pago falla el pedido queda pendiente y se puede reintentar
+ *
+ * @param {string} orderId - ID del pedido
+ * @param {Object} paymentMethod - Datos del medio de pago (ej: {card_number} en el proveedor de prueba)
+ * @returns {Object} - {success, status, error}
+ */
+export const confirmOrderPayment = async (orderId, paymentMethod) => {
+  try {
+    const result = await postPaymentRequest('/api/payments/confirm', { orderId, paymentMethod });
+
+    if (!result.success) {
+      throw new Error(result.error);
+    }
+
+    return {
+      success: true,
+      status: result.status
+    };
+
+  } catch (error) {
+    console.error('❌ Confirm payment error:', error);
+    return {
+      success: false,
+      status: null,
+      error: error.message || 'Payment failed'
+    };
+  }
+};
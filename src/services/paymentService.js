@@ -0,0 +1,429 @@
+// src/services/paymentService.js
+// Pagos de pedidos: todos los cambios de estado de pago pasan por el proveedor
+// configurado (lib/payments) y se guardan aquí
+// SOLO para el servidor: usa el cliente de administración (ver app/api/payments)
+// Ver add-order-payments.sql y create-inventory-reservations.sql
+
+import { getSupabaseAdmin } from '../lib/supabaseAdmin';
+import { getPaymentProvider } from '../lib/payments';
+
+// Campos del pedido que necesita el cobro
+const PAYMENT_ORDER_FIELDS = 'id, user_id, status, total, currency, payment_provider, payment_intent_id, payment_status, payment_failure_reason, paid_at';
+
+// Mensaje cuando el checkout del comprador venció (release_expired_reservations)
+const CHECKOUT_EXPIRED_MESSAGE = 'Your checkout expired. Please place your order again.';
+
+// Transiciones de estado del pedido según el resultado del pago
+// from: estados del pedido desde los que se puede aplicar
+// done: estado del pedido en el que la transición ya está aplicada (webhooks repetidos)
+// rpc: función de la base de datos que aplica la transición en una transacción
+const PAYMENT_TRANSITIONS = {
+  succeeded: {
+    // Descuenta el stock y marca el pedido pagado a la vez
+    from: ['pending'],
+    done: 'paid',
+    rpc: 'complete_order_payment'
+  },
+  failed: {
+    // El pedido sigue pendiente para que el comprador pueda reintentar
+    from: ['pending'],
+    done: null,
+    getChanges: (now, failureReason) => ({
+      payment_status: 'failed',
+      payment_failure_reason: failureReason || 'Payment failed'
+    })
+  },
+  refunded: {
+    // Las unidades vuelven al stock (trigger revert_order_sales en la base de datos)
+    from: ['paid'],
+    done: 'refunded',
+    getChanges: (now) => ({
+      status: 'refunded',
+      payment_status: 'refunded',
+      refunded_at: now
+    })
+  }
+};
+
+// Tipo de evento del webhook → resultado del pago
+const WEBHOOK_EVENT_STATUS = {
+  'payment.succeeded': 'succeeded',
+  'payment.failed': 'failed',
+  'payment.refunded': 'refunded'
+};
+
+/**
+ * getBuyerOrder: Pedido de un comprador (null si no existe o es de otro usuario)
+ */
+const getBuyerOrder = async (supabase, orderId, userId) => {
+  const { data, error } = await supabase
+    .from('orders')
+    .select(PAYMENT_ORDER_FIELDS)
+    .eq('id', orderId)
+    .eq('user_id', userId)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  return data;
+};
+
+/**
+ * applyPaymentStatus: Aplica al pedido el resultado de un pago
+ * Solo cambia el pedido si sigue en el estado esperado, así dos avisos
+ * simultáneos (confirmación y webhook) no lo aplican dos veces
+ *
+ * @returns {Object} - {success, order, error}
+ */
+const applyPaymentStatus = async (supabase, order, paymentStatus, failureReason) => {
+  const transition = PAYMENT_TRANSITIONS[paymentStatus];
+
+  if (!transition) {
+    return { success: false, order, error: `Unknown payment status: ${paymentStatus}` };
+  }
+
+  if (transition.done && order.status === transition.done) {
+    return { success: true, order };
+  }
+
+  if (!transition.from.includes(order.status)) {
+    return {
+      success: false,
+      order,
+      error: `A ${order.status} order cannot be marked as ${paymentStatus}`
+    };
+  }
+
+  if (transition.rpc) {
+    const { data, error } = await supabase.rpc(transition.rpc, { target_order_id: order.id });
+
+    if (error) {
+      return { success: false, order, error: error.message };
+    }
+
+    console.log(`✅ Order ${order.id} payment ${paymentStatus}`);
+    return { success: true, order: data };
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('orders')
+    .update({ ...transition.getChanges(now, failureReason), updated_at: now })
+    .eq('id', order.id)
+    .eq('status', order.status)
+    .select(PAYMENT_ORDER_FIELDS)
+    .maybeSingle();
+
+  if (error) {
+    throw error;
+  }
+
+  if (!data) {
+    // Otro proceso cambió el pedido primero: devolver su estado actual
+    const { data: current, error: reloadError } = await supabase
+      .from('orders')
+      .select(PAYMENT_ORDER_FIELDS)
+      .eq('id', order.id)
+      .single();
+
+    if (reloadError) {
+      throw reloadError;
+    }
+
+    return {
+      success: transition.done !== null && current.status === transition.done,
+      order: current,
+      error: `Order is already ${current.status}`
+    };
+  }
+
+  console.log(`✅ Order ${order.id} payment ${paymentStatus}`);
+
+  return { success: true, order: data };
+};
+
+/**
+ * settleSuccessfulPayment: Completa un pedido cobrado (stock y estado)
+ * Si una pieza se agotó mientras el comprador pagaba, devuelve el dinero
+ * y cancela el pedido
+ *
+ * @returns {Object} - {success, order, error}
+ */
+const settleSuccessfulPayment = async (supabase, provider, order) => {
+  const applied = await applyPaymentStatus(supabase, order, 'succeeded');
+
+  if (applied.success) {
+    return applied;
+  }
+
+  console.warn(`⚠️ Order ${order.id} could not be completed, refunding:`, applied.error);
+
+  const refund = await provider.refund(order.payment_intent_id, Number(order.total));
+  if (refund.status !== 'refunded') {
+    // Queda pendiente con el pago cobrado: requiere revisión manual
+    console.error(`❌ Refund failed for order ${order.id}:`, refund.failureReason);
+    return { success: false, order, error: applied.error };
+  }
+
+  // Un pedido vencido ya está cancelado; uno pendiente se cancela y libera su reserva
+  if (order.status === 'pending') {
+    const { error: cancelError } = await supabase.rpc('cancel_order', { target_order_id: order.id });
+    if (cancelError) {
+      throw cancelError;
+    }
+  }
+
+  const now = new Date().toISOString();
+  const { data, error } = await supabase
+    .from('orders')
+    .update({
+      payment_status: 'refunded',
+      payment_failure_reason: applied.error,
+      refunded_at: now,
+      updated_at: now
+    })
+    .eq('id', order.id)
+    .select(PAYMENT_ORDER_FIELDS)
+    .single();
+
+  if (error) {
+    throw error;
+  }
+
+  return {
+    success: false,
+    order: data,
+    error: `${applied.error}. Your payment has been refunded.`
+  };
+};
+
+/**
+ * startOrderPayment: Crea el intento de pago de un pedido pendiente
+ *
+ * @param {string} orderId - ID del pedido
+ * @param {string} userId - ID del comprador (del token de la sesión)
+ * @returns {Object} - {success, intent, error}
+ */
+export const startOrderPayment = async (orderId, userId) => {
+  try {
+    const supabase = getSupabaseAdmin();
+    const provider = getPaymentProvider();
+    const order = await getBuyerOrder(supabase, orderId, userId);
+
+    if (!order) {
+      return { success: false, intent: null, error: 'Order not found' };
+    }
+
+    if (order.status !== 'pending') {
+      return {
+        success: false,
+        intent: null,
+        error: order.status === 'cancelled' ? CHECKOUT_EXPIRED_MESSAGE : `This order is already ${order.status}`
+      };
+    }
+
+    const intent = await provider.createIntent({
+      orderId: order.id,
+      amount: Number(order.total),
+      currency: order.currency
+    });
+
+    const { error } = await supabase
+      .from('orders')
+      .update({
+        payment_provider: provider.name,
+        payment_intent_id: intent.id,
+        payment_status: intent.status,
+        payment_failure_reason: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', order.id);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      intent: {
+        id: intent.id,
+        clientSecret: intent.clientSecret,
+        amount: intent.amount,
+        currency: intent.currency
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Start payment error:', error);
+    return {
+      success: false,
+      intent: null,
+      error: error.message || 'Failed to start payment'
+    };
+  }
+};
+
+/**
+ * confirmOrderPayment: Cobra un pedido con el medio de pago del comprador
+ *
+ * @param {string} orderId - ID del pedido
+ * @param {string} userId - ID del comprador
+ * @param {Object} paymentMethod - Datos del medio de pago (dependen del proveedor)
+ * @returns {Object} - {success, order, error}
+ */
+export const confirmOrderPayment = async (orderId, userId, paymentMethod) => {
+  try {
+    const supabase = getSupabaseAdmin();
+    const provider = getPaymentProvider();
+    const order = await getBuyerOrder(supabase, orderId, userId);
+
+    if (!order) {
+      return { success: false, order: null, error: 'Order not found' };
+    }
+
+    if (!order.payment_intent_id || order.payment_provider !== provider.name) {
+      return { success: false, order, error: 'Payment has not been started for this order' };
+    }
+
+    if (order.status !== 'pending') {
+      return {
+        success: order.status === 'paid',
+        order,
+        error: order.status === 'paid'
+          ? undefined
+          : order.status === 'cancelled' ? CHECKOUT_EXPIRED_MESSAGE : `This order is already ${order.status}`
+      };
+    }
+
+    // Renovar la reserva antes de cobrar: si algo se agotó no se cobra nada
+    const { error: holdError } = await supabase.rpc('hold_order_stock', { target_order_id: order.id });
+    if (holdError) {
+      return { success: false, order, error: holdError.message };
+    }
+
+    const result = await provider.confirmIntent(order.payment_intent_id, paymentMethod || {});
+
+    if (result.status !== 'succeeded') {
+      const applied = await applyPaymentStatus(supabase, order, result.status, result.failureReason);
+      return {
+        success: false,
+        order: applied.order,
+        error: result.failureReason || 'Payment failed'
+      };
+    }
+
+    return await settleSuccessfulPayment(supabase, provider, order);
+
+  } catch (error) {
+    console.error('❌ Confirm payment error:', error);
+    return {
+      success: false,
+      order: null,
+      error: error.message || 'Failed to confirm payment'
+    };
+  }
+};
+
+/**
+ * refundOrderPayment: Reembolsa el total de un pedido pagado
+ *
+ * @param {string} orderId - ID del pedido
+ * @returns {Object} - {success, order, error}
+ */
+export const refundOrderPayment = async (orderId) => {
+  try {
+    const supabase = getSupabaseAdmin();
+    const provider = getPaymentProvider();
+
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select(PAYMENT_ORDER_FIELDS)
+      .eq('id', orderId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!order) {
+      return { success: false, order: null, error: 'Order not found' };
+    }
+
+    if (order.status !== 'paid') {
+      return { success: false, order, error: 'Only paid orders can be refunded' };
+    }
+
+    const result = await provider.refund(order.payment_intent_id, Number(order.total));
+
+    if (result.status !== 'refunded') {
+      return { success: false, order, error: result.failureReason || 'Refund failed' };
+    }
+
+    return await applyPaymentStatus(supabase, order, 'refunded');
+
+  } catch (error) {
+    console.error('❌ Refund payment error:', error);
+    return {
+      success: false,
+      order: null,
+      error: error.message || 'Failed to refund payment'
+    };
+  }
+};
+
+/**
+ * handlePaymentWebhook: Aplica un aviso del proveedor (pago cobrado, fallido o reembolsado)
+ *
+ * @param {string} payload - Cuerpo del webhook sin modificar (para verificar la firma)
+ * @param {string|null} signature - Firma enviada por el proveedor
+ * @returns {Object} - {success, status, error} - status es el código HTTP a responder
+ */
+export const handlePaymentWebhook = async (payload, signature) => {
+  try {
+    const provider = getPaymentProvider();
+    const event = await provider.verifyWebhook(payload, signature);
+
+    if (!event) {
+      return { success: false, status: 400, error: 'Invalid webhook signature' };
+    }
+
+    const supabase = getSupabaseAdmin();
+    const { data: order, error } = await supabase
+      .from('orders')
+      .select(PAYMENT_ORDER_FIELDS)
+      .eq('payment_provider', provider.name)
+      .eq('payment_intent_id', event.intentId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    if (!order) {
+      // Responder 200 igual: el proveedor no debe reintentar un pago que no es nuestro
+      console.warn('⚠️ Webhook for unknown payment:', event.intentId);
+      return { success: true, status: 200 };
+    }
+
+    const paymentStatus = WEBHOOK_EVENT_STATUS[event.type];
+    const applied = paymentStatus === 'succeeded'
+      ? await settleSuccessfulPayment(supabase, provider, order)
+      : await applyPaymentStatus(supabase, order, paymentStatus, event.failureReason);
+
+    return {
+      success: applied.success,
+      status: 200,
+      error: applied.error
+    };
+
+  } catch (error) {
+    console.error('❌ Payment webhook error:', error);
+    return {
+      success: false,
+      status: 500,
+      error: error.message || 'Failed to process webhook'
+    };
+  }
+};
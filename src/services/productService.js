@@ -3,6 +3,8 @@
 // Incluye: crear, leer, actualizar, eliminar productos y subir imágenes
 
 import { supabase } from '../lib/supabase';
+import { getCategories, getCategoryById } from './categoryService';
+import { getCategoryOptions } from '../utils/categories';
 
 /**
  * getArtisanProducts: Obtiene todos los productos de un artesano específico
@@ -51,6 +53,625 @@ export const getArtisanProducts = async (artisanId) => {
   }
 };
 
+/**
+ * getNewArrivals: Obtiene los productos más nuevos (para los feeds RSS/Atom/JSON)
+ * 
+ * Misma consulta que getArtisanProducts (más recientes primero), con filtros
+ * opcionales por artesano o por categoría, y los datos públicos del artesano
+ * 
+ * @param {Object} options - Opciones de consulta
+ * @param {string} [options.artisanId] - Solo productos de este artesano
+ * @param {string[]} [options.categoryNames] - Solo estas categorías (una rama del árbol)
+ * @param {number} [options.limit] - Máximo de productos
+ * @returns {Object} - {success, products[], error}
+ */
+export const getNewArrivals = async ({ artisanId = null, categoryNames = null, limit = 30 } = {}) => {
+  try {
+    console.log('🆕 Getting new arrivals:', { artisanId, categoryNames, limit });
+
+    let query = supabase
+      .from('products')
+      .select(`
+        *,
+        artisan:user_profiles!artisan_id (
+          id,
+          full_name,
+          shop_name
+        )
+      `);
+
+    if (artisanId) {
+      query = query.eq('artisan_id', artisanId);
+    }
+
+    if (categoryNames?.length > 0) {
+      query = query.in('category', categoryNames);
+    }
+
+    const { data, error } = await query
+      .order('created_at', { ascending: false })
+      .limit(limit);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      products: data || []
+    };
+
+  } catch (error) {
+    console.error('❌ Get new arrivals error:', error);
+    return {
+      success: false,
+      products: [],
+      error: error.message || 'Failed to load new arrivals'
+    };
+  }
+};
+
+/**
+ * getProductById: Obtiene un producto con los datos públicos de su artesano
+ * 
+ * Usado por la página de detalle (renderizada en el servidor)
+ * 
+ * @param {string} productId - ID del producto
+ * @returns {Object} - {success, product, error} (product = null si no existe)
+ */
+export const getProductById = async (productId) => {
+  try {
+    console.log('🔍 Getting product:', productId);
+
+    const { data, error } = await supabase
+      .from('products')
+      .select(`
+        *,
+        artisan:user_profiles!artisan_id (
+          id,
+          full_name,
+          shop_name,
+          profile_image_url,
+          bio,
+          location,
+          is_verified
+        )
+      `)
+      .eq('id', productId)
+      .maybeSingle();
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      product: data
+    };
+
+  } catch (error) {
+    console.error('❌ Get product error:', error);
+    return {
+      success: false,
+      product: null,
+      error: error.message || 'Failed to load product'
+    };
+  }
+};
+
+// Tamaño de página por defecto para el catálogo público
+export const CATALOG_PAGE_SIZE = 12;
+
+// Campos que necesita el catálogo (no traemos columnas que no se muestran)
+const CATALOG_FIELDS = `
+  id,
+  title,
+  description,
+  price,
+  category,
+  category_id,
+  rating,
+  review_count,
+  stock,
+  featured,
+  tags,
+  attributes,
+  image_url,
+  artisan_id,
+  weight_grams,
+  length_cm,
+  width_cm,
+  height_cm,
+  shipping_profile_id,
+  compare_at_price,
+  sale_starts_at,
+  sale_ends_at,
+  created_at
+`;
+
+// Opciones de orden soportadas por el catálogo: columna y dirección
+// 'relevance' solo ordena por ranking cuando hay búsqueda (ver searchService);
+// sin término de búsqueda equivale a mostrar lo más nuevo primero
+// El precio es product_current_price (lo que se cobra ahora, ver add-product-sale-pricing.sql)
+export const CATALOG_SORT_OPTIONS = {
+  'relevance': { column: 'created_at', ascending: false },
+  'newest': { column: 'created_at', ascending: false },
+  'price-asc': { column: 'product_current_price', ascending: true },
+  'price-desc': { column: 'product_current_price', ascending: false },
+  'rating': { column: 'rating', ascending: false },
+  'best-selling': { column: 'sales_count', ascending: false },
+  'most-reviewed': { column: 'review_count', ascending: false }
+};
+
+// Rangos de precio predefinidos (límites inclusivos, null = sin límite)
+// Los precios tienen dos decimales, así que 24.99 / 50.01 equivalen a "< 25" / "> 50"
+export const PRICE_RANGE_BOUNDS = {
+  'under-25': { min: null, max: 24.99 },
+  '25-50': { min: 25, max: 50 },
+  '50-100': { min: 50.01, max: 100 },
+  'over-100': { min: 100.01, max: null }
+};
+
+// Calificaciones mínimas que se pueden elegir en el catálogo (estrellas)
+export const RATING_FILTER_OPTIONS = [4, 3, 2, 1];
+
+// Atributos estructurados de un producto (claves de products.attributes)
+// Ver add-product-tags-attributes.sql
+export const PRODUCT_ATTRIBUTES = [
+  { key: 'material', label: 'Material' },
+  { key: 'color', label: 'Color' },
+  { key: 'technique', label: 'Technique' }
+];
+
+// Límites de etiquetas por producto
+export const MAX_PRODUCT_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+// Largo máximo del valor de un atributo
+const MAX_ATTRIBUTE_LENGTH = 50;
+
+// Campos de envío de un producto: peso (g) y medidas del paquete (cm)
+// Ver create-shipping-profiles.sql
+export const PRODUCT_SHIPPING_FIELDS = [
+  { key: 'weight_grams', label: 'Weight (g)', integer: true },
+  { key: 'length_cm', label: 'Length (cm)' },
+  { key: 'width_cm', label: 'Width (cm)' },
+  { key: 'height_cm', label: 'Height (cm)' }
+];
+
+// Límite de cada medida (100 kg / 10 m)
+const MAX_SHIPPING_MEASURE = 100000;
+
+/**
+ * normalizeShippingFields: Convierte peso, medidas y perfil de envío a los valores a guardar
+ * Los campos vacíos se guardan como null (el envío los cuenta como 0)
+ *
+ * @param {Object} productData - Datos del formulario
+ * @returns {Object} - {fields, error} - fields: {weight_grams, length_cm, width_cm, height_cm, shipping_profile_id}
+ */
+export const normalizeShippingFields = (productData) => {
+  const fields = {};
+
+  for (const { key, label, integer } of PRODUCT_SHIPPING_FIELDS) {
+    const raw = productData[key];
+
+    if (raw === undefined || raw === null || String(raw).trim() === '') {
+      fields[key] = null;
+      continue;
+    }
+
+    const value = integer ? parseInt(raw) : Math.round(parseFloat(raw) * 10) / 10;
+    if (isNaN(value) || value < 0 || value > MAX_SHIPPING_MEASURE) {
+      return { fields: null, error: `${label} must be a number between 0 and ${MAX_SHIPPING_MEASURE}` };
+    }
+    fields[key] = value;
+  }
+
+  // Sin perfil = perfil predeterminado del artesano
+  fields.shipping_profile_id = productData.shipping_profile_id || null;
+
+  return { fields, error: null };
+};
+
+/**
+ * normalizeSaleFields: Convierte el precio de comparación y la ventana de la oferta a los valores a guardar
+ * Sin precio de comparación no hay oferta (las fechas se descartan)
+ * Ver add-product-sale-pricing.sql
+ *
+ * @param {Object} productData - {compare_at_price, sale_starts_at, sale_ends_at}
+ * @param {number} price - Precio del producto (el de la oferta)
+ * @returns {Object} - {fields, error} - fields: {compare_at_price, sale_starts_at, sale_ends_at}
+ */
+export const normalizeSaleFields = (productData, price) => {
+  const raw = productData.compare_at_price;
+
+  if (raw === undefined || raw === null || String(raw).trim() === '') {
+    return {
+      fields: { compare_at_price: null, sale_starts_at: null, sale_ends_at: null },
+      error: null
+    };
+  }
+
+  const compareAtPrice = Math.round(parseFloat(raw) * 100) / 100;
+  if (isNaN(compareAtPrice) || compareAtPrice <= Number(price)) {
+    return { fields: null, error: 'Compare-at price must be higher than the price' };
+  }
+
+  const toDate = (value) => (value ? new Date(value) : null);
+  const startsAt = toDate(productData.sale_starts_at);
+  const endsAt = toDate(productData.sale_ends_at);
+
+  if ((startsAt && isNaN(startsAt.getTime())) || (endsAt && isNaN(endsAt.getTime()))) {
+    return { fields: null, error: 'Sale dates are not valid' };
+  }
+
+  if (startsAt && endsAt && endsAt <= startsAt) {
+    return { fields: null, error: 'The sale must end after it starts' };
+  }
+
+  return {
+    fields: {
+      compare_at_price: compareAtPrice,
+      sale_starts_at: startsAt ? startsAt.toISOString() : null,
+      sale_ends_at: endsAt ? endsAt.toISOString() : null
+    },
+    error: null
+  };
+};
+
+/**
+ * normalizeTagValue: Limpia una etiqueta o valor de atributo
+ * Sin espacios extra y en minúsculas, para que "Blue" y "blue " sean el mismo filtro
+ *
+ * @param {string} value - Texto escrito por el usuario
+ * @returns {string}
+ */
+const normalizeTagValue = (value) => {
+  return String(value ?? '')
+    .replace(/\s+/g, ' ')
+    .trim()
+    .toLowerCase();
+};
+
+/**
+ * normalizeTags: Convierte etiquetas a una lista limpia y sin repetidos
+ *
+ * @param {string[]|string} tags - Lista de etiquetas o texto separado por comas
+ * @returns {string[]} - Etiquetas normalizadas ([] si no hay)
+ */
+export const normalizeTags = (tags) => {
+  const list = typeof tags === 'string' ? tags.split(',') : (tags || []);
+  const clean = list.map(normalizeTagValue).filter(Boolean);
+  return [...new Set(clean)];
+};
+
+/**
+ * normalizeAttributes: Deja solo los atributos conocidos (PRODUCT_ATTRIBUTES) con valor
+ *
+ * @param {Object} attributes - {material, color, technique}
+ * @returns {Object} - Atributos normalizados ({} si no hay)
+ */
+export const normalizeAttributes = (attributes) => {
+  const clean = {};
+
+  PRODUCT_ATTRIBUTES.forEach(({ key }) => {
+    const value = normalizeTagValue(attributes?.[key]);
+    if (value) {
+      clean[key] = value;
+    }
+  });
+
+  return clean;
+};
+
+/**
+ * validateTagsAndAttributes: Verifica los límites de etiquetas y atributos de un producto
+ *
+ * @param {string[]} tags - Etiquetas normalizadas
+ * @param {Object} attributes - Atributos normalizados
+ * @returns {string|null} - Mensaje de error, o null si son válidos
+ */
+const validateTagsAndAttributes = (tags, attributes) => {
+  if (tags.length > MAX_PRODUCT_TAGS) {
+    return `You can add up to ${MAX_PRODUCT_TAGS} tags`;
+  }
+
+  if (tags.some(tag => tag.length > MAX_TAG_LENGTH)) {
+    return `Tags must be ${MAX_TAG_LENGTH} characters or less`;
+  }
+
+  if (Object.values(attributes).some(value => value.length > MAX_ATTRIBUTE_LENGTH)) {
+    return `Attributes must be ${MAX_ATTRIBUTE_LENGTH} characters or less`;
+  }
+
+  return null;
+};
+
+/**
+ * normalizePriceRange: Convierte un rango de precio a {min, max} numéricos
+ *
+ * Acepta un objeto {min, max} (como ProductFilters.priceRange) o la clave
+ * de un rango predefinido de PRICE_RANGE_BOUNDS. Valores vacíos o inválidos = sin límite
+ *
+ * @param {Object|string} priceRange - {min, max} o clave de PRICE_RANGE_BOUNDS
+ * @returns {Object} - {min: number|null, max: number|null}
+ */
+export const normalizePriceRange = (priceRange) => {
+  const bounds = typeof priceRange === 'string'
+    ? PRICE_RANGE_BOUNDS[priceRange]
+    : priceRange;
+
+  const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return isNaN(number) || number < 0 ? null : number;
+  };
+
+  return {
+    min: toNumber(bounds?.min),
+    max: toNumber(bounds?.max)
+  };
+};
+
+/**
+ * getCategoryFilterNames: Normaliza el filtro de categoría a una lista de nombres
+ *
+ * Acepta un nombre o la lista de nombres de una rama del árbol
+ * (ver familyNames en getCategoryOptions)
+ *
+ * @param {string|string[]} category - Filtro de categoría
+ * @returns {string[]|null} - Nombres a incluir, o null si no hay filtro
+ */
+export const getCategoryFilterNames = (category) => {
+  if (Array.isArray(category)) {
+    return category.length > 0 ? category : null;
+  }
+
+  return category && category !== 'All Categories' ? [category] : null;
+};
+
+/**
+ * applyCatalogFilters: Agrega a la consulta los filtros del catálogo
+ *
+ * Compartido por todas las consultas que respetan los filtros de FilterBar
+ *
+ * @param {Object} query - Consulta de Supabase en construcción
+ * @param {Object} filters - Filtros (misma forma que ProductFilters)
+ * @param {string|string[]} [filters.category] - Categoría o nombres de una rama del árbol ('All Categories' = sin filtro)
+ * @param {Object|string} [filters.priceRange] - {min, max} o clave de PRICE_RANGE_BOUNDS
+ * @param {number} [filters.rating] - Calificación mínima (0 = sin filtro)
+ * @param {boolean} [filters.inStock] - Solo productos con stock
+ * @param {boolean} [filters.featured] - Solo productos destacados
+ * @param {string[]} [filters.tags] - Etiquetas que el producto debe tener (todas)
+ * @param {Object} [filters.attributes] - Valores de atributos que el producto debe tener ({color: 'blue'})
+ * @returns {Object} - La consulta con los filtros aplicados
+ */
+export const applyCatalogFilters = (query, filters = {}) => {
+  const { category, priceRange, rating, inStock, featured, tags, attributes } = filters;
+
+  // Filtro por categoría (una categoría con sus subcategorías)
+  const categoryNames = getCategoryFilterNames(category);
+  if (categoryNames) {
+    query = query.in('category', categoryNames);
+  }
+
+  // Filtro por rango de precio (el que se cobra ahora: una oferta vencida no cuenta)
+  const { min, max } = normalizePriceRange(priceRange);
+  if (min !== null) {
+    query = query.gte('product_current_price', min);
+  }
+  if (max !== null) {
+    query = query.lte('product_current_price', max);
+  }
+
+  // Filtro por calificación mínima
+  if (Number(rating) > 0) {
+    query = query.gte('rating', Number(rating));
+  }
+
+  // Filtro de disponibilidad
+  if (inStock) {
+    query = query.gt('stock', 0);
+  }
+
+  // Filtro de productos destacados
+  if (featured) {
+    query = query.eq('featured', true);
+  }
+
+  // Filtros por etiquetas y atributos (contains = @>, usa los índices GIN)
+  const tagList = normalizeTags(tags);
+  if (tagList.length > 0) {
+    query = query.contains('tags', tagList);
+  }
+
+  const attributeValues = normalizeAttributes(attributes);
+  if (Object.keys(attributeValues).length > 0) {
+    query = query.contains('attributes', attributeValues);
+  }
+
+  return query;
+};
+
+/**
+ * sanitizeSearchTerm: Limpia el término de búsqueda para usarlo en un filtro or()
+ *
+ * PostgREST usa comas y paréntesis como separadores dentro de or(),
+ * y % / * como comodines, así que los quitamos del texto del usuario
+ *
+ * @param {string} searchTerm - Texto escrito por el usuario
+ * @returns {string} - Texto seguro para ilike
+ */
+export const sanitizeSearchTerm = (searchTerm) => {
+  return (searchTerm || '')
+    .replace(/[,()%*\\]/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * applySearchTerm: Agrega a la consulta la búsqueda simple por texto
+ *
+ * Busca en título, descripción y categoría (ilike = sin distinguir mayúsculas).
+ * Es la búsqueda de respaldo cuando search_products no está instalada
+ *
+ * @param {Object} query - Consulta de Supabase en construcción
+ * @param {string} searchTerm - Texto escrito por el usuario
+ * @returns {Object} - La consulta con la búsqueda aplicada
+ */
+export const applySearchTerm = (query, searchTerm) => {
+  const cleanTerm = sanitizeSearchTerm(searchTerm);
+  if (!cleanTerm) {
+    return query;
+  }
+
+  return query.or(
+    `title.ilike.%${cleanTerm}%,description.ilike.%${cleanTerm}%,category.ilike.%${cleanTerm}%`
+  );
+};
+
+/**
+ * getCatalogProducts: Obtiene una página del catálogo público
+ *
+ * Todos los filtros, el orden y la paginación se resuelven en la base de datos,
+ * así el navegador solo descarga los productos de la página visible
+ *
+ * @param {Object} options - Opciones de consulta (filtros: ver applyCatalogFilters)
+ * @param {string|string[]} [options.category] - Categoría o rama de categorías ('All Categories' = sin filtro)
+ * @param {Object|string} [options.priceRange] - {min, max} o clave de PRICE_RANGE_BOUNDS
+ * @param {number} [options.rating] - Calificación mínima
+ * @param {boolean} [options.inStock] - Solo productos con stock
+ * @param {boolean} [options.featured] - Solo productos destacados
+ * @param {string[]} [options.tags] - Etiquetas que el producto debe tener
+ * @param {Object} [options.attributes] - Valores de atributos ({material, color, technique})
+ * @param {string} [options.searchTerm] - Texto a buscar en título, descripción y categoría
+ * @param {string} [options.sortBy] - Clave de CATALOG_SORT_OPTIONS
+ * @param {number} [options.page] - Página a obtener (empieza en 1)
+ * @param {number} [options.pageSize] - Productos por página
+ * @returns {Object} - {success, products[], totalCount, page, pageSize, totalPages, error}
+ */
+export const getCatalogProducts = async (options = {}) => {
+  const {
+    searchTerm = '',
+    sortBy = 'relevance',
+    page = 1,
+    pageSize = CATALOG_PAGE_SIZE,
+    ...filters
+  } = options;
+
+  try {
+    console.log('🛍️ Getting catalog page:', { ...filters, searchTerm, sortBy, page });
+
+    // count: 'exact' nos da el total de filas que cumplen los filtros
+    let query = supabase
+      .from('products')
+      .select(CATALOG_FIELDS, { count: 'exact' });
+
+    // Categoría, precio, calificación, stock, destacados, etiquetas y atributos
+    query = applyCatalogFilters(query, filters);
+
+    // Filtro por término de búsqueda
+    query = applySearchTerm(query, searchTerm);
+
+    // Orden: usamos id como desempate para que la paginación sea estable
+    const sort = CATALOG_SORT_OPTIONS[sortBy] || CATALOG_SORT_OPTIONS.relevance;
+    query = query
+      .order(sort.column, { ascending: sort.ascending })
+      .order('id', { ascending: true });
+
+    // Paginación por rango: range() es inclusivo en ambos extremos
+    const currentPage = Math.max(1, parseInt(page) || 1);
+    const from = (currentPage - 1) * pageSize;
+    query = query.range(from, from + pageSize - 1);
+
+    const { data, error, count } = await query;
+
+    if (error) {
+      throw error;
+    }
+
+    const totalCount = count || 0;
+
+    console.log('✅ Catalog page retrieved:', data?.length || 0, 'of', totalCount);
+
+    return {
+      success: true,
+      products: data || [],
+      totalCount,
+      page: currentPage,
+      pageSize,
+      totalPages: Math.max(1, Math.ceil(totalCount / pageSize))
+    };
+
+  } catch (error) {
+    console.error('❌ Get catalog products error:', error);
+    return {
+      success: false,
+      products: [],
+      totalCount: 0,
+      page: 1,
+      pageSize,
+      totalPages: 1,
+      error: error.message || 'Failed to load products'
+    };
+  }
+};
+
+/**
+ * getCatalogStats: Obtiene estadísticas generales del catálogo
+ *
+ * El total sale de un conteo (head: true, sin filas) y el resto de
+ * get_catalog_stats, que agrega en la base de datos (ver create-catalog-stats.sql)
+ *
+ * @returns {Object} - {success, stats: {totalProducts, categories[], categoryCounts, averagePrice, minPrice, maxPrice}, error}
+ */
+export const getCatalogStats = async () => {
+  try {
+    const [countResult, statsResult] = await Promise.all([
+      supabase.from('products').select('id', { count: 'exact', head: true }),
+      supabase.rpc('get_catalog_stats')
+    ]);
+
+    if (countResult.error) {
+      throw countResult.error;
+    }
+
+    if (statsResult.error) {
+      throw statsResult.error;
+    }
+
+    const summary = statsResult.data || {};
+    const categoryCounts = summary.categories || {};
+
+    return {
+      success: true,
+      stats: {
+        totalProducts: countResult.count || 0,
+        categories: Object.keys(categoryCounts).sort(),
+        categoryCounts,
+        averagePrice: Math.round(Number(summary.average_price) || 0),
+        minPrice: Number(summary.min_price) || 0,
+        maxPrice: Number(summary.max_price) || 0
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Get catalog stats error:', error);
+    return {
+      success: false,
+      stats: {
+        totalProducts: 0,
+        categories: [],
+        categoryCounts: {},
+        averagePrice: 0,
+        minPrice: 0,
+        maxPrice: 0
+      },
+      error: error.message || 'Failed to load catalog statistics'
+    };
+  }
+};
+
 /**
  * createProduct: Crea un nuevo producto para el artesano
  * 
@@ -61,9 +682,14 @@ export const getArtisanProducts = async (artisanId) => {
  * @param {string} productData.title - Título del producto (requerido)
  * @param {string} productData.description - Descripción (requerido)
  * @param {number} productData.price - Precio (requerido)
- * @param {string} productData.category - Categoría (requerido)
+ * @param {string} productData.category_id - ID de la categoría (requerido, de la tabla categories)
  * @param {number} productData.stock - Cantidad en stock (requerido)
  * @param {string} [productData.image_url] - URL de la imagen (opcional)
+ * @param {string[]} [productData.tags] - Etiquetas (opcional, máximo MAX_PRODUCT_TAGS)
+ * @param {Object} [productData.attributes] - Atributos de PRODUCT_ATTRIBUTES (opcional)
+ * @param {number} [productData.compare_at_price] - Precio normal, tachado durante la oferta (opcional)
+ * @param {string} [productData.sale_starts_at] - Inicio de la oferta (opcional)
+ * @param {string} [productData.sale_ends_at] - Fin de la oferta (opcional)
  * @returns {Object} - {success, product, error}
  */
 export const createProduct = async (artisanId, productData) => {
@@ -92,17 +718,48 @@ export const createProduct = async (artisanId, productData) => {
       };
     }
 
-    if (!productData.category || productData.category.trim() === '') {
+    if (productData.stock === undefined || productData.stock < 0) {
       return {
         success: false,
-        error: 'Product category is required'
+        error: 'Valid stock quantity is required'
       };
     }
 
-    if (productData.stock === undefined || productData.stock < 0) {
+    // La categoría debe existir en la tabla categories (evita categorías fantasma)
+    const categoryResult = await getCategoryById(productData.category_id);
+    if (!categoryResult.success) {
       return {
         success: false,
-        error: 'Valid stock quantity is required'
+        error: categoryResult.error
+      };
+    }
+
+    // Etiquetas y atributos opcionales, guardados normalizados
+    const tags = normalizeTags(productData.tags);
+    const attributes = normalizeAttributes(productData.attributes);
+    const tagsError = validateTagsAndAttributes(tags, attributes);
+    if (tagsError) {
+      return {
+        success: false,
+        error: tagsError
+      };
+    }
+
+    // Peso, medidas y perfil de envío (opcionales)
+    const shipping = normalizeShippingFields(productData);
+    if (shipping.error) {
+      return {
+        success: false,
+        error: shipping.error
+      };
+    }
+
+    // Precio de comparación y ventana de la oferta (opcionales)
+    const sale = normalizeSaleFields(productData, parseFloat(productData.price));
+    if (sale.error) {
+      return {
+        success: false,
+        error: sale.error
       };
     }
 
@@ -112,9 +769,14 @@ export const createProduct = async (artisanId, productData) => {
       title: productData.title.trim(),
       description: productData.description.trim(),
       price: parseFloat(productData.price),  // Asegurar que sea número
-      category: productData.category.trim(),
+      category_id: categoryResult.category.id,
+      category: categoryResult.category.name,  // Copia del nombre para filtros y búsqueda
       stock: parseInt(productData.stock),  // Asegurar que sea entero
       image_url: productData.image_url || null,  // Opcional
+      tags,
+      attributes,
+      ...shipping.fields,
+      ...sale.fields,
       rating: 0,  // Rating inicial en 0
       created_at: new Date().toISOString(),  // Timestamp actual
       updated_at: new Date().toISOString()
@@ -159,6 +821,11 @@ export const createProduct = async (artisanId, productData) => {
  * @param {string} productId - ID del producto a actualizar
  * @param {string} artisanId - ID del artesano (para verificación)
  * @param {Object} productData - Datos a actualizar (parcial)
+ * @param {string} [productData.category_id] - Nueva categoría (debe existir en categories)
+ * @param {string[]} [productData.tags] - Reemplaza todas las etiquetas
+ * @param {Object} [productData.attributes] - Reemplaza todos los atributos
+ * @param {string} [productData.weight_grams] - Peso; junto con las medidas y shipping_profile_id reemplaza los datos de envío
+ * @param {string} [productData.compare_at_price] - Precio de comparación; junto con sale_starts_at y sale_ends_at reemplaza la oferta
  * @returns {Object} - {success, product, error}
  */
 export const updateProduct = async (productId, artisanId, productData) => {
@@ -168,7 +835,7 @@ export const updateProduct = async (productId, artisanId, productData) => {
     // Verificar que el producto pertenece al artesano
     const { data: existingProduct, error: fetchError } = await supabase
       .from('products')
-      .select('artisan_id')
+      .select('artisan_id, price, compare_at_price')
       .eq('id', productId)
       .single();
 
@@ -202,8 +869,18 @@ export const updateProduct = async (productId, artisanId, productData) => {
       updateData.price = parseFloat(productData.price);
     }
 
-    if (productData.category !== undefined) {
-      updateData.category = productData.category.trim();
+    if (productData.category_id !== undefined) {
+      // Solo se aceptan categorías existentes
+      const categoryResult = await getCategoryById(productData.category_id);
+      if (!categoryResult.success) {
+        return {
+          success: false,
+          error: categoryResult.error
+        };
+      }
+
+      updateData.category_id = categoryResult.category.id;
+      updateData.category = categoryResult.category.name;
     }
 
     if (productData.stock !== undefined) {
@@ -214,6 +891,59 @@ export const updateProduct = async (productId, artisanId, productData) => {
       updateData.image_url = productData.image_url;
     }
 
+    if (productData.tags !== undefined || productData.attributes !== undefined) {
+      const tags = normalizeTags(productData.tags);
+      const attributes = normalizeAttributes(productData.attributes);
+      const tagsError = validateTagsAndAttributes(tags, attributes);
+      if (tagsError) {
+        return {
+          success: false,
+          error: tagsError
+        };
+      }
+
+      if (productData.tags !== undefined) {
+        updateData.tags = tags;
+      }
+      if (productData.attributes !== undefined) {
+        updateData.attributes = attributes;
+      }
+    }
+
+    if (productData.weight_grams !== undefined || productData.shipping_profile_id !== undefined) {
+      const shipping = normalizeShippingFields(productData);
+      if (shipping.error) {
+        return {
+          success: false,
+          error: shipping.error
+        };
+      }
+
+      Object.assign(updateData, shipping.fields);
+    }
+
+    if (productData.compare_at_price !== undefined) {
+      const sale = normalizeSaleFields(productData, updateData.price ?? existingProduct.price);
+      if (sale.error) {
+        return {
+          success: false,
+          error: sale.error
+        };
+      }
+
+      Object.assign(updateData, sale.fields);
+    } else if (
+      updateData.price !== undefined &&
+      existingProduct.compare_at_price !== null &&
+      !(Number(existingProduct.compare_at_price) > updateData.price)
+    ) {
+      // Cambia solo el precio: tiene que seguir por debajo del precio de comparación actual
+      return {
+        success: false,
+        error: 'Compare-at price must be higher than the price'
+      };
+    }
+
     // Actualizar en la base de datos
     const { data, error } = await supabase
       .from('products')
@@ -413,39 +1143,14 @@ export const uploadProductImage = async (artisanId, imageFile) => {
 };
 
 /**
- * getProductCategories: Obtiene todas las categorías disponibles
+ * getProductCategories: Obtiene los nombres de todas las categorías
  * 
- * Útil para mostrar en un selector de categorías
+ * Lee la tabla categories (en orden de visualización, subcategorías incluidas).
+ * Para el árbol padre/hijo usar getCategories de categoryService
  * 
- * @returns {Array<string>} - Array de categorías únicas
+ * @returns {Array<string>} - Nombres de las categorías ([] si falla la consulta)
  */
 export const getProductCategories = async () => {
-  try {
-    const { data, error } = await supabase
-      .from('products')
-      .select('category');
-
-    if (error) {
-      throw error;
-    }
-
-    // Extraer categorías únicas
-    const categories = [...new Set(data.map(item => item.category))];
-    
-    return categories.sort(); // Ordenar alfabéticamente
-
-  } catch (error) {
-    console.error('❌ Get categories error:', error);
-    // Retornar categorías por defecto en caso de error
-    return [
-      'Pottery & Ceramics',
-      'Jewelry & Accessories',
-      'Textiles & Clothing',
-      'Woodwork',
-      'Glass',
-      'Metalwork',
-      'Art & Paintings',
-      'Leather Goods'
-    ];
-  }
+  const result = await getCategories();
+  return getCategoryOptions(result.categories).map(category => category.name);
 };
@@ -417,6 +417,7 @@ export const getPublicProfile = async (userId) => {
         role,
         shop_name,
         shop_description,
+        banner_image_url,
         website_url,
         instagram_handle,
         facebook_url,
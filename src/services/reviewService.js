@@ -200,11 +200,13 @@ export const updateProductAverageRating = async (productId) => {
       newRating = Math.round((totalRating / reviews.length) * 10) / 10; // Redondear a 1 decimal
     }
 
-    // Paso 3: Actualizar el producto con el nuevo rating
+    // Paso 3: Actualizar el producto con el nuevo rating y el conteo de reviews
+    // (review_count se usa para ordenar el catálogo por "most reviewed")
     const { error: updateError } = await supabase
       .from('products')
       .update({ 
         rating: newRating,
+        review_count: reviews?.length || 0,
         updated_at: new Date().toISOString()
       })
       .eq('id', productId)
@@ -370,40 +372,7 @@ export const getReviewStats = async (productId) => {
       throw error;
     }
 
-    if (!reviews || reviews.length === 0) {
-      return {
-        success: true,
-        stats: {
-          totalReviews: 0,
-          averageRating: 0,
-          ratingDistribution: { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 }
-        }
-      };
-    }
-
-    // Calcular estadísticas
-    const totalReviews = reviews.length;
-    const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
-    const averageRating = Math.round((totalRating / totalReviews) * 10) / 10;
-
-    // Distribución de ratings
-    const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
-    reviews.forEach(review => {
-      ratingDistribution[review.rating]++;
-    });
-
-    // Convertir a porcentajes
-    const ratingPercentages = {};
-    Object.keys(ratingDistribution).forEach(rating => {
-      ratingPercentages[rating] = Math.round((ratingDistribution[rating] / totalReviews) * 100);
-    });
-
-    const stats = {
-      totalReviews,
-      averageRating,
-      ratingDistribution,
-      ratingPercentages
-    };
+    const stats = calculateReviewStats(reviews);
 
     console.log('✅ Review stats calculated:', stats);
 
@@ -420,4 +389,87 @@ export const getReviewStats = async (productId) => {
       error: error.message || 'Failed to calculate review statistics'
     };
   }
-};
\ No newline at end of file
+};
+
+/**
+ * getArtisanReviewStats: Obtiene estadísticas de reviews de todos los productos de un artesano
+ * 
+ * Usado en la tienda pública del artesano para mostrar su calificación general
+ * 
+ * @param {string} artisanId - ID del artesano
+ * @returns {Object} - {success, stats, error}
+ */
+export const getArtisanReviewStats = async (artisanId) => {
+  try {
+    console.log('📊 Getting review stats for artisan:', artisanId);
+
+    // products!inner: solo reviews de productos que pertenecen al artesano
+    const { data: reviews, error } = await supabase
+      .from('product_reviews')
+      .select('rating, products!inner(artisan_id)')
+      .eq('products.artisan_id', artisanId);
+
+    if (error) {
+      throw error;
+    }
+
+    const stats = calculateReviewStats(reviews);
+
+    console.log('✅ Artisan review stats calculated:', stats);
+
+    return {
+      success: true,
+      stats
+    };
+
+  } catch (error) {
+    console.error('❌ Get artisan review stats error:', error);
+    return {
+      success: false,
+      stats: null,
+      error: error.message || 'Failed to calculate review statistics'
+    };
+  }
+};
+
+/**
+ * calculateReviewStats: Calcula total, promedio y distribución de un conjunto de reviews
+ * 
+ * @param {Array} reviews - Reviews (al menos el campo rating)
+ * @returns {Object} - {totalReviews, averageRating, ratingDistribution, ratingPercentages}
+ */
+const calculateReviewStats = (reviews) => {
+  const ratingDistribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+
+  if (!reviews || reviews.length === 0) {
+    return {
+      totalReviews: 0,
+      averageRating: 0,
+      ratingDistribution,
+      ratingPercentages: { ...ratingDistribution }
+    };
+  }
+
+  // Calcular estadísticas
+  const totalReviews = reviews.length;
+  const totalRating = reviews.reduce((sum, review) => sum + review.rating, 0);
+  const averageRating = Math.round((totalRating / totalReviews) * 10) / 10;
+
+  // Distribución de ratings
+  reviews.forEach(review => {
+    ratingDistribution[review.rating]++;
+  });
+
+  // Convertir a porcentajes
+  const ratingPercentages = {};
+  Object.keys(ratingDistribution).forEach(rating => {
+    ratingPercentages[rating] = Math.round((ratingDistribution[rating] / totalReviews) * 100);
+  });
+
+  return {
+    totalReviews,
+    averageRating,
+    ratingDistribution,
+    ratingPercentages
+  };
+};
@@ -0,0 +1,275 @@
+// src/services/searchService.js
+// Servicio de búsqueda de productos
+// Usa la función search_products de la base de datos (ver create-product-search.sql):
+// ranking ponderado (título sobre descripción), stemming en inglés y tolerancia a errores de escritura
+
+import { supabase } from '../lib/supabase';
+import {
+  getCatalogProducts,
+  getProductCategories,
+  sanitizeSearchTerm,
+  normalizePriceRange,
+  getCategoryFilterNames,
+  normalizeTags,
+  normalizeAttributes,
+  PRICE_RANGE_BOUNDS,
+  RATING_FILTER_OPTIONS,
+  PRODUCT_ATTRIBUTES,
+  CATALOG_PAGE_SIZE
+} from './productService';
+import { getCurrentPrice } from '../utils/pricing';
+
+// Código de PostgREST cuando la función RPC no existe en la base de datos
+const FUNCTION_NOT_FOUND_CODE = 'PGRST202';
+
+// Longitud mínima para lanzar una búsqueda (evita resultados sin sentido con 1 letra)
+export const MIN_SEARCH_LENGTH = 2;
+
+// Máximo de sugerencias por grupo en el autocompletado
+const SUGGESTIONS_PER_GROUP = 5;
+
+// Las categorías cambian poco: las guardamos en memoria durante la sesión
+let cachedCategories = null;
+
+/**
+ * getFilterParams: Convierte los filtros del catálogo a los parámetros de
+ * search_products y catalog_facets (ver create-product-search.sql)
+ *
+ * @param {Object} filters - Filtros (ver applyCatalogFilters)
+ * @returns {Object} - {filter_categories, min_price, max_price, min_rating, in_stock_only, featured_only, filter_tags, filter_attributes}
+ */
+const getFilterParams = (filters = {}) => {
+  const { category, rating, inStock, featured } = filters;
+  const bounds = normalizePriceRange(filters.priceRange);
+  const tags = normalizeTags(filters.tags);
+  const attributes = normalizeAttributes(filters.attributes);
+
+  return {
+    filter_categories: getCategoryFilterNames(category),
+    min_price: bounds.min,
+    max_price: bounds.max,
+    min_rating: Number(rating) > 0 ? Number(rating) : null,
+    in_stock_only: Boolean(inStock),
+    featured_only: Boolean(featured),
+    filter_tags: tags.length > 0 ? tags : null,
+    filter_attributes: Object.keys(attributes).length > 0 ? attributes : null
+  };
+};
+
+/**
+ * searchProducts: Busca productos ordenados por relevancia
+ *
+ * Acepta los mismos filtros que el catálogo para que la caja de búsqueda
+ * de FilterBar y una futura página de búsqueda compartan la misma lógica.
+ * Si la función search_products todavía no está instalada en Supabase,
+ * recurre a la búsqueda simple (ilike) del catálogo.
+ *
+ * @param {string} searchTerm - Texto escrito por el usuario
+ * @param {Object} options - Opciones de búsqueda
+ * @param {string|string[]} [options.category] - Categoría o rama de categorías ('All Categories' = sin filtro)
+ * @param {Object|string} [options.priceRange] - {min, max} o clave de PRICE_RANGE_BOUNDS
+ * @param {number} [options.rating] - Calificación mínima (0 = sin filtro)
+ * @param {boolean} [options.inStock] - Solo productos con stock
+ * @param {boolean} [options.featured] - Solo productos destacados
+ * @param {string[]} [options.tags] - Etiquetas que el producto debe tener
+ * @param {Object} [options.attributes] - Valores de atributos ({material, color, technique})
+ * @param {string} [options.sortBy] - 'relevance' o una clave de CATALOG_SORT_OPTIONS
+ * @param {number} [options.page] - Página a obtener (empieza en 1)
+ * @param {number} [options.pageSize] - Resultados por página
+ * @returns {Object} - {success, products[], totalCount, page, pageSize, totalPages, error}
+ */
+export const searchProducts = async (searchTerm, options = {}) => {
+  const {
+    sortBy = 'relevance',
+    page = 1,
+    pageSize = CATALOG_PAGE_SIZE,
+    ...filters
+  } = options;
+
+  const cleanTerm = sanitizeSearchTerm(searchTerm);
+
+  // Sin término de búsqueda válido → catálogo normal
+  if (cleanTerm.length < MIN_SEARCH_LENGTH) {
+    return getCatalogProducts({ ...filters, sortBy, page, pageSize });
+  }
+
+  try {
+    console.log('🔎 Searching products:', cleanTerm, { ...filters, sortBy, page });
+
+    const currentPage = Math.max(1, parseInt(page) || 1);
+
+    const { data, error } = await supabase.rpc('search_products', {
+      search_query: cleanTerm,
+      ...getFilterParams(filters),
+      sort_by: sortBy,
+      result_limit: pageSize,
+      result_offset: (currentPage - 1) * pageSize
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    // Cada fila trae total_count (el mismo valor en todas)
+    const totalCount = data?.length > 0 ? Number(data[0].total_count) : 0;
+    const products = (data || []).map(row => {
+      const product = { ...row };
+      delete product.total_count;
+      return product;
+    });
+
+    console.log('✅ Search results:', products.length, 'of', totalCount);
+
+    return {
+      success: true,
+      products,
+      totalCount,
+      page: currentPage,
+      pageSize,
+      totalPages: Math.max(1, Math.ceil(totalCount / pageSize))
+    };
+
+  } catch (error) {
+    // La función de búsqueda no está instalada: usar búsqueda simple
+    if (error.code === FUNCTION_NOT_FOUND_CODE) {
+      console.warn('⚠️ search_products not installed, falling back to basic search');
+      return getCatalogProducts({ ...filters, searchTerm: cleanTerm, sortBy, page, pageSize });
+    }
+
+    console.error('❌ Search products error:', error);
+    return {
+      success: false,
+      products: [],
+      totalCount: 0,
+      page: 1,
+      pageSize,
+      totalPages: 1,
+      error: error.message || 'Failed to search products'
+    };
+  }
+};
+
+/**
+ * getCatalogFacets: Cuenta cuántos productos tiene cada opción de filtro
+ *
+ * Los conteos de categorías, rangos de precio, calificaciones, stock, etiquetas
+ * y atributos se hacen en la base de datos con catalog_facets (GROUP BY sobre
+ * los mismos filtros y las mismas reglas de búsqueda que searchProducts),
+ * así no se descarga ningún producto
+ * Si la función no está instalada, FilterBar simplemente no muestra los conteos
+ *
+ * @param {string} searchTerm - Texto escrito por el usuario
+ * @param {Object} filters - Filtros activos (ver applyCatalogFilters)
+ * @returns {Object} - {success, facets: {categories, priceRanges, ratings, stock, featured, tags, attributes}, error}
+ */
+export const getCatalogFacets = async (searchTerm, filters = {}) => {
+  const cleanTerm = sanitizeSearchTerm(searchTerm);
+
+  try {
+    const { data, error } = await supabase.rpc('catalog_facets', {
+      search_query: cleanTerm.length >= MIN_SEARCH_LENGTH ? cleanTerm : null,
+      ...getFilterParams(filters),
+      price_ranges: PRICE_RANGE_BOUNDS,
+      rating_options: RATING_FILTER_OPTIONS,
+      attribute_keys: PRODUCT_ATTRIBUTES.map(({ key }) => key)
+    });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      facets: data
+    };
+
+  } catch (error) {
+    console.error('❌ Get catalog facets error:', error);
+    return {
+      success: false,
+      facets: null,
+      error: error.message || 'Failed to count filter options'
+    };
+  }
+};
+
+/**
+ * getSearchSuggestions: Obtiene sugerencias para el autocompletado de búsqueda
+ *
+ * Agrupa tres tipos de sugerencias:
+ * - products: títulos de productos (con el mismo ranking tolerante a errores)
+ * - categories: categorías de getProductCategories que contienen el texto
+ * - artisans: tiendas de artesanos activos (user_profiles.shop_name)
+ *
+ * @param {string} searchTerm - Texto escrito por el usuario
+ * @param {Object} options - Opciones
+ * @param {number} [options.limit] - Máximo de sugerencias por grupo
+ * @returns {Object} - {success, suggestions: {products[], categories[], artisans[]}, error}
+ */
+export const getSearchSuggestions = async (searchTerm, options = {}) => {
+  const { limit = SUGGESTIONS_PER_GROUP } = options;
+  const cleanTerm = sanitizeSearchTerm(searchTerm);
+
+  const emptySuggestions = { products: [], categories: [], artisans: [] };
+
+  if (cleanTerm.length < MIN_SEARCH_LENGTH) {
+    return { success: true, suggestions: emptySuggestions };
+  }
+
+  try {
+    const termLower = cleanTerm.toLowerCase();
+
+    if (!cachedCategories) {
+      cachedCategories = await getProductCategories();
+    }
+
+    // Las tres consultas son independientes: las lanzamos en paralelo
+    const [productResult, artisanResult] = await Promise.all([
+      searchProducts(cleanTerm, { pageSize: limit }),
+      supabase
+        .from('user_profiles')
+        .select('id, full_name, shop_name, profile_image_url, is_verified')
+        .in('role', ['seller', 'artisan'])
+        .eq('is_active', true)
+        .or(`shop_name.ilike.%${cleanTerm}%,full_name.ilike.%${cleanTerm}%`)
+        .order('is_verified', { ascending: false })
+        .limit(limit)
+    ]);
+
+    if (artisanResult.error) {
+      throw artisanResult.error;
+    }
+
+    const suggestions = {
+      products: (productResult.products || []).map(product => ({
+        id: product.id,
+        title: product.title,
+        category: product.category,
+        price: getCurrentPrice(product),
+        image_url: product.image_url
+      })),
+      categories: cachedCategories
+        .filter(category => category.toLowerCase().includes(termLower))
+        .slice(0, limit),
+      artisans: (artisanResult.data || []).map(artisan => ({
+        id: artisan.id,
+        name: artisan.shop_name || artisan.full_name,
+        profile_image_url: artisan.profile_image_url,
+        is_verified: artisan.is_verified
+      }))
+    };
+
+    return {
+      success: true,
+      suggestions
+    };
+
+  } catch (error) {
+    console.error('❌ Get search suggestions error:', error);
+    return {
+      success: false,
+      suggestions: emptySuggestions,
+      error: error.message || 'Failed to load suggestions'
+    };
+  }
+};
@@ -0,0 +1,294 @@
+// src/services/shippingService.js
+// Perfiles de envío de los artesanos (tablas shipping_profiles y shipping_zones)
+// Los costos se calculan en utils/shipping.ts con lo que devuelve este servicio
+// Ver create-shipping-profiles.sql
+
+import { supabase } from '../lib/supabase';
+
+// Perfil con sus zonas de destino
+const PROFILE_FIELDS = '*, zones:shipping_zones(*)';
+
+/**
+ * normalizeZone: Convierte una zona del formulario a los valores a guardar
+ *
+ * @param {Object} zone - {name, countries, rate_type, base_rate, additional_rate, free_over, min_days, max_days}
+ * @returns {Object} - Zona lista para insertar (sin profile_id)
+ */
+const normalizeZone = (zone) => {
+  const toNumber = (value) => (value === '' || value === null || value === undefined ? null : Number(value));
+
+  return {
+    name: String(zone.name || '').trim() || 'Everywhere',
+    countries: [...new Set((zone.countries || []).map(code => String(code).trim().toUpperCase()).filter(Boolean))],
+    rate_type: zone.rate_type || 'flat',
+    base_rate: toNumber(zone.base_rate) ?? 0,
+    additional_rate: toNumber(zone.additional_rate) ?? 0,
+    free_over: toNumber(zone.free_over),
+    min_days: toNumber(zone.min_days),
+    max_days: toNumber(zone.max_days)
+  };
+};
+
+/**
+ * validateProfile: Verifica un perfil antes de guardarlo
+ *
+ * @param {Object} profile - Perfil con sus zonas normalizadas
+ * @returns {string|null} - Mensaje de error, o null si es válido
+ */
+const validateProfile = (profile) => {
+  if (!profile.name) {
+    return 'Profile name is required';
+  }
+
+  if (profile.zones.length === 0 && !profile.local_pickup) {
+    return 'Add at least one shipping zone or offer local pickup';
+  }
+
+  // Cada país puede estar en una sola zona y solo una zona puede ser "resto del mundo",
+  // así el carrito (findZone en utils/shipping.ts) y create_order eligen la misma zona
+  const fallbackZones = profile.zones.filter(zone => zone.countries.length === 0);
+  if (fallbackZones.length > 1) {
+    return 'Only one zone can ship to all other countries';
+  }
+
+  const zoneByCountry = {};
+  for (const zone of profile.zones) {
+    const duplicate = zone.countries.find(country => zoneByCountry[country]);
+    if (duplicate) {
+      return `${duplicate} is in both "${zoneByCountry[duplicate]}" and "${zone.name}"`;
+    }
+    zone.countries.forEach(country => {
+      zoneByCountry[country] = zone.name;
+    });
+  }
+
+  for (const zone of profile.zones) {
+    const rates = [zone.base_rate, zone.additional_rate, zone.free_over].filter(rate => rate !== null);
+    if (rates.some(rate => isNaN(rate) || rate < 0)) {
+      return `Rates in "${zone.name}" must be 0 or greater`;
+    }
+
+    if (zone.min_days !== null && zone.max_days !== null && zone.max_days < zone.min_days) {
+      return `Delivery days in "${zone.name}" are out of order`;
+    }
+  }
+
+  return null;
+};
+
+/**
+ * getArtisanShippingProfiles: Perfiles de envío de un artesano (predeterminado primero)
+ *
+ * @param {string} artisanId - ID del artesano
+ * @returns {Object} - {success, profiles[], error}
+ */
+export const getArtisanShippingProfiles = async (artisanId) => {
+  try {
+    const { data, error } = await supabase
+      .from('shipping_profiles')
+      .select(PROFILE_FIELDS)
+      .eq('artisan_id', artisanId)
+      .order('is_default', { ascending: false })
+      .order('created_at', { ascending: true });
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      profiles: data || []
+    };
+
+  } catch (error) {
+    console.error('❌ Get shipping profiles error:', error);
+    return {
+      success: false,
+      profiles: [],
+      error: error.message || 'Failed to load shipping profiles'
+    };
+  }
+};
+
+/**
+ * getShippingForArtisans: Perfiles de envío y taller de varios artesanos
+ * Usado por el carrito y el checkout para calcular el envío de cada artesano
+ *
+ * @param {Array} artisanIds - IDs de los artesanos
+ * @returns {Object} - {success, profilesByArtisan, artisans, error}
+ *   profilesByArtisan: {artisanId: [perfiles]}
+ *   artisans: {artisanId: {id, full_name, shop_name, location}}
+ */
+export const getShippingForArtisans = async (artisanIds) => {
+  try {
+    const ids = [...new Set((artisanIds || []).filter(Boolean))];
+
+    if (ids.length === 0) {
+      return { success: true, profilesByArtisan: {}, artisans: {} };
+    }
+
+    const [profilesResult, artisansResult] = await Promise.all([
+      supabase.from('shipping_profiles').select(PROFILE_FIELDS).in('artisan_id', ids),
+      supabase.from('user_profiles').select('id, full_name, shop_name, location').in('id', ids)
+    ]);
+
+    if (profilesResult.error) {
+      throw profilesResult.error;
+    }
+
+    if (artisansResult.error) {
+      throw artisansResult.error;
+    }
+
+    const profilesByArtisan = {};
+    (profilesResult.data || []).forEach(profile => {
+      profilesByArtisan[profile.artisan_id] = [...(profilesByArtisan[profile.artisan_id] || []), profile];
+    });
+
+    return {
+      success: true,
+      profilesByArtisan,
+      artisans: Object.fromEntries((artisansResult.data || []).map(artisan => [artisan.id, artisan]))
+    };
+
+  } catch (error) {
+    console.error('❌ Get shipping rates error:', error);
+    return {
+      success: false,
+      profilesByArtisan: {},
+      artisans: {},
+      error: error.message || 'Failed to load shipping rates'
+    };
+  }
+};
+
+/**
+ * saveShippingProfile: Crea o actualiza un perfil de envío y reemplaza sus zonas
+ * Si el perfil queda como predeterminado, los demás del artesano dejan de serlo
+ *
+ * @param {string} artisanId - ID del artesano
+ * @param {Object} profileData - {id?, name, is_default, local_pickup, pickup_notes, zones[]}
+ * @returns {Object} - {success, profile, error}
+ */
+export const saveShippingProfile = async (artisanId, profileData) => {
+  try {
+    const profile = {
+      name: String(profileData.name || '').trim(),
+      is_default: Boolean(profileData.is_default),
+      local_pickup: Boolean(profileData.local_pickup),
+      pickup_notes: profileData.local_pickup ? String(profileData.pickup_notes || '').trim() || null : null,
+      zones: (profileData.zones || []).map(normalizeZone)
+    };
+
+    const validationError = validateProfile(profile);
+    if (validationError) {
+      return { success: false, profile: null, error: validationError };
+    }
+
+    // Solo un perfil predeterminado por artesano (índice único en la base de datos)
+    if (profile.is_default) {
+      let query = supabase
+        .from('shipping_profiles')
+        .update({ is_default: false })
+        .eq('artisan_id', artisanId)
+        .eq('is_default', true);
+
+      if (profileData.id) {
+        query = query.neq('id', profileData.id);
+      }
+
+      const { error: defaultError } = await query;
+      if (defaultError) {
+        throw defaultError;
+      }
+    }
+
+    const row = {
+      artisan_id: artisanId,
+      name: profile.name,
+      is_default: profile.is_default,
+      local_pickup: profile.local_pickup,
+      pickup_notes: profile.pickup_notes,
+      updated_at: new Date().toISOString()
+    };
+
+    const { data: saved, error } = profileData.id
+      ? await supabase.from('shipping_profiles').update(row).eq('id', profileData.id).eq('artisan_id', artisanId).select().single()
+      : await supabase.from('shipping_profiles').insert(row).select().single();
+
+    if (error) {
+      throw error;
+    }
+
+    // Reemplazar las zonas
+    const { error: deleteError } = await supabase
+      .from('shipping_zones')
+      .delete()
+      .eq('profile_id', saved.id);
+
+    if (deleteError) {
+      throw deleteError;
+    }
+
+    let zones = [];
+    if (profile.zones.length > 0) {
+      const { data: insertedZones, error: zonesError } = await supabase
+        .from('shipping_zones')
+        .insert(profile.zones.map(zone => ({ ...zone, profile_id: saved.id })))
+        .select();
+
+      if (zonesError) {
+        throw zonesError;
+      }
+      zones = insertedZones;
+    }
+
+    console.log('✅ Shipping profile saved:', saved.id);
+
+    return {
+      success: true,
+      profile: { ...saved, zones }
+    };
+
+  } catch (error) {
+    console.error('❌ Save shipping profile error:', error);
+    return {
+      success: false,
+      profile: null,
+      error: error.message || 'Failed to save shipping profile'
+    };
+  }
+};
+
+/**
+ * deleteShippingProfile: Elimina un perfil de envío
+ * Sus productos pasan a usar el perfil predeterminado
+ *
+ * @param {string} profileId - ID del perfil
+ * @param {string} artisanId - ID del artesano (para verificación)
+ * @returns {Object} - {success, error}
+ */
+export const deleteShippingProfile = async (profileId, artisanId) => {
+  try {
+    const { error } = await supabase
+      .from('shipping_profiles')
+      .delete()
+      .eq('id', profileId)
+      .eq('artisan_id', artisanId);
+
+    if (error) {
+      throw error;
+    }
+
+    console.log('✅ Shipping profile deleted:', profileId);
+
+    return { success: true };
+
+  } catch (error) {
+    console.error('❌ Delete shipping profile error:', error);
+    return {
+      success: false,
+      error: error.message || 'Failed to delete shipping profile'
+    };
+  }
+};
@@ -0,0 +1,137 @@
+// src/services/sitemapService.js
+// Servicio para el sitemap: lista las URLs públicas (productos, categorías y tiendas)
+// Ver app/sitemap.js, app/sitemap.xml/route.js y app/robots.js
+
+import { supabase } from '../lib/supabase';
+
+// Productos por archivo de sitemap (el límite de Google es 50.000 URLs por archivo)
+export const SITEMAP_PRODUCTS_PER_FILE = 10000;
+
+// ID del archivo con la portada, las categorías y las tiendas
+export const SITEMAP_PAGES_ID = 'pages';
+
+// Solo se indexan productos de artesanos activos
+const ACTIVE_PRODUCTS_SELECT = 'id, updated_at, created_at, artisan:user_profiles!artisan_id!inner(is_active)';
+
+/**
+ * getSitemapIds: IDs de los archivos de sitemap
+ *
+ * Un archivo para páginas, categorías y tiendas, y uno más por cada
+ * SITEMAP_PRODUCTS_PER_FILE productos (products-1, products-2, ...)
+ *
+ * @returns {Object} - {success, ids[], error}
+ */
+export const getSitemapIds = async () => {
+  try {
+    // head: true → solo el conteo, sin filas
+    const { count, error } = await supabase
+      .from('products')
+      .select(ACTIVE_PRODUCTS_SELECT, { count: 'exact', head: true })
+      .eq('artisan.is_active', true);
+
+    if (error) {
+      throw error;
+    }
+
+    const productFiles = Math.max(1, Math.ceil((count || 0) / SITEMAP_PRODUCTS_PER_FILE));
+
+    return {
+      success: true,
+      ids: [
+        SITEMAP_PAGES_ID,
+        ...Array.from({ length: productFiles }, (_, index) => `products-${index + 1}`)
+      ]
+    };
+
+  } catch (error) {
+    console.error('❌ Get sitemap ids error:', error);
+    return {
+      success: false,
+      ids: [SITEMAP_PAGES_ID, 'products-1'],
+      error: error.message || 'Failed to count products'
+    };
+  }
+};
+
+/**
+ * getSitemapProducts: Una página de productos para el sitemap
+ *
+ * Ordenados por id para que cada producto quede siempre en el mismo archivo
+ *
+ * @param {number} page - Número de archivo de productos (empieza en 1)
+ * @returns {Object} - {success, products[{id, updated_at, created_at}], error}
+ */
+export const getSitemapProducts = async (page = 1) => {
+  try {
+    const from = (Math.max(1, page) - 1) * SITEMAP_PRODUCTS_PER_FILE;
+
+    const { data, error } = await supabase
+      .from('products')
+      .select(ACTIVE_PRODUCTS_SELECT)
+      .eq('artisan.is_active', true)
+      .order('id', { ascending: true })
+      .range(from, from + SITEMAP_PRODUCTS_PER_FILE - 1);
+
+    if (error) {
+      throw error;
+    }
+
+    return {
+      success: true,
+      products: data || []
+    };
+
+  } catch (error) {
+    console.error('❌ Get sitemap products error:', error);
+    return {
+      success: false,
+      products: [],
+      error: error.message || 'Failed to load products'
+    };
+  }
+};
+
+/**
+ * getSitemapPages: Categorías y tiendas de artesanos activos para el sitemap
+ *
+ * @returns {Object} - {success, categories[{slug, updated_at}], artisans[{id, updated_at, created_at}], error}
+ */
+export const getSitemapPages = async () => {
+  try {
+    const [categoriesResult, artisansResult] = await Promise.all([
+      supabase
+        .from('categories')
+        .select('slug, updated_at')
+        .order('display_order', { ascending: true }),
+      supabase
+        .from('user_profiles')
+        .select('id, updated_at, created_at')
+        .in('role', ['seller', 'artisan'])
+        .eq('is_active', true)
+        .order('created_at', { ascending: true })
+    ]);
+
+    if (categoriesResult.error) {
+      throw categoriesResult.error;
+    }
+
+    if (artisansResult.error) {
+      throw artisansResult.error;
+    }
+
+    return {
+      success: true,
+      categories: categoriesResult.data || [],
+      artisans: artisansResult.data || []
+    };
+
+  } catch (error) {
+    console.error('❌ Get sitemap pages error:', error);
+    return {
+      success: false,
+      categories: [],
+      artisans: [],
+      error: error.message || 'Failed to load sitemap pages'
+    };
+  }
+};
@@ -0,0 +1,76 @@
+// src/services/taxService.js
+// Tasas de impuestos por país y región y clase de impuesto de las categorías
+// (tablas tax_jurisdictions, tax_regions y categories.tax_class)
+// Son las mismas con las que create_order cobra: el carrito y el checkout las usan
+// para mostrar los impuestos con utils/tax.ts
+// Ver add-order-taxes.sql
+
+import { supabase } from '../lib/supabase';
+import { EMPTY_TAX_TABLES } from '../utils/tax';
+
+/**
+ * getTaxTables: Carga las tablas de impuestos con la forma que usa utils/tax.ts
+ *
+ * @returns {Object} - {success, tables, error}
+ *   tables: {jurisdictions: {país: {label, display, rates, regions?}}, categoryClasses: {categoryId: clase}}
+ */
+export const getTaxTables = async () => {
+  try {
+    const [jurisdictionsResult, regionsResult, categoriesResult] = await Promise.all([
+      supabase.from('tax_jurisdictions').select('country, label, display, standard_rate, reduced_rate'),
+      supabase.from('tax_regions').select('country, code, name, rate'),
+      supabase.from('categories').select('id, tax_class').neq('tax_class', 'standard')
+    ]);
+
+    if (jurisdictionsResult.error) {
+      throw jurisdictionsResult.error;
+    }
+
+    if (regionsResult.error) {
+      throw regionsResult.error;
+    }
+
+    if (categoriesResult.error) {
+      throw categoriesResult.error;
+    }
+
+    const jurisdictions = {};
+    (jurisdictionsResult.data || []).forEach(row => {
+      jurisdictions[row.country] = {
+        label: row.label,
+        display: row.display,
+        rates: {
+          standard: Number(row.standard_rate),
+          reduced: Number(row.reduced_rate)
+        }
+      };
+    });
+
+    // Un país con regiones exige la región del comprador (ver findTaxRegion)
+    (regionsResult.data || []).forEach(row => {
+      const jurisdiction = jurisdictions[row.country];
+      if (jurisdiction) {
+        jurisdiction.regions = {
+          ...jurisdiction.regions,
+          [row.code]: { name: row.name, rate: Number(row.rate) }
+        };
+      }
+    });
+
+    return {
+      success: true,
+      tables: {
+        jurisdictions,
+        categoryClasses: Object.fromEntries((categoriesResult.data || []).map(category => [category.id, category.tax_class]))
+      }
+    };
+
+  } catch (error) {
+    console.error('❌ Get tax rates error:', error);
+    return {
+      success: false,
+      tables: EMPTY_TAX_TABLES,
+      error: error.message || 'Failed to load tax rates'
+    };
+  }
+};
@@ -0,0 +1,26 @@
+// types/category.ts
+// Estructura de las categorías del catálogo (tabla categories)
+
+export interface Category {
+  id: string;
+  parent_id: string | null; // null = categoría principal
+  name: string;
+  slug: string;
+  description: string | null;
+  image_url: string | null;
+  display_order: number;
+  created_at?: string;
+  updated_at?: string;
+}
+
+// Categoría con sus subcategorías anidadas
+export interface CategoryNode extends Category {
+  children: CategoryNode[];
+}
+
+// Categoría lista para un selector: profundidad para la sangría
+// y los nombres de la categoría y todas sus subcategorías (para filtrar)
+export interface CategoryOption extends Category {
+  depth: number;
+  familyNames: string[];
+}
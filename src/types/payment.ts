@@ -0,0 +1,50 @@
+// types/payment.ts
+// Contrato que cumple cada proveedor de pagos (ver lib/payments)
+// El checkout y los pedidos solo hablan con esta interfaz, nunca con un procesador concreto
+
+// Estado de un pago en el proveedor
+export type PaymentStatus = 'requires_payment' | 'succeeded' | 'failed' | 'refunded';
+
+// Intento de pago creado para un pedido
+export interface PaymentIntent {
+  id: string;
+  clientSecret: string; // Lo usa el navegador para confirmar el pago con el proveedor
+  amount: number;
+  currency: string;
+  status: PaymentStatus;
+}
+
+// Resultado de confirmar o reembolsar un pago
+export interface PaymentResult {
+  intentId: string;
+  status: PaymentStatus;
+  failureReason?: string;
+}
+
+// Datos del medio de pago: dependen del proveedor
+// (un token del procesador, o card_number en el proveedor de prueba)
+export type PaymentMethodInput = Record<string, string>;
+
+// Evento recibido por webhook, ya verificado
+export interface PaymentEvent {
+  type: 'payment.succeeded' | 'payment.failed' | 'payment.refunded';
+  intentId: string;
+  failureReason?: string;
+}
+
+export interface PaymentProvider {
+  // Nombre guardado en orders.payment_provider
+  name: string;
+
+  // Crea el intento de pago de un pedido (amount en la moneda, ej: 45.5 USD)
+  createIntent(input: { orderId: string; amount: number; currency: string }): Promise<PaymentIntent>;
+
+  // Cobra el intento con el medio de pago del comprador
+  confirmIntent(intentId: string, paymentMethod: PaymentMethodInput): Promise<PaymentResult>;
+
+  // Reembolsa un pago cobrado
+  refund(intentId: string, amount: number): Promise<PaymentResult>;
+
+  // Verifica la firma de un webhook; null si la firma no es válida
+  verifyWebhook(payload: string, signature: string | null): Promise<PaymentEvent | null>;
+}
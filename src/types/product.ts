@@ -6,14 +6,28 @@ export interface Product {
   title: string;
   description: string;
   price: number;
+  // Oferta: precio normal tachado y ventana de la oferta (ver utils/pricing.ts)
+  compare_at_price?: number | null;
+  sale_starts_at?: string | null;
+  sale_ends_at?: string | null;
   image_url: string;
   category: string;
   rating: number;
   stock: number;
+  featured?: boolean;
+  tags?: string[];
+  attributes?: ProductAttributes;
   created_at: string;
   updated_at?: Date;
 }
 
+// Atributos estructurados de un producto (valores en minúsculas)
+export interface ProductAttributes {
+  material?: string;
+  color?: string;
+  technique?: string;
+}
+
 // Tipo para el estado de favoritos
 export interface FavoriteState {
   productId: string;
@@ -24,10 +38,12 @@ export interface FavoriteState {
 export interface ProductFilters {
   category?: string;
   priceRange?: {
-    min: number;
-    max: number;
+    min: number | null; // null = sin límite
+    max: number | null;
   };
   rating?: number;
   featured?: boolean;
   inStock?: boolean;
+  tags?: string[]; // el producto debe tener todas
+  attributes?: ProductAttributes;
 }
\ No newline at end of file
@@ -0,0 +1,200 @@
+// utils/cart.ts
+// Cálculos del carrito: límites de cantidad por stock, totales por línea y subtotal
+// y la fusión del carrito de invitado con el de la cuenta
+
+import { formatPrice } from './formatPrice';
+import { getCurrentPrice } from './pricing';
+import type { GuestCartItem } from './guestCart';
+
+export interface CartProduct {
+  id: string;
+  title: string;
+  price: number;
+  stock?: number | null;
+  image_url?: string | null;
+  category?: string | null;
+  category_id?: string | null; // Define la clase de impuesto (ver utils/tax.ts)
+  artisan_id?: string | null;
+  // Envío (ver utils/shipping.ts)
+  weight_grams?: number | null;
+  length_cm?: number | null;
+  width_cm?: number | null;
+  height_cm?: number | null;
+  shipping_profile_id?: string | null;
+  // Oferta (ver utils/pricing.ts)
+  compare_at_price?: number | null;
+  sale_starts_at?: string | null;
+  sale_ends_at?: string | null;
+}
+
+export interface CartItem {
+  product_id: string;
+  quantity: number;
+  product: CartProduct;
+}
+
+// Problemas encontrados al fusionar o refrescar un carrito
+export type CartConflictType = 'unavailable' | 'sold-out' | 'quantity-reduced' | 'price-changed';
+
+export interface CartConflict {
+  product_id: string;
+  type: CartConflictType;
+  message: string;
+}
+
+/**
+ * Copia del producto con solo los campos que usa el carrito
+ * price queda con el precio que se cobra ahora (con o sin oferta)
+ * @param product - Producto completo (tarjeta, página de detalle...)
+ */
+export function toCartProduct(product: CartProduct): CartProduct {
+  return {
+    id: product.id,
+    title: product.title,
+    price: getCurrentPrice(product),
+    stock: product.stock ?? 0,
+    image_url: product.image_url ?? null,
+    category: product.category ?? null,
+    category_id: product.category_id ?? null,
+    artisan_id: product.artisan_id ?? null,
+    weight_grams: product.weight_grams ?? null,
+    length_cm: product.length_cm ?? null,
+    width_cm: product.width_cm ?? null,
+    height_cm: product.height_cm ?? null,
+    shipping_profile_id: product.shipping_profile_id ?? null,
+    compare_at_price: product.compare_at_price ?? null,
+    sale_starts_at: product.sale_starts_at ?? null,
+    sale_ends_at: product.sale_ends_at ?? null
+  };
+}
+
+/**
+ * Cantidad máxima que se puede pedir de un producto (su stock)
+ * @param product - Producto del carrito
+ */
+export function getMaxQuantity(product: CartProduct): number {
+  return Math.max(0, Math.floor(Number(product.stock) || 0));
+}
+
+/**
+ * Ajusta una cantidad al rango permitido: entre 1 y el stock del producto
+ * Devuelve 0 si el producto está agotado
+ * @param quantity - Cantidad pedida
+ * @param product - Producto del carrito
+ */
+export function clampQuantity(quantity: number, product: CartProduct): number {
+  const max = getMaxQuantity(product);
+  const requested = Math.floor(Number(quantity) || 0);
+  return Math.min(Math.max(requested, 1), max);
+}
+
+/**
+ * Total de una línea del carrito (precio × cantidad)
+ * @param item - Línea del carrito
+ */
+export function getLineTotal(item: CartItem): number {
+  return Number(item.product.price) * item.quantity;
+}
+
+/**
+ * Indica si una línea se puede comprar (el producto tiene stock)
+ * @param item - Línea del carrito
+ */
+export function isItemAvailable(item: CartItem): boolean {
+  return getMaxQuantity(item.product) > 0;
+}
+
+/**
+ * Subtotal del carrito (suma de las líneas disponibles, sin envío ni impuestos)
+ * @param items - Líneas del carrito
+ */
+export function getCartSubtotal(items: CartItem[]): number {
+  return items
+    .filter(isItemAvailable)
+    .reduce((total, item) => total + getLineTotal(item), 0);
+}
+
+/**
+ * Cantidad total de unidades en el carrito (para el contador del encabezado)
+ * @param items - Líneas del carrito
+ */
+export function getCartItemCount(items: CartItem[]): number {
+  return items.reduce((count, item) => count + item.quantity, 0);
+}
+
+/**
+ * Fusiona líneas guardadas en el navegador con un carrito existente
+ *
+ * - Productos que ya no existen o están agotados se quitan
+ * - Las cantidades se suman y se limitan al stock actual
+ * - Si el precio cambió desde que se agregó, se avisa (la línea queda con el precio actual)
+ *
+ * @param savedItems - Carrito de la cuenta (vacío para refrescar solo el de invitado)
+ * @param guestItems - Líneas del carrito de invitado
+ * @param products - Datos actuales de los productos del carrito de invitado
+ * @returns Carrito fusionado, líneas que cambiaron y avisos para el usuario
+ */
+export function mergeCartItems(
+  savedItems: CartItem[],
+  guestItems: GuestCartItem[],
+  products: CartProduct[]
+): { items: CartItem[]; changedItems: CartItem[]; conflicts: CartConflict[] } {
+  const items = [...savedItems];
+  const changedItems: CartItem[] = [];
+  const conflicts: CartConflict[] = [];
+
+  guestItems.forEach(guestItem => {
+    const product = products.find(p => p.id === guestItem.product_id);
+
+    if (!product) {
+      conflicts.push({
+        product_id: guestItem.product_id,
+        type: 'unavailable',
+        message: `"${guestItem.title}" is no longer available and was removed from your cart`
+      });
+      return;
+    }
+
+    const cartProduct = toCartProduct(product);
+    const max = getMaxQuantity(cartProduct);
+
+    if (max === 0) {
+      conflicts.push({
+        product_id: cartProduct.id,
+        type: 'sold-out',
+        message: `"${cartProduct.title}" sold out and was removed from your cart`
+      });
+      return;
+    }
+
+    const index = items.findIndex(item => item.product_id === cartProduct.id);
+    const requested = (index >= 0 ? items[index].quantity : 0) + guestItem.quantity;
+    const quantity = Math.min(requested, max);
+
+    if (quantity < requested) {
+      conflicts.push({
+        product_id: cartProduct.id,
+        type: 'quantity-reduced',
+        message: `Only ${max} of "${cartProduct.title}" available — the quantity in your cart was reduced`
+      });
+    }
+
+    if (guestItem.price !== null && Number(guestItem.price) !== cartProduct.price) {
+      conflicts.push({
+        product_id: cartProduct.id,
+        type: 'price-changed',
+        message: `The price of "${cartProduct.title}" changed from ${formatPrice(Number(guestItem.price))} to ${formatPrice(cartProduct.price)}`
+      });
+    }
+
+    const mergedItem = { product_id: cartProduct.id, quantity, product: cartProduct };
+    if (index >= 0) {
+      items[index] = mergedItem;
+    } else {
+      items.push(mergedItem);
+    }
+    changedItems.push(mergedItem);
+  });
+
+  return { items, changedItems, conflicts };
+}
@@ -0,0 +1,165 @@
+// utils/catalogQuery.ts
+// Convierte los filtros del catálogo a/desde el query string de la URL
+// para que las vistas filtradas se puedan compartir y recargar
+
+import {
+  CATALOG_SORT_OPTIONS,
+  RATING_FILTER_OPTIONS,
+  PRODUCT_ATTRIBUTES,
+  normalizeTags,
+  normalizeAttributes
+} from '@/services/productService';
+import type { ProductAttributes, ProductFilters } from '@/types/product';
+
+export interface CatalogFilters extends Required<ProductFilters> {
+  searchTerm: string;
+  sortBy: string;
+}
+
+// Filtros iniciales del catálogo (no se escriben en la URL)
+export const DEFAULT_FILTERS: CatalogFilters = {
+  category: 'All Categories',
+  priceRange: { min: null, max: null },
+  rating: 0,
+  inStock: false,
+  featured: false,
+  tags: [],
+  attributes: {},
+  searchTerm: '',
+  sortBy: 'relevance'
+};
+
+// Nombre de cada filtro en el query string (cortos y legibles para compartir)
+const QUERY_KEYS = {
+  category: 'category',
+  minPrice: 'min_price',
+  maxPrice: 'max_price',
+  rating: 'rating',
+  inStock: 'in_stock',
+  featured: 'featured',
+  tags: 'tags',
+  searchTerm: 'q',
+  sortBy: 'sort',
+  page: 'page'
+} as const;
+
+// Los atributos usan su propia clave en la URL (ej: "material=stoneware&color=blue")
+const ATTRIBUTE_KEYS: (keyof ProductAttributes)[] = PRODUCT_ATTRIBUTES.map(
+  ({ key }) => key as keyof ProductAttributes
+);
+
+/**
+ * Convierte un precio del query string a número
+ * @param value - Texto de la URL
+ * @returns Precio (>= 0) o null si no es válido
+ */
+function parsePrice(value: string): number | null {
+  if (!value) return null;
+  const price = parseFloat(value);
+  return Number.isFinite(price) && price >= 0 ? price : null;
+}
+
+/**
+ * Lee filtros y página desde el query string
+ * Los valores desconocidos se ignoran y se usan los valores por defecto
+ * @param searchParams - Parámetros de la URL (URLSearchParams o los de useSearchParams)
+ * @returns Filtros y página a aplicar
+ */
+export function parseCatalogQuery(searchParams: Pick<URLSearchParams, 'get'> | null): {
+  filters: CatalogFilters;
+  page: number;
+} {
+  const get = (key: string) => searchParams?.get(key)?.trim() || '';
+
+  const category = get(QUERY_KEYS.category);
+  const rating = parseInt(get(QUERY_KEYS.rating), 10);
+  const sortBy = get(QUERY_KEYS.sortBy);
+  const page = parseInt(get(QUERY_KEYS.page), 10);
+
+  const attributes: ProductAttributes = {};
+  ATTRIBUTE_KEYS.forEach(key => {
+    attributes[key] = get(key);
+  });
+
+  let min = parsePrice(get(QUERY_KEYS.minPrice));
+  let max = parsePrice(get(QUERY_KEYS.maxPrice));
+
+  // Rango invertido en la URL: lo corregimos en lugar de no mostrar nada
+  if (min !== null && max !== null && min > max) {
+    [min, max] = [max, min];
+  }
+
+  return {
+    filters: {
+      category: category || DEFAULT_FILTERS.category,
+      priceRange: { min, max },
+      rating: RATING_FILTER_OPTIONS.includes(rating) ? rating : DEFAULT_FILTERS.rating,
+      inStock: get(QUERY_KEYS.inStock) === '1',
+      featured: get(QUERY_KEYS.featured) === '1',
+      tags: normalizeTags(get(QUERY_KEYS.tags)),
+      attributes: normalizeAttributes(attributes),
+      searchTerm: get(QUERY_KEYS.searchTerm),
+      sortBy: sortBy in CATALOG_SORT_OPTIONS ? sortBy : DEFAULT_FILTERS.sortBy
+    },
+    page: Number.isInteger(page) && page > 1 ? page : 1
+  };
+}
+
+/**
+ * Escribe filtros y página como query string
+ * Solo incluye los valores distintos del valor por defecto, para URLs cortas
+ * @param filters - Filtros actuales
+ * @param page - Página actual
+ * @returns Query string sin el "?" (ej: "category=Woodwork&min_price=25&tags=gift,rustic")
+ */
+export function buildCatalogQuery(filters: CatalogFilters, page: number = 1): string {
+  const params = new URLSearchParams();
+
+  if (filters.searchTerm.trim()) {
+    params.set(QUERY_KEYS.searchTerm, filters.searchTerm.trim());
+  }
+
+  if (filters.category !== DEFAULT_FILTERS.category) {
+    params.set(QUERY_KEYS.category, filters.category);
+  }
+
+  if (filters.priceRange.min !== null) {
+    params.set(QUERY_KEYS.minPrice, String(filters.priceRange.min));
+  }
+
+  if (filters.priceRange.max !== null) {
+    params.set(QUERY_KEYS.maxPrice, String(filters.priceRange.max));
+  }
+
+  if (filters.rating > 0) {
+    params.set(QUERY_KEYS.rating, String(filters.rating));
+  }
+
+  if (filters.inStock) {
+    params.set(QUERY_KEYS.inStock, '1');
+  }
+
+  if (filters.featured) {
+    params.set(QUERY_KEYS.featured, '1');
+  }
+
+  if (filters.tags.length > 0) {
+    params.set(QUERY_KEYS.tags, filters.tags.join(','));
+  }
+
+  ATTRIBUTE_KEYS.forEach(key => {
+    if (filters.attributes[key]) {
+      params.set(key, filters.attributes[key]);
+    }
+  });
+
+  if (filters.sortBy !== DEFAULT_FILTERS.sortBy) {
+    params.set(QUERY_KEYS.sortBy, filters.sortBy);
+  }
+
+  if (page > 1) {
+    params.set(QUERY_KEYS.page, String(page));
+  }
+
+  return params.toString();
+}
@@ -0,0 +1,122 @@
+// utils/categories.ts
+// Utilidades para la taxonomía de categorías: slugs para la URL y el árbol padre/hijo
+
+import type { Category, CategoryNode, CategoryOption } from '@/types/category';
+
+/**
+ * Convierte el nombre de una categoría en un slug para la URL
+ * Mismas reglas que la función category_slug de la base de datos
+ * @param category - Nombre de la categoría (ej: "Pottery & Ceramics")
+ * @returns Slug en minúsculas y sin acentos (ej: "pottery-ceramics")
+ */
+export function slugifyCategory(category: string): string {
+  return category
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+/**
+ * Busca la categoría que corresponde a un slug
+ * También acepta el nombre codificado (enlaces antiguos como /category/Woodwork)
+ * y el slug calculado desde el nombre (navigateToCategory solo conoce el nombre)
+ * @param categories - Categorías existentes
+ * @param slug - Slug recibido en la URL
+ * @returns La categoría o null si no existe
+ */
+export function findCategoryBySlug<T extends Category>(categories: T[], slug: string): T | null {
+  let decoded = slug;
+  try {
+    decoded = decodeURIComponent(slug);
+  } catch {
+    // Slug mal codificado: lo comparamos tal cual
+  }
+
+  return categories.find(category => (
+    category.slug === slug ||
+    category.name === decoded ||
+    slugifyCategory(category.name) === slug
+  )) || null;
+}
+
+/**
+ * Obtiene la descripción de una categoría para su página
+ * @param category - Categoría
+ * @returns Descripción guardada o un texto genérico
+ */
+export function getCategoryDescription(category: Category): string {
+  return category.description ||
+    `Discover handcrafted ${category.name.toLowerCase()} made by independent artisans.`;
+}
+
+/**
+ * Ordena categorías hermanas: primero display_order, luego nombre
+ */
+function compareCategories(a: Category, b: Category): number {
+  return a.display_order - b.display_order || a.name.localeCompare(b.name);
+}
+
+/**
+ * Arma el árbol de categorías a partir de la lista plana de la base de datos
+ * Una categoría cuyo padre no existe se trata como categoría principal
+ * @param categories - Lista plana (con parent_id)
+ * @returns Categorías principales con sus subcategorías en children
+ */
+export function buildCategoryTree(categories: Category[]): CategoryNode[] {
+  const nodes = new Map<string, CategoryNode>();
+  categories.forEach(category => {
+    nodes.set(category.id, { ...category, children: [] });
+  });
+
+  const roots: CategoryNode[] = [];
+  nodes.forEach(node => {
+    const parent = node.parent_id ? nodes.get(node.parent_id) : undefined;
+    if (parent) {
+      parent.children.push(node);
+    } else {
+      roots.push(node);
+    }
+  });
+
+  const sortTree = (list: CategoryNode[]) => {
+    list.sort(compareCategories);
+    list.forEach(node => sortTree(node.children));
+  };
+  sortTree(roots);
+
+  return roots;
+}
+
+/**
+ * Recorre el árbol en orden y devuelve una lista plana para selectores
+ * Cada opción sabe su profundidad y los nombres de toda su rama
+ * @param tree - Árbol de buildCategoryTree
+ * @returns Opciones en orden de visualización
+ */
+export function flattenCategoryTree(tree: CategoryNode[]): CategoryOption[] {
+  const options: CategoryOption[] = [];
+
+  const collectNames = (node: CategoryNode): string[] => (
+    [node.name, ...node.children.flatMap(collectNames)]
+  );
+
+  const visit = (node: CategoryNode, depth: number) => {
+    const { children, ...category } = node;
+    options.push({ ...category, depth, familyNames: collectNames(node) });
+    children.forEach(child => visit(child, depth + 1));
+  };
+
+  tree.forEach(node => visit(node, 0));
+  return options;
+}
+
+/**
+ * Lista plana de categorías → opciones para selectores (atajo de árbol + aplanado)
+ * @param categories - Lista plana (con parent_id)
+ * @returns Opciones en orden de visualización
+ */
+export function getCategoryOptions(categories: Category[]): CategoryOption[] {
+  return flattenCategoryTree(buildCategoryTree(categories));
+}
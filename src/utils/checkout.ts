@@ -0,0 +1,202 @@
+// utils/checkout.ts
+// Pasos del checkout, envíos por artesano y validación de la dirección
+
+import { getCartSubtotal } from './cart';
+import type { CartItem } from './cart';
+import { getShipmentOptions } from './shipping';
+import type { ShipmentMethod, ShipmentOption, ShippingProfile } from './shipping';
+import { findTaxRegion, getTaxJurisdiction } from './tax';
+import type { TaxTables } from './tax';
+
+// Pasos del checkout en orden
+export const CHECKOUT_STEPS = [
+  { id: 'address', label: 'Address' },
+  { id: 'shipping', label: 'Shipping' },
+  { id: 'review', label: 'Review' },
+  { id: 'payment', label: 'Pay' }
+] as const;
+
+export type CheckoutStep = typeof CHECKOUT_STEPS[number]['id'];
+
+// Minutos que el stock queda reservado para el comprador
+// (igual que reservation_expiry() en create-inventory-reservations.sql)
+export const RESERVATION_MINUTES = 15;
+
+// Un envío por artesano: cada uno despacha sus piezas por separado
+export interface Shipment {
+  key: string;               // ID del artesano ('' si el producto no tiene artesano)
+  artisanId: string | null;
+  items: CartItem[];
+  subtotal: number;
+}
+
+// Envío con sus opciones para el país de destino y la elegida
+export interface QuotedShipment extends Shipment {
+  options: ShipmentOption[];
+  method: ShipmentMethod | null; // null = el artesano no envía a ese país
+  shippingTotal: number;
+}
+
+/**
+ * Divide las líneas del carrito en un envío por artesano
+ * @param items - Líneas que se van a comprar
+ */
+export function splitIntoShipments(items: CartItem[]): Shipment[] {
+  const groups = new Map<string, CartItem[]>();
+
+  items.forEach(item => {
+    const key = item.product.artisan_id || '';
+    groups.set(key, [...(groups.get(key) || []), item]);
+  });
+
+  return Array.from(groups, ([key, groupItems]) => ({
+    key,
+    artisanId: key || null,
+    items: groupItems,
+    subtotal: getCartSubtotal(groupItems)
+  }));
+}
+
+/**
+ * Calcula las opciones de envío de cada artesano hacia un país
+ * Si el método elegido no está disponible se usa la primera opción
+ * @param shipments - Envíos del pedido
+ * @param profilesByArtisan - Perfiles de envío por artesano
+ * @param country - Código del país de destino
+ * @param chosenMethods - Método elegido por envío (key → 'delivery' | 'pickup')
+ */
+export function quoteShipments(
+  shipments: Shipment[],
+  profilesByArtisan: Record<string, ShippingProfile[]>,
+  country: string,
+  chosenMethods: Record<string, ShipmentMethod> = {}
+): QuotedShipment[] {
+  return shipments.map(shipment => {
+    const options = getShipmentOptions(shipment.items, profilesByArtisan[shipment.key] || [], country);
+    const chosen = options.find(option => option.method === chosenMethods[shipment.key]) || options[0];
+
+    return {
+      ...shipment,
+      options,
+      method: chosen?.method || null,
+      shippingTotal: chosen?.cost || 0
+    };
+  });
+}
+
+// Datos del taller de un artesano (ver getShippingForArtisans)
+export interface ShipmentArtisan {
+  id: string;
+  full_name?: string | null;
+  shop_name?: string | null;
+  location?: string | null;
+}
+
+/**
+ * Nombre de quien despacha un envío (la tienda del artesano)
+ * @param shipment - Envío
+ * @param artisans - Talleres por ID de artesano
+ */
+export function getShipmentSellerName(shipment: Shipment, artisans: Record<string, ShipmentArtisan>): string {
+  const artisan = artisans[shipment.key];
+  return artisan?.shop_name || artisan?.full_name || 'Handcrafted Haven';
+}
+
+/**
+ * Costo de envío total de varios envíos
+ * @param shipments - Envíos del pedido
+ */
+export function getShipmentsShippingTotal(shipments: QuotedShipment[]): number {
+  return shipments.reduce((sum, shipment) => sum + shipment.shippingTotal, 0);
+}
+
+/**
+ * Método de cada envío por artesano, como lo recibe create_order
+ * (el costo lo calcula la base de datos con las mismas reglas)
+ * @param shipments - Envíos del pedido
+ * @returns Ej: {"<artisan_id>": {"method": "delivery"}}
+ */
+export function getShipmentChoices(shipments: QuotedShipment[]): Record<string, { method: ShipmentMethod | null }> {
+  return Object.fromEntries(shipments.map(shipment => [
+    shipment.key,
+    { method: shipment.method }
+  ]));
+}
+
+export interface ShippingAddress {
+  full_name: string;
+  line1: string;
+  line2: string;
+  city: string;
+  region: string;
+  postal_code: string;
+  country: string;
+  phone: string;
+}
+
+export const EMPTY_ADDRESS: ShippingAddress = {
+  full_name: '',
+  line1: '',
+  line2: '',
+  city: '',
+  region: '',
+  postal_code: '',
+  country: 'US',
+  phone: ''
+};
+
+// Países a los que se envía (código ISO 3166-1)
+export const COUNTRY_OPTIONS = [
+  { code: 'US', name: 'United States' },
+  { code: 'CA', name: 'Canada' },
+  { code: 'MX', name: 'Mexico' },
+  { code: 'GB', name: 'United Kingdom' },
+  { code: 'ES', name: 'Spain' },
+  { code: 'FR', name: 'France' },
+  { code: 'DE', name: 'Germany' },
+  { code: 'AR', name: 'Argentina' }
+];
+
+/**
+ * Nombre del país para mostrar (ej: "US" → "United States")
+ * @param code - Código del país
+ */
+export function getCountryName(code: string): string {
+  return COUNTRY_OPTIONS.find(country => country.code === code)?.name || code;
+}
+
+/**
+ * Valida la dirección de envío
+ * @param address - Dirección del formulario
+ * @param taxTables - Tasas de impuestos (para verificar el estado o provincia)
+ * @returns Errores por campo (vacío si es válida)
+ */
+export function validateAddress(address: ShippingAddress, taxTables: TaxTables): Partial<Record<keyof ShippingAddress, string>> {
+  const errors: Partial<Record<keyof ShippingAddress, string>> = {};
+
+  if (!address.full_name.trim()) errors.full_name = 'Full name is required';
+  if (!address.line1.trim()) errors.line1 = 'Address is required';
+  if (!address.city.trim()) errors.city = 'City is required';
+  if (!address.postal_code.trim()) errors.postal_code = 'Postal code is required';
+  if (!COUNTRY_OPTIONS.some(country => country.code === address.country)) {
+    errors.country = 'Please select a country';
+  }
+  // Donde el impuesto depende del estado o provincia, tiene que ser uno conocido
+  const jurisdiction = getTaxJurisdiction(taxTables, address.country);
+  if (jurisdiction.regions && !findTaxRegion(jurisdiction, address.region)) {
+    errors.region = 'Please enter a valid state or province (e.g. "CA" or "California")';
+  }
+  if (address.phone && !/^[+\d][\d\s().-]{6,}$/.test(address.phone.trim())) {
+    errors.phone = 'Please enter a valid phone number';
+  }
+
+  return errors;
+}
+
+/**
+ * Número de pedido corto para mostrar (ej: "HH-3F9A2C1B")
+ * @param orderId - ID (UUID) del pedido
+ */
+export function formatOrderNumber(orderId: string): string {
+  return `HH-${orderId.replace(/-/g, '').slice(0, 8).toUpperCase()}`;
+}
@@ -0,0 +1,262 @@
+// utils/feeds.ts
+// Feeds de productos nuevos en formato RSS 2.0, Atom 1.0 y JSON Feed 1.1
+// Ver las rutas en app/feeds
+
+import { SITE_NAME, absoluteUrl } from '@/lib/site';
+import { formatPrice } from './formatPrice';
+import { getCurrentPrice } from './pricing';
+
+// Formatos disponibles: último segmento de la URL del feed → tipo de contenido
+export const FEED_FORMATS = {
+  'rss.xml': 'application/rss+xml; charset=utf-8',
+  'atom.xml': 'application/atom+xml; charset=utf-8',
+  'feed.json': 'application/feed+json; charset=utf-8'
+} as const;
+
+export type FeedFormat = keyof typeof FEED_FORMATS;
+
+// Cantidad de productos por feed
+export const FEED_ITEM_LIMIT = 30;
+
+export interface FeedProduct {
+  id: string;
+  title: string;
+  description?: string | null;
+  price: number;
+  compare_at_price?: number | null;
+  sale_starts_at?: string | null;
+  sale_ends_at?: string | null;
+  category?: string | null;
+  image_url?: string | null;
+  created_at: string;
+  updated_at?: string | null;
+  artisan?: {
+    full_name?: string | null;
+    shop_name?: string | null;
+  } | null;
+}
+
+export interface Feed {
+  title: string;
+  description: string;
+  path: string; // página HTML del feed (ej: "/category/woodwork")
+  feedPath: string; // ruta del feed sin el formato (ej: "/feeds/category/woodwork")
+  products: FeedProduct[];
+}
+
+/**
+ * Indica si el segmento de la URL es un formato de feed conocido
+ * @param format - Último segmento (ej: "rss.xml")
+ */
+export function isFeedFormat(format: string): format is FeedFormat {
+  return format in FEED_FORMATS;
+}
+
+/**
+ * Escapa texto para incluirlo en XML (o en HTML dentro de un feed)
+ * @param value - Texto del usuario
+ */
+function escapeXml(value: string): string {
+  return value
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&apos;');
+}
+
+/**
+ * Nombre del artesano que se muestra como autor del producto
+ */
+function getAuthorName(product: FeedProduct): string | null {
+  return product.artisan?.shop_name || product.artisan?.full_name || null;
+}
+
+/**
+ * Resumen de texto: precio y artesano (ej: "$45.00 · by Clay & Co")
+ */
+function getSummary(product: FeedProduct): string {
+  const author = getAuthorName(product);
+  const price = formatPrice(getCurrentPrice(product));
+  return author ? `${price} · by ${author}` : price;
+}
+
+/**
+ * Contenido HTML de un producto: imagen, precio y descripción
+ */
+function getContentHtml(product: FeedProduct): string {
+  const parts: string[] = [];
+
+  if (product.image_url) {
+    parts.push(`<p><img src="${escapeXml(absoluteUrl(product.image_url))}" alt="${escapeXml(product.title)}" /></p>`);
+  }
+
+  parts.push(`<p><strong>${escapeXml(getSummary(product))}</strong></p>`);
+
+  if (product.description) {
+    parts.push(`<p>${escapeXml(product.description)}</p>`);
+  }
+
+  return parts.join('');
+}
+
+/**
+ * Fecha de la última actualización del feed (el producto más nuevo)
+ */
+function getFeedUpdated(feed: Feed): string {
+  const latest = feed.products[0];
+  return new Date(latest ? latest.created_at : Date.now()).toISOString();
+}
+
+/**
+ * Feed en formato RSS 2.0 (la imagen va como media:content)
+ */
+function buildRss(feed: Feed): string {
+  const items = feed.products.map(product => {
+    const link = absoluteUrl(`/product/${product.id}`);
+    const author = getAuthorName(product);
+
+    return [
+      '    <item>',
+      `      <title>${escapeXml(product.title)}</title>`,
+      `      <link>${link}</link>`,
+      `      <guid isPermaLink="true">${link}</guid>`,
+      `      <pubDate>${new Date(product.created_at).toUTCString()}</pubDate>`,
+      author ? `      <dc:creator>${escapeXml(author)}</dc:creator>` : null,
+      product.category ? `      <category>${escapeXml(product.category)}</category>` : null,
+      `      <description>${escapeXml(getContentHtml(product))}</description>`,
+      product.image_url ? `      <media:content url="${escapeXml(absoluteUrl(product.image_url))}" medium="image" />` : null,
+      '    </item>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<rss version="2.0" xmlns:atom="http://www.w3.org/2005/Atom" xmlns:dc="http://purl.org/dc/elements/1.1/" xmlns:media="http://search.yahoo.com/mrss/">
+  <channel>
+    <title>${escapeXml(feed.title)}</title>
+    <link>${absoluteUrl(feed.path)}</link>
+    <description>${escapeXml(feed.description)}</description>
+    <language>en</language>
+    <lastBuildDate>${new Date(getFeedUpdated(feed)).toUTCString()}</lastBuildDate>
+    <atom:link href="${absoluteUrl(`${feed.feedPath}/rss.xml`)}" rel="self" type="application/rss+xml" />
+${items.join('\n')}
+  </channel>
+</rss>
+`;
+}
+
+/**
+ * Feed en formato Atom 1.0
+ */
+function buildAtom(feed: Feed): string {
+  const entries = feed.products.map(product => {
+    const link = absoluteUrl(`/product/${product.id}`);
+    const author = getAuthorName(product);
+
+    return [
+      '  <entry>',
+      `    <title>${escapeXml(product.title)}</title>`,
+      `    <link href="${link}" />`,
+      `    <id>${link}</id>`,
+      `    <published>${new Date(product.created_at).toISOString()}</published>`,
+      `    <updated>${new Date(product.updated_at || product.created_at).toISOString()}</updated>`,
+      author ? `    <author><name>${escapeXml(author)}</name></author>` : null,
+      product.category ? `    <category term="${escapeXml(product.category)}" />` : null,
+      `    <summary>${escapeXml(getSummary(product))}</summary>`,
+      `    <content type="html">${escapeXml(getContentHtml(product))}</content>`,
+      product.image_url ? `    <link rel="enclosure" href="${escapeXml(absoluteUrl(product.image_url))}" />` : null,
+      '  </entry>'
+    ].filter(Boolean).join('\n');
+  });
+
+  return `<?xml version="1.0" encoding="UTF-8"?>
+<feed xmlns="http://www.w3.org/2005/Atom">
+  <title>${escapeXml(feed.title)}</title>
+  <subtitle>${escapeXml(feed.description)}</subtitle>
+  <link href="${absoluteUrl(feed.path)}" />
+  <link href="${absoluteUrl(`${feed.feedPath}/atom.xml`)}" rel="self" />
+  <id>${absoluteUrl(`${feed.feedPath}/atom.xml`)}</id>
+  <updated>${getFeedUpdated(feed)}</updated>
+  <author><name>${escapeXml(SITE_NAME)}</name></author>
+${entries.join('\n')}
+</feed>
+`;
+}
+
+/**
+ * Feed en formato JSON Feed 1.1
+ */
+function buildJsonFeed(feed: Feed): string {
+  return JSON.stringify({
+    version: 'https://jsonfeed.org/version/1.1',
+    title: feed.title,
+    description: feed.description,
+    home_page_url: absoluteUrl(feed.path),
+    feed_url: absoluteUrl(`${feed.feedPath}/feed.json`),
+    language: 'en',
+    items: feed.products.map(product => {
+      const author = getAuthorName(product);
+
+      return {
+        id: absoluteUrl(`/product/${product.id}`),
+        url: absoluteUrl(`/product/${product.id}`),
+        title: product.title,
+        summary: getSummary(product),
+        content_html: getContentHtml(product),
+        image: product.image_url ? absoluteUrl(product.image_url) : undefined,
+        date_published: new Date(product.created_at).toISOString(),
+        date_modified: product.updated_at ? new Date(product.updated_at).toISOString() : undefined,
+        authors: author ? [{ name: author }] : undefined,
+        tags: product.category ? [product.category] : undefined
+      };
+    })
+  }, null, 2);
+}
+
+/**
+ * Arma la respuesta HTTP del feed en el formato pedido
+ * @param feed - Datos del feed
+ * @param format - Formato (ver FEED_FORMATS)
+ * @returns Response con el tipo de contenido correcto
+ */
+export function createFeedResponse(feed: Feed, format: FeedFormat): Response {
+  const builders: Record<FeedFormat, (feed: Feed) => string> = {
+    'rss.xml': buildRss,
+    'atom.xml': buildAtom,
+    'feed.json': buildJsonFeed
+  };
+
+  return new Response(builders[format](feed), {
+    headers: {
+      'Content-Type': FEED_FORMATS[format]
+    }
+  });
+}
+
+/**
+ * Respuesta para cuando no se pudieron cargar los productos del feed
+ * Un 503 hace que los lectores reintenten más tarde; un feed vacío con 200
+ * les haría descartar todos los productos que ya tenían
+ */
+export function createFeedErrorResponse(): Response {
+  return new Response('Feed temporarily unavailable', {
+    status: 503,
+    headers: {
+      'Retry-After': '300',
+      'Cache-Control': 'no-store'
+    }
+  });
+}
+
+/**
+ * Enlaces <link rel="alternate"> para que los lectores de feeds los detecten
+ * (se usan en metadata.alternates.types)
+ * @param feedPath - Ruta del feed sin el formato (ej: "/feeds/artisan/123")
+ */
+export function getFeedAlternates(feedPath: string): Record<string, string> {
+  return {
+    'application/rss+xml': `${feedPath}/rss.xml`,
+    'application/atom+xml': `${feedPath}/atom.xml`,
+    'application/feed+json': `${feedPath}/feed.json`
+  };
+}
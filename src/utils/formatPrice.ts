@@ -3,6 +3,8 @@
 
 /**
  * Formatea un precio numérico a una cadena con formato de moneda
+ * Los precios se guardan sin impuestos: con taxDisplay 'inclusive' se muestra
+ * el precio con el impuesto sumado (ver getPriceTaxOptions en utils/tax.ts)
  * @param price - El precio numérico a formatear
  * @returns Precio formateado como string (ej: "$89.00")
  */
@@ -10,20 +12,28 @@ export function formatPrice(price: number, options: {
   currency?: string;
   locale?: string;
   showDecimals?: boolean;
+  taxRate?: number;
+  taxDisplay?: 'inclusive' | 'exclusive';
 } = {}): string {
   const {
     currency = 'USD',
     locale = 'en-US',
-    showDecimals = true
+    showDecimals = true,
+    taxRate = 0,
+    taxDisplay = 'exclusive'
   } = options;
 
+  const amount = taxDisplay === 'inclusive'
+    ? Math.round(price * (1 + taxRate) * 100) / 100
+    : price;
+
   // Usar la API nativa de JavaScript para formatear monedas
   return new Intl.NumberFormat(locale, {
     style: 'currency',
     currency: currency,
     minimumFractionDigits: showDecimals ? 2 : 0,
     maximumFractionDigits: showDecimals ? 2 : 0,
-  }).format(price);
+  }).format(amount);
 }
 
 /**
@@ -0,0 +1,89 @@
+// utils/guestCart.ts
+// Carrito de invitado guardado en el navegador (localStorage)
+// Al iniciar sesión se fusiona con el carrito de la cuenta (ver hooks/useCart)
+
+import type { CartItem } from './cart';
+
+// Clave en localStorage
+export const GUEST_CART_STORAGE_KEY = 'handcrafted-haven:guest-cart';
+
+// Línea guardada: el precio es el que vio el invitado al agregarla,
+// para avisarle si cambió cuando vuelve o cuando inicia sesión
+export interface GuestCartItem {
+  product_id: string;
+  quantity: number;
+  price: number | null;
+  title: string;
+}
+
+/**
+ * Indica si hay localStorage disponible (no existe en el servidor
+ * y puede estar bloqueado en navegación privada)
+ */
+function getStorage(): Storage | null {
+  try {
+    return typeof window !== 'undefined' ? window.localStorage : null;
+  } catch {
+    return null;
+  }
+}
+
+/**
+ * Lee el carrito de invitado; descarta lo que no tenga el formato esperado
+ * @returns Líneas guardadas (vacío si no hay carrito)
+ */
+export function loadGuestCart(): GuestCartItem[] {
+  const storage = getStorage();
+  if (!storage) return [];
+
+  try {
+    const stored = JSON.parse(storage.getItem(GUEST_CART_STORAGE_KEY) || '[]');
+    if (!Array.isArray(stored)) return [];
+
+    return stored
+      .filter(item => item && typeof item.product_id === 'string' && Number(item.quantity) > 0)
+      .map(item => ({
+        product_id: item.product_id,
+        quantity: Math.floor(Number(item.quantity)),
+        price: item.price === null || item.price === undefined ? null : Number(item.price),
+        title: typeof item.title === 'string' ? item.title : 'This item'
+      }));
+  } catch {
+    return [];
+  }
+}
+
+/**
+ * Guarda el carrito de invitado (un carrito vacío borra la clave)
+ * @param items - Líneas actuales del carrito
+ */
+export function saveGuestCart(items: CartItem[]): void {
+  const storage = getStorage();
+  if (!storage) return;
+
+  try {
+    if (items.length === 0) {
+      storage.removeItem(GUEST_CART_STORAGE_KEY);
+      return;
+    }
+
+    const guestItems: GuestCartItem[] = items.map(item => ({
+      product_id: item.product_id,
+      quantity: item.quantity,
+      price: Number(item.product.price),
+      title: item.product.title
+    }));
+
+    storage.setItem(GUEST_CART_STORAGE_KEY, JSON.stringify(guestItems));
+  } catch (error) {
+    // Cuota llena o almacenamiento bloqueado: el carrito sigue en memoria
+    console.error('❌ Save guest cart error:', error);
+  }
+}
+
+/**
+ * Borra el carrito de invitado (después de fusionarlo con la cuenta)
+ */
+export function clearGuestCart(): void {
+  getStorage()?.removeItem(GUEST_CART_STORAGE_KEY);
+}
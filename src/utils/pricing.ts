@@ -0,0 +1,74 @@
+// utils/pricing.ts
+// Precio actual de un producto con precio de comparación (compare_at_price) y ofertas programadas
+// Con la oferta activa se cobra price y se muestra compare_at_price tachado; fuera de la
+// ventana de la oferta (sale_starts_at / sale_ends_at) se cobra compare_at_price, el precio normal
+// Mismas reglas que product_current_price en add-product-sale-pricing.sql
+
+import { calculateDiscountPercentage } from './formatPrice';
+
+export interface SalePricedProduct {
+  price: number;
+  compare_at_price?: number | null;
+  sale_starts_at?: string | null;
+  sale_ends_at?: string | null;
+}
+
+// Precio para mostrar en tarjetas y páginas de producto
+export interface ProductPricing {
+  price: number;                 // Lo que se cobra ahora
+  compareAtPrice: number | null; // Precio tachado (null = sin oferta)
+  discountPercentage: number;
+  saleEndsAt: string | null;
+}
+
+/**
+ * Indica si la oferta de un producto está activa
+ * Sin fechas, la oferta dura mientras el producto tenga compare_at_price
+ * @param product - Producto con sus campos de oferta
+ * @param now - Momento a evaluar (por defecto, ahora)
+ */
+export function isSaleActive(product: SalePricedProduct, now: Date = new Date()): boolean {
+  const compareAt = Number(product.compare_at_price);
+  if (!product.compare_at_price || !(compareAt > Number(product.price))) return false;
+  if (product.sale_starts_at && new Date(product.sale_starts_at) > now) return false;
+  if (product.sale_ends_at && new Date(product.sale_ends_at) <= now) return false;
+  return true;
+}
+
+/**
+ * Precio que se cobra ahora por un producto
+ * @param product - Producto con sus campos de oferta
+ * @param now - Momento a evaluar (por defecto, ahora)
+ */
+export function getCurrentPrice(product: SalePricedProduct, now: Date = new Date()): number {
+  if (isSaleActive(product, now) || !product.compare_at_price) {
+    return Number(product.price);
+  }
+  return Math.max(Number(product.price), Number(product.compare_at_price));
+}
+
+/**
+ * Precio actual, precio tachado y porcentaje de descuento de un producto
+ * @param product - Producto con sus campos de oferta
+ * @param now - Momento a evaluar (por defecto, ahora)
+ */
+export function getProductPricing(product: SalePricedProduct, now: Date = new Date()): ProductPricing {
+  if (!isSaleActive(product, now)) {
+    return {
+      price: getCurrentPrice(product, now),
+      compareAtPrice: null,
+      discountPercentage: 0,
+      saleEndsAt: null
+    };
+  }
+
+  const price = Number(product.price);
+  const compareAtPrice = Number(product.compare_at_price);
+
+  return {
+    price,
+    compareAtPrice,
+    discountPercentage: calculateDiscountPercentage(compareAtPrice, price),
+    saleEndsAt: product.sale_ends_at || null
+  };
+}
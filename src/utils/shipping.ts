@@ -0,0 +1,217 @@
+// utils/shipping.ts
+// Cálculo del envío con los perfiles de envío de cada artesano:
+// zona de destino, tarifa (fija, por pieza o por peso), envío gratis y retiro en el taller
+// create_order cobra lo mismo, calculado en la base de datos (ver create-shipping-profiles.sql)
+
+import { getCartSubtotal } from './cart';
+import type { CartItem, CartProduct } from './cart';
+
+export type ShippingRateType = 'flat' | 'per_item' | 'weight';
+
+// Cómo llega un envío al comprador
+export type ShipmentMethod = 'delivery' | 'pickup';
+
+export interface ShippingZone {
+  id: string;
+  name: string;
+  countries: string[];       // Códigos ISO; vacío = resto del mundo
+  rate_type: ShippingRateType;
+  base_rate: number;
+  additional_rate: number;   // Por pieza extra (per_item) o por kg (weight)
+  free_over: number | null;  // Envío gratis desde este subtotal
+  min_days: number | null;
+  max_days: number | null;
+}
+
+export interface ShippingProfile {
+  id: string;
+  artisan_id: string;
+  name: string;
+  is_default: boolean;
+  local_pickup: boolean;
+  pickup_notes: string | null;
+  zones: ShippingZone[];
+}
+
+export interface ShipmentOption {
+  method: ShipmentMethod;
+  label: string;
+  cost: number;
+  details: string | null;    // Plazo (ej: "5–8 business days") o indicaciones del retiro
+}
+
+// Tipos de tarifa → texto para el formulario del artesano
+export const RATE_TYPE_LABELS: Record<ShippingRateType, string> = {
+  flat: 'Flat rate per package',
+  per_item: 'Per item',
+  weight: 'By weight'
+};
+
+// Métodos de envío guardados en los pedidos → texto para mostrar
+// (standard y express son de los pedidos anteriores a los perfiles de envío)
+export const SHIPPING_METHOD_LABELS: Record<string, string> = {
+  delivery: 'Delivery',
+  pickup: 'Local pickup',
+  mixed: 'Delivery and local pickup',
+  standard: 'Standard shipping',
+  express: 'Express shipping'
+};
+
+// Tarifa de la tienda para los artesanos que todavía no tienen perfiles de envío
+// La misma que cobra create_order (marketplace_shipping_cost en create-orders-table.sql)
+export const MARKETPLACE_STANDARD_ZONE: ShippingZone = {
+  id: 'marketplace-standard',
+  name: 'Standard',
+  countries: [],
+  rate_type: 'flat',
+  base_rate: 5.99,
+  additional_rate: 0,
+  free_over: 75,
+  min_days: 5,
+  max_days: 8
+};
+
+// Divisor del peso volumétrico (cm³ por kg) que usan la mayoría de los transportistas
+export const VOLUMETRIC_DIVISOR = 5000;
+
+/**
+ * Peso facturable de una línea en kg: el mayor entre el peso real y el volumétrico
+ * Los productos sin peso ni medidas cuentan como 0
+ * @param product - Producto del carrito
+ * @param quantity - Unidades
+ */
+export function getBillableWeightKg(product: CartProduct, quantity: number): number {
+  const actualKg = (Number(product.weight_grams) || 0) / 1000;
+  const volumeCm3 = (Number(product.length_cm) || 0) * (Number(product.width_cm) || 0) * (Number(product.height_cm) || 0);
+  return Math.max(actualKg, volumeCm3 / VOLUMETRIC_DIVISOR) * quantity;
+}
+
+/**
+ * Zona de un perfil que cubre un país: primero las que lo nombran, después "resto del mundo"
+ * @param profile - Perfil de envío
+ * @param country - Código del país de destino
+ * @returns La zona, o null si el perfil no envía a ese país
+ */
+export function findZone(profile: ShippingProfile, country: string): ShippingZone | null {
+  return profile.zones.find(zone => zone.countries.includes(country))
+    || profile.zones.find(zone => zone.countries.length === 0)
+    || null;
+}
+
+/**
+ * Costo de envío de una zona para las piezas que usan ese perfil
+ * @param zone - Zona de destino
+ * @param items - Líneas del carrito con ese perfil
+ */
+export function getZoneRate(zone: ShippingZone, items: CartItem[]): number {
+  const subtotal = getCartSubtotal(items);
+  if (zone.free_over !== null && zone.free_over !== undefined && subtotal >= Number(zone.free_over)) {
+    return 0;
+  }
+
+  const baseRate = Number(zone.base_rate) || 0;
+  const additionalRate = Number(zone.additional_rate) || 0;
+  let rate = baseRate;
+
+  if (zone.rate_type === 'per_item') {
+    const units = items.reduce((sum, item) => sum + item.quantity, 0);
+    rate = baseRate + additionalRate * Math.max(0, units - 1);
+  } else if (zone.rate_type === 'weight') {
+    const weightKg = items.reduce((sum, item) => sum + getBillableWeightKg(item.product, item.quantity), 0);
+    rate = baseRate + additionalRate * Math.ceil(weightKg);
+  }
+
+  return Math.round(rate * 100) / 100;
+}
+
+/**
+ * Texto del plazo de entrega (ej: "5–8 business days")
+ * @param minDays - Días mínimos
+ * @param maxDays - Días máximos
+ */
+export function formatDeliveryEstimate(minDays: number | null, maxDays: number | null): string | null {
+  if (minDays === null && maxDays === null) return null;
+  if (minDays === null || maxDays === null || minDays === maxDays) {
+    const days = maxDays ?? minDays;
+    return `${days} business day${days === 1 ? '' : 's'}`;
+  }
+  return `${minDays}–${maxDays} business days`;
+}
+
+/**
+ * Perfil de envío de un producto: el suyo o el predeterminado del artesano
+ * Un perfil de otro artesano se ignora (igual que product_shipping_profile)
+ * @param product - Producto del carrito
+ * @param profiles - Perfiles del artesano del producto
+ */
+export function getProductProfile(product: CartProduct, profiles: ShippingProfile[]): ShippingProfile | null {
+  const ownProfiles = profiles.filter(profile => profile.artisan_id === product.artisan_id);
+  return ownProfiles.find(profile => profile.id === product.shipping_profile_id)
+    || ownProfiles.find(profile => profile.is_default)
+    || null;
+}
+
+/**
+ * Opciones de envío de las piezas de un artesano hacia un país
+ *
+ * Las piezas se agrupan por perfil y el costo es la suma de cada grupo.
+ * El retiro en el taller se ofrece solo si todos los perfiles lo permiten.
+ * Devuelve [] si el artesano no envía a ese país y no hay retiro
+ *
+ * @param items - Líneas del carrito de un mismo artesano
+ * @param profiles - Perfiles de envío del artesano
+ * @param country - Código del país de destino
+ */
+export function getShipmentOptions(items: CartItem[], profiles: ShippingProfile[], country: string): ShipmentOption[] {
+  const groups = new Map<string, { profile: ShippingProfile | null; items: CartItem[] }>();
+
+  items.forEach(item => {
+    const profile = getProductProfile(item.product, profiles);
+    const key = profile?.id || '';
+    const group = groups.get(key) || { profile, items: [] };
+    group.items.push(item);
+    groups.set(key, group);
+  });
+
+  let deliveryCost = 0;
+  let delivers = true;
+  let minDays: number | null = null;
+  let maxDays: number | null = null;
+
+  for (const { profile, items: groupItems } of groups.values()) {
+    const zone = profile ? findZone(profile, country) : MARKETPLACE_STANDARD_ZONE;
+
+    if (!zone) {
+      delivers = false;
+      break;
+    }
+
+    deliveryCost += getZoneRate(zone, groupItems);
+    // El paquete sale cuando está todo: el plazo es el del grupo más lento
+    if (zone.min_days !== null) minDays = Math.max(minDays ?? 0, zone.min_days);
+    if (zone.max_days !== null) maxDays = Math.max(maxDays ?? 0, zone.max_days);
+  }
+
+  const options: ShipmentOption[] = [];
+
+  if (delivers) {
+    options.push({
+      method: 'delivery',
+      label: 'Delivery',
+      cost: Math.round(deliveryCost * 100) / 100,
+      details: formatDeliveryEstimate(minDays, maxDays)
+    });
+  }
+
+  const groupProfiles = Array.from(groups.values(), group => group.profile);
+  if (groupProfiles.every(profile => profile?.local_pickup)) {
+    options.push({
+      method: 'pickup',
+      label: 'Local pickup',
+      cost: 0,
+      details: groupProfiles.map(profile => profile?.pickup_notes).find(Boolean) || null
+    });
+  }
+
+  return options;
+}
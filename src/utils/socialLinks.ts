@@ -0,0 +1,38 @@
+// utils/socialLinks.ts
+// Enlaces a la web y redes sociales de un perfil (tienda pública y datos estructurados)
+
+export interface SocialProfile {
+  website_url?: string | null;
+  instagram_handle?: string | null;
+  facebook_url?: string | null;
+}
+
+export interface SocialLink {
+  label: string;
+  url: string;
+  icon: string;
+}
+
+/**
+ * Enlaces a la web y redes sociales configuradas en el perfil
+ * @param profile - Perfil público
+ * @returns Lista de enlaces [{label, url, icon}] (vacía si no hay ninguno)
+ */
+export function getSocialLinks(profile: SocialProfile): SocialLink[] {
+  const links: SocialLink[] = [];
+
+  if (profile.website_url) {
+    links.push({ label: 'Website', url: profile.website_url, icon: '🌐' });
+  }
+
+  if (profile.instagram_handle) {
+    const handle = profile.instagram_handle.replace(/^@/, '');
+    links.push({ label: `@${handle}`, url: `https://instagram.com/${handle}`, icon: '📷' });
+  }
+
+  if (profile.facebook_url) {
+    links.push({ label: 'Facebook', url: profile.facebook_url, icon: '👍' });
+  }
+
+  return links;
+}
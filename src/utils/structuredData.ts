@@ -0,0 +1,156 @@
+// utils/structuredData.ts
+// Datos estructurados de Schema.org (JSON-LD) para buscadores
+// Se arman con los mismos datos que ya cargan las páginas de producto y de artesano
+
+import { SITE_NAME, absoluteUrl } from '@/lib/site';
+import type { Product } from '@/types/product';
+import { getSocialLinks, type SocialProfile } from './socialLinks';
+import { getProductPricing } from './pricing';
+
+// Moneda de los precios del catálogo (ver formatPrice)
+const PRICE_CURRENCY = 'USD';
+
+// Máximo de reviews individuales incluidas en el JSON-LD de un producto
+const MAX_JSON_LD_REVIEWS = 10;
+
+export interface ArtisanProfile extends SocialProfile {
+  id: string;
+  full_name?: string | null;
+  shop_name?: string | null;
+  shop_description?: string | null;
+  bio?: string | null;
+  profile_image_url?: string | null;
+  location?: string | null;
+}
+
+export interface ReviewStats {
+  totalReviews: number;
+  averageRating: number;
+}
+
+export interface ProductReview {
+  reviewer_name: string;
+  rating: number;
+  comment: string;
+  created_at: string;
+}
+
+type JsonLd = Record<string, unknown>;
+
+/**
+ * Calificación promedio en formato AggregateRating
+ * @param stats - Estadísticas de reviews (getReviewStats / getArtisanReviewStats)
+ * @returns AggregateRating, o undefined si no hay reviews (Google no acepta 0 reviews)
+ */
+function buildAggregateRating(stats?: ReviewStats | null): JsonLd | undefined {
+  if (!stats || stats.totalReviews === 0) return undefined;
+
+  return {
+    '@type': 'AggregateRating',
+    ratingValue: stats.averageRating,
+    reviewCount: stats.totalReviews,
+    bestRating: 5,
+    worstRating: 1
+  };
+}
+
+/**
+ * Referencia al artesano como Organization (tienda) o Person (sin nombre de tienda)
+ * @param artisan - Perfil público del artesano
+ * @returns Nodo con @type, @id, nombre y URL de su tienda
+ */
+function buildArtisanReference(artisan: ArtisanProfile): JsonLd {
+  const url = absoluteUrl(`/artisan/${artisan.id}`);
+
+  return {
+    '@type': artisan.shop_name ? 'Organization' : 'Person',
+    '@id': `${url}#artisan`,
+    name: artisan.shop_name || artisan.full_name,
+    url
+  };
+}
+
+/**
+ * JSON-LD de la página de un producto: Product con Offer, AggregateRating y Review
+ * @param product - Producto con su artesano (getProductById)
+ * @param reviews - Reviews del producto (las más recientes primero)
+ * @param stats - Estadísticas de reviews
+ * @returns Objeto listo para JSON.stringify
+ */
+export function buildProductJsonLd(
+  product: Product & { artisan?: ArtisanProfile | null },
+  reviews: ProductReview[] = [],
+  stats: ReviewStats | null = null
+): JsonLd {
+  const url = absoluteUrl(`/product/${product.id}`);
+  const artisan = product.artisan ? buildArtisanReference(product.artisan) : undefined;
+  const pricing = getProductPricing(product);
+
+  return {
+    '@context': 'https://schema.org',
+    '@type': 'Product',
+    '@id': `${url}#product`,
+    name: product.title,
+    description: product.description,
+    // Los buscadores rechazan imágenes con ruta relativa
+    image: product.image_url ? absoluteUrl(product.image_url) : undefined,
+    sku: product.id,
+    category: product.category,
+    url,
+    brand: artisan,
+    offers: {
+      '@type': 'Offer',
+      url,
+      price: pricing.price.toFixed(2),
+      priceCurrency: PRICE_CURRENCY,
+      // Con una oferta programada, el precio vale hasta que termina
+      priceValidUntil: pricing.saleEndsAt ? pricing.saleEndsAt.slice(0, 10) : undefined,
+      availability: product.stock > 0
+        ? 'https://schema.org/InStock'
+        : 'https://schema.org/OutOfStock',
+      itemCondition: 'https://schema.org/NewCondition',
+      seller: artisan
+    },
+    aggregateRating: buildAggregateRating(stats),
+    review: reviews.length > 0
+      ? reviews.slice(0, MAX_JSON_LD_REVIEWS).map(review => ({
+        '@type': 'Review',
+        author: { '@type': 'Person', name: review.reviewer_name },
+        datePublished: review.created_at,
+        reviewBody: review.comment,
+        reviewRating: {
+          '@type': 'Rating',
+          ratingValue: review.rating,
+          bestRating: 5,
+          worstRating: 1
+        }
+      }))
+      : undefined
+  };
+}
+
+/**
+ * JSON-LD de la tienda de un artesano: Organization (o Person) con su calificación general
+ * @param artisan - Perfil público del artesano (getPublicProfile)
+ * @param stats - Estadísticas de reviews de sus productos (getArtisanReviewStats)
+ * @returns Objeto listo para JSON.stringify
+ */
+export function buildArtisanJsonLd(artisan: ArtisanProfile, stats: ReviewStats | null = null): JsonLd {
+  const sameAs = getSocialLinks(artisan).map(link => link.url);
+
+  return {
+    '@context': 'https://schema.org',
+    ...buildArtisanReference(artisan),
+    description: artisan.shop_description || artisan.bio || undefined,
+    image: artisan.profile_image_url ? absoluteUrl(artisan.profile_image_url) : undefined,
+    address: artisan.location || undefined,
+    sameAs: sameAs.length > 0 ? sameAs : undefined,
+    memberOf: {
+      '@type': 'Organization',
+      name: SITE_NAME,
+      url: absoluteUrl('/')
+    },
+    // aggregateRating no es una propiedad de Person en Schema.org
+    aggregateRating: artisan.shop_name ? buildAggregateRating(stats) : undefined
+  };
+}
@@ -0,0 +1,180 @@
+// utils/tax.ts
+// Impuestos de los pedidos (sales tax, GST/HST, VAT/IVA) según el país y la región de entrega
+// Acá se calculan los impuestos que se muestran en el carrito y el checkout
+// Las tasas y las clases de cada categoría vienen de la base de datos (taxService,
+// tablas de add-order-taxes.sql): son las mismas con las que cobra create_order
+// Los precios de los productos se guardan sin impuestos
+// El envío no lleva impuestos
+
+import { getLineTotal, isItemAvailable } from './cart';
+import type { CartItem, CartProduct } from './cart';
+
+// Clase de impuesto de un producto (según su categoría)
+export type TaxClass = 'standard' | 'reduced' | 'exempt';
+
+// Cómo se muestran los precios: con el impuesto incluido (VAT) o sumado al final (sales tax)
+export type TaxDisplay = 'inclusive' | 'exclusive';
+
+export interface TaxRates {
+  standard: number;
+  reduced: number;
+}
+
+// Estado o provincia: una sola tasa para todas las clases
+export interface TaxRegion {
+  name: string;
+  rate: number;
+}
+
+export interface TaxJurisdiction {
+  label: string;
+  display: TaxDisplay;
+  rates: TaxRates;
+  // Tasas por estado o provincia (reemplazan a las del país y la región es obligatoria)
+  regions?: Record<string, TaxRegion>;
+}
+
+// Tablas de impuestos cargadas de la base de datos (ver getTaxTables en taxService)
+export interface TaxTables {
+  // Por país (código ISO 3166-1); los países que no están no cobran impuestos
+  jurisdictions: Record<string, TaxJurisdiction>;
+  // Clase de cada categoría con una clase distinta de 'standard' (por categories.id)
+  categoryClasses: Record<string, TaxClass>;
+}
+
+// Impuesto de una línea del pedido
+export interface LineTax {
+  product_id: string;
+  tax_class: TaxClass;
+  tax_rate: number;
+  tax_amount: number;
+}
+
+// Impuestos de un pedido para un destino
+export interface TaxBreakdown {
+  label: string;
+  display: TaxDisplay;
+  lines: LineTax[];
+  total: number;
+  // false si el país cobra por región y todavía no se conoce la región
+  complete: boolean;
+}
+
+// Tablas vacías, mientras se cargan las de la base de datos
+export const EMPTY_TAX_TABLES: TaxTables = {
+  jurisdictions: {},
+  categoryClasses: {}
+};
+
+// Destino sin impuestos (país que no está en las tablas)
+const NO_TAX: TaxJurisdiction = {
+  label: 'Tax',
+  display: 'exclusive',
+  rates: { standard: 0, reduced: 0 }
+};
+
+/**
+ * Clase de impuesto de un producto según su categoría (igual que create_order)
+ * @param tables - Tablas de impuestos
+ * @param product - Producto del carrito
+ */
+export function getTaxClass(tables: TaxTables, product: CartProduct): TaxClass {
+  return (product.category_id && tables.categoryClasses[product.category_id]) || 'standard';
+}
+
+/**
+ * Busca la región de un país por código o por nombre (el formulario de dirección es texto libre)
+ * @param jurisdiction - Tasas del país
+ * @param region - Estado o provincia escrito por el comprador (ej: "CA" o "California")
+ */
+export function findTaxRegion(jurisdiction: TaxJurisdiction, region: string): TaxRegion | null {
+  if (!jurisdiction.regions || !region) return null;
+
+  const value = region.trim().toLowerCase();
+  const match = Object.entries(jurisdiction.regions).find(([code, taxRegion]) => (
+    code.toLowerCase() === value || taxRegion.name.toLowerCase() === value
+  ));
+
+  return match ? match[1] : null;
+}
+
+/**
+ * Tasas de un país (o "sin impuestos" si no está en la tabla)
+ * @param tables - Tablas de impuestos
+ * @param country - Código del país de destino
+ */
+export function getTaxJurisdiction(tables: TaxTables, country: string): TaxJurisdiction {
+  return tables.jurisdictions[country] || NO_TAX;
+}
+
+/**
+ * Indica si el impuesto de un país depende del estado o provincia
+ * @param tables - Tablas de impuestos
+ * @param country - Código del país de destino
+ */
+export function hasRegionalTax(tables: TaxTables, country: string): boolean {
+  return Boolean(getTaxJurisdiction(tables, country).regions);
+}
+
+/**
+ * Tasa de impuesto de una clase para un destino (mismas reglas que tax_rate_for)
+ * @param tables - Tablas de impuestos
+ * @param taxClass - Clase de impuesto del producto
+ * @param country - Código del país de destino
+ * @param region - Estado o provincia (opcional)
+ * @returns Tasa como fracción (ej: 0.21)
+ */
+export function getTaxRate(tables: TaxTables, taxClass: TaxClass, country: string, region = ''): number {
+  if (taxClass === 'exempt') return 0;
+
+  const jurisdiction = getTaxJurisdiction(tables, country);
+  const taxRegion = findTaxRegion(jurisdiction, region);
+  return taxRegion ? taxRegion.rate : jurisdiction.rates[taxClass];
+}
+
+/**
+ * Impuestos de las líneas de un pedido para un destino
+ * Cada línea se redondea al centavo (igual que create_order en la base de datos)
+ * @param tables - Tablas de impuestos
+ * @param items - Líneas del carrito (las agotadas no cuentan)
+ * @param country - Código del país de destino
+ * @param region - Estado o provincia (opcional)
+ */
+export function calculateTax(tables: TaxTables, items: CartItem[], country: string, region = ''): TaxBreakdown {
+  const jurisdiction = getTaxJurisdiction(tables, country);
+
+  const lines = items.filter(isItemAvailable).map(item => {
+    const taxClass = getTaxClass(tables, item.product);
+    const taxRate = getTaxRate(tables, taxClass, country, region);
+
+    return {
+      product_id: item.product_id,
+      tax_class: taxClass,
+      tax_rate: taxRate,
+      tax_amount: Math.round(getLineTotal(item) * taxRate * 100) / 100
+    };
+  });
+
+  return {
+    label: jurisdiction.label,
+    display: jurisdiction.display,
+    lines,
+    total: Math.round(lines.reduce((sum, line) => sum + line.tax_amount, 0) * 100) / 100,
+    complete: !jurisdiction.regions || Boolean(findTaxRegion(jurisdiction, region))
+  };
+}
+
+/**
+ * Opciones de formatPrice para mostrar el precio de un producto en un destino
+ * Ej: formatPrice(product.price, getPriceTaxOptions(tables, product, 'ES'))
+ * @param tables - Tablas de impuestos
+ * @param product - Producto del carrito
+ * @param country - Código del país de destino
+ * @param region - Estado o provincia (opcional)
+ */
+export function getPriceTaxOptions(tables: TaxTables, product: CartProduct, country: string, region = ''): { taxRate: number; taxDisplay: TaxDisplay } {
+  return {
+    taxRate: getTaxRate(tables, getTaxClass(tables, product), country, region),
+    taxDisplay: getTaxJurisdiction(tables, country).display
+  };
+}